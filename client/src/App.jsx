@@ -2,6 +2,7 @@ import { Routes, Route } from "react-router-dom";
 import { useAuth } from "./context/AuthContext";
 import Navbar from "./components/layout/Navbar";
 import ProtectedRoute from "./components/common/ProtectedRoute";
+import MessagePreferences from "./components/common/MessagePreferences";
 import Login from "./pages/auth/Login";
 import Register from "./pages/auth/Register";
 import RoleSelection from "./pages/RoleSelection";
@@ -9,6 +10,12 @@ import VehicleSearch from "./pages/VehicleSearch";
 import AddVehicle from "./pages/AddVehicle";
 import MyVehicles from "./pages/MyVehicles";
 import MyBookings from "./pages/MyBookings";
+import Wallet from "./pages/Wallet";
+import VehicleApprovals from "./pages/admin/VehicleApprovals";
+import Moderation from "./pages/admin/Moderation";
+import Users from "./pages/admin/Users";
+import DriverVerification from "./pages/admin/DriverVerification";
+import DriverOnboarding from "./pages/DriverOnboarding";
 
 function App() {
   const { user, dbUser, loading, logout } = useAuth();
@@ -41,6 +48,15 @@ function App() {
           }
         />
 
+        <Route
+          path="/driver-onboarding"
+          element={
+            <ProtectedRoute>
+              <DriverOnboarding />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/search"
           element={
@@ -77,6 +93,51 @@ function App() {
           }
         />
 
+        <Route
+          path="/wallet"
+          element={
+            <ProtectedRoute>
+              <Wallet />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin"
+          element={
+            <ProtectedRoute>
+              <VehicleApprovals />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/moderation"
+          element={
+            <ProtectedRoute>
+              <Moderation />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/users"
+          element={
+            <ProtectedRoute>
+              <Users />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/drivers"
+          element={
+            <ProtectedRoute>
+              <DriverVerification />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/dashboard"
           element={
@@ -165,6 +226,12 @@ function App() {
                             >
                               My Vehicles
                             </a>
+                            <a
+                              href="/driver-onboarding"
+                              className="block w-full text-left px-3 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 transition-colors"
+                            >
+                              Driving Licence
+                            </a>
                             <button className="w-full text-left px-3 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition-colors">
                               View Bookings
                             </button>
@@ -174,15 +241,24 @@ function App() {
                           </>
                         ) : dbUser?.role === "admin" ? (
                           <>
-                            <button className="w-full text-left px-3 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors">
+                            <a
+                              href="/admin/users"
+                              className="block w-full text-left px-3 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                            >
                               Manage Users
-                            </button>
-                            <button className="w-full text-left px-3 py-2 bg-orange-600 text-white rounded hover:bg-orange-700 transition-colors">
+                            </a>
+                            <a
+                              href="/admin/drivers"
+                              className="block w-full text-left px-3 py-2 bg-orange-600 text-white rounded hover:bg-orange-700 transition-colors"
+                            >
                               Verify Drivers
-                            </button>
-                            <button className="w-full text-left px-3 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 transition-colors">
+                            </a>
+                            <a
+                              href="/admin"
+                              className="block w-full text-left px-3 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 transition-colors"
+                            >
                               Vehicle Approvals
-                            </button>
+                            </a>
                             <button className="w-full text-left px-3 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition-colors">
                               System Reports
                             </button>
@@ -213,6 +289,10 @@ function App() {
                     </div>
                   </div>
 
+                  <div className="mt-6">
+                    <MessagePreferences />
+                  </div>
+
                   {/* Statistics Section */}
                   {dbUser?.role === "driver" && (
                     <div className="mt-8 grid md:grid-cols-4 gap-4">
@@ -0,0 +1,355 @@
+import { useState, useEffect } from "react";
+import { X, Loader, Ban, CheckCircle, BadgeCheck, UserCog } from "lucide-react";
+import toast from "react-hot-toast";
+import { userAPI, vehicleAPI, bookingAPI } from "../../services/api";
+
+const ROLE_LABELS = { user: "Passenger", driver: "Driver", admin: "Admin" };
+
+const HISTORY_LABELS = {
+  suspended: "Suspended",
+  reactivated: "Reactivated",
+  role_changed: "Role changed",
+  verified: "Verified",
+  unverified: "Verification removed",
+};
+
+// Load one of the user's related lists: vehicles, or bookings as a
+// passenger or as a driver
+const loaders = {
+  vehicles: (userId) =>
+    vehicleAPI.getVehiclesByDriver(userId).then((data) => data.vehicles),
+  bookings: (userId) =>
+    bookingAPI.getUserBookings(userId).then((data) => data.bookings),
+  trips: (userId) =>
+    bookingAPI.getDriverBookings(userId).then((data) => data.bookings),
+};
+
+// An administrator's view of one account: its details and history, the
+// actions they can take on it, and the user's vehicles and bookings
+const UserDetails = ({ userId, isSelf, onClose, onChanged }) => {
+  const [details, setDetails] = useState(null);
+  const [tab, setTab] = useState("bookings");
+  const [items, setItems] = useState([]);
+  const [itemsLoading, setItemsLoading] = useState(false);
+  const [acting, setActing] = useState(false);
+  const [role, setRole] = useState("");
+
+  useEffect(() => {
+    userAPI
+      .getUser(userId)
+      .then((data) => {
+        setDetails(data);
+        setRole(data.user.role);
+        if (data.user.role === "driver") setTab("vehicles");
+      })
+      .catch((error) => {
+        console.error("❌ Fetch user error:", error);
+        toast.error("❌ Failed to load the user");
+        onClose();
+      });
+  }, [userId, onClose]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setItemsLoading(true);
+    loaders[tab](userId)
+      .then((list) => {
+        if (!cancelled) setItems(list);
+      })
+      .catch((error) => {
+        console.error(`❌ Fetch user ${tab} error:`, error);
+        if (!cancelled) setItems([]);
+      })
+      .finally(() => {
+        if (!cancelled) setItemsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, tab]);
+
+  const runAction = async (request, success) => {
+    try {
+      setActing(true);
+      const data = await request();
+      setDetails((prev) => ({ ...prev, user: data.user }));
+      setRole(data.user.role);
+      toast.success(`✅ ${success}`);
+      onChanged();
+    } catch (error) {
+      console.error("❌ Update user error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to update the user"}`
+      );
+    } finally {
+      setActing(false);
+    }
+  };
+
+  const handleToggleActive = () => {
+    const suspending = details.user.isActive;
+    const reason = prompt(
+      suspending
+        ? "Why is this account being suspended? The user will see this."
+        : "Note for the user (optional):"
+    );
+    if (reason === null) return;
+    if (suspending && !reason.trim()) {
+      toast.error("❌ Please give a reason");
+      return;
+    }
+    runAction(
+      () =>
+        userAPI.setAccountStatus(userId, {
+          isActive: !suspending,
+          reason: reason.trim() || undefined,
+        }),
+      suspending ? "Account suspended" : "Account reactivated"
+    );
+  };
+
+  const handleToggleVerified = () => {
+    const verifying = !details.user.isVerified;
+    runAction(
+      () => userAPI.setVerification(userId, { isVerified: verifying }),
+      verifying ? "User verified" : "Verification removed"
+    );
+  };
+
+  const handleChangeRole = () => {
+    const reason = prompt(
+      `Why is this user becoming a ${ROLE_LABELS[role].toLowerCase()}?`
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error("❌ Please give a reason");
+      return;
+    }
+    runAction(
+      () => userAPI.changeRole(userId, { role, reason: reason.trim() }),
+      "Role updated"
+    );
+  };
+
+  if (!details) {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+        <Loader className="h-8 w-8 animate-spin text-white" />
+      </div>
+    );
+  }
+
+  const { user, counts, roles } = details;
+  const tabs = [
+    { value: "vehicles", label: `Vehicles (${counts.vehicles})` },
+    { value: "bookings", label: `Bookings (${counts.passengerBookings})` },
+    { value: "trips", label: `Trips driven (${counts.driverBookings})` },
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-screen overflow-y-auto p-6">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{user.name}</h2>
+            <p className="text-sm text-gray-600">
+              {user.email}
+              {user.phone && ` · ${user.phone}`}
+              {user.address?.city && ` · ${user.address.city}`}
+            </p>
+            <div className="flex gap-2 mt-2">
+              <span className="px-2 py-1 rounded text-xs font-medium bg-blue-100 text-blue-800">
+                {ROLE_LABELS[user.role]}
+              </span>
+              <span
+                className={`px-2 py-1 rounded text-xs font-medium ${
+                  user.isVerified
+                    ? "bg-green-100 text-green-800"
+                    : "bg-yellow-100 text-yellow-800"
+                }`}
+              >
+                {user.isVerified ? "Verified" : "Unverified"}
+              </span>
+              {!user.isActive && (
+                <span className="px-2 py-1 rounded text-xs font-medium bg-red-100 text-red-800">
+                  Suspended
+                </span>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close user details"
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!user.isActive && user.suspension?.reason && (
+          <div className="mb-4 p-3 bg-red-50 rounded-lg text-sm text-red-800">
+            Suspended
+            {user.suspension.suspendedAt &&
+              ` on ${new Date(
+                user.suspension.suspendedAt
+              ).toLocaleDateString()}`}
+            : {user.suspension.reason}
+          </div>
+        )}
+
+        {/* Actions */}
+        {isSelf ? (
+          <p className="mb-4 text-sm text-gray-500">
+            This is your own account.
+          </p>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2 mb-6">
+            <button
+              onClick={handleToggleActive}
+              disabled={acting}
+              className={`flex items-center px-3 py-1 text-sm text-white rounded disabled:opacity-50 ${
+                user.isActive
+                  ? "bg-red-600 hover:bg-red-700"
+                  : "bg-green-600 hover:bg-green-700"
+              }`}
+            >
+              {user.isActive ? (
+                <Ban className="h-4 w-4 mr-1" />
+              ) : (
+                <CheckCircle className="h-4 w-4 mr-1" />
+              )}
+              {user.isActive ? "Suspend" : "Reactivate"}
+            </button>
+            <button
+              onClick={handleToggleVerified}
+              disabled={acting}
+              className="flex items-center px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              <BadgeCheck className="h-4 w-4 mr-1" />
+              {user.isVerified ? "Remove verification" : "Verify"}
+            </button>
+            <div className="flex items-center gap-2 ml-auto">
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {roles.map((value) => (
+                  <option key={value} value={value}>
+                    {ROLE_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleChangeRole}
+                disabled={acting || role === user.role}
+                className="flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                <UserCog className="h-4 w-4 mr-1" />
+                Change role
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Vehicles and bookings */}
+        <div className="flex gap-2 mb-3">
+          {tabs.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setTab(value)}
+              className={`px-3 py-1 rounded text-sm font-medium ${
+                tab === value
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 mb-6 max-h-64 overflow-y-auto">
+          {itemsLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : items.length === 0 ? (
+            <p className="text-sm text-gray-500 p-4 text-center">
+              Nothing here yet.
+            </p>
+          ) : tab === "vehicles" ? (
+            items.map((vehicle) => (
+              <div
+                key={vehicle._id}
+                className="flex items-center justify-between p-3 text-sm"
+              >
+                <span className="text-gray-900">
+                  {vehicle.brand} {vehicle.model} · {vehicle.plateNumber}
+                </span>
+                <span className="text-xs text-gray-500 capitalize">
+                  {vehicle.status}
+                </span>
+              </div>
+            ))
+          ) : (
+            items.map((booking) => (
+              <div
+                key={booking._id}
+                className="flex items-center justify-between p-3 text-sm"
+              >
+                <span className="text-gray-900">
+                  {booking.vehicle
+                    ? `${booking.vehicle.brand} ${booking.vehicle.model}`
+                    : "Vehicle removed"}{" "}
+                  · {new Date(booking.scheduledDateTime).toLocaleDateString()}
+                  {tab === "bookings"
+                    ? booking.driver && ` · driver ${booking.driver.name}`
+                    : booking.user && ` · passenger ${booking.user.name}`}
+                </span>
+                <span className="text-xs text-gray-500 capitalize">
+                  {booking.status.replace("_", " ")}
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* History */}
+        <h3 className="text-sm font-semibold text-gray-900 mb-2">
+          Account history
+        </h3>
+        {user.accountHistory.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Joined {new Date(user.createdAt).toLocaleDateString()}; no changes
+            by administrators.
+          </p>
+        ) : (
+          <ul className="space-y-1 text-sm text-gray-700">
+            {[...user.accountHistory].reverse().map((entry) => (
+              <li key={entry._id}>
+                <span className="font-medium">
+                  {HISTORY_LABELS[entry.action]}
+                </span>
+                {entry.action === "role_changed" &&
+                  ` from ${ROLE_LABELS[entry.from]} to ${
+                    ROLE_LABELS[entry.to]
+                  }`}
+                {entry.reason && `: ${entry.reason}`}
+                <span className="text-xs text-gray-500">
+                  {" "}
+                  · {new Date(entry.changedAt).toLocaleString()}
+                  {entry.changedBy?.name && ` by ${entry.changedBy.name}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserDetails;
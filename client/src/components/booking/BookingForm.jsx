@@ -1,7 +1,10 @@
 import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
-import { bookingAPI } from "../../services/api";
+import { bookingAPI, geoAPI, walletAPI } from "../../services/api";
+import PlaceAutocomplete from "../common/PlaceAutocomplete";
+import MapView from "../map/MapView";
+import { toLatLng, toPoint } from "../map/mapConfig";
 import {
   MapPin,
   Calendar,
@@ -17,27 +20,28 @@ import {
 } from "lucide-react";
 import toast from "react-hot-toast";
 
-const BookingForm = ({ vehicle, onClose }) => {
+const BookingForm = ({ vehicle, returnTrip = null, onClose }) => {
   const { dbUser } = useAuth();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [priceLoading, setPriceLoading] = useState(false);
   const [calculatedPrice, setCalculatedPrice] = useState(null);
+  const [suggestedTimes, setSuggestedTimes] = useState([]);
+  // Which endpoint a map click sets, and the route line once calculated
+  const [pinTarget, setPinTarget] = useState("pickupLocation");
+  const [routeLine, setRouteLine] = useState(null);
+  // The passenger's wallet balance, fetched once they choose to pay from it
+  const [walletBalance, setWalletBalance] = useState(null);
 
   const [formData, setFormData] = useState({
+    // `point` is set once the address is matched to a known place
     pickupLocation: {
       address: "",
-      coordinates: {
-        latitude: 23.8103,
-        longitude: 90.4125,
-      },
+      point: null,
     },
     dropoffLocation: {
       address: "",
-      coordinates: {
-        latitude: 23.8103,
-        longitude: 90.4125,
-      },
+      point: null,
     },
     distance: 0,
     estimatedDuration: 0,
@@ -64,59 +68,126 @@ const BookingForm = ({ vehicle, onClose }) => {
     },
     {
       value: "wallet",
-      label: "Digital Wallet",
+      label: "Wallet",
       icon: <Wallet className="h-4 w-4" />,
     },
   ];
 
+  useEffect(() => {
+    if (formData.paymentMethod !== "wallet") return;
+
+    let cancelled = false;
+    walletAPI
+      .getWallet({ limit: 1 })
+      .then((data) => {
+        if (!cancelled) setWalletBalance(data.wallet.balance);
+      })
+      .catch((error) => console.error("❌ Fetch wallet error:", error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.paymentMethod]);
+
   // Calculate minimum date/time (current time + 30 minutes)
+  // Quotes come back in the vehicle's currency
+  const formatAmount = (amount, currency) =>
+    currency === "BDT" ? `৳${amount}` : `${amount} ${currency}`;
+
+  // Show how a metered or rule-based line item was worked out
+  const describeLineItem = (item, currency) => {
+    if (item.unit === "multiplier") return ` (×${item.rate})`;
+    if (item.unit) {
+      return ` (${item.quantity} ${item.unit} × ${formatAmount(
+        item.rate,
+        currency
+      )})`;
+    }
+    return "";
+  };
+
   const getMinDateTime = () => {
     const now = new Date();
     now.setMinutes(now.getMinutes() + 30);
     return now.toISOString().slice(0, 16);
   };
 
-  // Calculate distance and duration (mock implementation)
-  const calculateRoute = () => {
-    if (!formData.pickupLocation.address || !formData.dropoffLocation.address) {
-      return;
-    }
+  // Format a server timestamp for a datetime-local input (local time)
+  const toDateTimeLocal = (isoString) => {
+    const date = new Date(isoString);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+  };
 
-    // Mock calculation - in real app, use Google Maps Distance Matrix API
-    const mockDistance = Math.random() * 20 + 5; // 5-25 km
-    const mockDuration = mockDistance * 3 + Math.random() * 20; // rough estimate
+  const selectSuggestedTime = (isoString) => {
+    handleInputChange("scheduledDateTime", toDateTimeLocal(isoString));
+    setSuggestedTimes([]);
+  };
 
-    setFormData((prev) => ({
-      ...prev,
-      distance: parseFloat(mockDistance.toFixed(1)),
-      estimatedDuration: Math.round(mockDuration),
-    }));
+  // Match a typed address to a place when none was picked from the list
+  const resolveLocation = async (location) => {
+    if (location.point) return location;
+    const data = await geoAPI.geocode(location.address);
+    return { address: location.address, point: data.place.point };
   };
 
-  // Calculate price when distance/duration changes
-  useEffect(() => {
-    if (formData.distance > 0 && formData.estimatedDuration > 0) {
-      calculatePrice();
+  // Route the trip and price it on the server, which works out the distance
+  // and duration from the pickup and dropoff coordinates
+  const calculateRoute = async () => {
+    if (!formData.pickupLocation.address || !formData.dropoffLocation.address) {
+      toast.error("Please enter pickup and dropoff locations");
+      return;
     }
-  }, [formData.distance, formData.estimatedDuration]);
 
-  const calculatePrice = async () => {
+    let pickupLocation;
+    let dropoffLocation;
     try {
       setPriceLoading(true);
-      const response = await bookingAPI.calculateBookingPrice(
-        vehicle._id,
-        formData.distance,
-        formData.estimatedDuration
-      );
-      setCalculatedPrice(response.pricing);
+      [pickupLocation, dropoffLocation] = await Promise.all([
+        resolveLocation(formData.pickupLocation),
+        resolveLocation(formData.dropoffLocation),
+      ]);
     } catch (error) {
-      console.error("Price calculation error:", error);
-      toast.error("Failed to calculate price");
+      console.error("Geocoding error:", error);
+      toast.error("Couldn't find that address. Please pick a suggested place.");
+      setPriceLoading(false);
+      return;
+    }
+
+    try {
+      const response = await bookingAPI.calculateBookingPrice(vehicle._id, {
+        pickupLocation,
+        dropoffLocation,
+        scheduledDateTime: formData.scheduledDateTime || null,
+        returnTripId: returnTrip?._id,
+      });
+      setFormData((prev) => ({
+        ...prev,
+        pickupLocation,
+        dropoffLocation,
+        distance: response.route.distanceKm,
+        estimatedDuration: response.route.durationMinutes,
+      }));
+      setRouteLine(response.route.geometry);
+      setCalculatedPrice(response.quote);
+    } catch (error) {
+      console.error("Route calculation error:", error);
+      toast.error(
+        error.response?.data?.message || "Failed to calculate route and price"
+      );
     } finally {
       setPriceLoading(false);
     }
   };
 
+  // Re-price when the pickup time changes, since the vehicle's pricing rules
+  // depend on when the trip starts
+  useEffect(() => {
+    if (formData.distance > 0) {
+      calculateRoute();
+    }
+  }, [formData.scheduledDateTime]);
+
   const handleInputChange = (field, value) => {
     setFormData((prev) => ({
       ...prev,
@@ -124,16 +195,55 @@ const BookingForm = ({ vehicle, onClose }) => {
     }));
   };
 
-  const handleLocationChange = (type, address) => {
+  // Typing changes the address, so any matched place no longer applies;
+  // picking a suggestion sets both
+  const handleLocationChange = (type, address, point = null) => {
     setFormData((prev) => ({
       ...prev,
       [type]: {
         ...prev[type],
         address,
+        point,
       },
+      // The old route no longer applies
+      distance: 0,
+      estimatedDuration: 0,
     }));
+    setRouteLine(null);
+    setCalculatedPrice(null);
   };
 
+  // Set the selected endpoint from a map click, labelled by the nearest
+  // known place, then move on to the other endpoint
+  const handleMapClick = async ({ lat, lng }) => {
+    const target = pinTarget;
+    let address = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    try {
+      const { place } = await geoAPI.reverseGeocode(lat, lng);
+      address = `Near ${place.label}`;
+    } catch (error) {
+      console.error("Reverse geocoding error:", error);
+    }
+
+    handleLocationChange(target, address, toPoint({ lat, lng }));
+    if (target === "pickupLocation") setPinTarget("dropoffLocation");
+  };
+
+  const tripMarkers = [
+    formData.pickupLocation.point && {
+      id: "pickup",
+      position: toLatLng(formData.pickupLocation.point),
+      color: "green",
+      label: "Pickup",
+    },
+    formData.dropoffLocation.point && {
+      id: "dropoff",
+      position: toLatLng(formData.dropoffLocation.point),
+      color: "red",
+      label: "Dropoff",
+    },
+  ].filter(Boolean);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -160,17 +270,16 @@ const BookingForm = ({ vehicle, onClose }) => {
 
     try {
       setLoading(true);
+      setSuggestedTimes([]);
 
       const bookingData = {
         vehicleId: vehicle._id,
-        userId: dbUser.id,
         pickupLocation: formData.pickupLocation,
         dropoffLocation: formData.dropoffLocation,
-        distance: formData.distance,
-        estimatedDuration: formData.estimatedDuration,
         scheduledDateTime: formData.scheduledDateTime,
         specialRequests: formData.specialRequests,
         paymentMethod: formData.paymentMethod,
+        returnTripId: returnTrip?._id,
       };
 
       const response = await bookingAPI.createBooking(bookingData);
@@ -184,6 +293,9 @@ const BookingForm = ({ vehicle, onClose }) => {
       if (onClose) onClose();
     } catch (error) {
       console.error("Booking error:", error);
+      if (error.response?.status === 409) {
+        setSuggestedTimes(error.response.data.suggestedTimes || []);
+      }
       if (error.response?.data?.message) {
         toast.error(error.response.data.message);
       } else {
@@ -217,6 +329,23 @@ const BookingForm = ({ vehicle, onClose }) => {
 
       {/* Form */}
       <form onSubmit={handleSubmit} className="p-6 space-y-6">
+        {/* Return Trip */}
+        {returnTrip && (
+          <div className="bg-green-50 border border-green-200 p-4 rounded-lg text-sm text-green-800">
+            <p className="font-semibold">
+              Return trip: {returnTrip.origin.address} →{" "}
+              {returnTrip.destination.address} ({returnTrip.discountPercent}%
+              off)
+            </p>
+            <p className="mt-1">
+              Departs between{" "}
+              {new Date(returnTrip.departureWindow.start).toLocaleString()} and{" "}
+              {new Date(returnTrip.departureWindow.end).toLocaleString()}.
+              Pickup and dropoff must be along the driver's route.
+            </p>
+          </div>
+        )}
+
         {/* Trip Locations */}
         <div className="grid md:grid-cols-2 gap-6">
           <div>
@@ -224,12 +353,14 @@ const BookingForm = ({ vehicle, onClose }) => {
               <MapPin className="h-4 w-4 inline mr-1" />
               Pickup Location *
             </label>
-            <input
-              type="text"
+            <PlaceAutocomplete
               required
               value={formData.pickupLocation.address}
-              onChange={(e) =>
-                handleLocationChange("pickupLocation", e.target.value)
+              onChange={(address) =>
+                handleLocationChange("pickupLocation", address)
+              }
+              onSelect={(place) =>
+                handleLocationChange("pickupLocation", place.label, place.point)
               }
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Enter pickup address"
@@ -241,12 +372,18 @@ const BookingForm = ({ vehicle, onClose }) => {
               <Navigation className="h-4 w-4 inline mr-1" />
               Dropoff Location *
             </label>
-            <input
-              type="text"
+            <PlaceAutocomplete
               required
               value={formData.dropoffLocation.address}
-              onChange={(e) =>
-                handleLocationChange("dropoffLocation", e.target.value)
+              onChange={(address) =>
+                handleLocationChange("dropoffLocation", address)
+              }
+              onSelect={(place) =>
+                handleLocationChange(
+                  "dropoffLocation",
+                  place.label,
+                  place.point
+                )
               }
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Enter dropoff address"
@@ -254,14 +391,50 @@ const BookingForm = ({ vehicle, onClose }) => {
           </div>
         </div>
 
+        {/* Trip Map */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-700">
+              Or set the points on the map
+            </span>
+            <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+              {[
+                { value: "pickupLocation", label: "Pickup" },
+                { value: "dropoffLocation", label: "Dropoff" },
+              ].map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setPinTarget(option.value)}
+                  className={`px-3 py-1 ${
+                    pinTarget === option.value
+                      ? "bg-blue-600 text-white"
+                      : "bg-white text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <MapView
+            className="h-64"
+            markers={tripMarkers}
+            route={routeLine}
+            fitTo={tripMarkers.map((marker) => marker.position)}
+            onMapClick={handleMapClick}
+          />
+        </div>
+
         {/* Calculate Route Button */}
         <div className="flex justify-center">
           <button
             type="button"
             onClick={calculateRoute}
-            className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+            disabled={priceLoading}
+            className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
           >
-            Calculate Route & Distance
+            {priceLoading ? "Calculating..." : "Calculate Route & Distance"}
           </button>
         </div>
 
@@ -305,6 +478,26 @@ const BookingForm = ({ vehicle, onClose }) => {
           <p className="text-xs text-gray-500 mt-1">
             Minimum booking time is 30 minutes from now
           </p>
+
+          {suggestedTimes.length > 0 && (
+            <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+              <p className="text-sm text-yellow-800 mb-2">
+                This time is taken. Available times nearby:
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {suggestedTimes.map((time) => (
+                  <button
+                    key={time}
+                    type="button"
+                    onClick={() => selectSuggestedTime(time)}
+                    className="px-3 py-1 text-sm bg-white border border-yellow-300 rounded-md hover:bg-yellow-100"
+                  >
+                    {new Date(time).toLocaleString()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Payment Method */}
@@ -342,6 +535,26 @@ const BookingForm = ({ vehicle, onClose }) => {
               </label>
             ))}
           </div>
+          {formData.paymentMethod === "wallet" && walletBalance !== null && (
+            <p
+              className={`mt-2 text-sm ${
+                calculatedPrice && walletBalance < calculatedPrice.total
+                  ? "text-red-600"
+                  : "text-gray-600"
+              }`}
+            >
+              Wallet balance: ৳{walletBalance}
+              {calculatedPrice && walletBalance < calculatedPrice.total && (
+                <>
+                  {" "}
+                  - not enough for this trip.{" "}
+                  <Link to="/wallet" className="underline font-medium">
+                    Top up
+                  </Link>
+                </>
+              )}
+            </p>
+          )}
         </div>
 
         {/* Special Requests */}
@@ -379,35 +592,36 @@ const BookingForm = ({ vehicle, onClose }) => {
               </div>
             ) : (
               <div className="space-y-2 text-sm">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Base Price:</span>
-                  <span className="font-medium">
-                    ৳{calculatedPrice.basePrice}
-                  </span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">
-                    Distance ({formData.distance} km):
-                  </span>
-                  <span className="font-medium">
-                    ৳{calculatedPrice.distancePrice}
-                  </span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">
-                    Time ({Math.round(formData.estimatedDuration / 60)} hrs):
-                  </span>
-                  <span className="font-medium">
-                    ৳{calculatedPrice.timePrice}
-                  </span>
-                </div>
+                {calculatedPrice.lineItems.map((item, index) => (
+                  <div
+                    key={`${item.code}-${index}`}
+                    className={`flex justify-between ${
+                      item.amount < 0 ? "text-green-700" : ""
+                    }`}
+                  >
+                    <span className={item.amount < 0 ? "" : "text-gray-600"}>
+                      {item.label}
+                      {describeLineItem(item, calculatedPrice.currency)}:
+                    </span>
+                    <span className="font-medium">
+                      {item.amount < 0 && "-"}
+                      {formatAmount(
+                        Math.abs(item.amount),
+                        calculatedPrice.currency
+                      )}
+                    </span>
+                  </div>
+                ))}
                 <div className="border-t border-blue-200 pt-2 mt-2">
                   <div className="flex justify-between items-center">
                     <span className="font-semibold text-blue-900">
                       Total Amount:
                     </span>
                     <span className="font-bold text-lg text-blue-600">
-                      ৳{calculatedPrice.totalPrice}
+                      {formatAmount(
+                        calculatedPrice.total,
+                        calculatedPrice.currency
+                      )}
                     </span>
                   </div>
                 </div>
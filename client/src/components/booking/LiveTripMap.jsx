@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef } from "react";
+import { Navigation, Clock, Wifi, WifiOff } from "lucide-react";
+import MapView from "../map/MapView";
+import { toLatLng } from "../map/mapConfig";
+import { bookingAPI } from "../../services/api";
+import { subscribe } from "../../services/realtime";
+
+const toCoordinates = ({ coordinates }) => [
+  coordinates.longitude,
+  coordinates.latitude,
+];
+
+// Live view of a started trip: the vehicle moving along its recorded trace,
+// with the ETA to the dropoff. `onStatusChange` hears when the trip ends.
+const LiveTripMap = ({ booking, onStatusChange }) => {
+  const [trace, setTrace] = useState([]);
+  const [eta, setEta] = useState(null);
+  const [live, setLive] = useState(false);
+  // Read through a ref so a new callback doesn't resubscribe
+  const onStatusChangeRef = useRef(onStatusChange);
+  onStatusChangeRef.current = onStatusChange;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTrack = async () => {
+      try {
+        const { track } = await bookingAPI.getTrack(booking._id);
+        if (cancelled) return;
+        setTrace(track.route);
+        setEta(track.eta);
+      } catch (error) {
+        console.error("Failed to load trip track:", error);
+      }
+    };
+    loadTrack();
+
+    const unsubscribe = subscribe(`booking:${booking._id}`, (message) => {
+      if (message.type === "subscribed") {
+        setLive(true);
+      } else if (message.type === "location") {
+        setTrace((previous) => [...previous, message.position]);
+        setEta(message.eta);
+      } else if (message.type === "status") {
+        onStatusChangeRef.current?.(message);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [booking._id]);
+
+  const pickup = toLatLng(booking.tripDetails.pickupLocation.point);
+  const dropoff = toLatLng(booking.tripDetails.dropoffLocation.point);
+  const current = trace[trace.length - 1];
+
+  const markers = [
+    pickup && {
+      id: "pickup",
+      position: pickup,
+      color: "green",
+      label: "Pickup",
+    },
+    dropoff && {
+      id: "dropoff",
+      position: dropoff,
+      color: "red",
+      label: "Dropoff",
+    },
+    current && {
+      id: "vehicle",
+      position: [current.coordinates.latitude, current.coordinates.longitude],
+      color: "blue",
+      label: "Vehicle",
+    },
+  ].filter(Boolean);
+
+  const routeLine =
+    trace.length > 1
+      ? { type: "LineString", coordinates: trace.map(toCoordinates) }
+      : null;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2 text-sm">
+        <span className="flex items-center font-medium text-gray-900">
+          <Navigation className="h-4 w-4 mr-2 text-blue-600" />
+          Live Tracking
+        </span>
+        <span
+          className={`flex items-center text-xs ${
+            live ? "text-green-600" : "text-gray-500"
+          }`}
+        >
+          {live ? (
+            <Wifi className="h-3 w-3 mr-1" />
+          ) : (
+            <WifiOff className="h-3 w-3 mr-1" />
+          )}
+          {live ? "Live" : "Connecting..."}
+        </span>
+      </div>
+
+      <MapView
+        markers={markers}
+        route={routeLine}
+        fitTo={[pickup, dropoff].filter(Boolean)}
+        className="h-56"
+      />
+
+      <div className="mt-2 flex items-center text-sm text-gray-600">
+        <Clock className="h-4 w-4 mr-2" />
+        {eta ? (
+          <span>
+            Arriving in about{" "}
+            <span className="font-medium text-gray-900">
+              {eta.remainingMinutes} mins
+            </span>{" "}
+            ({eta.remainingKm} km, around{" "}
+            {new Date(eta.arrivalTime).toLocaleTimeString([], {
+              hour: "2-digit",
+              minute: "2-digit",
+            })}
+            )
+          </span>
+        ) : (
+          <span>Waiting for the driver's location...</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveTripMap;
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { Star, Loader } from "lucide-react";
+import toast from "react-hot-toast";
+import { bookingAPI } from "../../services/api";
+
+const MAX_REVIEW_LENGTH = 1000;
+
+const RATING_LABELS = ["", "Poor", "Fair", "Good", "Very good", "Excellent"];
+
+// Rate a completed trip: passengers rate the driver and vehicle, drivers
+// rate the passenger. `onRated` receives the booking's updated ratings.
+const RatingModal = ({
+  booking,
+  isDriver,
+  initialRating = 0,
+  onClose,
+  onRated,
+}) => {
+  const [rating, setRating] = useState(initialRating);
+  const [hovered, setHovered] = useState(0);
+  const [review, setReview] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const subject = isDriver
+    ? booking.user?.name || "your passenger"
+    : `${booking.driver?.name || "your driver"} and the ${
+        booking.vehicle.brand
+      } ${booking.vehicle.model}`;
+  const shown = hovered || rating;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const data = await bookingAPI.rateBooking(booking._id, {
+        rating,
+        review: review.trim() || undefined,
+      });
+      toast.success("⭐ Thanks for your rating!");
+      onRated(data.rating);
+    } catch (error) {
+      console.error("❌ Rate booking error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to submit your rating"}`
+      );
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl max-w-md w-full p-6"
+      >
+        <h2 className="text-xl font-bold text-gray-900 mb-1">Rate your trip</h2>
+        <p className="text-sm text-gray-600 mb-4">How was {subject}?</p>
+
+        <div
+          className="flex items-center justify-center gap-1 mb-1"
+          onMouseLeave={() => setHovered(0)}
+        >
+          {[1, 2, 3, 4, 5].map((value) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setRating(value)}
+              onMouseEnter={() => setHovered(value)}
+              aria-label={`${value} star${value > 1 ? "s" : ""}`}
+              className="p-1"
+            >
+              <Star
+                className={`h-8 w-8 ${
+                  value <= shown
+                    ? "text-yellow-400 fill-current"
+                    : "text-gray-300"
+                }`}
+              />
+            </button>
+          ))}
+        </div>
+        <p className="text-center text-sm text-gray-600 h-5 mb-4">
+          {RATING_LABELS[shown]}
+        </p>
+
+        <textarea
+          rows="4"
+          value={review}
+          maxLength={MAX_REVIEW_LENGTH}
+          onChange={(e) => setReview(e.target.value)}
+          placeholder="Tell others about the trip (optional)"
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <p className="text-right text-xs text-gray-500 mb-4">
+          {review.length}/{MAX_REVIEW_LENGTH}
+        </p>
+
+        <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={submitting}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Later
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || rating === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center"
+          >
+            {submitting && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+            Submit Rating
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RatingModal;
@@ -0,0 +1,20 @@
+// Render text with the search matches the server marked in `segments`
+const Highlight = ({ text, segments }) => {
+  if (!segments) return <>{text}</>;
+
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  );
+};
+
+export default Highlight;
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { Mail, MessageSquare, Languages } from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuth } from "../../context/AuthContext";
+import { authAPI } from "../../services/api";
+
+// How booking updates reach the user outside the app: email, SMS and the
+// language they are written in
+const MessagePreferences = () => {
+  const { dbUser } = useAuth();
+  const [preferences, setPreferences] = useState({
+    language: dbUser?.preferences?.language || "en",
+    emailNotifications: dbUser?.preferences?.emailNotifications ?? true,
+    smsNotifications: dbUser?.preferences?.smsNotifications ?? true,
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = async (key, value) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, [key]: value });
+    setSaving(true);
+
+    try {
+      await authAPI.updateProfile({ preferences: { [key]: value } });
+      toast.success("Preferences saved");
+    } catch (error) {
+      console.error("Failed to save preferences:", error);
+      toast.error("Could not save preferences");
+      setPreferences(previous);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg">
+      <h3 className="font-semibold text-gray-900 mb-3">Booking Updates</h3>
+      <div className="space-y-3 text-sm">
+        <label className="flex items-center justify-between">
+          <span className="flex items-center text-gray-700">
+            <Mail className="h-4 w-4 mr-2" />
+            Email
+          </span>
+          <input
+            type="checkbox"
+            checked={preferences.emailNotifications}
+            disabled={saving}
+            onChange={(e) =>
+              handleChange("emailNotifications", e.target.checked)
+            }
+            className="h-4 w-4 text-blue-600"
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          <span className="flex items-center text-gray-700">
+            <MessageSquare className="h-4 w-4 mr-2" />
+            SMS{" "}
+            {!dbUser?.phone && (
+              <span className="ml-1 text-xs text-gray-400">
+                (add a phone number)
+              </span>
+            )}
+          </span>
+          <input
+            type="checkbox"
+            checked={preferences.smsNotifications}
+            disabled={saving}
+            onChange={(e) => handleChange("smsNotifications", e.target.checked)}
+            className="h-4 w-4 text-blue-600"
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          <span className="flex items-center text-gray-700">
+            <Languages className="h-4 w-4 mr-2" />
+            Language
+          </span>
+          <select
+            value={preferences.language}
+            disabled={saving}
+            onChange={(e) => handleChange("language", e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            <option value="en">English</option>
+            <option value="bn">বাংলা</option>
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default MessagePreferences;
@@ -0,0 +1,90 @@
+import { useState, useEffect } from "react";
+import { MapPin } from "lucide-react";
+import { geoAPI } from "../../services/api";
+
+// Text input that suggests known places as the user types. `onChange` gets
+// the raw text and `onSelect` the chosen place, with its GeoJSON point.
+const PlaceAutocomplete = ({
+  value,
+  onChange,
+  onSelect,
+  placeholder,
+  required = false,
+  city = null,
+  className = "",
+}) => {
+  const [places, setPlaces] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  // Look up suggestions once typing pauses
+  useEffect(() => {
+    const query = value.trim();
+    if (!open || query.length < 2) {
+      setPlaces([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await geoAPI.autocomplete(query, { city });
+        if (!cancelled) setPlaces(data.places);
+      } catch (error) {
+        console.error("Failed to fetch places:", error);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, open, city]);
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        required={required}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        className={className}
+        placeholder={placeholder}
+        autoComplete="off"
+      />
+
+      {open && places.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+          {places.map((place) => (
+            <li key={place.id}>
+              <button
+                type="button"
+                // Keep focus so the click lands before the list closes
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => {
+                  onSelect(place);
+                  setOpen(false);
+                }}
+                className="w-full flex items-center justify-between px-4 py-2 text-left hover:bg-gray-50"
+              >
+                <span className="flex items-center text-gray-900">
+                  <MapPin className="h-4 w-4 mr-2 text-gray-400" />
+                  {place.label}
+                </span>
+                <span className="text-xs text-gray-400 capitalize">
+                  {place.type}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PlaceAutocomplete;
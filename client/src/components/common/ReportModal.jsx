@@ -0,0 +1,111 @@
+import { useState } from "react";
+import { Flag, Loader } from "lucide-react";
+import toast from "react-hot-toast";
+import { reportAPI } from "../../services/api";
+
+const REPORT_REASONS = [
+  { value: "abusive", label: "Abusive or offensive" },
+  { value: "harassment", label: "Harassment" },
+  { value: "spam", label: "Spam or advertising" },
+  { value: "false_information", label: "False information" },
+  { value: "safety", label: "Safety concern" },
+  { value: "other", label: "Something else" },
+];
+
+// Report a review or a trip participant to the moderators. `target` is
+// { bookingId, targetType, side, label }.
+const ReportModal = ({ target, onClose }) => {
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const data = await reportAPI.createReport({
+        bookingId: target.bookingId,
+        targetType: target.targetType,
+        side: target.side,
+        reason,
+        details: details.trim() || undefined,
+      });
+      toast.success(`🚩 ${data.message}`);
+      onClose();
+    } catch (error) {
+      console.error("❌ Report error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to send the report"}`
+      );
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl max-w-md w-full p-6"
+      >
+        <h2 className="text-xl font-bold text-gray-900 mb-1 flex items-center">
+          <Flag className="h-5 w-5 mr-2 text-red-600" />
+          Report {target.label}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Moderators will review your report. The other person won't see who
+          sent it.
+        </p>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Reason
+        </label>
+        <select
+          required
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
+        >
+          <option value="">Choose a reason</option>
+          {REPORT_REASONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Details (optional)
+        </label>
+        <textarea
+          rows="3"
+          maxLength={1000}
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          placeholder="What happened?"
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
+        />
+
+        <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={submitting}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || !reason}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 flex items-center"
+          >
+            {submitting && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+            Send Report
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReportModal;
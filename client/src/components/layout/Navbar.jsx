@@ -2,6 +2,7 @@ import { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
 import { Menu, X, User, LogOut, Car, Settings } from "lucide-react";
+import NotificationBell from "./NotificationBell";
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -70,7 +71,7 @@ const Navbar = () => {
                   </>
                 )}
 
-                {dbUser?.role === "user" && (
+                {["user", "driver"].includes(dbUser?.role) && (
                   <Link
                     to="/my-bookings"
                     className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium"
@@ -79,6 +80,13 @@ const Navbar = () => {
                   </Link>
                 )}
 
+                <Link
+                  to="/wallet"
+                  className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium"
+                >
+                  Wallet
+                </Link>
+
                 {dbUser?.role === "admin" && (
                   <Link
                     to="/admin"
@@ -88,6 +96,26 @@ const Navbar = () => {
                   </Link>
                 )}
 
+                {dbUser?.role === "admin" && (
+                  <Link
+                    to="/admin/moderation"
+                    className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium"
+                  >
+                    Moderation
+                  </Link>
+                )}
+
+                {dbUser?.role === "admin" && (
+                  <Link
+                    to="/admin/users"
+                    className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium"
+                  >
+                    Users
+                  </Link>
+                )}
+
+                <NotificationBell />
+
                 {/* User Menu */}
                 <div className="relative group">
                   <button className="flex items-center space-x-2 text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium">
@@ -149,7 +177,8 @@ const Navbar = () => {
           </div>
 
           {/* Mobile menu button */}
-          <div className="md:hidden flex items-center">
+          <div className="md:hidden flex items-center space-x-2">
+            {user && <NotificationBell />}
             <button
               onClick={() => setIsOpen(!isOpen)}
               className="text-gray-700 hover:text-blue-600 focus:outline-none focus:text-blue-600"
@@ -226,7 +255,7 @@ const Navbar = () => {
                     </>
                   )}
 
-                  {dbUser?.role === "user" && (
+                  {["user", "driver"].includes(dbUser?.role) && (
                     <Link
                       to="/my-bookings"
                       className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-gray-50 rounded-md"
@@ -236,6 +265,14 @@ const Navbar = () => {
                     </Link>
                   )}
 
+                  <Link
+                    to="/wallet"
+                    className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-gray-50 rounded-md"
+                    onClick={() => setIsOpen(false)}
+                  >
+                    Wallet
+                  </Link>
+
                   {dbUser?.role === "admin" && (
                     <Link
                       to="/admin"
@@ -246,6 +283,26 @@ const Navbar = () => {
                     </Link>
                   )}
 
+                  {dbUser?.role === "admin" && (
+                    <Link
+                      to="/admin/moderation"
+                      className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-gray-50 rounded-md"
+                      onClick={() => setIsOpen(false)}
+                    >
+                      Moderation
+                    </Link>
+                  )}
+
+                  {dbUser?.role === "admin" && (
+                    <Link
+                      to="/admin/users"
+                      className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-gray-50 rounded-md"
+                      onClick={() => setIsOpen(false)}
+                    >
+                      Users
+                    </Link>
+                  )}
+
                   <button
                     onClick={() => {
                       handleLogout();
@@ -0,0 +1,167 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Bell, CheckCheck } from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuth } from "../../context/AuthContext";
+import { notificationAPI } from "../../services/api";
+import { subscribe } from "../../services/realtime";
+
+const timeAgo = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString)) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(dateString).toLocaleDateString();
+};
+
+// Bell with the unread count. New notifications arrive over the realtime
+// socket; the history is loaded from the server.
+const NotificationBell = () => {
+  const { dbUser } = useAuth();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!dbUser?.id) return;
+
+    const loadNotifications = async () => {
+      try {
+        const data = await notificationAPI.getNotifications({ limit: 10 });
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+      } catch (error) {
+        console.error("Failed to load notifications:", error);
+      }
+    };
+    loadNotifications();
+
+    return subscribe(`user:${dbUser.id}`, (message) => {
+      if (message.type === "notification") {
+        setNotifications((previous) =>
+          [message.notification, ...previous].slice(0, 10)
+        );
+        setUnreadCount(message.unreadCount);
+        // The id keeps the mobile and desktop bells from toasting twice
+        toast(message.notification.title, {
+          icon: "🔔",
+          id: message.notification._id,
+        });
+      } else if (message.type === "notifications_read") {
+        setUnreadCount(message.unreadCount);
+        if (message.unreadCount === 0) {
+          setNotifications((previous) =>
+            previous.map((notification) => ({
+              ...notification,
+              readAt: notification.readAt || new Date().toISOString(),
+            }))
+          );
+        }
+      }
+    });
+  }, [dbUser?.id]);
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.readAt) {
+      try {
+        const data = await notificationAPI.markAsRead(notification._id);
+        setNotifications((previous) =>
+          previous.map((item) =>
+            item._id === notification._id ? data.notification : item
+          )
+        );
+        setUnreadCount(data.unreadCount);
+      } catch (error) {
+        console.error("Failed to mark notification as read:", error);
+      }
+    }
+    if (notification.booking) navigate("/my-bookings");
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllAsRead();
+      setUnreadCount(0);
+      setNotifications((previous) =>
+        previous.map((notification) => ({
+          ...notification,
+          readAt: notification.readAt || new Date().toISOString(),
+        }))
+      );
+    } catch (error) {
+      console.error("Failed to mark notifications as read:", error);
+      toast.error("Could not update notifications");
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-700 hover:text-blue-600 rounded-full"
+        aria-label="Notifications"
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 flex items-center justify-center rounded-full bg-red-600 text-white text-[10px] font-bold">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border border-gray-100">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <span className="font-semibold text-gray-900 text-sm">
+              Notifications
+            </span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="flex items-center text-xs text-blue-600 hover:text-blue-700"
+              >
+                <CheckCheck className="h-3 w-3 mr-1" />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">
+              No notifications yet
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleOpenNotification(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${
+                      notification.readAt ? "" : "bg-blue-50"
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900">
+                        {notification.title}
+                      </span>
+                      <span className="text-xs text-gray-400">
+                        {timeAgo(notification.createdAt)}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">
+                      {notification.message}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
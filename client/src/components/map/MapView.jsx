@@ -0,0 +1,165 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Popup,
+  Tooltip,
+  Polyline,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import {
+  TILE_URL,
+  TILE_ATTRIBUTION,
+  MAX_ZOOM,
+  DEFAULT_CENTER,
+  DEFAULT_ZOOM,
+} from "./mapConfig";
+
+// Markers closer together than this many pixels are drawn as one cluster
+const CLUSTER_CELL_PX = 60;
+
+const PIN_COLORS = {
+  blue: "bg-blue-600",
+  green: "bg-green-600",
+  red: "bg-red-600",
+};
+
+// Plain CSS pins, so no marker images need bundling
+const pinIcon = (color = "blue") =>
+  L.divIcon({
+    className: "",
+    html: `<span class="block w-4 h-4 rounded-full border-2 border-white shadow-md ${
+      PIN_COLORS[color] || PIN_COLORS.blue
+    }"></span>`,
+    iconSize: [16, 16],
+    iconAnchor: [8, 8],
+  });
+
+const clusterIcon = (count) =>
+  L.divIcon({
+    className: "",
+    html: `<span class="flex items-center justify-center w-9 h-9 rounded-full bg-blue-600/80 border-2 border-white text-white text-sm font-bold shadow-md">${count}</span>`,
+    iconSize: [36, 36],
+    iconAnchor: [18, 18],
+  });
+
+// Group markers that fall in the same grid cell at the current zoom
+const clusterMarkers = (map, markers, zoom) => {
+  const cells = new Map();
+  for (const marker of markers) {
+    const { x, y } = map.project(marker.position, zoom);
+    const key = `${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(
+      y / CLUSTER_CELL_PX
+    )}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(marker);
+  }
+  return [...cells.entries()].map(([key, members]) => ({ key, members }));
+};
+
+const MapMarker = ({ marker }) => (
+  <Marker position={marker.position} icon={pinIcon(marker.color)}>
+    {marker.label && <Tooltip>{marker.label}</Tooltip>}
+    {marker.popup && <Popup>{marker.popup}</Popup>}
+  </Marker>
+);
+
+const ClusteredMarkers = ({ markers }) => {
+  const map = useMap();
+  const [zoom, setZoom] = useState(map.getZoom());
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+  const groups = useMemo(
+    () => clusterMarkers(map, markers, zoom),
+    [map, markers, zoom]
+  );
+
+  return groups.map(({ key, members }) => {
+    if (members.length === 1 || zoom >= map.getMaxZoom()) {
+      return members.map((marker) => (
+        <MapMarker key={marker.id} marker={marker} />
+      ));
+    }
+
+    const bounds = L.latLngBounds(members.map((marker) => marker.position));
+    return (
+      <Marker
+        key={key}
+        position={bounds.getCenter()}
+        icon={clusterIcon(members.length)}
+        eventHandlers={{
+          click: () => map.fitBounds(bounds, { padding: [40, 40] }),
+        }}
+      />
+    );
+  });
+};
+
+const ClickHandler = ({ onMapClick }) => {
+  useMapEvents({ click: (e) => onMapClick(e.latlng) });
+  return null;
+};
+
+// Pan and zoom to show every given position whenever the set changes
+const FitToPositions = ({ positions }) => {
+  const map = useMap();
+  // Compare by value, as callers usually build a new array on every render
+  const key = JSON.stringify(positions);
+
+  useEffect(() => {
+    const latLngs = JSON.parse(key);
+    if (latLngs.length === 0) return;
+    map.fitBounds(L.latLngBounds(latLngs), { padding: [40, 40], maxZoom: 15 });
+  }, [map, key]);
+
+  return null;
+};
+
+// Reusable map. `markers` are { id, position: [lat, lng], color, label,
+// popup }; `route` is a GeoJSON LineString drawn as a line. Clicking the map
+// calls `onMapClick` with { lat, lng }, e.g. to drop a pin.
+const MapView = ({
+  markers = [],
+  route = null,
+  cluster = false,
+  onMapClick = null,
+  fitTo = [],
+  className = "h-80",
+}) => {
+  const routePositions = route?.coordinates.map(([lng, lat]) => [lat, lng]);
+
+  return (
+    <div
+      className={`${className} rounded-lg overflow-hidden border border-gray-200 relative z-0`}
+    >
+      <MapContainer
+        center={DEFAULT_CENTER}
+        zoom={DEFAULT_ZOOM}
+        maxZoom={MAX_ZOOM}
+        className="h-full w-full"
+      >
+        <TileLayer
+          url={TILE_URL}
+          attribution={TILE_ATTRIBUTION}
+          maxZoom={MAX_ZOOM}
+        />
+        {routePositions && (
+          <Polyline positions={routePositions} color="#2563eb" weight={4} />
+        )}
+        {cluster ? (
+          <ClusteredMarkers markers={markers} />
+        ) : (
+          markers.map((marker) => <MapMarker key={marker.id} marker={marker} />)
+        )}
+        {onMapClick && <ClickHandler onMapClick={onMapClick} />}
+        <FitToPositions positions={fitTo} />
+      </MapContainer>
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,24 @@
+// Map tiles and defaults. Point VITE_MAP_TILE_URL at a self-hosted tile
+// server to stop depending on the public OpenStreetMap tiles.
+export const TILE_URL =
+  import.meta.env.VITE_MAP_TILE_URL ||
+  "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+export const TILE_ATTRIBUTION =
+  import.meta.env.VITE_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+export const MAX_ZOOM = Number(import.meta.env.VITE_MAP_MAX_ZOOM) || 19;
+
+// Central Dhaka, [latitude, longitude]
+export const DEFAULT_CENTER = [23.8103, 90.4125];
+export const DEFAULT_ZOOM = 12;
+
+// GeoJSON stores [longitude, latitude]; Leaflet wants [latitude, longitude]
+export const toLatLng = (point) =>
+  point?.coordinates ? [point.coordinates[1], point.coordinates[0]] : null;
+
+export const toPoint = ({ lat, lng }) => ({
+  type: "Point",
+  coordinates: [lng, lat],
+});
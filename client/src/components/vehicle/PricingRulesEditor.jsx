@@ -0,0 +1,274 @@
+import { Plus, Trash2 } from "lucide-react";
+
+const WEEKDAYS = [
+  { value: "monday", label: "Mon" },
+  { value: "tuesday", label: "Tue" },
+  { value: "wednesday", label: "Wed" },
+  { value: "thursday", label: "Thu" },
+  { value: "friday", label: "Fri" },
+  { value: "saturday", label: "Sat" },
+  { value: "sunday", label: "Sun" },
+];
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const newRule = () => ({
+  name: "",
+  isActive: true,
+  timeWindow: { start: "", end: "" },
+  weekdays: [],
+  dateRange: { from: "", to: "" },
+  adjustment: { type: "multiplier", value: 1.2 },
+});
+
+// Summarise when a rule applies, e.g. "Fri, Sat · 22:00–06:00"
+const describeRule = (rule) => {
+  const parts = [];
+  if (rule.weekdays?.length) {
+    parts.push(
+      WEEKDAYS.filter((day) => rule.weekdays.includes(day.value))
+        .map((day) => day.label)
+        .join(", ")
+    );
+  }
+  if (rule.timeWindow?.start && rule.timeWindow?.end) {
+    parts.push(`${rule.timeWindow.start}–${rule.timeWindow.end}`);
+  }
+  if (rule.dateRange?.from || rule.dateRange?.to) {
+    parts.push(`${rule.dateRange.from || "…"} to ${rule.dateRange.to || "…"}`);
+  }
+  return parts.length ? parts.join(" · ") : "Every trip";
+};
+
+// Editor for a vehicle's pricing rules (peak hours, nights, holidays...).
+// Controlled: `rules` is the current list and `onChange` receives the new one.
+const PricingRulesEditor = ({ rules = [], onChange }) => {
+  const updateRule = (index, changes) => {
+    onChange(
+      rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    );
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((_, i) => i !== index));
+  };
+
+  const toggleWeekday = (index, weekday) => {
+    const weekdays = rules[index].weekdays || [];
+    updateRule(index, {
+      weekdays: weekdays.includes(weekday)
+        ? weekdays.filter((day) => day !== weekday)
+        : [...weekdays, weekday],
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {rules.length === 0 && (
+        <p className="text-sm text-gray-500">
+          No pricing rules yet. Add one to charge more at peak hours, at night
+          or on holidays.
+        </p>
+      )}
+
+      {rules.map((rule, index) => (
+        <div
+          key={rule._id || index}
+          className={`border rounded-lg p-4 ${
+            rule.isActive === false ? "bg-gray-50 border-gray-200" : ""
+          }`}
+        >
+          <div className="flex items-start justify-between gap-4 mb-3">
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Rule Name *
+              </label>
+              <input
+                type="text"
+                required
+                maxLength={60}
+                placeholder="e.g. Night surcharge"
+                value={rule.name}
+                onChange={(e) => updateRule(index, { name: e.target.value })}
+                className={inputClassName}
+              />
+              <p className="text-xs text-gray-500 mt-1">{describeRule(rule)}</p>
+            </div>
+            <div className="flex items-center gap-3 pt-7">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rule.isActive !== false}
+                  onChange={(e) =>
+                    updateRule(index, { isActive: e.target.checked })
+                  }
+                  className="mr-2"
+                />
+                Active
+              </label>
+              <button
+                type="button"
+                onClick={() => removeRule(index)}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-md"
+                title="Remove rule"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4 mb-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Adjustment
+              </label>
+              <select
+                value={rule.adjustment.type}
+                onChange={(e) =>
+                  updateRule(index, {
+                    adjustment: { ...rule.adjustment, type: e.target.value },
+                  })
+                }
+                className={inputClassName}
+              >
+                <option value="multiplier">Multiply fare by</option>
+                <option value="flat">Add flat amount (৳)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {rule.adjustment.type === "multiplier"
+                  ? "Multiplier *"
+                  : "Amount (৳) *"}
+              </label>
+              <input
+                type="number"
+                required
+                step={rule.adjustment.type === "multiplier" ? "0.05" : "1"}
+                min={rule.adjustment.type === "multiplier" ? "0.1" : undefined}
+                max={rule.adjustment.type === "multiplier" ? "5" : undefined}
+                value={rule.adjustment.value}
+                onChange={(e) =>
+                  updateRule(index, {
+                    adjustment: { ...rule.adjustment, value: e.target.value },
+                  })
+                }
+                className={inputClassName}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                {rule.adjustment.type === "multiplier"
+                  ? "1.5 adds 50% to the fare; below 1 gives a discount"
+                  : "Use a negative amount for a discount"}
+              </p>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4 mb-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Time Window
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="time"
+                  value={rule.timeWindow?.start || ""}
+                  onChange={(e) =>
+                    updateRule(index, {
+                      timeWindow: { ...rule.timeWindow, start: e.target.value },
+                    })
+                  }
+                  className={inputClassName}
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="time"
+                  value={rule.timeWindow?.end || ""}
+                  onChange={(e) =>
+                    updateRule(index, {
+                      timeWindow: { ...rule.timeWindow, end: e.target.value },
+                    })
+                  }
+                  className={inputClassName}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Leave empty for all day; may run past midnight
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Date Range
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={rule.dateRange?.from || ""}
+                  onChange={(e) =>
+                    updateRule(index, {
+                      dateRange: { ...rule.dateRange, from: e.target.value },
+                    })
+                  }
+                  className={inputClassName}
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="date"
+                  value={rule.dateRange?.to || ""}
+                  onChange={(e) =>
+                    updateRule(index, {
+                      dateRange: { ...rule.dateRange, to: e.target.value },
+                    })
+                  }
+                  className={inputClassName}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                For holidays and events; leave empty to apply all year
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Weekdays
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map((day) => {
+                const selected = rule.weekdays?.includes(day.value);
+                return (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleWeekday(index, day.value)}
+                    className={`px-3 py-1 rounded-full text-sm border ${
+                      selected
+                        ? "bg-blue-600 text-white border-blue-600"
+                        : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+                    }`}
+                  >
+                    {day.label}
+                  </button>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              None selected means every day
+            </p>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...rules, newRule()])}
+        className="flex items-center px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50"
+      >
+        <Plus className="h-4 w-4 mr-2" />
+        Add Pricing Rule
+      </button>
+    </div>
+  );
+};
+
+export default PricingRulesEditor;
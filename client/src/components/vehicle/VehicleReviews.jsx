@@ -0,0 +1,141 @@
+import { useState, useEffect } from "react";
+import { Star, X, Flag } from "lucide-react";
+import { vehicleAPI } from "../../services/api";
+import ReportModal from "../common/ReportModal";
+
+const Stars = ({ rating }) => (
+  <div className="flex items-center">
+    {[1, 2, 3, 4, 5].map((value) => (
+      <Star
+        key={value}
+        className={`h-3 w-3 ${
+          value <= rating ? "text-yellow-400 fill-current" : "text-gray-300"
+        }`}
+      />
+    ))}
+  </div>
+);
+
+// A vehicle's passenger reviews in a modal, loading older ones on demand
+const VehicleReviews = ({ vehicle, onClose }) => {
+  const [reviews, setReviews] = useState([]);
+  const [rating, setRating] = useState(vehicle.rating);
+  const [page, setPage] = useState(1);
+  const [hasNext, setHasNext] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [reportedReview, setReportedReview] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    vehicleAPI
+      .getVehicleReviews(vehicle._id, { page })
+      .then((data) => {
+        if (cancelled) return;
+        setRating(data.rating);
+        setReviews((prev) =>
+          page === 1 ? data.reviews : [...prev, ...data.reviews]
+        );
+        setHasNext(data.pagination.hasNext);
+      })
+      .catch((error) => console.error("❌ Fetch reviews error:", error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [vehicle._id, page]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-screen overflow-y-auto p-6">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">
+              {vehicle.brand} {vehicle.model}
+            </h2>
+            <div className="flex items-center text-sm text-gray-600 mt-1">
+              <Star className="h-4 w-4 text-yellow-400 fill-current mr-1" />
+              {rating.count > 0
+                ? `${rating.average.toFixed(1)} · ${rating.count} review${
+                    rating.count === 1 ? "" : "s"
+                  }`
+                : "No reviews yet"}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label="Close reviews"
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="divide-y divide-gray-100">
+          {reviews.map((review) => (
+            <div key={review._id} className="py-3">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-sm font-medium text-gray-900">
+                  {review.author.name}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {new Date(review.ratedAt).toLocaleDateString()}
+                </span>
+              </div>
+              <div className="flex items-center justify-between">
+                <Stars rating={review.rating} />
+                <button
+                  onClick={() => setReportedReview(review)}
+                  className="flex items-center text-xs text-gray-400 hover:text-red-600"
+                >
+                  <Flag className="h-3 w-3 mr-1" />
+                  Report
+                </button>
+              </div>
+              {review.review && (
+                <p className="text-sm text-gray-700 mt-1">{review.review}</p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {!loading && reviews.length === 0 && (
+          <p className="text-sm text-gray-500 py-4 text-center">
+            Passengers haven't reviewed this vehicle yet.
+          </p>
+        )}
+        {loading && (
+          <div className="flex justify-center py-4">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+        {hasNext && !loading && (
+          <button
+            onClick={() => setPage((current) => current + 1)}
+            className="w-full mt-3 py-2 text-sm text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50"
+          >
+            Show older reviews
+          </button>
+        )}
+      </div>
+
+      {reportedReview && (
+        <ReportModal
+          target={{
+            bookingId: reportedReview._id,
+            targetType: "review",
+            side: "userRating",
+            label: `${reportedReview.author.name}'s review`,
+          }}
+          onClose={() => setReportedReview(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default VehicleReviews;
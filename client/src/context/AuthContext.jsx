@@ -14,6 +14,15 @@ import toast from "react-hot-toast";
 
 const AuthContext = createContext();
 
+// The server refuses suspended accounts, and the API client signs them out
+const isAccountSuspended = (error) =>
+  error.response?.data?.error === "ACCOUNT_SUSPENDED";
+
+const showSuspended = (error) =>
+  toast.error(`🚫 ${error.response.data.message}`, {
+    id: "account-suspended",
+  });
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -47,8 +56,8 @@ export const AuthProvider = ({ children }) => {
     retries = 3
   ) => {
     try {
+      // The backend reads the UID from the ID token, not from this payload
       const userData = {
-        firebaseUid: firebaseUser.uid,
         email: firebaseUser.email,
         name: additionalData.name || firebaseUser.displayName || "User",
         phone: additionalData.phone || "",
@@ -69,6 +78,11 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error("❌ Backend sync error:", error);
 
+      if (isAccountSuspended(error)) {
+        showSuspended(error);
+        throw error;
+      }
+
       // Retry mechanism
       if (retries > 0) {
         console.log(`🔄 Retrying sync... (${retries} attempts left)`);
@@ -94,6 +108,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the signed-in user, e.g. after their licence is submitted
+  const refreshUser = async () => {
+    const backendUser = await authAPI.getCurrentUser();
+    const normalizedUser = normalizeUserData(backendUser.user);
+    setDbUser(normalizedUser);
+    setUserRole(normalizedUser.role);
+    return normalizedUser;
+  };
+
   // Sign up with email and password (FIXED)
   const signup = async (email, password, name, phone = "", role = "user") => {
     try {
@@ -145,6 +168,7 @@ export const AuthProvider = ({ children }) => {
       try {
         await syncWithBackend(result.user);
       } catch (syncError) {
+        if (isAccountSuspended(syncError)) throw syncError;
         console.warn(
           "⚠️ Backend sync failed during login, but user is logged in to Firebase"
         );
@@ -155,7 +179,9 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error("❌ Login error:", error);
 
-      if (error.code === "auth/user-not-found") {
+      if (isAccountSuspended(error)) {
+        // Already explained by the sync
+      } else if (error.code === "auth/user-not-found") {
         toast.error("❌ No account found with this email");
       } else if (error.code === "auth/wrong-password") {
         toast.error("❌ Incorrect password");
@@ -193,7 +219,9 @@ export const AuthProvider = ({ children }) => {
       console.error("❌ Google sign-in error:", error);
       toast.dismiss("google-signin");
 
-      if (error.code === "auth/popup-closed-by-user") {
+      if (isAccountSuspended(error)) {
+        // Already explained by the sync
+      } else if (error.code === "auth/popup-closed-by-user") {
         toast.error("❌ Sign-in cancelled by user");
       } else if (error.code === "auth/popup-blocked") {
         toast.error("❌ Popup blocked. Please enable popups and try again.");
@@ -235,7 +263,7 @@ export const AuthProvider = ({ children }) => {
       if (firebaseUser && !isRegistering) {
         try {
           // Try to get user from backend first
-          const backendUser = await authAPI.getUserByUID(firebaseUser.uid);
+          const backendUser = await authAPI.getCurrentUser();
           const normalizedUser = normalizeUserData(backendUser.user);
 
           setDbUser(normalizedUser);
@@ -244,6 +272,12 @@ export const AuthProvider = ({ children }) => {
           console.log("✅ Backend user found:", normalizedUser);
           console.log("✅ User ID confirmed:", normalizedUser.id);
         } catch (error) {
+          if (isAccountSuspended(error)) {
+            showSuspended(error);
+            setLoading(false);
+            return;
+          }
+
           console.warn("⚠️ Backend user not found, attempting sync...");
 
           try {
@@ -276,6 +310,7 @@ export const AuthProvider = ({ children }) => {
     signInWithGoogle,
     logout,
     syncWithBackend,
+    refreshUser,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
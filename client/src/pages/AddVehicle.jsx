@@ -1,6 +1,11 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { vehicleAPI, geoAPI } from "../services/api";
+import PlaceAutocomplete from "../components/common/PlaceAutocomplete";
+import MapView from "../components/map/MapView";
+import { toLatLng, toPoint } from "../components/map/mapConfig";
+import PricingRulesEditor from "../components/vehicle/PricingRulesEditor";
 import { Car, Upload, MapPin, DollarSign, Settings, Save } from "lucide-react";
 import toast from "react-hot-toast";
 
@@ -8,6 +13,11 @@ const AddVehicle = () => {
   const { user, dbUser } = useAuth();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
+  const [placeQuery, setPlaceQuery] = useState("");
+  // Whether the driver placed the base location pin on the map themselves
+  const [pinDropped, setPinDropped] = useState(false);
+  const [cancellationPolicies, setCancellationPolicies] = useState([]);
+  const [defaultPolicy, setDefaultPolicy] = useState(null);
   const [formData, setFormData] = useState({
     // Basic Information
     type: "car",
@@ -30,23 +40,48 @@ const AddVehicle = () => {
       pricePerKm: 15,
       pricePerHour: 200,
       minimumFare: 150,
+      rules: [],
     },
 
     // Location
+    // `point` is set once the city and area are matched to a known place
     location: {
       city: "",
       area: "",
-      coordinates: {
-        latitude: 23.8103,
-        longitude: 90.4125,
-      },
+      point: null,
       address: "",
     },
 
+    // Documents, checked by an administrator before approval
+    documents: {
+      registration: { number: "", expiryDate: "", imageUrl: "" },
+      insurance: { number: "", provider: "", expiryDate: "", imageUrl: "" },
+      fitness: { number: "", expiryDate: "", imageUrl: "" },
+    },
+
     // Description
     description: "",
+
+    // Cancellation policy; null follows the platform default
+    cancellationPolicy: null,
   });
 
+  useEffect(() => {
+    vehicleAPI
+      .getCancellationPolicies()
+      .then((data) => {
+        setCancellationPolicies(data.policies);
+        setDefaultPolicy(data.defaultPolicy);
+      })
+      .catch((error) =>
+        console.error("❌ Failed to load cancellation policies:", error)
+      );
+  }, []);
+
+  const selectedPolicy = cancellationPolicies.find(
+    (policy) => policy.name === (formData.cancellationPolicy || defaultPolicy)
+  );
+
   // Check if user is a driver
   if (!dbUser || dbUser.role !== "driver") {
     return (
@@ -89,6 +124,12 @@ const AddVehicle = () => {
     "First Aid Kit",
   ];
 
+  const documentTypes = [
+    { key: "registration", label: "Registration Certificate" },
+    { key: "insurance", label: "Insurance" },
+    { key: "fitness", label: "Fitness Certificate" },
+  ];
+
   const luggageOptions = [
     { value: "small", label: "Small" },
     { value: "medium", label: "Medium" },
@@ -106,6 +147,19 @@ const AddVehicle = () => {
     }));
   };
 
+  const handleDocumentChange = (document, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      documents: {
+        ...prev.documents,
+        [document]: {
+          ...prev.documents[document],
+          [field]: value,
+        },
+      },
+    }));
+  };
+
   const handleBasicChange = (field, value) => {
     setFormData((prev) => ({
       ...prev,
@@ -122,6 +176,56 @@ const AddVehicle = () => {
     }));
   };
 
+  // Editing the city or area by hand drops a place matched from the
+  // suggestions, but keeps a pin the driver dropped on the map
+  const handleLocationFieldChange = (field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      location: {
+        ...prev.location,
+        [field]: value,
+        point: pinDropped ? prev.location.point : null,
+      },
+    }));
+  };
+
+  const handlePlaceSelect = (place) => {
+    setPinDropped(false);
+    setFormData((prev) => ({
+      ...prev,
+      location: {
+        ...prev.location,
+        city: place.city || place.name,
+        area: place.type === "area" ? place.name : prev.location.area,
+        point: place.point,
+      },
+    }));
+  };
+
+  // Drop the base location pin, filling in the city and area from the
+  // nearest known place if they're still empty
+  const handlePinDrop = async ({ lat, lng }) => {
+    setPinDropped(true);
+    setFormData((prev) => ({
+      ...prev,
+      location: { ...prev.location, point: toPoint({ lat, lng }) },
+    }));
+
+    try {
+      const { place } = await geoAPI.reverseGeocode(lat, lng);
+      setFormData((prev) => ({
+        ...prev,
+        location: {
+          ...prev.location,
+          city: prev.location.city || place.city || "",
+          area: prev.location.area || (place.type === "area" ? place.name : ""),
+        },
+      }));
+    } catch (error) {
+      console.error("Reverse geocoding error:", error);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -136,11 +240,33 @@ const AddVehicle = () => {
       return;
     }
 
+    if (
+      Object.values(formData.documents).some(
+        (document) => !document.number || !document.expiryDate
+      )
+    ) {
+      toast.error("Please provide the number and expiry date of each document");
+      return;
+    }
+
     if (!formData.location.city || !formData.location.area) {
       toast.error("Please provide location information");
       return;
     }
 
+    // Match a hand-typed city and area to coordinates, unless pinned
+    let location = formData.location;
+    if (!location.point) {
+      try {
+        const data = await geoAPI.geocode(`${location.area}, ${location.city}`);
+        location = { ...location, point: data.place.point };
+      } catch (error) {
+        console.error("Geocoding error:", error);
+        toast.error("Couldn't find that area. Please pick a suggested place.");
+        return;
+      }
+    }
+
     // Check driver ID availability
     if (!dbUser || !dbUser.id) {
       toast.error(
@@ -152,34 +278,26 @@ const AddVehicle = () => {
     try {
       setLoading(true);
 
+      // The server assigns the authenticated driver to the vehicle
       const vehicleData = {
         ...formData,
-        driver: dbUser.id, // Use normalized ID
+        location,
         plateNumber: formData.plateNumber.toUpperCase(),
       };
 
-      console.log("🚗 Adding vehicle with driver ID:", dbUser.id);
+      console.log("🚗 Adding vehicle for driver ID:", dbUser.id);
 
-      const response = await fetch("http://localhost:5000/api/vehicles", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(vehicleData),
-      });
-
-      const data = await response.json();
+      await vehicleAPI.createVehicle(vehicleData);
 
-      if (response.ok) {
-        toast.success("Vehicle added successfully!");
-        navigate("/my-vehicles");
-      } else {
-        console.error("❌ Add vehicle error:", data);
-        toast.error(data.message || "Failed to add vehicle");
-      }
+      toast.success("Vehicle added successfully!");
+      navigate("/my-vehicles");
     } catch (error) {
       console.error("Add vehicle error:", error);
-      toast.error("Failed to connect to server");
+      if (error.response) {
+        toast.error(error.response.data?.message || "Failed to add vehicle");
+      } else {
+        toast.error("Failed to connect to server");
+      }
     } finally {
       setLoading(false);
     }
@@ -513,6 +631,55 @@ const AddVehicle = () => {
                 </p>
               </div>
             </div>
+
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Pricing Rules
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Adjust the fare for trips starting at peak hours, at night, on
+                certain days or during holidays.
+              </p>
+              <PricingRulesEditor
+                rules={formData.pricing.rules}
+                onChange={(rules) =>
+                  handleInputChange("pricing", "rules", rules)
+                }
+              />
+            </div>
+
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Cancellation Policy
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                What passengers pay if they cancel a confirmed trip or miss it.
+              </p>
+              <select
+                value={formData.cancellationPolicy || ""}
+                onChange={(e) =>
+                  handleBasicChange(
+                    "cancellationPolicy",
+                    e.target.value || null
+                  )
+                }
+                className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Platform default</option>
+                {cancellationPolicies.map((policy) => (
+                  <option key={policy.name} value={policy.name}>
+                    {policy.label}
+                  </option>
+                ))}
+              </select>
+              {selectedPolicy && (
+                <ul className="mt-3 text-sm text-gray-600 list-disc list-inside space-y-1">
+                  {selectedPolicy.rules.map((rule) => (
+                    <li key={rule}>{rule}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
           </div>
 
           {/* Location */}
@@ -523,6 +690,58 @@ const AddVehicle = () => {
             </h2>
 
             <div className="grid md:grid-cols-2 gap-6">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Find Your Area
+                </label>
+                <PlaceAutocomplete
+                  value={placeQuery}
+                  onChange={setPlaceQuery}
+                  onSelect={(place) => {
+                    handlePlaceSelect(place);
+                    setPlaceQuery(place.label);
+                  }}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Start typing an area or city, e.g. Gulshan"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  {formData.location.point
+                    ? "Location matched - passengers nearby will find this vehicle"
+                    : "Pick a suggestion to fill in the city and area"}
+                </p>
+              </div>
+
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Base Location Pin
+                </label>
+                <MapView
+                  markers={
+                    formData.location.point
+                      ? [
+                          {
+                            id: "base",
+                            position: toLatLng(formData.location.point),
+                            label: "Vehicle base location",
+                          },
+                        ]
+                      : []
+                  }
+                  // Follow places picked from the suggestions, but leave the
+                  // view alone while the driver positions the pin
+                  fitTo={
+                    formData.location.point && !pinDropped
+                      ? [toLatLng(formData.location.point)]
+                      : []
+                  }
+                  onMapClick={handlePinDrop}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Click the map to place the pin exactly where the vehicle is
+                  usually parked
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   City *
@@ -532,7 +751,7 @@ const AddVehicle = () => {
                   required
                   value={formData.location.city}
                   onChange={(e) =>
-                    handleInputChange("location", "city", e.target.value)
+                    handleLocationFieldChange("city", e.target.value)
                   }
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   placeholder="e.g., Dhaka, Chittagong, Sylhet"
@@ -548,7 +767,7 @@ const AddVehicle = () => {
                   required
                   value={formData.location.area}
                   onChange={(e) =>
-                    handleInputChange("location", "area", e.target.value)
+                    handleLocationFieldChange("area", e.target.value)
                   }
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   placeholder="e.g., Gulshan, Dhanmondi, Uttara"
@@ -572,6 +791,96 @@ const AddVehicle = () => {
             </div>
           </div>
 
+          {/* Documents */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-bold text-gray-900 mb-1 flex items-center">
+              <Upload className="h-5 w-5 mr-2" />
+              Documents
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              An administrator checks these before your vehicle appears in
+              search. Link a clear photo of each document.
+            </p>
+
+            <div className="space-y-6">
+              {documentTypes.map(({ key, label }) => (
+                <div key={key}>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">
+                    {label}
+                  </h3>
+                  <div className="grid md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Number *
+                      </label>
+                      <input
+                        type="text"
+                        required
+                        value={formData.documents[key].number}
+                        onChange={(e) =>
+                          handleDocumentChange(key, "number", e.target.value)
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Expiry Date *
+                      </label>
+                      <input
+                        type="date"
+                        required
+                        value={formData.documents[key].expiryDate}
+                        onChange={(e) =>
+                          handleDocumentChange(
+                            key,
+                            "expiryDate",
+                            e.target.value
+                          )
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    {key === "insurance" && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Provider
+                        </label>
+                        <input
+                          type="text"
+                          value={formData.documents.insurance.provider}
+                          onChange={(e) =>
+                            handleDocumentChange(
+                              key,
+                              "provider",
+                              e.target.value
+                            )
+                          }
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          placeholder="e.g., Green Delta Insurance"
+                        />
+                      </div>
+                    )}
+                    <div className={key === "insurance" ? "" : "md:col-span-2"}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Photo URL
+                      </label>
+                      <input
+                        type="url"
+                        value={formData.documents[key].imageUrl}
+                        onChange={(e) =>
+                          handleDocumentChange(key, "imageUrl", e.target.value)
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder="https://..."
+                      />
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
           {/* Description */}
           <div className="bg-white rounded-lg shadow-md p-6">
             <h2 className="text-xl font-bold text-gray-900 mb-4">
@@ -0,0 +1,485 @@
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { driverAPI } from "../services/api";
+import {
+  IdCard,
+  Camera,
+  ClipboardCheck,
+  Clock,
+  CheckCircle,
+  XCircle,
+  AlertTriangle,
+  ArrowLeft,
+  ArrowRight,
+  Loader,
+} from "lucide-react";
+import toast from "react-hot-toast";
+
+const STEPS = [
+  { title: "Licence details", icon: IdCard },
+  { title: "Licence photo", icon: Camera },
+  { title: "Review & submit", icon: ClipboardCheck },
+];
+
+const VEHICLE_TYPES = [
+  { value: "car", label: "Car" },
+  { value: "ambulance", label: "Ambulance" },
+  { value: "truck", label: "Truck" },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are edited as YYYY-MM-DD
+const toDateInput = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "";
+
+const initialForm = (driverDetails = {}) => ({
+  licenseNumber: driverDetails.licenseNumber || "",
+  licenseExpiry: toDateInput(driverDetails.licenseExpiry),
+  licensePhotoUrl: driverDetails.licensePhotoUrl || "",
+  vehicleType: driverDetails.vehicleType || "car",
+  experience: driverDetails.experience ?? "",
+});
+
+// Errors for one step of the wizard, keyed by field
+const validateStep = (step, form) => {
+  const errors = {};
+  if (step === 0) {
+    if (!form.licenseNumber.trim()) {
+      errors.licenseNumber = "Licence number is required";
+    }
+    if (!form.licenseExpiry) {
+      errors.licenseExpiry = "Expiry date is required";
+    } else if (new Date(form.licenseExpiry) <= new Date()) {
+      errors.licenseExpiry = "This licence has already expired";
+    }
+    if (form.experience !== "" && Number(form.experience) < 0) {
+      errors.experience = "Experience can't be negative";
+    }
+  }
+  if (step === 1) {
+    if (!form.licensePhotoUrl.trim()) {
+      errors.licensePhotoUrl = "A photo of your licence is required";
+    } else if (!/^https?:\/\//.test(form.licensePhotoUrl.trim())) {
+      errors.licensePhotoUrl = "Enter a link starting with http:// or https://";
+    }
+  }
+  return errors;
+};
+
+// Where the driver's licence stands once it has been submitted
+const StatusCard = ({ driverDetails, onRenew }) => {
+  const status = driverDetails.licenseStatus;
+  const expiry = driverDetails.licenseExpiry
+    ? new Date(driverDetails.licenseExpiry)
+    : null;
+  const daysLeft = expiry ? Math.ceil((expiry - Date.now()) / DAY_MS) : null;
+
+  if (status === "pending") {
+    return (
+      <div className="text-center">
+        <Clock className="h-12 w-12 text-yellow-500 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">
+          Your licence is being reviewed
+        </h2>
+        <p className="text-gray-600">
+          Submitted{" "}
+          {new Date(driverDetails.licenseSubmittedAt).toLocaleDateString()}.
+          We'll notify you once an administrator has checked it. Until then your
+          vehicles won't appear in search.
+        </p>
+      </div>
+    );
+  }
+
+  if (status === "approved") {
+    return (
+      <div className="text-center">
+        <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">
+          You're a verified driver
+        </h2>
+        <p className="text-gray-600 mb-2">
+          Licence {driverDetails.licenseNumber}, valid until{" "}
+          {expiry.toLocaleDateString()}.
+        </p>
+        {daysLeft <= 30 && (
+          <p className="text-orange-600 text-sm mb-4 flex items-center justify-center">
+            <AlertTriangle className="h-4 w-4 mr-1" />
+            Your licence expires in {daysLeft} day{daysLeft === 1 ? "" : "s"}.
+            Submit the renewed licence so your vehicles stay listed.
+          </p>
+        )}
+        <div className="flex justify-center gap-3 mt-4">
+          <Link
+            to="/add-vehicle"
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+          >
+            Add a vehicle
+          </Link>
+          <button
+            onClick={onRenew}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            Submit a renewed licence
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Rejected or expired: the driver starts the wizard again
+  const rejected = status === "rejected";
+  return (
+    <div className="text-center">
+      <XCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">
+        {rejected ? "Your licence wasn't approved" : "Your licence has expired"}
+      </h2>
+      <p className="text-gray-600 mb-4">
+        {rejected
+          ? driverDetails.licenseReviewNote
+          : `It expired on ${expiry.toLocaleDateString()}, so your vehicles have been unlisted.`}
+      </p>
+      <button
+        onClick={onRenew}
+        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+      >
+        {rejected ? "Submit again" : "Submit your renewed licence"}
+      </button>
+    </div>
+  );
+};
+
+const DriverOnboarding = () => {
+  const { dbUser, refreshUser } = useAuth();
+  const navigate = useNavigate();
+  const driverDetails = dbUser?.driverDetails || {};
+  const status = driverDetails.licenseStatus || "not_submitted";
+
+  const [editing, setEditing] = useState(false);
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState(() => initialForm(driverDetails));
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [photoFailed, setPhotoFailed] = useState(false);
+
+  if (dbUser?.role !== "driver") {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-lg shadow-md text-center">
+          <h2 className="text-2xl font-bold text-red-600 mb-4">Drivers only</h2>
+          <p className="text-gray-600">
+            Choose the driver role to verify your licence and list vehicles.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    if (field === "licensePhotoUrl") setPhotoFailed(false);
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: "" }));
+    }
+  };
+
+  const handleNext = () => {
+    const stepErrors = validateStep(step, form);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length === 0) setStep(step + 1);
+  };
+
+  const handleRenew = () => {
+    // A rejected licence is corrected; a renewed one has a new number,
+    // expiry and photo
+    setForm(
+      status === "rejected"
+        ? initialForm(driverDetails)
+        : {
+            ...initialForm(driverDetails),
+            licenseNumber: "",
+            licenseExpiry: "",
+            licensePhotoUrl: "",
+          }
+    );
+    setErrors({});
+    setStep(0);
+    setEditing(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      await driverAPI.submitLicense({
+        ...form,
+        licenseNumber: form.licenseNumber.trim(),
+        licensePhotoUrl: form.licensePhotoUrl.trim(),
+      });
+      await refreshUser();
+      setEditing(false);
+      toast.success("✅ Licence submitted for review");
+    } catch (error) {
+      console.error("❌ Submit licence error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to submit your licence"}`
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+      errors[field] ? "border-red-500" : "border-gray-300"
+    }`;
+
+  const showWizard = editing || status === "not_submitted";
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-2xl">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+            <IdCard className="h-8 w-8 mr-3 text-blue-600" />
+            Driver Verification
+          </h1>
+          <p className="text-gray-600">
+            Your vehicles can be listed and booked once an administrator has
+            verified your driving licence
+          </p>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg shadow-md">
+          {!showWizard ? (
+            <StatusCard driverDetails={driverDetails} onRenew={handleRenew} />
+          ) : (
+            <>
+              {/* Progress */}
+              <ol className="flex items-center justify-between mb-8">
+                {STEPS.map(({ title, icon }, index) => {
+                  const Icon = icon;
+                  return (
+                    <li
+                      key={title}
+                      className={`flex items-center text-sm font-medium ${
+                        index <= step ? "text-blue-600" : "text-gray-400"
+                      }`}
+                    >
+                      <span
+                        className={`flex items-center justify-center h-8 w-8 rounded-full mr-2 ${
+                          index <= step
+                            ? "bg-blue-600 text-white"
+                            : "bg-gray-200 text-gray-500"
+                        }`}
+                      >
+                        <Icon className="h-4 w-4" />
+                      </span>
+                      <span className="hidden sm:inline">{title}</span>
+                    </li>
+                  );
+                })}
+              </ol>
+
+              {step === 0 && (
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Licence number *
+                    </label>
+                    <input
+                      type="text"
+                      value={form.licenseNumber}
+                      onChange={(e) =>
+                        handleChange("licenseNumber", e.target.value)
+                      }
+                      className={inputClass("licenseNumber")}
+                      placeholder="e.g. DK0123456L00001"
+                    />
+                    {errors.licenseNumber && (
+                      <p className="text-red-500 text-xs mt-1">
+                        {errors.licenseNumber}
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Expiry date *
+                    </label>
+                    <input
+                      type="date"
+                      value={form.licenseExpiry}
+                      onChange={(e) =>
+                        handleChange("licenseExpiry", e.target.value)
+                      }
+                      className={inputClass("licenseExpiry")}
+                    />
+                    {errors.licenseExpiry && (
+                      <p className="text-red-500 text-xs mt-1">
+                        {errors.licenseExpiry}
+                      </p>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Vehicle type
+                      </label>
+                      <select
+                        value={form.vehicleType}
+                        onChange={(e) =>
+                          handleChange("vehicleType", e.target.value)
+                        }
+                        className={inputClass("vehicleType")}
+                      >
+                        {VEHICLE_TYPES.map(({ value, label }) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Years of experience
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={form.experience}
+                        onChange={(e) =>
+                          handleChange("experience", e.target.value)
+                        }
+                        className={inputClass("experience")}
+                      />
+                      {errors.experience && (
+                        <p className="text-red-500 text-xs mt-1">
+                          {errors.experience}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {step === 1 && (
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Link to a photo of your licence *
+                    </label>
+                    <input
+                      type="url"
+                      value={form.licensePhotoUrl}
+                      onChange={(e) =>
+                        handleChange("licensePhotoUrl", e.target.value)
+                      }
+                      className={inputClass("licensePhotoUrl")}
+                      placeholder="https://..."
+                    />
+                    {errors.licensePhotoUrl && (
+                      <p className="text-red-500 text-xs mt-1">
+                        {errors.licensePhotoUrl}
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Make sure the number, name and expiry date are readable.
+                    </p>
+                  </div>
+                  {form.licensePhotoUrl.trim() &&
+                    (photoFailed ? (
+                      <p className="text-sm text-orange-600">
+                        This image couldn't be loaded. Check the link.
+                      </p>
+                    ) : (
+                      <img
+                        src={form.licensePhotoUrl.trim()}
+                        alt="Driving licence"
+                        onError={() => setPhotoFailed(true)}
+                        className="w-full max-h-64 object-contain rounded border border-gray-200"
+                      />
+                    ))}
+                </div>
+              )}
+
+              {step === 2 && (
+                <div className="space-y-3 text-sm">
+                  <dl className="grid grid-cols-2 gap-y-2">
+                    <dt className="text-gray-500">Licence number</dt>
+                    <dd className="text-gray-900">{form.licenseNumber}</dd>
+                    <dt className="text-gray-500">Expires</dt>
+                    <dd className="text-gray-900">
+                      {new Date(form.licenseExpiry).toLocaleDateString()}
+                    </dd>
+                    <dt className="text-gray-500">Vehicle type</dt>
+                    <dd className="text-gray-900 capitalize">
+                      {form.vehicleType}
+                    </dd>
+                    <dt className="text-gray-500">Experience</dt>
+                    <dd className="text-gray-900">
+                      {form.experience === ""
+                        ? "Not given"
+                        : `${form.experience} years`}
+                    </dd>
+                  </dl>
+                  <img
+                    src={form.licensePhotoUrl.trim()}
+                    alt="Driving licence"
+                    className="w-full max-h-48 object-contain rounded border border-gray-200"
+                  />
+                  <p className="text-gray-600">
+                    An administrator will check these details against the photo.
+                    Your vehicles stay unlisted until the licence is approved.
+                  </p>
+                </div>
+              )}
+
+              <div className="flex justify-between mt-8">
+                <button
+                  onClick={() =>
+                    step === 0
+                      ? editing
+                        ? setEditing(false)
+                        : navigate("/dashboard")
+                      : setStep(step - 1)
+                  }
+                  disabled={submitting}
+                  className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <ArrowLeft className="h-4 w-4 mr-1" />
+                  {step === 0 ? "Cancel" : "Back"}
+                </button>
+                {step < STEPS.length - 1 ? (
+                  <button
+                    onClick={handleNext}
+                    className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  >
+                    Next
+                    <ArrowRight className="h-4 w-4 ml-1" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleSubmit}
+                    disabled={submitting}
+                    className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    {submitting ? (
+                      <Loader className="h-4 w-4 mr-1 animate-spin" />
+                    ) : (
+                      <CheckCircle className="h-4 w-4 mr-1" />
+                    )}
+                    Submit for review
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DriverOnboarding;
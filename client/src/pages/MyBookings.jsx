@@ -1,6 +1,11 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
-import { bookingAPI, healthCheck } from "../services/api";
+import { bookingAPI, paymentAPI, healthCheck } from "../services/api";
+import { subscribe, onMessage, send } from "../services/realtime";
+import LiveTripMap from "../components/booking/LiveTripMap";
+import RatingModal from "../components/booking/RatingModal";
+import ReportModal from "../components/common/ReportModal";
 import {
   Calendar,
   MapPin,
@@ -22,9 +27,60 @@ import {
   Wifi,
   WifiOff,
   Database,
+  Radio,
+  Flag,
 } from "lucide-react";
 import toast from "react-hot-toast";
 
+// Minimum gap between positions a driver streams, to spare battery and server
+const SHARE_INTERVAL_MS = 5000;
+
+// How often, and how many times, to check a payment after the gateway
+// sends the passenger back, until its callback has arrived
+const PAYMENT_POLL_MS = 2000;
+const PAYMENT_POLL_ATTEMPTS = 10;
+
+// Payment methods settled online through a gateway, and the booking
+// statuses in which they can be paid
+const ONLINE_METHODS = ["card", "mobile_banking"];
+const PAYABLE_STATUSES = ["confirmed", "started", "completed"];
+
+// What cancelling costs, in words, for the confirmation prompt
+const describeCancellationCharge = ({ fee, rule, refundAmount }) => {
+  if (fee === 0) {
+    return refundAmount > 0
+      ? `Cancelling is free and the full ৳${refundAmount} will be refunded.`
+      : "Cancelling is free.";
+  }
+  return (
+    `A cancellation fee of ৳${fee} applies (${rule}).` +
+    (refundAmount > 0
+      ? ` The remaining ৳${refundAmount} will be refunded to your payment method.`
+      : "")
+  );
+};
+
+const refundStatusLabels = {
+  pending: "being refunded",
+  refunded: "refunded",
+  failed: "refund failed - support will follow up",
+};
+
+// What the charge box on an unfulfilled booking is headed
+const chargeHeadings = {
+  cancelled: "Cancellation",
+  no_show: "No-show Fee",
+  rejected: "Declined by Driver",
+  expired: "Request Expired",
+};
+
+const paymentStatusColors = {
+  pending: "text-yellow-600",
+  paid: "text-green-600",
+  refunded: "text-blue-600",
+  failed: "text-red-600",
+};
+
 const MyBookings = () => {
   const { dbUser } = useAuth();
   const [bookings, setBookings] = useState([]);
@@ -33,6 +89,13 @@ const MyBookings = () => {
   const [selectedStatus, setSelectedStatus] = useState("all");
   const [apiHealth, setApiHealth] = useState({ status: "unknown" });
   const [retryCount, setRetryCount] = useState(0);
+  const [sharingBookingId, setSharingBookingId] = useState(null);
+  const [payingBookingId, setPayingBookingId] = useState(null);
+  // Completed booking being rated, and the stars picked on its card
+  const [ratingTarget, setRatingTarget] = useState(null);
+  // Review or participant being reported to the moderators
+  const [reportTarget, setReportTarget] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [stats, setStats] = useState({
     total: 0,
     pending: 0,
@@ -41,6 +104,9 @@ const MyBookings = () => {
     cancelled: 0,
   });
 
+  // Drivers see the trips booked with them rather than ones they booked
+  const isDriver = dbUser?.role === "driver";
+
   const statusOptions = [
     {
       value: "all",
@@ -78,6 +144,18 @@ const MyBookings = () => {
       icon: <XCircle className="h-4 w-4" />,
       color: "bg-red-100 text-red-800",
     },
+    {
+      value: "expired",
+      label: "Expired",
+      icon: <Clock className="h-4 w-4" />,
+      color: "bg-gray-100 text-gray-700",
+    },
+    {
+      value: "no_show",
+      label: "No-show",
+      icon: <AlertCircle className="h-4 w-4" />,
+      color: "bg-orange-100 text-orange-800",
+    },
   ];
 
   // Initial setup and health check
@@ -120,6 +198,128 @@ const MyBookings = () => {
     }
   }, [selectedStatus]);
 
+  // Reload when a booking notification arrives instead of polling
+  useEffect(() => {
+    if (!dbUser?.id) return;
+
+    return subscribe(`user:${dbUser.id}`, (message) => {
+      if (message.type === "notification" && message.notification.booking) {
+        refreshBookingsRef.current();
+      }
+    });
+  }, [dbUser?.id]);
+
+  // Report on a payment when the gateway sends the passenger back here
+  const returnedPaymentId = searchParams.get("payment");
+  useEffect(() => {
+    if (!returnedPaymentId || !dbUser?.id) return;
+
+    let cancelled = false;
+    let timer = null;
+    const check = async (attempt) => {
+      try {
+        const { payment } = await paymentAPI.getIntent(returnedPaymentId);
+        if (cancelled) return;
+
+        if (payment.status === "pending" && attempt < PAYMENT_POLL_ATTEMPTS) {
+          timer = setTimeout(() => check(attempt + 1), PAYMENT_POLL_MS);
+          return;
+        }
+
+        if (payment.status === "succeeded") {
+          toast.success("✅ Payment received", { id: "payment-return" });
+        } else if (payment.status === "pending") {
+          toast("⏳ Payment is still being confirmed", {
+            id: "payment-return",
+          });
+        } else {
+          toast.error(
+            `❌ Payment ${payment.status}${
+              payment.failureReason ? `: ${payment.failureReason}` : ""
+            }`,
+            { id: "payment-return" }
+          );
+        }
+      } catch (error) {
+        if (cancelled) return;
+        console.error("❌ Payment check error:", error);
+        toast.error("❌ Could not check the payment", { id: "payment-return" });
+      }
+
+      setSearchParams({}, { replace: true });
+      refreshBookingsRef.current();
+    };
+
+    toast.loading("⏳ Checking your payment...", { id: "payment-return" });
+    check(1);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [returnedPaymentId, dbUser?.id, setSearchParams]);
+
+  // Stream the driver's position to the trip they are sharing it with
+  useEffect(() => {
+    if (!sharingBookingId) return;
+
+    if (!navigator.geolocation) {
+      toast.error("❌ Location is not available on this device");
+      setSharingBookingId(null);
+      return;
+    }
+
+    // Keeps the socket open and hears when the trip ends
+    const unsubscribe = subscribe(`booking:${sharingBookingId}`, (message) => {
+      if (message.type === "status" && message.status !== "started") {
+        setSharingBookingId(null);
+      }
+    });
+    const removeErrorListener = onMessage("error", (message) => {
+      if (message.requestType !== "location") return;
+      toast.error(`❌ ${message.message}`);
+      setSharingBookingId(null);
+    });
+
+    let lastSentAt = 0;
+    const watchId = navigator.geolocation.watchPosition(
+      async ({ coords, timestamp }) => {
+        if (timestamp - lastSentAt < SHARE_INTERVAL_MS) return;
+        lastSentAt = timestamp;
+
+        const position = {
+          latitude: coords.latitude,
+          longitude: coords.longitude,
+          timestamp: new Date(timestamp).toISOString(),
+        };
+        if (
+          send({ type: "location", bookingId: sharingBookingId, ...position })
+        ) {
+          return;
+        }
+
+        // Fall back to HTTP while the socket is down
+        try {
+          await bookingAPI.recordPosition(sharingBookingId, position);
+        } catch (error) {
+          if (error.response?.status === 409) setSharingBookingId(null);
+        }
+      },
+      (error) => {
+        console.error("❌ Geolocation error:", error);
+        toast.error("❌ Could not read your location");
+        setSharingBookingId(null);
+      },
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+    );
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      removeErrorListener();
+      unsubscribe();
+    };
+  }, [sharingBookingId]);
+
   const fetchBookings = async (showLoadingSpinner = true) => {
     try {
       if (showLoadingSpinner) setLoading(true);
@@ -149,7 +349,9 @@ const MyBookings = () => {
       }
 
       const status = selectedStatus === "all" ? null : selectedStatus;
-      const response = await bookingAPI.getUserBookings(dbUser.id, status);
+      const response = isDriver
+        ? await bookingAPI.getDriverBookings(dbUser.id, status)
+        : await bookingAPI.getUserBookings(dbUser.id, status);
 
       console.log(
         "✅ Bookings fetched successfully:",
@@ -201,6 +403,10 @@ const MyBookings = () => {
     }
   };
 
+  // Latest fetch for realtime listeners, which outlive a single render
+  const refreshBookingsRef = useRef(null);
+  refreshBookingsRef.current = () => fetchBookings(false);
+
   const calculateStats = (bookingList) => {
     const stats = {
       total: bookingList.length,
@@ -213,9 +419,31 @@ const MyBookings = () => {
   };
 
   const handleCancelBooking = async (bookingId, vehicleName) => {
+    // Show what cancelling costs under the booking's policy before confirming
+    let quote;
+    try {
+      ({ quote } = await bookingAPI.getCancellationQuote(bookingId));
+    } catch (error) {
+      console.error("❌ Cancellation quote error:", error);
+      toast.error(
+        `❌ ${
+          error.response?.data?.message ||
+          "Could not work out the cancellation fee"
+        }`
+      );
+      return;
+    }
+
+    if (!quote.allowed) {
+      toast.error(`❌ ${quote.reason}`);
+      return;
+    }
+
     if (
       !confirm(
-        `Are you sure you want to cancel the booking for ${vehicleName}? This action cannot be undone.`
+        `Are you sure you want to cancel the booking for ${vehicleName}?\n\n${describeCancellationCharge(
+          quote
+        )}\n\nThis action cannot be undone.`
       )
     ) {
       return;
@@ -227,8 +455,7 @@ const MyBookings = () => {
       await bookingAPI.updateBookingStatus(
         bookingId,
         "cancelled",
-        "Cancelled by user",
-        "user"
+        "Cancelled by user"
       );
 
       toast.success("✅ Booking cancelled successfully");
@@ -243,12 +470,62 @@ const MyBookings = () => {
         toast.error("❌ Booking not found");
       } else if (error.response?.status === 400) {
         toast.error("❌ Cannot cancel this booking");
+      } else if ([403, 409].includes(error.response?.status)) {
+        toast.error(`❌ ${error.response.data.message}`);
       } else {
         toast.error("❌ Failed to cancel booking. Please try again.");
       }
     }
   };
 
+  // Driver actions that move a trip along: answer the request, start the
+  // trip, then complete it
+  const handleTripStatus = async (bookingId, status) => {
+    try {
+      await bookingAPI.updateBookingStatus(bookingId, status);
+      toast.success(`✅ Booking ${status}`);
+
+      if (status === "started") {
+        setSharingBookingId(bookingId);
+      } else if (sharingBookingId === bookingId) {
+        setSharingBookingId(null);
+      }
+
+      await fetchBookings(false);
+    } catch (error) {
+      console.error("❌ Update trip status error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to update the trip"}`
+      );
+    }
+  };
+
+  // Send the passenger to the gateway's checkout page; they come back with
+  // ?payment=<id>
+  const handlePayNow = async (bookingId) => {
+    try {
+      setPayingBookingId(bookingId);
+      const { payment } = await paymentAPI.createIntent(bookingId);
+      window.location.assign(payment.redirectUrl);
+    } catch (error) {
+      console.error("❌ Start payment error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to start the payment"}`
+      );
+      setPayingBookingId(null);
+    }
+  };
+
+  // Show the new rating on the card without reloading every booking
+  const handleRated = (bookingId, rating) => {
+    setBookings((prev) =>
+      prev.map((booking) =>
+        booking._id === bookingId ? { ...booking, rating } : booking
+      )
+    );
+    setRatingTarget(null);
+  };
+
   const handleRetry = async () => {
     setRetryCount((prev) => prev + 1);
     toast.loading("🔄 Retrying...", { id: "retry-toast" });
@@ -287,6 +564,13 @@ const MyBookings = () => {
   const BookingCard = ({ booking }) => {
     const scheduledTime = formatDateTime(booking.scheduledDateTime);
     const vehicleName = `${booking.vehicle.brand} ${booking.vehicle.model}`;
+    // The other party on the trip
+    const counterpart = isDriver ? booking.user : booking.driver;
+    const sharing = sharingBookingId === booking._id;
+    // The rating the caller gives on this trip, once they have
+    const myRating = booking.rating?.[isDriver ? "driverRating" : "userRating"];
+    const theirSide = isDriver ? "userRating" : "driverRating";
+    const theirRating = booking.rating?.[theirSide];
 
     return (
       <div className="bg-white rounded-xl shadow-md hover:shadow-lg transition-shadow duration-300 overflow-hidden">
@@ -310,7 +594,9 @@ const MyBookings = () => {
                 )} bg-opacity-90`}
               >
                 {getStatusIcon(booking.status)}
-                <span className="ml-1">{booking.status.toUpperCase()}</span>
+                <span className="ml-1">
+                  {booking.status.replace("_", " ").toUpperCase()}
+                </span>
               </span>
 
               <div className="relative group">
@@ -328,7 +614,7 @@ const MyBookings = () => {
                     View Details
                   </button>
 
-                  {booking.status === "pending" && (
+                  {["pending", "confirmed"].includes(booking.status) && (
                     <button
                       onClick={() =>
                         handleCancelBooking(booking._id, vehicleName)
@@ -339,6 +625,22 @@ const MyBookings = () => {
                       Cancel Booking
                     </button>
                   )}
+
+                  {booking.status !== "pending" && (
+                    <button
+                      onClick={() =>
+                        setReportTarget({
+                          bookingId: booking._id,
+                          targetType: "user",
+                          label: isDriver ? "passenger" : "driver",
+                        })
+                      }
+                      className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <Flag className="mr-3 h-4 w-4" />
+                      Report {isDriver ? "Passenger" : "Driver"}
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -347,6 +649,14 @@ const MyBookings = () => {
 
         {/* Content */}
         <div className="p-4">
+          {/* Live Tracking */}
+          {booking.status === "started" && !isDriver && (
+            <LiveTripMap
+              booking={booking}
+              onStatusChange={() => fetchBookings(false)}
+            />
+          )}
+
           {/* Trip Route */}
           <div className="mb-4">
             <div className="flex items-start space-x-3">
@@ -393,6 +703,47 @@ const MyBookings = () => {
             </div>
           </div>
 
+          {/* Actual trip, measured from the recorded trace */}
+          {booking.status === "completed" &&
+            booking.tripProgress?.actualDuration != null && (
+              <div className="mb-4 p-3 bg-green-50 rounded-lg text-sm text-gray-700">
+                <p className="text-gray-600 mb-1">Actual Trip</p>
+                <p className="font-medium text-gray-900">
+                  {booking.tripProgress.actualDistance != null
+                    ? `${booking.tripProgress.actualDistance} km in `
+                    : ""}
+                  {booking.tripProgress.actualDuration} mins
+                </p>
+              </div>
+            )}
+
+          {/* Cancellation or no-show charges */}
+          {booking.cancellationCharge?.chargedAt &&
+            (booking.cancellationCharge.fee > 0 ||
+              booking.cancellationCharge.refundAmount > 0 ||
+              booking.status === "cancelled") && (
+              <div className="mb-4 p-3 bg-red-50 rounded-lg text-sm text-gray-700">
+                <p className="text-gray-600 mb-1">
+                  {chargeHeadings[booking.status] || "Cancellation"}
+                </p>
+                <p className="font-medium text-gray-900">
+                  {booking.cancellationCharge.fee > 0
+                    ? `৳${booking.cancellationCharge.fee} fee (${booking.cancellationCharge.feeStatus})`
+                    : "No fee"}
+                </p>
+                {booking.cancellationCharge.refundAmount > 0 && (
+                  <p className="text-xs text-gray-600 mt-1">
+                    ৳{booking.cancellationCharge.refundAmount}{" "}
+                    {
+                      refundStatusLabels[
+                        booking.cancellationCharge.refundStatus
+                      ]
+                    }
+                  </p>
+                )}
+              </div>
+            )}
+
           {/* Driver Info */}
           <div className="flex items-center justify-between mb-4 p-3 bg-gray-50 rounded-lg">
             <div className="flex items-center">
@@ -401,16 +752,23 @@ const MyBookings = () => {
               </div>
               <div className="ml-3">
                 <p className="font-medium text-gray-900 text-sm">
-                  {booking.driver.name}
+                  {counterpart.name}
                 </p>
-                <div className="flex items-center text-xs text-gray-600">
-                  <Star className="h-3 w-3 text-yellow-400 fill-current" />
-                  <span className="ml-1">
-                    {booking.driver.rating?.average > 0
-                      ? booking.driver.rating.average.toFixed(1)
-                      : "New"}
-                  </span>
-                </div>
+                {isDriver ? (
+                  <div className="flex items-center text-xs text-gray-600">
+                    <Phone className="h-3 w-3" />
+                    <span className="ml-1">{counterpart.phone || "—"}</span>
+                  </div>
+                ) : (
+                  <div className="flex items-center text-xs text-gray-600">
+                    <Star className="h-3 w-3 text-yellow-400 fill-current" />
+                    <span className="ml-1">
+                      {counterpart.rating?.average > 0
+                        ? counterpart.rating.average.toFixed(1)
+                        : "New"}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -419,11 +777,185 @@ const MyBookings = () => {
                 ৳{booking.pricing.totalPrice}
               </p>
               <p className="text-xs text-gray-500 capitalize">
-                {booking.payment.method}
+                {booking.payment.method.replace("_", " ")}
+                {" · "}
+                <span className={paymentStatusColors[booking.payment.status]}>
+                  {booking.payment.status}
+                </span>
               </p>
             </div>
           </div>
 
+          {/* Online Payment */}
+          {!isDriver &&
+            ONLINE_METHODS.includes(booking.payment.method) &&
+            PAYABLE_STATUSES.includes(booking.status) &&
+            ["pending", "failed"].includes(booking.payment.status) && (
+              <button
+                onClick={() => handlePayNow(booking._id)}
+                disabled={payingBookingId === booking._id}
+                className="w-full mb-4 flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                {payingBookingId === booking._id ? (
+                  <Loader className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <CreditCard className="h-4 w-4 mr-2" />
+                )}
+                Pay ৳{booking.pricing.totalPrice} Now
+              </button>
+            )}
+
+          {/* Rating */}
+          {booking.status === "completed" &&
+            (myRating?.rating ? (
+              <div className="mb-4 p-3 bg-yellow-50 rounded-lg text-sm">
+                <div className="flex items-center">
+                  <span className="text-gray-600 mr-2">Your rating:</span>
+                  {[1, 2, 3, 4, 5].map((value) => (
+                    <Star
+                      key={value}
+                      className={`h-4 w-4 ${
+                        value <= myRating.rating
+                          ? "text-yellow-400 fill-current"
+                          : "text-gray-300"
+                      }`}
+                    />
+                  ))}
+                </div>
+                {myRating.review && (
+                  <p className="text-gray-700 mt-1 italic">
+                    "{myRating.review}"
+                  </p>
+                )}
+                {myRating.hiddenAt && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Hidden by a moderator
+                  </p>
+                )}
+              </div>
+            ) : (
+              <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <p className="text-sm font-medium text-gray-900 mb-1">
+                  {isDriver
+                    ? `How was ${counterpart.name} as a passenger?`
+                    : "How was your trip?"}
+                </p>
+                <div className="flex items-center">
+                  {[1, 2, 3, 4, 5].map((value) => (
+                    <button
+                      key={value}
+                      onClick={() =>
+                        setRatingTarget({ booking, initialRating: value })
+                      }
+                      aria-label={`Rate ${value} star${value > 1 ? "s" : ""}`}
+                      className="p-0.5"
+                    >
+                      <Star className="h-6 w-6 text-gray-300 hover:text-yellow-400" />
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+          {/* The other side's rating of the caller */}
+          {theirRating?.rating && !theirRating.hiddenAt && (
+            <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <span className="text-gray-600 mr-2">
+                    {isDriver ? "Passenger" : "Driver"} rated you:
+                  </span>
+                  {[1, 2, 3, 4, 5].map((value) => (
+                    <Star
+                      key={value}
+                      className={`h-4 w-4 ${
+                        value <= theirRating.rating
+                          ? "text-yellow-400 fill-current"
+                          : "text-gray-300"
+                      }`}
+                    />
+                  ))}
+                </div>
+                <button
+                  onClick={() =>
+                    setReportTarget({
+                      bookingId: booking._id,
+                      targetType: "review",
+                      side: theirSide,
+                      label: "review",
+                    })
+                  }
+                  className="flex items-center text-xs text-gray-400 hover:text-red-600"
+                >
+                  <Flag className="h-3 w-3 mr-1" />
+                  Report
+                </button>
+              </div>
+              {theirRating.review && (
+                <p className="text-gray-700 mt-1 italic">
+                  "{theirRating.review}"
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Driver Trip Controls */}
+          {isDriver && booking.status === "pending" && (
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              <button
+                onClick={() => handleTripStatus(booking._id, "confirmed")}
+                className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Confirm
+              </button>
+              <button
+                onClick={() => handleTripStatus(booking._id, "rejected")}
+                className="flex items-center justify-center px-4 py-2 bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors"
+              >
+                <XCircle className="h-4 w-4 mr-2" />
+                Decline
+              </button>
+            </div>
+          )}
+
+          {isDriver && booking.status === "confirmed" && (
+            <button
+              onClick={() => handleTripStatus(booking._id, "started")}
+              className="w-full mb-4 flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+            >
+              <PlayCircle className="h-4 w-4 mr-2" />
+              Start Trip
+            </button>
+          )}
+
+          {isDriver && booking.status === "started" && (
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              <button
+                onClick={() =>
+                  setSharingBookingId(sharing ? null : booking._id)
+                }
+                className={`flex items-center justify-center px-4 py-2 rounded-lg transition-colors ${
+                  sharing
+                    ? "bg-blue-600 text-white hover:bg-blue-700"
+                    : "bg-blue-50 text-blue-700 hover:bg-blue-100"
+                }`}
+              >
+                <Radio
+                  className={`h-4 w-4 mr-2 ${sharing ? "animate-pulse" : ""}`}
+                />
+                {sharing ? "Sharing Location" : "Share Location"}
+              </button>
+              <button
+                onClick={() => handleTripStatus(booking._id, "completed")}
+                className="flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+              >
+                <Flag className="h-4 w-4 mr-2" />
+                Complete Trip
+              </button>
+            </div>
+          )}
+
           {/* Special Requests */}
           {booking.specialRequests && (
             <div className="mb-4 p-3 bg-blue-50 rounded-lg">
@@ -499,7 +1031,9 @@ const MyBookings = () => {
                 My Bookings
               </h1>
               <p className="text-gray-600">
-                Track and manage your vehicle bookings
+                {isDriver
+                  ? "Start trips and share your location with passengers"
+                  : "Track and manage your vehicle bookings"}
               </p>
             </div>
 
@@ -709,6 +1243,25 @@ const MyBookings = () => {
           </div>
         )}
       </div>
+
+      {/* Rating Modal */}
+      {ratingTarget && (
+        <RatingModal
+          booking={ratingTarget.booking}
+          isDriver={isDriver}
+          initialRating={ratingTarget.initialRating}
+          onClose={() => setRatingTarget(null)}
+          onRated={(rating) => handleRated(ratingTarget.booking._id, rating)}
+        />
+      )}
+
+      {/* Report Modal */}
+      {reportTarget && (
+        <ReportModal
+          target={reportTarget}
+          onClose={() => setReportTarget(null)}
+        />
+      )}
     </div>
   );
 };
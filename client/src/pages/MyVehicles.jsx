@@ -1,6 +1,8 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { vehicleAPI } from "../services/api";
+import PricingRulesEditor from "../components/vehicle/PricingRulesEditor";
 import {
   Car,
   Plus,
@@ -14,9 +16,34 @@ import {
   DollarSign,
   Calendar,
   MoreVertical,
+  AlertTriangle,
 } from "lucide-react";
 import toast from "react-hot-toast";
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why the driver's vehicles are (or soon will be) unlisted, if they are
+const licenseNotice = (driverDetails = {}) => {
+  const { licenseStatus, licenseExpiry } = driverDetails;
+  if (licenseStatus === "approved") {
+    const daysLeft = Math.ceil((new Date(licenseExpiry) - Date.now()) / DAY_MS);
+    if (daysLeft > 30) return null;
+    return `Your driving licence expires in ${daysLeft} day${
+      daysLeft === 1 ? "" : "s"
+    }. Submit the renewed licence so your vehicles stay listed.`;
+  }
+  if (licenseStatus === "pending") {
+    return "Your driving licence is being reviewed. Your vehicles will be listed once it's approved.";
+  }
+  if (licenseStatus === "rejected") {
+    return "Your driving licence wasn't approved, so your vehicles aren't listed. Submit it again to get verified.";
+  }
+  if (licenseStatus === "expired") {
+    return "Your driving licence has expired, so your vehicles have been unlisted. Submit the renewed licence to list them again.";
+  }
+  return "Verify your driving licence before your vehicles can be listed and booked.";
+};
+
 const MyVehicles = () => {
   const { user, dbUser } = useAuth();
   const navigate = useNavigate();
@@ -28,6 +55,10 @@ const MyVehicles = () => {
     inactive: 0,
     pending: 0,
   });
+  // Vehicle whose pricing rules are open in the editor, and the draft rules
+  const [rulesVehicle, setRulesVehicle] = useState(null);
+  const [draftRules, setDraftRules] = useState([]);
+  const [savingRules, setSavingRules] = useState(false);
 
   // Check if user is a driver
   if (!dbUser || dbUser.role !== "driver") {
@@ -68,22 +99,18 @@ const MyVehicles = () => {
 
       console.log("🔄 Fetching vehicles for driver ID:", dbUser.id);
 
-      const response = await fetch(
-        `http://localhost:5000/api/vehicles/driver/${dbUser.id}`
-      );
-      const data = await response.json();
+      const data = await vehicleAPI.getVehiclesByDriver(dbUser.id);
 
-      if (response.ok) {
-        setVehicles(data.vehicles);
-        calculateStats(data.vehicles);
-        console.log("✅ Vehicles loaded:", data.vehicles.length);
-      } else {
-        console.error("❌ API Error:", data);
-        toast.error(data.message || "Failed to fetch vehicles");
-      }
+      setVehicles(data.vehicles);
+      calculateStats(data.vehicles);
+      console.log("✅ Vehicles loaded:", data.vehicles.length);
     } catch (error) {
       console.error("Failed to fetch vehicles:", error);
-      toast.error("Failed to connect to server");
+      if (error.response) {
+        toast.error(error.response.data?.message || "Failed to fetch vehicles");
+      } else {
+        toast.error("Failed to connect to server");
+      }
     } finally {
       setLoading(false);
     }
@@ -106,30 +133,21 @@ const MyVehicles = () => {
   const toggleVehicleStatus = async (vehicleId, currentStatus) => {
     try {
       const newStatus = !currentStatus;
-      const response = await fetch(
-        `http://localhost:5000/api/vehicles/${vehicleId}`,
-        {
-          method: "PUT",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            "availability.isAvailable": newStatus,
-          }),
-        }
-      );
+      await vehicleAPI.updateVehicle(vehicleId, {
+        "availability.isAvailable": newStatus,
+      });
 
-      if (response.ok) {
-        toast.success(
-          `Vehicle ${newStatus ? "activated" : "deactivated"} successfully`
-        );
-        fetchMyVehicles(); // Refresh the list
-      } else {
-        toast.error("Failed to update vehicle status");
-      }
+      toast.success(
+        `Vehicle ${newStatus ? "activated" : "deactivated"} successfully`
+      );
+      fetchMyVehicles(); // Refresh the list
     } catch (error) {
       console.error("Toggle status error:", error);
-      toast.error("Failed to connect to server");
+      if (error.response) {
+        toast.error("Failed to update vehicle status");
+      } else {
+        toast.error("Failed to connect to server");
+      }
     }
   };
 
@@ -143,22 +161,48 @@ const MyVehicles = () => {
     }
 
     try {
-      const response = await fetch(
-        `http://localhost:5000/api/vehicles/${vehicleId}`,
-        {
-          method: "DELETE",
-        }
-      );
+      await vehicleAPI.deleteVehicle(vehicleId);
 
-      if (response.ok) {
-        toast.success("Vehicle deleted successfully");
-        fetchMyVehicles(); // Refresh the list
-      } else {
+      toast.success("Vehicle deleted successfully");
+      fetchMyVehicles(); // Refresh the list
+    } catch (error) {
+      console.error("Delete vehicle error:", error);
+      if (error.response) {
         toast.error("Failed to delete vehicle");
+      } else {
+        toast.error("Failed to connect to server");
       }
+    }
+  };
+
+  const openPricingRules = (vehicle) => {
+    setRulesVehicle(vehicle);
+    setDraftRules(vehicle.pricing.rules || []);
+  };
+
+  const savePricingRules = async () => {
+    try {
+      setSavingRules(true);
+      await vehicleAPI.updateVehicle(rulesVehicle._id, {
+        "pricing.rules": draftRules,
+      });
+
+      toast.success("Pricing rules saved");
+      setRulesVehicle(null);
+      fetchMyVehicles(); // Refresh the list
     } catch (error) {
-      console.error("Delete vehicle error:", error);
-      toast.error("Failed to connect to server");
+      console.error("Save pricing rules error:", error);
+      if (error.response) {
+        toast.error(
+          error.response.data?.errors?.[0] ||
+            error.response.data?.message ||
+            "Failed to save pricing rules"
+        );
+      } else {
+        toast.error("Failed to connect to server");
+      }
+    } finally {
+      setSavingRules(false);
     }
   };
 
@@ -244,6 +288,13 @@ const MyVehicles = () => {
                 <Edit className="mr-3 h-4 w-4" />
                 Edit Vehicle
               </button>
+              <button
+                onClick={() => openPricingRules(vehicle)}
+                className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+              >
+                <DollarSign className="mr-3 h-4 w-4" />
+                Pricing Rules
+              </button>
               <button
                 onClick={() =>
                   toggleVehicleStatus(
@@ -300,9 +351,29 @@ const MyVehicles = () => {
             <p className="text-xs text-gray-500">
               Min: ৳{vehicle.pricing.minimumFare}
             </p>
+            {vehicle.pricing.rules?.some((rule) => rule.isActive) && (
+              <p className="text-xs text-blue-600">
+                {vehicle.pricing.rules.filter((rule) => rule.isActive).length}{" "}
+                pricing rule(s)
+              </p>
+            )}
           </div>
         </div>
 
+        {/* Review outcome */}
+        {["rejected", "suspended"].includes(vehicle.status) &&
+          vehicle.statusReason && (
+            <div className="mb-2 p-2 bg-red-50 rounded text-xs text-red-800">
+              <strong className="capitalize">{vehicle.status}:</strong>{" "}
+              {vehicle.statusReason}
+            </div>
+          )}
+        {vehicle.status === "pending" && (
+          <p className="mb-2 text-xs text-yellow-700">
+            Waiting for an administrator to check the documents
+          </p>
+        )}
+
         {/* Plate Number */}
         <div className="mb-2">
           <span className="inline-block bg-gray-100 text-gray-800 px-2 py-1 rounded text-sm font-mono">
@@ -389,6 +460,22 @@ const MyVehicles = () => {
           </button>
         </div>
 
+        {/* Licence verification */}
+        {licenseNotice(dbUser.driverDetails) && (
+          <div className="mb-8 p-4 bg-orange-50 border border-orange-200 rounded-lg flex items-center justify-between">
+            <p className="text-sm text-orange-800 flex items-center">
+              <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+              {licenseNotice(dbUser.driverDetails)}
+            </p>
+            <button
+              onClick={() => navigate("/driver-onboarding")}
+              className="ml-4 px-4 py-2 text-sm bg-orange-600 text-white rounded-lg hover:bg-orange-700 flex-shrink-0"
+            >
+              Driving licence
+            </button>
+          </div>
+        )}
+
         {/* Statistics Cards */}
         <div className="grid md:grid-cols-4 gap-6 mb-8">
           <div className="bg-white p-6 rounded-lg shadow-md">
@@ -506,6 +593,40 @@ const MyVehicles = () => {
           </div>
         )}
       </div>
+
+      {/* Pricing Rules Modal */}
+      {rulesVehicle && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-screen overflow-y-auto p-6">
+            <h2 className="text-xl font-bold text-gray-900 mb-1">
+              Pricing Rules
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {rulesVehicle.brand} {rulesVehicle.model} •{" "}
+              {rulesVehicle.plateNumber}
+            </p>
+
+            <PricingRulesEditor rules={draftRules} onChange={setDraftRules} />
+
+            <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-gray-200">
+              <button
+                onClick={() => setRulesVehicle(null)}
+                disabled={savingRules}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={savePricingRules}
+                disabled={savingRules}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {savingRules ? "Saving..." : "Save Rules"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -57,9 +57,9 @@ const RoleSelection = () => {
 
       toast.success("Role selected successfully!");
 
-      // Navigate based on role
+      // Drivers verify their licence before listing vehicles
       if (selectedRole === "driver") {
-        navigate("/add-vehicle");
+        navigate("/driver-onboarding");
       } else {
         navigate("/search");
       }
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import {
   Search,
   Filter,
@@ -8,9 +8,20 @@ import {
   Car,
   Truck,
   Ambulance,
+  LocateFixed,
+  X,
+  Repeat,
+  ArrowRight,
+  LayoutGrid,
+  Map as MapIcon,
 } from "lucide-react";
 import { useAuth } from "../context/AuthContext";
+import { vehicleAPI, returnTripAPI } from "../services/api";
 import BookingForm from "../components/booking/BookingForm";
+import VehicleReviews from "../components/vehicle/VehicleReviews";
+import Highlight from "../components/common/Highlight";
+import MapView from "../components/map/MapView";
+import { toLatLng } from "../components/map/mapConfig";
 import toast from "react-hot-toast";
 
 const VehicleSearch = () => {
@@ -19,6 +30,9 @@ const VehicleSearch = () => {
   const [loading, setLoading] = useState(false);
   const [showBookingModal, setShowBookingModal] = useState(false);
   const [selectedVehicle, setSelectedVehicle] = useState(null);
+  const [selectedReturnTrip, setSelectedReturnTrip] = useState(null);
+  const [reviewsVehicle, setReviewsVehicle] = useState(null);
+  const [returnTrips, setReturnTrips] = useState([]);
   const [filters, setFilters] = useState({
     type: "",
     city: "",
@@ -27,16 +41,27 @@ const VehicleSearch = () => {
     maxPrice: "",
     capacity: "",
     features: [],
+    q: "",
+    lat: "",
+    lng: "",
+    radiusKm: "",
     sortBy: "rating.average",
     sortOrder: -1,
   });
+  const [locating, setLocating] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
   const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 1,
     totalCount: 0,
+    hasNext: false,
+    nextCursor: null,
   });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [viewMode, setViewMode] = useState("grid");
+  const loadMoreRef = useRef(null);
+  const latestRequestRef = useRef(0);
   const [filterOptions, setFilterOptions] = useState({
     vehicleTypes: [],
     cities: [],
@@ -44,68 +69,148 @@ const VehicleSearch = () => {
     priceRange: { minPrice: 0, maxPrice: 100 },
   });
 
+  // Run the text search (and refresh suggestions) once typing pauses
+  useEffect(() => {
+    const query = searchQuery.trim();
+
+    const timer = setTimeout(async () => {
+      setFilters((prev) => {
+        if (prev.q === query) return prev;
+        let sortBy = prev.sortBy;
+        if (query && sortBy === "rating.average") sortBy = "relevance";
+        if (!query && sortBy === "relevance") sortBy = "rating.average";
+        return { ...prev, q: query, sortBy };
+      });
+
+      if (query.length < 2) {
+        setSuggestions([]);
+        return;
+      }
+      try {
+        const data = await vehicleAPI.getSuggestions(query);
+        setSuggestions(data.suggestions);
+      } catch (error) {
+        console.error("Failed to fetch suggestions:", error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
   // Fetch filter options on component mount
   useEffect(() => {
     fetchFilterOptions();
-    fetchVehicles();
   }, []);
 
-  // Fetch vehicles when filters change
-  useEffect(() => {
-    fetchVehicles();
-  }, [filters, pagination.currentPage]);
-
-  const fetchFilterOptions = async () => {
-    try {
-      const response = await fetch(
-        "http://localhost:5000/api/vehicles/meta/filters"
-      );
-      const data = await response.json();
-
-      if (response.ok) {
-        setFilterOptions(data.filters);
-      }
-    } catch (error) {
-      console.error("Failed to fetch filter options:", error);
-    }
-  };
+  // Fetch the first page of results, or the page after `cursor`
+  const fetchVehicles = useCallback(
+    async (cursor = null) => {
+      const requestId = ++latestRequestRef.current;
 
-  const fetchVehicles = async () => {
-    try {
-      setLoading(true);
+      try {
+        if (cursor) {
+          setLoadingMore(true);
+        } else {
+          setLoading(true);
+        }
 
-      const queryParams = new URLSearchParams();
+        const queryParams = {};
 
-      // Add filters to query params
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value && value !== "" && value.length !== 0) {
-          if (Array.isArray(value)) {
-            queryParams.append(key, value.join(","));
-          } else {
-            queryParams.append(key, value);
+        // Add filters to query params
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value && value !== "" && value.length !== 0) {
+            queryParams[key] = Array.isArray(value) ? value.join(",") : value;
           }
-        }
-      });
+        });
 
-      queryParams.append("page", pagination.currentPage);
-      queryParams.append("limit", 12);
+        queryParams.limit = 12;
+        if (cursor) queryParams.cursor = cursor;
 
-      const response = await fetch(
-        `http://localhost:5000/api/vehicles?${queryParams}`
-      );
-      const data = await response.json();
+        const data = await vehicleAPI.getVehicles(queryParams);
 
-      if (response.ok) {
-        setVehicles(data.vehicles);
+        // Drop responses for filters that have since changed
+        if (requestId !== latestRequestRef.current) return;
+
+        setVehicles((prev) =>
+          cursor ? [...prev, ...data.vehicles] : data.vehicles
+        );
         setPagination(data.pagination);
-      } else {
-        toast.error("Failed to fetch vehicles");
+      } catch (error) {
+        console.error("Failed to fetch vehicles:", error);
+        if (error.response) {
+          toast.error("Failed to fetch vehicles");
+        } else {
+          toast.error("Failed to connect to server");
+        }
+      } finally {
+        if (requestId === latestRequestRef.current) {
+          setLoading(false);
+          setLoadingMore(false);
+        }
+      }
+    },
+    [filters]
+  );
+
+  // Start over from the first page when filters change
+  useEffect(() => {
+    fetchVehicles();
+  }, [fetchVehicles]);
+
+  // Infinite scroll: load the next page when the end of the list is visible.
+  // The map view loads more on request instead.
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !pagination.hasNext || loading || loadingMore) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) fetchVehicles(pagination.nextCursor);
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [
+    fetchVehicles,
+    pagination.hasNext,
+    pagination.nextCursor,
+    loading,
+    loadingMore,
+    viewMode,
+  ]);
+
+  // Return trips: near me shows trips passing close by, otherwise upcoming
+  // trips leaving from the selected city
+  useEffect(() => {
+    const fetchReturnTrips = async () => {
+      try {
+        const data = filters.lat
+          ? await returnTripAPI.matchReturnTrips({
+              pickupLat: filters.lat,
+              pickupLng: filters.lng,
+              radiusKm: filters.radiusKm,
+            })
+          : await returnTripAPI.getReturnTrips({
+              originCity: filters.city || undefined,
+              limit: 8,
+            });
+        setReturnTrips(data.returnTrips);
+      } catch (error) {
+        console.error("Failed to fetch return trips:", error);
+        setReturnTrips([]);
       }
+    };
+
+    fetchReturnTrips();
+  }, [filters.lat, filters.lng, filters.radiusKm, filters.city]);
+
+  const fetchFilterOptions = async () => {
+    try {
+      const data = await vehicleAPI.getFilterOptions();
+      setFilterOptions(data.filters);
     } catch (error) {
-      console.error("Failed to fetch vehicles:", error);
-      toast.error("Failed to connect to server");
-    } finally {
-      setLoading(false);
+      console.error("Failed to fetch filter options:", error);
     }
   };
 
@@ -114,7 +219,44 @@ const VehicleSearch = () => {
       ...prev,
       [filterName]: value,
     }));
-    setPagination((prev) => ({ ...prev, currentPage: 1 }));
+  };
+
+  // Search around the browser's current position, nearest first
+  const handleNearMe = () => {
+    if (!navigator.geolocation) {
+      toast.error("Your browser does not support location access");
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setFilters((prev) => ({
+          ...prev,
+          lat: position.coords.latitude.toFixed(6),
+          lng: position.coords.longitude.toFixed(6),
+          radiusKm: prev.radiusKm || "5",
+          sortBy: "distance",
+        }));
+        setLocating(false);
+      },
+      (error) => {
+        console.error("Geolocation error:", error);
+        toast.error("Could not get your location");
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const clearNearMe = () => {
+    setFilters((prev) => ({
+      ...prev,
+      lat: "",
+      lng: "",
+      radiusKm: "",
+      sortBy: prev.sortBy === "distance" ? "rating.average" : prev.sortBy,
+    }));
   };
 
   const handleFeatureToggle = (feature) => {
@@ -135,6 +277,10 @@ const VehicleSearch = () => {
       maxPrice: "",
       capacity: "",
       features: [],
+      q: "",
+      lat: "",
+      lng: "",
+      radiusKm: "",
       sortBy: "rating.average",
       sortOrder: -1,
     });
@@ -188,8 +334,11 @@ const VehicleSearch = () => {
           </span>
         </div>
 
-        {/* Rating Badge */}
-        <div className="absolute top-3 right-3 bg-white/90 backdrop-blur-sm rounded-full px-2 py-1">
+        {/* Rating Badge, opening the vehicle's reviews */}
+        <button
+          onClick={() => setReviewsVehicle(vehicle)}
+          className="absolute top-3 right-3 bg-white/90 backdrop-blur-sm rounded-full px-2 py-1 hover:bg-white"
+        >
           <div className="flex items-center text-sm">
             <Star className="h-4 w-4 text-yellow-400 fill-current" />
             <span className="ml-1 font-medium">
@@ -197,8 +346,13 @@ const VehicleSearch = () => {
                 ? vehicle.rating.average.toFixed(1)
                 : "New"}
             </span>
+            {vehicle.rating.count > 0 && (
+              <span className="ml-1 text-xs text-gray-500">
+                ({vehicle.rating.count})
+              </span>
+            )}
           </div>
-        </div>
+        </button>
       </div>
 
       {/* Vehicle Info */}
@@ -206,7 +360,14 @@ const VehicleSearch = () => {
         <div className="flex items-start justify-between mb-2">
           <div>
             <h3 className="text-lg font-semibold text-gray-900">
-              {vehicle.brand} {vehicle.model}
+              <Highlight
+                text={vehicle.brand}
+                segments={vehicle.highlights?.brand}
+              />{" "}
+              <Highlight
+                text={vehicle.model}
+                segments={vehicle.highlights?.model}
+              />
             </h3>
             <p className="text-sm text-gray-600">
               {vehicle.year} • {vehicle.color}
@@ -226,8 +387,21 @@ const VehicleSearch = () => {
         <div className="flex items-center text-sm text-gray-600 mb-2">
           <MapPin className="h-4 w-4 mr-1" />
           <span>
-            {vehicle.location.area}, {vehicle.location.city}
+            <Highlight
+              text={vehicle.location.area}
+              segments={vehicle.highlights?.["location.area"]}
+            />
+            ,{" "}
+            <Highlight
+              text={vehicle.location.city}
+              segments={vehicle.highlights?.["location.city"]}
+            />
           </span>
+          {vehicle.distanceKm !== undefined && (
+            <span className="ml-auto text-blue-600 font-medium">
+              {vehicle.distanceKm} km away
+            </span>
+          )}
         </div>
 
         {/* Capacity */}
@@ -280,14 +454,136 @@ const VehicleSearch = () => {
             </div>
           </div>
 
+          <button
+            onClick={() => openBooking(vehicle)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+          >
+            Book Now
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  const openBooking = (vehicle) => {
+    setSelectedVehicle(vehicle);
+    setSelectedReturnTrip(null);
+    setShowBookingModal(true);
+  };
+
+  // Loaded vehicles as map markers, plus the searcher's position when known
+  const vehicleMarkers = vehicles
+    .filter((vehicle) => vehicle.location?.point)
+    .map((vehicle) => ({
+      id: vehicle._id,
+      position: toLatLng(vehicle.location.point),
+      label: `${vehicle.brand} ${vehicle.model}`,
+      popup: (
+        <div className="space-y-1">
+          <p className="font-semibold text-gray-900">
+            {vehicle.brand} {vehicle.model}
+          </p>
+          <p className="text-xs text-gray-600">
+            {vehicle.location.area}, {vehicle.location.city}
+            {vehicle.distanceKm != null && ` • ${vehicle.distanceKm} km away`}
+          </p>
+          <p className="text-sm font-bold text-blue-600">
+            ৳{vehicle.pricing.pricePerKm}/km
+          </p>
+          <button
+            onClick={() => openBooking(vehicle)}
+            className="bg-blue-600 text-white px-3 py-1 rounded text-xs font-medium hover:bg-blue-700"
+          >
+            Book Now
+          </button>
+        </div>
+      ),
+    }));
+  const searchMarkers =
+    filters.lat && filters.lng
+      ? [
+          ...vehicleMarkers,
+          {
+            id: "me",
+            position: [Number(filters.lat), Number(filters.lng)],
+            color: "green",
+            label: "You are here",
+          },
+        ]
+      : vehicleMarkers;
+
+  const ReturnTripCard = ({ trip }) => (
+    <div className="bg-white rounded-xl shadow-md hover:shadow-lg transition-shadow duration-300 overflow-hidden border-2 border-green-500">
+      <div className="bg-green-50 px-4 py-2 flex items-center justify-between">
+        <span className="flex items-center text-sm font-medium text-green-800">
+          <Repeat className="h-4 w-4 mr-1" />
+          Return Trip
+        </span>
+        <span className="px-2 py-1 bg-green-600 text-white text-xs font-bold rounded-full">
+          {trip.discountPercent}% OFF
+        </span>
+      </div>
+
+      <div className="p-4">
+        <div className="flex items-center text-gray-900 font-semibold mb-1">
+          <span className="truncate">
+            {trip.origin.city || trip.origin.address}
+          </span>
+          <ArrowRight className="h-4 w-4 mx-2 flex-shrink-0 text-gray-400" />
+          <span className="truncate">
+            {trip.destination.city || trip.destination.address}
+          </span>
+        </div>
+        <p className="text-sm text-gray-600 mb-3">
+          Leaves{" "}
+          {new Date(trip.departureWindow.start).toLocaleString([], {
+            dateStyle: "medium",
+            timeStyle: "short",
+          })}{" "}
+          –{" "}
+          {new Date(trip.departureWindow.end).toLocaleTimeString([], {
+            timeStyle: "short",
+          })}
+        </p>
+
+        <div className="flex items-center justify-between text-sm mb-3">
+          <span className="flex items-center text-gray-600">
+            {getVehicleIcon(trip.vehicle.type)}
+            <span className="ml-1">
+              {trip.vehicle.brand} {trip.vehicle.model}
+            </span>
+          </span>
+          <span className="text-right">
+            <span className="text-gray-400 line-through mr-1">
+              ৳{trip.vehicle.pricing.pricePerKm}
+            </span>
+            <span className="font-bold text-green-700">
+              ৳
+              {Math.round(
+                trip.vehicle.pricing.pricePerKm * (100 - trip.discountPercent)
+              ) / 100}
+              /km
+            </span>
+          </span>
+        </div>
+
+        {trip.pickupDistanceKm !== undefined && (
+          <p className="text-xs text-blue-600 mb-3">
+            Route passes {trip.pickupDistanceKm} km from you
+          </p>
+        )}
+
+        <div className="flex items-center justify-between pt-3 border-t border-gray-100">
+          <span className="text-sm text-gray-700">{trip.driver.name}</span>
           <button
             onClick={() => {
-              setSelectedVehicle(vehicle);
+              setSelectedVehicle({ ...trip.vehicle, driver: trip.driver });
+              setSelectedReturnTrip(trip);
               setShowBookingModal(true);
             }}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+            className="bg-green-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-green-700 transition-colors"
           >
-            Book Now
+            Book Seat
           </button>
         </div>
       </div>
@@ -308,8 +604,34 @@ const VehicleSearch = () => {
                 Discover and book vehicles for your journey
               </p>
             </div>
-            <div className="text-sm text-gray-500">
-              {pagination.totalCount} vehicles available
+            <div className="flex items-center gap-4">
+              <div className="text-sm text-gray-500">
+                {pagination.totalCount} vehicles available
+              </div>
+              <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                <button
+                  onClick={() => setViewMode("grid")}
+                  title="Grid view"
+                  className={`p-2 ${
+                    viewMode === "grid"
+                      ? "bg-blue-600 text-white"
+                      : "bg-white text-gray-600 hover:bg-gray-50"
+                  }`}
+                >
+                  <LayoutGrid className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => setViewMode("map")}
+                  title="Map view"
+                  className={`p-2 ${
+                    viewMode === "map"
+                      ? "bg-blue-600 text-white"
+                      : "bg-white text-gray-600 hover:bg-gray-50"
+                  }`}
+                >
+                  <MapIcon className="h-4 w-4" />
+                </button>
+              </div>
             </div>
           </div>
 
@@ -321,9 +643,39 @@ const VehicleSearch = () => {
                 type="text"
                 placeholder="Search by brand, model, or location..."
                 value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                onChange={(e) => {
+                  setSearchQuery(e.target.value);
+                  setShowSuggestions(true);
+                }}
+                onFocus={() => setShowSuggestions(true)}
+                onBlur={() => setShowSuggestions(false)}
                 className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
+
+              {/* Suggestions */}
+              {showSuggestions && suggestions.length > 0 && (
+                <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+                  {suggestions.map((suggestion) => (
+                    <li key={`${suggestion.field}-${suggestion.text}`}>
+                      <button
+                        type="button"
+                        // Keep focus so the click lands before the list closes
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => {
+                          setSearchQuery(suggestion.text);
+                          setShowSuggestions(false);
+                        }}
+                        className="w-full flex items-center justify-between px-4 py-2 text-left hover:bg-gray-50"
+                      >
+                        <span className="text-gray-900">{suggestion.text}</span>
+                        <span className="text-xs text-gray-400 capitalize">
+                          {suggestion.field}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
             <button
               onClick={() => setShowFilters(!showFilters)}
@@ -336,8 +688,47 @@ const VehicleSearch = () => {
               <Filter className="h-5 w-5 inline mr-2" />
               Filters
             </button>
+            <button
+              onClick={handleNearMe}
+              disabled={locating}
+              className={`px-6 py-3 rounded-lg font-medium transition-colors disabled:opacity-50 ${
+                filters.lat
+                  ? "bg-blue-600 text-white"
+                  : "bg-white border border-gray-300 text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              <LocateFixed className="h-5 w-5 inline mr-2" />
+              {locating ? "Locating..." : "Near Me"}
+            </button>
           </div>
 
+          {/* Near Me radius */}
+          {filters.lat && (
+            <div className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+              <MapPin className="h-4 w-4 text-blue-600" />
+              <span>Showing vehicles within</span>
+              <select
+                value={filters.radiusKm}
+                onChange={(e) => handleFilterChange("radiusKm", e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="1">1 km</option>
+                <option value="5">5 km</option>
+                <option value="10">10 km</option>
+                <option value="25">25 km</option>
+                <option value="50">50 km</option>
+              </select>
+              <span>of you</span>
+              <button
+                onClick={clearNearMe}
+                className="ml-2 text-gray-500 hover:text-gray-700"
+                title="Clear location"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+
           {/* Filters Panel */}
           {showFilters && (
             <div className="mt-4 p-4 bg-gray-50 rounded-lg">
@@ -412,7 +803,9 @@ const VehicleSearch = () => {
                     }
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
+                    {filters.q && <option value="relevance">Relevance</option>}
                     <option value="rating.average">Rating</option>
+                    {filters.lat && <option value="distance">Distance</option>}
                     <option value="pricing.pricePerKm">
                       Price (Low to High)
                     </option>
@@ -495,6 +888,26 @@ const VehicleSearch = () => {
         </div>
       </div>
 
+      {/* Return Trips */}
+      {returnTrips.length > 0 && (
+        <div className="container mx-auto px-4 pt-8">
+          <div className="flex items-center mb-4">
+            <Repeat className="h-5 w-5 text-green-600 mr-2" />
+            <h2 className="text-xl font-bold text-gray-900">
+              Discounted Return Trips
+            </h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Drivers heading back empty offer these routes at a lower fare
+          </p>
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+            {returnTrips.map((trip) => (
+              <ReturnTripCard key={trip._id} trip={trip} />
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Vehicle Grid */}
       <div className="container mx-auto px-4 py-8">
         {loading ? (
@@ -517,6 +930,31 @@ const VehicleSearch = () => {
               Clear Filters
             </button>
           </div>
+        ) : viewMode === "map" ? (
+          <>
+            {/* Vehicle Map */}
+            <MapView
+              className="h-[32rem]"
+              cluster
+              markers={searchMarkers}
+              fitTo={searchMarkers.map((marker) => marker.position)}
+            />
+            <div className="flex items-center justify-between py-4 text-sm text-gray-500">
+              <span>
+                Showing {vehicleMarkers.length} of {pagination.totalCount}{" "}
+                vehicles
+              </span>
+              {pagination.hasNext && (
+                <button
+                  onClick={() => fetchVehicles(pagination.nextCursor)}
+                  disabled={loadingMore}
+                  className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {loadingMore ? "Loading..." : "Load more"}
+                </button>
+              )}
+            </div>
+          </>
         ) : (
           <>
             {/* Vehicle Cards Grid */}
@@ -526,53 +964,41 @@ const VehicleSearch = () => {
               ))}
             </div>
 
-            {/* Pagination */}
-            {pagination.totalPages > 1 && (
-              <div className="flex justify-center items-center space-x-2">
-                <button
-                  onClick={() =>
-                    setPagination((prev) => ({
-                      ...prev,
-                      currentPage: prev.currentPage - 1,
-                    }))
-                  }
-                  disabled={!pagination.hasPrev}
-                  className="px-3 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
-                >
-                  Previous
-                </button>
-
-                <span className="px-4 py-2 text-sm text-gray-600">
-                  Page {pagination.currentPage} of {pagination.totalPages}
-                </span>
-
-                <button
-                  onClick={() =>
-                    setPagination((prev) => ({
-                      ...prev,
-                      currentPage: prev.currentPage + 1,
-                    }))
-                  }
-                  disabled={!pagination.hasNext}
-                  className="px-3 py-2 border border-gray-300 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
-                >
-                  Next
-                </button>
+            {/* Infinite scroll sentinel */}
+            <div ref={loadMoreRef} className="h-1" />
+            {loadingMore && (
+              <div className="flex justify-center py-6">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
               </div>
             )}
+            {!pagination.hasNext && vehicles.length > 0 && (
+              <p className="text-center text-sm text-gray-500 py-6">
+                You've seen all {pagination.totalCount} vehicles
+              </p>
+            )}
           </>
         )}
       </div>
 
+      {/* Reviews Modal */}
+      {reviewsVehicle && (
+        <VehicleReviews
+          vehicle={reviewsVehicle}
+          onClose={() => setReviewsVehicle(null)}
+        />
+      )}
+
       {/* Booking Modal */}
       {showBookingModal && selectedVehicle && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="max-w-4xl w-full max-h-screen overflow-y-auto">
             <BookingForm
               vehicle={selectedVehicle}
+              returnTrip={selectedReturnTrip}
               onClose={() => {
                 setShowBookingModal(false);
                 setSelectedVehicle(null);
+                setSelectedReturnTrip(null);
               }}
             />
           </div>
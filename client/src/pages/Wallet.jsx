@@ -0,0 +1,614 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { walletAPI, paymentAPI } from "../services/api";
+import { subscribe } from "../services/realtime";
+import {
+  Wallet as WalletIcon,
+  Plus,
+  ArrowDownLeft,
+  ArrowUpRight,
+  Banknote,
+  CheckCircle,
+  XCircle,
+  Loader,
+  RefreshCw,
+} from "lucide-react";
+import toast from "react-hot-toast";
+
+// How often, and how many times, to check a top-up after the gateway sends
+// the user back, until its callback has arrived
+const PAYMENT_POLL_MS = 2000;
+const PAYMENT_POLL_ATTEMPTS = 10;
+
+const TOP_UP_PRESETS = [500, 1000, 2000];
+
+const transactionLabels = {
+  topup: "Top-up",
+  topup_refund: "Top-up refunded",
+  payment: "Trip payment",
+  refund: "Refund",
+  earning: "Trip earning",
+  commission: "Platform commission",
+  payout: "Payout",
+  payout_reversal: "Payout returned",
+};
+
+const payoutMethodLabels = {
+  bkash: "bKash",
+  nagad: "Nagad",
+  bank_transfer: "Bank transfer",
+};
+
+const payoutStatusColors = {
+  requested: "bg-yellow-100 text-yellow-800",
+  paid: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+};
+
+const formatAmount = (amount) =>
+  `৳${Math.abs(amount).toLocaleString(undefined, {
+    maximumFractionDigits: 2,
+  })}`;
+
+const Wallet = () => {
+  const { dbUser } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [wallet, setWallet] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [settings, setSettings] = useState({});
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [topUpAmount, setTopUpAmount] = useState("");
+  const [topUpMethod, setTopUpMethod] = useState("card");
+  const [toppingUp, setToppingUp] = useState(false);
+  const [payouts, setPayouts] = useState([]);
+  const [payoutForm, setPayoutForm] = useState({
+    amount: "",
+    method: "bkash",
+    accountNumber: "",
+  });
+  const [requestingPayout, setRequestingPayout] = useState(false);
+  const [payoutQueue, setPayoutQueue] = useState([]);
+  const [processingPayoutId, setProcessingPayoutId] = useState(null);
+
+  const isDriver = dbUser?.role === "driver";
+  const isAdmin = dbUser?.role === "admin";
+
+  const loadWallet = useCallback(async (pageNumber) => {
+    try {
+      setLoading(true);
+      const data = await walletAPI.getWallet({ page: pageNumber });
+      setWallet(data.wallet);
+      setTransactions(data.transactions);
+      setPagination(data.pagination);
+      setSettings(data.settings || {});
+    } catch (error) {
+      console.error("❌ Fetch wallet error:", error);
+      toast.error("❌ Failed to load your wallet", { id: "wallet-load" });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadPayouts = useCallback(async () => {
+    try {
+      if (isDriver) {
+        const data = await walletAPI.getPayouts();
+        setPayouts(data.payouts);
+      }
+      if (isAdmin) {
+        const data = await walletAPI.getAllPayouts("requested");
+        setPayoutQueue(data.payouts);
+      }
+    } catch (error) {
+      console.error("❌ Fetch payouts error:", error);
+    }
+  }, [isDriver, isAdmin]);
+
+  // Always reload the page currently shown, from effects set up once
+  const refreshRef = useRef(() => {});
+  refreshRef.current = () => {
+    loadWallet(page);
+    loadPayouts();
+  };
+
+  useEffect(() => {
+    if (dbUser?.id) loadWallet(page);
+  }, [dbUser?.id, page, loadWallet]);
+
+  useEffect(() => {
+    if (dbUser?.id) loadPayouts();
+  }, [dbUser?.id, loadPayouts]);
+
+  // Keep the balance live as money moves in or out
+  useEffect(() => {
+    if (!dbUser?.id) return;
+
+    return subscribe(`user:${dbUser.id}`, (message) => {
+      if (message.type === "wallet") {
+        setWallet((current) =>
+          current ? { ...current, balance: message.balance } : current
+        );
+        refreshRef.current();
+      }
+    });
+  }, [dbUser?.id]);
+
+  // Report on a top-up when the gateway sends the user back here
+  const returnedPaymentId = searchParams.get("payment");
+  useEffect(() => {
+    if (!returnedPaymentId || !dbUser?.id) return;
+
+    let cancelled = false;
+    let timer = null;
+    const check = async (attempt) => {
+      try {
+        const { payment } = await paymentAPI.getIntent(returnedPaymentId);
+        if (cancelled) return;
+
+        if (payment.status === "pending" && attempt < PAYMENT_POLL_ATTEMPTS) {
+          timer = setTimeout(() => check(attempt + 1), PAYMENT_POLL_MS);
+          return;
+        }
+
+        if (payment.status === "succeeded") {
+          toast.success(`✅ ${formatAmount(payment.amount)} added`, {
+            id: "topup-return",
+          });
+        } else if (payment.status === "pending") {
+          toast("⏳ Top-up is still being confirmed", { id: "topup-return" });
+        } else {
+          toast.error(
+            `❌ Top-up ${payment.status}${
+              payment.failureReason ? `: ${payment.failureReason}` : ""
+            }`,
+            { id: "topup-return" }
+          );
+        }
+      } catch (error) {
+        if (cancelled) return;
+        console.error("❌ Top-up check error:", error);
+        toast.error("❌ Could not check the top-up", { id: "topup-return" });
+      }
+
+      setSearchParams({}, { replace: true });
+      refreshRef.current();
+    };
+
+    toast.loading("⏳ Checking your top-up...", { id: "topup-return" });
+    check(1);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [returnedPaymentId, dbUser?.id, setSearchParams]);
+
+  // Send the user to the gateway; they come back to ?payment=<id>
+  const handleTopUp = async (e) => {
+    e.preventDefault();
+    try {
+      setToppingUp(true);
+      const { payment } = await walletAPI.topUp(
+        Number(topUpAmount),
+        topUpMethod
+      );
+      window.location.assign(payment.redirectUrl);
+    } catch (error) {
+      console.error("❌ Top-up error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to start the top-up"}`
+      );
+      setToppingUp(false);
+    }
+  };
+
+  const handleRequestPayout = async (e) => {
+    e.preventDefault();
+    try {
+      setRequestingPayout(true);
+      await walletAPI.requestPayout({
+        ...payoutForm,
+        amount: Number(payoutForm.amount),
+      });
+      toast.success("✅ Payout requested");
+      setPayoutForm((form) => ({ ...form, amount: "" }));
+      refreshRef.current();
+    } catch (error) {
+      console.error("❌ Request payout error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to request the payout"}`
+      );
+    } finally {
+      setRequestingPayout(false);
+    }
+  };
+
+  const handleProcessPayout = async (payout, status) => {
+    let reference;
+    let note;
+    if (status === "paid") {
+      reference = prompt("Transaction reference for this payout (optional):");
+      if (reference === null) return;
+    } else {
+      note = prompt("Why is this payout being rejected?");
+      if (!note) return;
+    }
+
+    try {
+      setProcessingPayoutId(payout._id);
+      await walletAPI.processPayout(payout._id, {
+        status,
+        reference: reference || undefined,
+        note,
+      });
+      toast.success(
+        status === "paid" ? "✅ Payout marked as paid" : "✅ Payout rejected"
+      );
+      setPayoutQueue((queue) => queue.filter(({ _id }) => _id !== payout._id));
+    } catch (error) {
+      console.error("❌ Process payout error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to update the payout"}`
+      );
+    } finally {
+      setProcessingPayoutId(null);
+    }
+  };
+
+  if (!wallet && loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <Loader className="h-12 w-12 animate-spin text-blue-600 mx-auto" />
+          <p className="mt-4 text-gray-600">Loading your wallet...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const balance = wallet?.balance ?? 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-5xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Wallet</h1>
+            <p className="text-gray-600">
+              {isDriver
+                ? `Trip earnings are credited here, less the ${
+                    settings.commissionPercent ?? 15
+                  }% platform commission`
+                : "Top up once and pay for trips in a single tap"}
+            </p>
+          </div>
+          <button
+            onClick={() => refreshRef.current()}
+            disabled={loading}
+            className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center disabled:opacity-50"
+          >
+            <RefreshCw
+              className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+            />
+            Refresh
+          </button>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6 mb-8">
+          {/* Balance */}
+          <div className="bg-gradient-to-br from-blue-600 to-blue-800 text-white p-6 rounded-lg shadow-md">
+            <div className="flex items-center mb-4">
+              <WalletIcon className="h-6 w-6 mr-2" />
+              <span className="font-medium">Available balance</span>
+            </div>
+            <p className="text-4xl font-bold">
+              {balance < 0 && "-"}
+              {formatAmount(balance)}
+            </p>
+            {balance < 0 && (
+              <p className="text-sm text-blue-100 mt-3">
+                Commission owed on cash trips is taken from your next earnings.
+              </p>
+            )}
+          </div>
+
+          {/* Top up */}
+          <form
+            onSubmit={handleTopUp}
+            className="bg-white p-6 rounded-lg shadow-md"
+          >
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Plus className="h-5 w-5 mr-2 text-blue-600" />
+              Add money
+            </h2>
+            <div className="flex gap-2 mb-3">
+              {TOP_UP_PRESETS.map((amount) => (
+                <button
+                  key={amount}
+                  type="button"
+                  onClick={() => setTopUpAmount(String(amount))}
+                  className={`px-3 py-1 rounded-full text-sm border ${
+                    Number(topUpAmount) === amount
+                      ? "bg-blue-600 text-white border-blue-600"
+                      : "border-gray-300 text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  ৳{amount}
+                </button>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              <input
+                type="number"
+                min="1"
+                step="1"
+                required
+                value={topUpAmount}
+                onChange={(e) => setTopUpAmount(e.target.value)}
+                placeholder="Amount (৳)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <select
+                value={topUpMethod}
+                onChange={(e) => setTopUpMethod(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="card">Card</option>
+                <option value="mobile_banking">Mobile banking</option>
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={toppingUp || !topUpAmount}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center justify-center"
+            >
+              {toppingUp ? (
+                <Loader className="h-4 w-4 animate-spin mr-2" />
+              ) : null}
+              Top up
+            </button>
+          </form>
+        </div>
+
+        {/* Driver payouts */}
+        {isDriver && (
+          <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Banknote className="h-5 w-5 mr-2 text-green-600" />
+              Withdraw earnings
+            </h2>
+            <form
+              onSubmit={handleRequestPayout}
+              className="grid md:grid-cols-4 gap-3 mb-6"
+            >
+              <input
+                type="number"
+                min={settings.minPayoutAmount || 1}
+                step="1"
+                required
+                value={payoutForm.amount}
+                onChange={(e) =>
+                  setPayoutForm((form) => ({
+                    ...form,
+                    amount: e.target.value,
+                  }))
+                }
+                placeholder={`Amount (min ৳${settings.minPayoutAmount ?? 100})`}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <select
+                value={payoutForm.method}
+                onChange={(e) =>
+                  setPayoutForm((form) => ({
+                    ...form,
+                    method: e.target.value,
+                  }))
+                }
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {Object.entries(payoutMethodLabels).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                required
+                maxLength={40}
+                value={payoutForm.accountNumber}
+                onChange={(e) =>
+                  setPayoutForm((form) => ({
+                    ...form,
+                    accountNumber: e.target.value,
+                  }))
+                }
+                placeholder="Account number"
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                disabled={requestingPayout || balance <= 0}
+                className="bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                {requestingPayout ? "Requesting..." : "Request payout"}
+              </button>
+            </form>
+
+            {payouts.length === 0 ? (
+              <p className="text-sm text-gray-500">No payouts requested yet.</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {payouts.map((payout) => (
+                  <div
+                    key={payout._id}
+                    className="py-3 flex items-center justify-between text-sm"
+                  >
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {formatAmount(payout.amount)} to{" "}
+                        {payoutMethodLabels[payout.method]} ·{" "}
+                        {payout.accountNumber}
+                      </p>
+                      <p className="text-gray-500">
+                        {new Date(payout.createdAt).toLocaleString()}
+                        {payout.note && ` · ${payout.note}`}
+                      </p>
+                    </div>
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium capitalize ${
+                        payoutStatusColors[payout.status]
+                      }`}
+                    >
+                      {payout.status}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Admin payout queue */}
+        {isAdmin && (
+          <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Banknote className="h-5 w-5 mr-2 text-green-600" />
+              Payout requests
+            </h2>
+            {payoutQueue.length === 0 ? (
+              <p className="text-sm text-gray-500">No payouts waiting.</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {payoutQueue.map((payout) => (
+                  <div
+                    key={payout._id}
+                    className="py-3 flex items-center justify-between text-sm"
+                  >
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {formatAmount(payout.amount)} to{" "}
+                        {payout.driver?.name || "Driver"} via{" "}
+                        {payoutMethodLabels[payout.method]} ·{" "}
+                        {payout.accountNumber}
+                      </p>
+                      <p className="text-gray-500">
+                        {payout.driver?.phone || payout.driver?.email} ·{" "}
+                        {new Date(payout.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleProcessPayout(payout, "paid")}
+                        disabled={processingPayoutId === payout._id}
+                        className="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 flex items-center disabled:opacity-50"
+                      >
+                        <CheckCircle className="h-4 w-4 mr-1" />
+                        Mark paid
+                      </button>
+                      <button
+                        onClick={() => handleProcessPayout(payout, "rejected")}
+                        disabled={processingPayoutId === payout._id}
+                        className="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700 flex items-center disabled:opacity-50"
+                      >
+                        <XCircle className="h-4 w-4 mr-1" />
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Transaction history */}
+        <div className="bg-white p-6 rounded-lg shadow-md">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            Transaction history
+          </h2>
+          {transactions.length === 0 ? (
+            <p className="text-sm text-gray-500">No transactions yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {transactions.map((transaction) => (
+                <div
+                  key={transaction._id}
+                  className="py-3 flex items-center justify-between"
+                >
+                  <div className="flex items-center">
+                    <div
+                      className={`w-9 h-9 rounded-full flex items-center justify-center mr-3 ${
+                        transaction.amount >= 0 ? "bg-green-100" : "bg-red-100"
+                      }`}
+                    >
+                      {transaction.amount >= 0 ? (
+                        <ArrowDownLeft className="h-4 w-4 text-green-600" />
+                      ) : (
+                        <ArrowUpRight className="h-4 w-4 text-red-600" />
+                      )}
+                    </div>
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {transactionLabels[transaction.type] ||
+                          transaction.type}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {new Date(transaction.createdAt).toLocaleString()}
+                        {transaction.memo && ` · ${transaction.memo}`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <p
+                      className={`font-semibold ${
+                        transaction.amount >= 0
+                          ? "text-green-600"
+                          : "text-red-600"
+                      }`}
+                    >
+                      {transaction.amount >= 0 ? "+" : "-"}
+                      {formatAmount(transaction.amount)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Balance {transaction.balanceAfter < 0 && "-"}
+                      {formatAmount(transaction.balanceAfter)}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-100 text-sm">
+              <button
+                onClick={() => setPage((current) => current - 1)}
+                disabled={page <= 1 || loading}
+                className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+              >
+                Newer
+              </button>
+              <span className="text-gray-500">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPage((current) => current + 1)}
+                disabled={!pagination.hasNext || loading}
+                className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+              >
+                Older
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Wallet;
@@ -0,0 +1,343 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import { driverAPI } from "../../services/api";
+import {
+  IdCard,
+  User,
+  CheckCircle,
+  XCircle,
+  RefreshCw,
+  Loader,
+  ExternalLink,
+} from "lucide-react";
+import toast from "react-hot-toast";
+
+const STATUS_TABS = [
+  { value: "pending", label: "Pending" },
+  { value: "approved", label: "Approved" },
+  { value: "rejected", label: "Rejected" },
+  { value: "expired", label: "Expired" },
+];
+
+const statusColors = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+  expired: "bg-gray-100 text-gray-700",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Flag licences that have expired or expire within a month
+const expiryState = (expiryDate) => {
+  const daysLeft = (new Date(expiryDate) - Date.now()) / DAY_MS;
+  const label = new Date(expiryDate).toLocaleDateString();
+  if (daysLeft < 0) {
+    return { label: `Expired ${label}`, className: "text-red-600" };
+  }
+  if (daysLeft < 30) {
+    return { label: `Expires ${label}`, className: "text-orange-600" };
+  }
+  return { label: `Expires ${label}`, className: "text-gray-600" };
+};
+
+const DriverVerification = () => {
+  const { dbUser } = useAuth();
+  const [status, setStatus] = useState("pending");
+  const [drivers, setDrivers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [actingOn, setActingOn] = useState(null);
+
+  const isAdmin = dbUser?.role === "admin";
+
+  const loadDrivers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await driverAPI.getLicenses({ status, page });
+      setDrivers(data.drivers);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error("❌ Fetch licences error:", error);
+      toast.error("❌ Failed to load licences", { id: "licenses-load" });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    if (isAdmin) loadDrivers();
+  }, [isAdmin, loadDrivers]);
+
+  const handleReview = async (driver, decision) => {
+    const note = prompt(
+      decision === "approve"
+        ? "Note for the driver (optional):"
+        : "Why is this licence being rejected? The driver will see this."
+    );
+    if (note === null) return;
+    if (decision === "reject" && !note.trim()) {
+      toast.error("❌ Please give the driver a reason");
+      return;
+    }
+
+    try {
+      setActingOn(driver._id);
+      await driverAPI.reviewLicense(driver._id, {
+        decision,
+        note: note.trim() || undefined,
+      });
+      toast.success(
+        `✅ ${driver.name}'s licence ${
+          decision === "approve" ? "approved" : "rejected"
+        }`
+      );
+      loadDrivers();
+    } catch (error) {
+      console.error("❌ Review licence error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to review the licence"}`
+      );
+    } finally {
+      setActingOn(null);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-lg shadow-md text-center">
+          <h2 className="text-2xl font-bold text-red-600 mb-4">
+            Access Denied
+          </h2>
+          <p className="text-gray-600">
+            Only administrators can verify drivers.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+              <IdCard className="h-8 w-8 mr-3 text-blue-600" />
+              Driver Verification
+            </h1>
+            <p className="text-gray-600">
+              Check each driver's licence before their vehicles can be listed
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Link
+              to="/admin"
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Vehicles
+            </Link>
+            <Link
+              to="/admin/users"
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Users
+            </Link>
+            <button
+              onClick={loadDrivers}
+              disabled={loading}
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center disabled:opacity-50"
+            >
+              <RefreshCw
+                className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+              />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {/* Status Tabs */}
+        <div className="flex gap-2 mb-6">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => {
+                setStatus(tab.value);
+                setPage(1);
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === tab.value
+                  ? "bg-blue-600 text-white"
+                  : "bg-white text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Licences */}
+        {loading && drivers.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Loader className="h-8 w-8 animate-spin text-blue-600" />
+          </div>
+        ) : drivers.length === 0 ? (
+          <div className="bg-white p-12 rounded-lg shadow-md text-center text-gray-500">
+            No {status} licences.
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {drivers.map((driver) => {
+              const details = driver.driverDetails;
+              const expiry = expiryState(details.licenseExpiry);
+
+              return (
+                <div
+                  key={driver._id}
+                  className="bg-white p-6 rounded-lg shadow-md grid grid-cols-1 md:grid-cols-3 gap-6"
+                >
+                  <div className="md:col-span-2 text-sm">
+                    <div className="flex items-start justify-between mb-3">
+                      <div>
+                        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                          <User className="h-5 w-5 mr-2 text-gray-500" />
+                          {driver.name}
+                        </h3>
+                        <p className="text-gray-600">
+                          {driver.email}
+                          {driver.phone && ` · ${driver.phone}`}
+                        </p>
+                      </div>
+                      <div className="flex gap-1">
+                        {!driver.isActive && (
+                          <span className="px-2 py-1 rounded text-xs font-medium bg-red-100 text-red-800">
+                            Suspended
+                          </span>
+                        )}
+                        <span
+                          className={`px-2 py-1 rounded text-xs font-medium capitalize ${
+                            statusColors[details.licenseStatus]
+                          }`}
+                        >
+                          {details.licenseStatus}
+                        </span>
+                      </div>
+                    </div>
+
+                    <dl className="grid grid-cols-2 gap-y-1 mb-4">
+                      <dt className="text-gray-500">Licence number</dt>
+                      <dd className="text-gray-900">{details.licenseNumber}</dd>
+                      <dt className="text-gray-500">Expiry</dt>
+                      <dd className={expiry.className}>{expiry.label}</dd>
+                      <dt className="text-gray-500">Vehicle type</dt>
+                      <dd className="text-gray-900 capitalize">
+                        {details.vehicleType || "—"}
+                      </dd>
+                      <dt className="text-gray-500">Experience</dt>
+                      <dd className="text-gray-900">
+                        {details.experience != null
+                          ? `${details.experience} years`
+                          : "—"}
+                      </dd>
+                      <dt className="text-gray-500">Submitted</dt>
+                      <dd className="text-gray-900">
+                        {details.licenseSubmittedAt
+                          ? new Date(
+                              details.licenseSubmittedAt
+                            ).toLocaleString()
+                          : "—"}
+                      </dd>
+                    </dl>
+
+                    {details.licenseReviewedAt && (
+                      <p className="text-xs text-gray-500 mb-4">
+                        Reviewed
+                        {details.licenseReviewedBy?.name &&
+                          ` by ${details.licenseReviewedBy.name}`}{" "}
+                        on{" "}
+                        {new Date(details.licenseReviewedAt).toLocaleString()}
+                        {details.licenseReviewNote &&
+                          `: ${details.licenseReviewNote}`}
+                      </p>
+                    )}
+
+                    {details.licenseStatus === "pending" && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleReview(driver, "approve")}
+                          disabled={actingOn === driver._id}
+                          className="flex items-center px-3 py-1 text-sm text-white rounded disabled:opacity-50 bg-green-600 hover:bg-green-700"
+                        >
+                          <CheckCircle className="h-4 w-4 mr-1" />
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReview(driver, "reject")}
+                          disabled={actingOn === driver._id}
+                          className="flex items-center px-3 py-1 text-sm text-white rounded disabled:opacity-50 bg-red-600 hover:bg-red-700"
+                        >
+                          <XCircle className="h-4 w-4 mr-1" />
+                          Reject
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Licence photo */}
+                  {details.licensePhotoUrl ? (
+                    <a
+                      href={details.licensePhotoUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="block"
+                    >
+                      <img
+                        src={details.licensePhotoUrl}
+                        alt={`${driver.name}'s licence`}
+                        className="w-full h-40 object-cover rounded border border-gray-200"
+                      />
+                      <span className="flex items-center text-xs text-blue-600 mt-1">
+                        <ExternalLink className="h-3 w-3 mr-1" />
+                        Open full size
+                      </span>
+                    </a>
+                  ) : (
+                    <p className="text-xs text-gray-500">No photo uploaded</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-6 text-sm">
+            <button
+              onClick={() => setPage((current) => current - 1)}
+              disabled={page <= 1 || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-500">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setPage((current) => current + 1)}
+              disabled={!pagination.hasNext || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DriverVerification;
@@ -0,0 +1,305 @@
+import { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../../context/AuthContext";
+import { reportAPI } from "../../services/api";
+import {
+  Shield,
+  Star,
+  EyeOff,
+  Eye,
+  ArrowUpCircle,
+  RefreshCw,
+  Loader,
+} from "lucide-react";
+import toast from "react-hot-toast";
+
+const STATUS_TABS = [
+  { value: "queue", label: "Queue" },
+  { value: "escalated", label: "Escalated" },
+  { value: "resolved", label: "Resolved" },
+];
+
+const statusColors = {
+  open: "bg-yellow-100 text-yellow-800",
+  escalated: "bg-orange-100 text-orange-800",
+  resolved: "bg-gray-100 text-gray-700",
+};
+
+const formatReason = (reason) =>
+  reason.charAt(0).toUpperCase() + reason.slice(1).replace("_", " ");
+
+const Moderation = () => {
+  const { dbUser } = useAuth();
+  const [status, setStatus] = useState("queue");
+  const [reports, setReports] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [actingOn, setActingOn] = useState(null);
+
+  const isAdmin = dbUser?.role === "admin";
+
+  const loadReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await reportAPI.getReports({ status, page });
+      setReports(data.reports);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error("❌ Fetch reports error:", error);
+      toast.error("❌ Failed to load reports", { id: "reports-load" });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    if (isAdmin) loadReports();
+  }, [isAdmin, loadReports]);
+
+  const handleAction = async (report, action) => {
+    const note = prompt(
+      action === "escalate"
+        ? "Why does this need a closer look? (optional)"
+        : "Note for the people involved (optional):"
+    );
+    if (note === null) return;
+
+    try {
+      setActingOn(report._id);
+      await reportAPI.moderateReport(report._id, {
+        action,
+        note: note.trim() || undefined,
+      });
+      toast.success(
+        {
+          hide: "✅ Review hidden",
+          restore: "✅ Report closed",
+          escalate: "✅ Report escalated",
+        }[action]
+      );
+      loadReports();
+    } catch (error) {
+      console.error("❌ Moderate report error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to update the report"}`
+      );
+    } finally {
+      setActingOn(null);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-lg shadow-md text-center">
+          <h2 className="text-2xl font-bold text-red-600 mb-4">
+            Access Denied
+          </h2>
+          <p className="text-gray-600">
+            Only administrators can moderate reports.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-5xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+              <Shield className="h-8 w-8 mr-3 text-blue-600" />
+              Moderation
+            </h1>
+            <p className="text-gray-600">
+              Reported reviews and users, oldest first
+            </p>
+          </div>
+          <button
+            onClick={loadReports}
+            disabled={loading}
+            className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center disabled:opacity-50"
+          >
+            <RefreshCw
+              className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+            />
+            Refresh
+          </button>
+        </div>
+
+        {/* Status Tabs */}
+        <div className="flex gap-2 mb-6">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => {
+                setStatus(tab.value);
+                setPage(1);
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === tab.value
+                  ? "bg-blue-600 text-white"
+                  : "bg-white text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Reports */}
+        {loading && reports.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Loader className="h-8 w-8 animate-spin text-blue-600" />
+          </div>
+        ) : reports.length === 0 ? (
+          <div className="bg-white p-12 rounded-lg shadow-md text-center text-gray-500">
+            Nothing to review here.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {reports.map((report) => {
+              const review =
+                report.targetType === "review"
+                  ? report.booking?.rating?.[report.side]
+                  : null;
+              const vehicle = report.booking?.vehicle;
+
+              return (
+                <div
+                  key={report._id}
+                  className="bg-white p-6 rounded-lg shadow-md"
+                >
+                  <div className="flex items-start justify-between mb-3">
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {report.targetType === "review"
+                          ? `Review by ${report.reportedUser?.name}`
+                          : `User: ${report.reportedUser?.name} (${report.reportedUser?.role})`}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {formatReason(report.reason)} · reported by{" "}
+                        {report.reporter?.name} on{" "}
+                        {new Date(report.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium capitalize ${
+                        statusColors[report.status]
+                      }`}
+                    >
+                      {report.status}
+                      {report.outcome && ` · ${report.outcome}`}
+                    </span>
+                  </div>
+
+                  {report.details && (
+                    <p className="text-sm text-gray-700 mb-3">
+                      "{report.details}"
+                    </p>
+                  )}
+
+                  {review && (
+                    <div className="p-3 bg-gray-50 rounded-lg text-sm mb-3">
+                      <div className="flex items-center mb-1">
+                        {[1, 2, 3, 4, 5].map((value) => (
+                          <Star
+                            key={value}
+                            className={`h-4 w-4 ${
+                              value <= review.rating
+                                ? "text-yellow-400 fill-current"
+                                : "text-gray-300"
+                            }`}
+                          />
+                        ))}
+                        {review.hiddenAt && (
+                          <span className="ml-2 text-xs text-red-600">
+                            Hidden
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-gray-700">
+                        {review.review || "No written review"}
+                      </p>
+                    </div>
+                  )}
+
+                  <div className="flex items-center justify-between">
+                    <p className="text-xs text-gray-500">
+                      Trip:{" "}
+                      {vehicle
+                        ? `${vehicle.brand} ${vehicle.model} (${vehicle.plateNumber})`
+                        : "—"}
+                      {report.booking &&
+                        ` on ${new Date(
+                          report.booking.scheduledDateTime
+                        ).toLocaleDateString()}`}
+                    </p>
+                    <div className="flex gap-2">
+                      {report.targetType === "review" && !review?.hiddenAt && (
+                        <button
+                          onClick={() => handleAction(report, "hide")}
+                          disabled={actingOn === report._id}
+                          className="flex items-center px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                        >
+                          <EyeOff className="h-4 w-4 mr-1" />
+                          Hide
+                        </button>
+                      )}
+                      {(report.status !== "resolved" || review?.hiddenAt) && (
+                        <button
+                          onClick={() => handleAction(report, "restore")}
+                          disabled={actingOn === report._id}
+                          className="flex items-center px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                        >
+                          <Eye className="h-4 w-4 mr-1" />
+                          {review?.hiddenAt ? "Restore" : "Keep"}
+                        </button>
+                      )}
+                      {report.status === "open" && (
+                        <button
+                          onClick={() => handleAction(report, "escalate")}
+                          disabled={actingOn === report._id}
+                          className="flex items-center px-3 py-1 text-sm bg-orange-500 text-white rounded hover:bg-orange-600 disabled:opacity-50"
+                        >
+                          <ArrowUpCircle className="h-4 w-4 mr-1" />
+                          Escalate
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-6 text-sm">
+            <button
+              onClick={() => setPage((current) => current - 1)}
+              disabled={page <= 1 || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-500">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setPage((current) => current + 1)}
+              disabled={!pagination.hasNext || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Moderation;
@@ -0,0 +1,284 @@
+import { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../../context/AuthContext";
+import { userAPI } from "../../services/api";
+import UserDetails from "../../components/admin/UserDetails";
+import { Users as UsersIcon, Search, Loader } from "lucide-react";
+import toast from "react-hot-toast";
+
+const ROLE_LABELS = { user: "Passenger", driver: "Driver", admin: "Admin" };
+
+const roleColors = {
+  user: "bg-blue-100 text-blue-800",
+  driver: "bg-green-100 text-green-800",
+  admin: "bg-purple-100 text-purple-800",
+};
+
+const emptyFilters = {
+  q: "",
+  role: "",
+  city: "",
+  verified: "",
+  status: "",
+};
+
+const Users = () => {
+  const { dbUser } = useAuth();
+  // Filters being edited, and the ones applied to the list
+  const [form, setForm] = useState(emptyFilters);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const isAdmin = dbUser?.role === "admin";
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      // Blank filters are left out of the query
+      const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value.trim())
+      );
+      const data = await userAPI.getUsers({ ...params, page });
+      setUsers(data.users);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error("❌ Fetch users error:", error);
+      toast.error("❌ Failed to load users", { id: "users-load" });
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    if (isAdmin) loadUsers();
+  }, [isAdmin, loadUsers]);
+
+  const closeDetails = useCallback(() => setSelectedId(null), []);
+
+  const handleFilterChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters(form);
+    setPage(1);
+  };
+
+  const handleReset = () => {
+    setForm(emptyFilters);
+    setFilters(emptyFilters);
+    setPage(1);
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-lg shadow-md text-center">
+          <h2 className="text-2xl font-bold text-red-600 mb-4">
+            Access Denied
+          </h2>
+          <p className="text-gray-600">Only administrators can manage users.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+            <UsersIcon className="h-8 w-8 mr-3 text-blue-600" />
+            Users
+          </h1>
+          <p className="text-gray-600">
+            Find accounts, suspend or reactivate them, and change roles
+          </p>
+        </div>
+
+        {/* Filters */}
+        <form
+          onSubmit={handleSearch}
+          className="bg-white p-4 rounded-lg shadow-md mb-6 grid grid-cols-1 md:grid-cols-6 gap-3"
+        >
+          <div className="relative md:col-span-2">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              value={form.q}
+              onChange={(e) => handleFilterChange("q", e.target.value)}
+              placeholder="Name, email or phone"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <select
+            value={form.role}
+            onChange={(e) => handleFilterChange("role", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All roles</option>
+            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={form.city}
+            onChange={(e) => handleFilterChange("city", e.target.value)}
+            placeholder="City"
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={form.verified}
+            onChange={(e) => handleFilterChange("verified", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Any verification</option>
+            <option value="true">Verified</option>
+            <option value="false">Unverified</option>
+          </select>
+          <select
+            value={form.status}
+            onChange={(e) => handleFilterChange("status", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="suspended">Suspended</option>
+          </select>
+          <div className="md:col-span-6 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-2 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Reset
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Search
+            </button>
+          </div>
+        </form>
+
+        {/* Users */}
+        {loading && users.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Loader className="h-8 w-8 animate-spin text-blue-600" />
+          </div>
+        ) : users.length === 0 ? (
+          <div className="bg-white p-12 rounded-lg shadow-md text-center text-gray-500">
+            No users match these filters.
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600">
+                <tr>
+                  <th className="px-4 py-3 font-medium">User</th>
+                  <th className="px-4 py-3 font-medium">Role</th>
+                  <th className="px-4 py-3 font-medium">City</th>
+                  <th className="px-4 py-3 font-medium">Status</th>
+                  <th className="px-4 py-3 font-medium">Joined</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {users.map((user) => (
+                  <tr
+                    key={user._id}
+                    onClick={() => setSelectedId(user._id)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-900">{user.name}</p>
+                      <p className="text-gray-500">
+                        {user.email}
+                        {user.phone && ` · ${user.phone}`}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <span
+                        className={`px-2 py-1 rounded text-xs font-medium ${
+                          roleColors[user.role]
+                        }`}
+                      >
+                        {ROLE_LABELS[user.role]}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-gray-700">
+                      {user.address?.city || "—"}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-1">
+                        {!user.isActive && (
+                          <span className="px-2 py-1 rounded text-xs font-medium bg-red-100 text-red-800">
+                            Suspended
+                          </span>
+                        )}
+                        <span
+                          className={`px-2 py-1 rounded text-xs font-medium ${
+                            user.isVerified
+                              ? "bg-green-100 text-green-800"
+                              : "bg-yellow-100 text-yellow-800"
+                          }`}
+                        >
+                          {user.isVerified ? "Verified" : "Unverified"}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-gray-500">
+                      {new Date(user.createdAt).toLocaleDateString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-6 text-sm">
+            <button
+              onClick={() => setPage((current) => current - 1)}
+              disabled={page <= 1 || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-500">
+              Page {pagination.currentPage} of {pagination.totalPages} ·{" "}
+              {pagination.totalCount} users
+            </span>
+            <button
+              onClick={() => setPage((current) => current + 1)}
+              disabled={!pagination.hasNext || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {selectedId && (
+        <UserDetails
+          userId={selectedId}
+          isSelf={selectedId === dbUser.id}
+          onClose={closeDetails}
+          onChanged={loadUsers}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Users;
@@ -0,0 +1,398 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import { vehicleAPI } from "../../services/api";
+import {
+  ShieldCheck,
+  Car,
+  User,
+  FileText,
+  CheckCircle,
+  XCircle,
+  PauseCircle,
+  RefreshCw,
+  Loader,
+  ExternalLink,
+} from "lucide-react";
+import toast from "react-hot-toast";
+
+const STATUS_TABS = [
+  { value: "pending", label: "Pending" },
+  { value: "approved", label: "Approved" },
+  { value: "rejected", label: "Rejected" },
+  { value: "suspended", label: "Suspended" },
+];
+
+const statusColors = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+  suspended: "bg-gray-100 text-gray-700",
+};
+
+const DOCUMENTS = [
+  { key: "registration", label: "Registration" },
+  { key: "insurance", label: "Insurance" },
+  { key: "fitness", label: "Fitness" },
+];
+
+const ACTIONS = {
+  approved: {
+    label: "Approve",
+    icon: CheckCircle,
+    className: "bg-green-600 hover:bg-green-700",
+    prompt: "Note for the driver (optional):",
+  },
+  rejected: {
+    label: "Reject",
+    icon: XCircle,
+    className: "bg-red-600 hover:bg-red-700",
+    prompt: "Why is this vehicle being rejected? The driver will see this.",
+  },
+  suspended: {
+    label: "Suspend",
+    icon: PauseCircle,
+    className: "bg-orange-500 hover:bg-orange-600",
+    prompt: "Why is this vehicle being suspended? The driver will see this.",
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Flag documents that have expired or expire within a month
+const expiryState = (expiryDate) => {
+  if (!expiryDate) {
+    return { label: "No expiry date", className: "text-red-600" };
+  }
+  const daysLeft = (new Date(expiryDate) - Date.now()) / DAY_MS;
+  const label = new Date(expiryDate).toLocaleDateString();
+  if (daysLeft < 0) {
+    return { label: `Expired ${label}`, className: "text-red-600" };
+  }
+  if (daysLeft < 30) {
+    return { label: `Expires ${label}`, className: "text-orange-600" };
+  }
+  return { label: `Expires ${label}`, className: "text-gray-600" };
+};
+
+const DocumentCard = ({ label, document }) => {
+  if (!document?.number) {
+    return (
+      <div className="border border-dashed border-red-300 rounded-lg p-4 text-sm">
+        <p className="font-medium text-gray-900 mb-1">{label}</p>
+        <p className="text-red-600">Not provided</p>
+      </div>
+    );
+  }
+
+  const expiry = expiryState(document.expiryDate);
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 text-sm">
+      <p className="font-medium text-gray-900 mb-1">{label}</p>
+      <p className="text-gray-700">No. {document.number}</p>
+      {document.provider && (
+        <p className="text-gray-700">{document.provider}</p>
+      )}
+      <p className={expiry.className}>{expiry.label}</p>
+      {document.imageUrl ? (
+        <a
+          href={document.imageUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="block mt-2"
+        >
+          <img
+            src={document.imageUrl}
+            alt={`${label} document`}
+            className="w-full h-32 object-cover rounded border border-gray-200"
+          />
+          <span className="flex items-center text-xs text-blue-600 mt-1">
+            <ExternalLink className="h-3 w-3 mr-1" />
+            Open full size
+          </span>
+        </a>
+      ) : (
+        <p className="text-xs text-gray-500 mt-2">No image uploaded</p>
+      )}
+    </div>
+  );
+};
+
+const VehicleApprovals = () => {
+  const { dbUser } = useAuth();
+  const [status, setStatus] = useState("pending");
+  const [vehicles, setVehicles] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [actingOn, setActingOn] = useState(null);
+
+  const isAdmin = dbUser?.role === "admin";
+
+  const loadVehicles = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await vehicleAPI.getApprovalQueue({ status, page });
+      setVehicles(data.vehicles);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error("❌ Fetch approval queue error:", error);
+      toast.error("❌ Failed to load vehicles", { id: "approvals-load" });
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    if (isAdmin) loadVehicles();
+  }, [isAdmin, loadVehicles]);
+
+  const handleReview = async (vehicle, nextStatus) => {
+    const reason = prompt(ACTIONS[nextStatus].prompt);
+    if (reason === null) return;
+    if (nextStatus !== "approved" && !reason.trim()) {
+      toast.error("❌ Please give the driver a reason");
+      return;
+    }
+
+    try {
+      setActingOn(vehicle._id);
+      await vehicleAPI.reviewVehicle(vehicle._id, {
+        status: nextStatus,
+        reason: reason.trim() || undefined,
+      });
+      toast.success(`✅ ${vehicle.plateNumber} ${nextStatus}`);
+      loadVehicles();
+    } catch (error) {
+      console.error("❌ Review vehicle error:", error);
+      toast.error(
+        `❌ ${error.response?.data?.message || "Failed to update the vehicle"}`
+      );
+    } finally {
+      setActingOn(null);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-lg shadow-md text-center">
+          <h2 className="text-2xl font-bold text-red-600 mb-4">
+            Access Denied
+          </h2>
+          <p className="text-gray-600">
+            Only administrators can review vehicles.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+              <ShieldCheck className="h-8 w-8 mr-3 text-blue-600" />
+              Vehicle Approvals
+            </h1>
+            <p className="text-gray-600">
+              Check each vehicle's documents before it appears in search
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Link
+              to="/admin/drivers"
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Drivers
+            </Link>
+            <Link
+              to="/admin/users"
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Users
+            </Link>
+            <Link
+              to="/admin/moderation"
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Moderation
+            </Link>
+            <button
+              onClick={loadVehicles}
+              disabled={loading}
+              className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center disabled:opacity-50"
+            >
+              <RefreshCw
+                className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+              />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {/* Status Tabs */}
+        <div className="flex gap-2 mb-6">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => {
+                setStatus(tab.value);
+                setPage(1);
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === tab.value
+                  ? "bg-blue-600 text-white"
+                  : "bg-white text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Vehicles */}
+        {loading && vehicles.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Loader className="h-8 w-8 animate-spin text-blue-600" />
+          </div>
+        ) : vehicles.length === 0 ? (
+          <div className="bg-white p-12 rounded-lg shadow-md text-center text-gray-500">
+            No {status} vehicles.
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {vehicles.map((vehicle) => {
+              const lastChange =
+                vehicle.statusHistory[vehicle.statusHistory.length - 1];
+
+              return (
+                <div
+                  key={vehicle._id}
+                  className="bg-white p-6 rounded-lg shadow-md"
+                >
+                  <div className="flex items-start justify-between mb-4">
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                        <Car className="h-5 w-5 mr-2 text-gray-500" />
+                        {vehicle.brand} {vehicle.model} ({vehicle.year})
+                      </h3>
+                      <p className="text-sm text-gray-600">
+                        {vehicle.plateNumber} · {vehicle.color} ·{" "}
+                        <span className="capitalize">{vehicle.type}</span> ·{" "}
+                        {vehicle.location?.area}, {vehicle.location?.city}
+                      </p>
+                      <p className="text-sm text-gray-600 flex items-center mt-1">
+                        <User className="h-4 w-4 mr-1" />
+                        {vehicle.driver?.name} · {vehicle.driver?.email}
+                        {vehicle.driver?.phone && ` · ${vehicle.driver.phone}`}
+                        {vehicle.driver && !vehicle.driver.isVerified && (
+                          <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                            Licence not verified
+                          </span>
+                        )}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <span
+                        className={`px-2 py-1 rounded text-xs font-medium capitalize ${
+                          statusColors[vehicle.status]
+                        }`}
+                      >
+                        {vehicle.status}
+                      </span>
+                      <p className="text-xs text-gray-500 mt-2">
+                        {vehicle.approvedAt
+                          ? `Approved ${new Date(
+                              vehicle.approvedAt
+                            ).toLocaleDateString()}`
+                          : `Listed ${new Date(
+                              vehicle.createdAt
+                            ).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                  </div>
+
+                  {/* Documents, side by side */}
+                  <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                    <FileText className="h-4 w-4 mr-1" />
+                    Documents
+                  </h4>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                    {DOCUMENTS.map(({ key, label }) => (
+                      <DocumentCard
+                        key={key}
+                        label={label}
+                        document={vehicle.documents?.[key]}
+                      />
+                    ))}
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <p className="text-xs text-gray-500">
+                      {lastChange
+                        ? `Last ${lastChange.to}${
+                            lastChange.changedBy?.name
+                              ? ` by ${lastChange.changedBy.name}`
+                              : ""
+                          } on ${new Date(
+                            lastChange.changedAt
+                          ).toLocaleString()}${
+                            lastChange.reason ? `: ${lastChange.reason}` : ""
+                          }`
+                        : "Not reviewed yet"}
+                    </p>
+                    <div className="flex gap-2">
+                      {vehicle.allowedStatuses.map((nextStatus) => {
+                        const action = ACTIONS[nextStatus];
+                        const Icon = action.icon;
+                        return (
+                          <button
+                            key={nextStatus}
+                            onClick={() => handleReview(vehicle, nextStatus)}
+                            disabled={actingOn === vehicle._id}
+                            className={`flex items-center px-3 py-1 text-sm text-white rounded disabled:opacity-50 ${action.className}`}
+                          >
+                            <Icon className="h-4 w-4 mr-1" />
+                            {action.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-6 text-sm">
+            <button
+              onClick={() => setPage((current) => current - 1)}
+              disabled={page <= 1 || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-500">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setPage((current) => current + 1)}
+              disabled={!pagination.hasNext || loading}
+              className="px-3 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VehicleApprovals;
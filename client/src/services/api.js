@@ -1,4 +1,6 @@
 import axios from "axios";
+import { signOut } from "firebase/auth";
+import { auth } from "./firebase";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api";
@@ -11,9 +13,16 @@ const api = axios.create({
   timeout: 10000, // 10 seconds timeout
 });
 
-// Request interceptor for debugging
+// Request interceptor for auth token and debugging
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    // Attach the Firebase ID token so the server can identify the caller
+    const currentUser = auth.currentUser;
+    if (currentUser) {
+      const token = await currentUser.getIdToken();
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+
     console.log("🔄 API Request:", config.method?.toUpperCase(), config.url);
     return config;
   },
@@ -36,6 +45,13 @@ api.interceptors.response.use(
       url: error.config?.url,
       data: error.response?.data,
     });
+    // A suspended account is signed out wherever it is refused
+    if (
+      error.response?.data?.error === "ACCOUNT_SUSPENDED" &&
+      auth.currentUser
+    ) {
+      signOut(auth);
+    }
     return Promise.reject(error);
   }
 );
@@ -53,13 +69,13 @@ export const authAPI = {
     }
   },
 
-  // Get all users
-  getAllUsers: async () => {
+  // Get the currently authenticated user
+  getCurrentUser: async () => {
     try {
-      const response = await api.get("/auth/users");
+      const response = await api.get("/auth/me");
       return response.data;
     } catch (error) {
-      console.error("🚨 Auth API - getAllUsers error:", error);
+      console.error("🚨 Auth API - getCurrentUser error:", error);
       throw error;
     }
   },
@@ -100,6 +116,30 @@ export const vehicleAPI = {
     }
   },
 
+  // Get search box suggestions for a partial query
+  getSuggestions: async (query) => {
+    try {
+      const response = await api.get("/vehicles/suggest", {
+        params: { q: query },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Vehicle API - getSuggestions error:", error);
+      throw error;
+    }
+  },
+
+  // Cancellation policies a driver can choose for a vehicle
+  getCancellationPolicies: async () => {
+    try {
+      const response = await api.get("/vehicles/cancellation-policies");
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Vehicle API - getCancellationPolicies error:", error);
+      throw error;
+    }
+  },
+
   // Get vehicle by ID
   getVehicleById: async (vehicleId) => {
     try {
@@ -111,6 +151,19 @@ export const vehicleAPI = {
     }
   },
 
+  // Get a vehicle's passenger reviews, newest first
+  getVehicleReviews: async (vehicleId, { page = 1, limit = 10 } = {}) => {
+    try {
+      const response = await api.get(`/vehicles/${vehicleId}/reviews`, {
+        params: { page, limit },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Vehicle API - getVehicleReviews error:", error);
+      throw error;
+    }
+  },
+
   // Get vehicles by driver
   getVehiclesByDriver: async (driverId) => {
     try {
@@ -155,6 +208,33 @@ export const vehicleAPI = {
     }
   },
 
+  // Get vehicles awaiting review, or with a given status (admin)
+  getApprovalQueue: async ({ status = "pending", page = 1 } = {}) => {
+    try {
+      const response = await api.get("/vehicles/approvals", {
+        params: { status, page },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Vehicle API - getApprovalQueue error:", error);
+      throw error;
+    }
+  },
+
+  // Approve, reject or suspend a vehicle (admin)
+  reviewVehicle: async (vehicleId, { status, reason }) => {
+    try {
+      const response = await api.put(`/vehicles/${vehicleId}/approval`, {
+        status,
+        reason,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Vehicle API - reviewVehicle error:", error);
+      throw error;
+    }
+  },
+
   // Get filter options
   getFilterOptions: async () => {
     try {
@@ -167,12 +247,18 @@ export const vehicleAPI = {
   },
 
   // Calculate trip price
-  calculatePrice: async (vehicleId, distance, duration) => {
+  calculatePrice: async (
+    vehicleId,
+    distance,
+    duration,
+    scheduledDateTime = null
+  ) => {
     try {
       const response = await api.post("/vehicles/calculate-price", {
         vehicleId,
         distance,
         duration,
+        scheduledDateTime,
       });
       return response.data;
     } catch (error) {
@@ -182,6 +268,117 @@ export const vehicleAPI = {
   },
 };
 
+// Return trip API functions
+export const returnTripAPI = {
+  // Get upcoming return trips
+  getReturnTrips: async (filters = {}) => {
+    try {
+      const response = await api.get("/return-trips", { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Return Trip API - getReturnTrips error:", error);
+      throw error;
+    }
+  },
+
+  // Find return trips passing near a pickup (and optional dropoff)
+  matchReturnTrips: async (params) => {
+    try {
+      const response = await api.get("/return-trips/match", { params });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Return Trip API - matchReturnTrips error:", error);
+      throw error;
+    }
+  },
+
+  // Get return trips posted by a driver
+  getDriverReturnTrips: async (driverId) => {
+    try {
+      const response = await api.get(`/return-trips/driver/${driverId}`);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Return Trip API - getDriverReturnTrips error:", error);
+      throw error;
+    }
+  },
+
+  // Create a return trip
+  createReturnTrip: async (tripData) => {
+    try {
+      const response = await api.post("/return-trips", tripData);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Return Trip API - createReturnTrip error:", error);
+      throw error;
+    }
+  },
+
+  // Update a return trip
+  updateReturnTrip: async (tripId, updateData) => {
+    try {
+      const response = await api.put(`/return-trips/${tripId}`, updateData);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Return Trip API - updateReturnTrip error:", error);
+      throw error;
+    }
+  },
+
+  // Delete a return trip
+  deleteReturnTrip: async (tripId) => {
+    try {
+      const response = await api.delete(`/return-trips/${tripId}`);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Return Trip API - deleteReturnTrip error:", error);
+      throw error;
+    }
+  },
+};
+
+// Geocoding API functions
+export const geoAPI = {
+  // Suggest places for a partly typed address
+  autocomplete: async (query, { city = null, limit = 8 } = {}) => {
+    try {
+      const response = await api.get("/geo/autocomplete", {
+        params: { q: query, city: city || undefined, limit },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Geo API - autocomplete error:", error);
+      throw error;
+    }
+  },
+
+  // Resolve a free-text address to its best matching place
+  geocode: async (address) => {
+    try {
+      const response = await api.get("/geo/geocode", {
+        params: { q: address },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Geo API - geocode error:", error);
+      throw error;
+    }
+  },
+
+  // Describe a point by its nearest known place
+  reverseGeocode: async (latitude, longitude) => {
+    try {
+      const response = await api.get("/geo/reverse", {
+        params: { lat: latitude, lng: longitude },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Geo API - reverseGeocode error:", error);
+      throw error;
+    }
+  },
+};
+
 // 🔥 Booking API functions (IMPROVED WITH BETTER ERROR HANDLING)
 export const bookingAPI = {
   // Test booking API connection
@@ -336,24 +533,17 @@ export const bookingAPI = {
   },
 
   // Update booking status
-  updateBookingStatus: async (
-    bookingId,
-    status,
-    reason = null,
-    updatedBy = null
-  ) => {
+  updateBookingStatus: async (bookingId, status, reason = null) => {
     try {
       console.log("🔄 Updating booking status:", {
         bookingId,
         status,
         reason,
-        updatedBy,
       });
 
       const response = await api.put(`/bookings/${bookingId}/status`, {
         status,
         reason,
-        updatedBy,
       });
 
       console.log("✅ Booking status updated:", response.data);
@@ -364,19 +554,57 @@ export const bookingAPI = {
     }
   },
 
+  // What cancelling a booking would cost the caller, before they confirm
+  getCancellationQuote: async (bookingId) => {
+    try {
+      const response = await api.get(
+        `/bookings/${bookingId}/cancellation-quote`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Booking API - getCancellationQuote error:", error);
+      throw error;
+    }
+  },
+
+  // Rate a completed trip, with an optional written review
+  rateBooking: async (bookingId, { rating, review }) => {
+    try {
+      const response = await api.post(`/bookings/${bookingId}/rating`, {
+        rating,
+        review,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Booking API - rateBooking error:", error);
+      throw error;
+    }
+  },
+
   // Calculate booking price
-  calculateBookingPrice: async (vehicleId, distance, estimatedDuration) => {
+  calculateBookingPrice: async (
+    vehicleId,
+    {
+      pickupLocation,
+      dropoffLocation,
+      scheduledDateTime = null,
+      returnTripId = null,
+    }
+  ) => {
     try {
       console.log("💰 Calculating booking price:", {
         vehicleId,
-        distance,
-        estimatedDuration,
+        scheduledDateTime,
+        returnTripId,
       });
 
+      // The server routes the trip itself, so only the locations are sent
       const response = await api.post("/bookings/calculate-price", {
         vehicleId,
-        distance,
-        estimatedDuration,
+        pickupLocation,
+        dropoffLocation,
+        scheduledDateTime,
+        returnTripId,
       });
 
       console.log("✅ Price calculated:", response.data.pricing);
@@ -386,6 +614,353 @@ export const bookingAPI = {
       throw error;
     }
   },
+
+  // Get the recorded trace and live ETA of a trip
+  getTrack: async (bookingId) => {
+    try {
+      const response = await api.get(`/bookings/${bookingId}/track`);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Booking API - getTrack error:", error);
+      throw error;
+    }
+  },
+
+  // Report the driver's position when the realtime socket is unavailable
+  recordPosition: async (bookingId, { latitude, longitude, timestamp }) => {
+    try {
+      const response = await api.post(`/bookings/${bookingId}/locations`, {
+        latitude,
+        longitude,
+        timestamp,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Booking API - recordPosition error:", error);
+      throw error;
+    }
+  },
+};
+
+// Notification API functions
+export const notificationAPI = {
+  // Get the current user's notifications, newest first
+  getNotifications: async ({ page = 1, limit = 20, unread = false } = {}) => {
+    try {
+      const response = await api.get("/notifications", {
+        params: { page, limit, unread: unread || undefined },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Notification API - getNotifications error:", error);
+      throw error;
+    }
+  },
+
+  // Mark one notification as read
+  markAsRead: async (notificationId) => {
+    try {
+      const response = await api.put(`/notifications/${notificationId}/read`);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Notification API - markAsRead error:", error);
+      throw error;
+    }
+  },
+
+  // Mark every notification as read
+  markAllAsRead: async () => {
+    try {
+      const response = await api.put("/notifications/read-all");
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Notification API - markAllAsRead error:", error);
+      throw error;
+    }
+  },
+};
+
+// Payment API functions
+export const paymentAPI = {
+  // Start paying a booking online; send the user to payment.redirectUrl
+  createIntent: async (bookingId, gateway) => {
+    try {
+      const response = await api.post("/payments/intents", {
+        bookingId,
+        gateway,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Payment API - createIntent error:", error);
+      throw error;
+    }
+  },
+
+  // Check on a payment after returning from the gateway
+  getIntent: async (paymentId) => {
+    try {
+      const response = await api.get(`/payments/intents/${paymentId}`);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Payment API - getIntent error:", error);
+      throw error;
+    }
+  },
+
+  // A booking's ledger transactions and balances
+  getLedger: async (bookingId) => {
+    try {
+      const response = await api.get(`/payments/bookings/${bookingId}/ledger`);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Payment API - getLedger error:", error);
+      throw error;
+    }
+  },
+};
+
+// Wallet API functions
+export const walletAPI = {
+  // Get the current user's balance and transactions, newest first
+  getWallet: async ({ page = 1, limit = 20 } = {}) => {
+    try {
+      const response = await api.get("/wallet", { params: { page, limit } });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Wallet API - getWallet error:", error);
+      throw error;
+    }
+  },
+
+  // Start a top-up; send the user to payment.redirectUrl
+  topUp: async (amount, method) => {
+    try {
+      const response = await api.post("/wallet/top-ups", { amount, method });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Wallet API - topUp error:", error);
+      throw error;
+    }
+  },
+
+  // Get the current driver's payout requests
+  getPayouts: async () => {
+    try {
+      const response = await api.get("/wallet/payouts");
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Wallet API - getPayouts error:", error);
+      throw error;
+    }
+  },
+
+  // Get every driver's payouts (administrators only)
+  getAllPayouts: async (status = "requested") => {
+    try {
+      const response = await api.get("/wallet/payouts/all", {
+        params: { status },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Wallet API - getAllPayouts error:", error);
+      throw error;
+    }
+  },
+
+  // Withdraw part of a driver's balance
+  requestPayout: async ({ amount, method, accountNumber }) => {
+    try {
+      const response = await api.post("/wallet/payouts", {
+        amount,
+        method,
+        accountNumber,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Wallet API - requestPayout error:", error);
+      throw error;
+    }
+  },
+
+  // Mark a payout as paid or rejected (administrators only)
+  processPayout: async (payoutId, { status, reference, note }) => {
+    try {
+      const response = await api.put(`/wallet/payouts/${payoutId}`, {
+        status,
+        reference,
+        note,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Wallet API - processPayout error:", error);
+      throw error;
+    }
+  },
+};
+
+// Report API functions
+export const reportAPI = {
+  // Report a trip review (targetType "review" with its side) or the other
+  // participant of a booking (targetType "user")
+  createReport: async ({ bookingId, targetType, side, reason, details }) => {
+    try {
+      const response = await api.post("/reports", {
+        bookingId,
+        targetType,
+        side,
+        reason,
+        details,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Report API - createReport error:", error);
+      throw error;
+    }
+  },
+
+  // Get the moderation queue, or reports with a given status (admins only)
+  getReports: async ({ status = "queue", page = 1 } = {}) => {
+    try {
+      const response = await api.get("/reports", { params: { status, page } });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Report API - getReports error:", error);
+      throw error;
+    }
+  },
+
+  // Hide or restore the reported review, or escalate (admins only)
+  moderateReport: async (reportId, { action, note }) => {
+    try {
+      const response = await api.put(`/reports/${reportId}`, { action, note });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Report API - moderateReport error:", error);
+      throw error;
+    }
+  },
+};
+
+// User administration (admin)
+export const userAPI = {
+  // Search users, filtered by role, city, verification and account status
+  getUsers: async ({ q, role, city, verified, status, page = 1 } = {}) => {
+    try {
+      const response = await api.get("/users", {
+        params: { q, role, city, verified, status, page },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 User API - getUsers error:", error);
+      throw error;
+    }
+  },
+
+  // Get a user's account, history and usage counts
+  getUser: async (userId) => {
+    try {
+      const response = await api.get(`/users/${userId}`);
+      return response.data;
+    } catch (error) {
+      console.error("🚨 User API - getUser error:", error);
+      throw error;
+    }
+  },
+
+  // Suspend (isActive false, with a reason) or reactivate an account
+  setAccountStatus: async (userId, { isActive, reason }) => {
+    try {
+      const response = await api.put(`/users/${userId}/status`, {
+        isActive,
+        reason,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 User API - setAccountStatus error:", error);
+      throw error;
+    }
+  },
+
+  // Change a user's role, with a reason
+  changeRole: async (userId, { role, reason }) => {
+    try {
+      const response = await api.put(`/users/${userId}/role`, {
+        role,
+        reason,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 User API - changeRole error:", error);
+      throw error;
+    }
+  },
+
+  // Mark a user verified, or remove their verification
+  setVerification: async (userId, { isVerified, reason }) => {
+    try {
+      const response = await api.put(`/users/${userId}/verification`, {
+        isVerified,
+        reason,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 User API - setVerification error:", error);
+      throw error;
+    }
+  },
+};
+
+// Driver onboarding and licence review
+export const driverAPI = {
+  // Submit the driver's licence for review
+  submitLicense: async ({
+    licenseNumber,
+    licenseExpiry,
+    licensePhotoUrl,
+    vehicleType,
+    experience,
+  }) => {
+    try {
+      const response = await api.put("/drivers/license", {
+        licenseNumber,
+        licenseExpiry,
+        licensePhotoUrl,
+        vehicleType,
+        experience,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Driver API - submitLicense error:", error);
+      throw error;
+    }
+  },
+
+  // Drivers' licences with a review status (admin)
+  getLicenses: async ({ status = "pending", page = 1 } = {}) => {
+    try {
+      const response = await api.get("/drivers/licenses", {
+        params: { status, page },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Driver API - getLicenses error:", error);
+      throw error;
+    }
+  },
+
+  // Approve or reject a submitted licence (admin)
+  reviewLicense: async (driverId, { decision, note }) => {
+    try {
+      const response = await api.put(`/drivers/${driverId}/license`, {
+        decision,
+        note,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("🚨 Driver API - reviewLicense error:", error);
+      throw error;
+    }
+  },
 };
 
 // API Health Check Function
@@ -0,0 +1,126 @@
+import { auth } from "./firebase";
+
+// WebSocket endpoint, derived from the API URL unless set explicitly
+const WS_URL =
+  import.meta.env.VITE_WS_URL ||
+  (import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api")
+    .replace(/^http/, "ws")
+    .replace(/\/api\/?$/, "/ws");
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+let socket = null;
+let ready = false;
+let reconnectDelay = 1000;
+let reconnectTimer = null;
+
+// channel -> listeners for messages published on it
+const channelListeners = new Map();
+// message type -> listeners for replies that belong to no channel
+const typeListeners = new Map();
+
+const emit = (listeners, message) => {
+  for (const listener of listeners || []) listener(message);
+};
+
+const sendRaw = (message) => {
+  if (!ready || socket.readyState !== WebSocket.OPEN) return false;
+  socket.send(JSON.stringify(message));
+  return true;
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || channelListeners.size === 0) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+};
+
+const connect = async () => {
+  if (socket) return;
+
+  const currentUser = auth.currentUser;
+  if (!currentUser) return;
+
+  // Browsers can't set headers on WebSockets, so the token goes in the URL
+  const token = await currentUser.getIdToken();
+  if (socket) return;
+  socket = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token)}`);
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+
+    if (message.type === "ready") {
+      ready = true;
+      reconnectDelay = 1000;
+      // Resubscribe after (re)connecting
+      for (const channel of channelListeners.keys()) {
+        sendRaw({ type: "subscribe", channel });
+      }
+    }
+
+    if (message.channel && channelListeners.has(message.channel)) {
+      emit(channelListeners.get(message.channel), message);
+    } else {
+      emit(typeListeners.get(message.type), message);
+    }
+  };
+
+  socket.onclose = (event) => {
+    socket = null;
+    ready = false;
+    if (event.code === 4401) {
+      console.warn("🔒 Realtime connection rejected: not authenticated");
+      return;
+    }
+    scheduleReconnect();
+  };
+
+  socket.onerror = () => {
+    console.warn("⚠️ Realtime connection error");
+  };
+};
+
+// Listen to a channel such as "booking:<id>". Returns an unsubscribe function.
+export const subscribe = (channel, listener) => {
+  if (!channelListeners.has(channel)) {
+    channelListeners.set(channel, new Set());
+    sendRaw({ type: "subscribe", channel });
+  }
+  channelListeners.get(channel).add(listener);
+  connect();
+
+  return () => {
+    const listeners = channelListeners.get(channel);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size > 0) return;
+
+    channelListeners.delete(channel);
+    sendRaw({ type: "unsubscribe", channel });
+    // Nothing left to listen to
+    if (channelListeners.size === 0 && socket) socket.close();
+  };
+};
+
+// Listen to replies of a given type, e.g. "error". Returns a remover.
+export const onMessage = (type, listener) => {
+  if (!typeListeners.has(type)) typeListeners.set(type, new Set());
+  typeListeners.get(type).add(listener);
+  return () => typeListeners.get(type).delete(listener);
+};
+
+// Send a typed message. Returns false while disconnected.
+export const send = (message) => {
+  connect();
+  return sendRaw(message);
+};
+
+export const isConnected = () => ready;
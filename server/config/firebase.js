@@ -0,0 +1,22 @@
+const admin = require("firebase-admin");
+
+// Initialize the Firebase Admin SDK once, on first use
+const getFirebaseAdmin = () => {
+  if (admin.apps.length === 0) {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+
+    admin.initializeApp({
+      // Prefer an inline service account JSON, fall back to GOOGLE_APPLICATION_CREDENTIALS
+      credential: serviceAccount
+        ? admin.credential.cert(JSON.parse(serviceAccount))
+        : admin.credential.applicationDefault(),
+      projectId: process.env.FIREBASE_PROJECT_ID,
+    });
+
+    console.log("🔥 Firebase Admin initialized");
+  }
+
+  return admin;
+};
+
+module.exports = { getFirebaseAdmin };
@@ -0,0 +1,116 @@
+const jwt = require("jsonwebtoken");
+const { getFirebaseAdmin } = require("../config/firebase");
+const User = require("../models/User");
+
+// Verifier for ID tokens issued by Firebase Auth
+const firebaseVerifier = async (token) => {
+  const decoded = await getFirebaseAdmin().auth().verifyIdToken(token);
+
+  return {
+    uid: decoded.uid,
+    email: decoded.email,
+    name: decoded.name,
+  };
+};
+
+// Verifier for HS256 tokens signed with a shared secret (local fake issuer)
+const createLocalVerifier = (secret) => async (token) => {
+  if (!secret) {
+    throw new Error("LOCAL_AUTH_SECRET is not configured");
+  }
+
+  const decoded = jwt.verify(token, secret, { algorithms: ["HS256"] });
+
+  return {
+    uid: decoded.uid || decoded.sub,
+    email: decoded.email,
+    name: decoded.name,
+  };
+};
+
+let tokenVerifier =
+  process.env.AUTH_PROVIDER === "local"
+    ? createLocalVerifier(process.env.LOCAL_AUTH_SECRET)
+    : firebaseVerifier;
+
+// Swap the verifier used by the default middleware (e.g. in tests)
+const setTokenVerifier = (verifier) => {
+  tokenVerifier = verifier;
+};
+
+const suspendedResponse = (user) => ({
+  message: user.suspension?.reason
+    ? `Your account has been suspended: ${user.suspension.reason}`
+    : "Your account has been suspended",
+  error: "ACCOUNT_SUSPENDED",
+});
+
+// Build a middleware that verifies the Bearer token and loads the caller
+const createAuthMiddleware = ({ verifier = null, requireUser = true } = {}) => {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({
+        message: "Authentication token is required",
+        error: "MISSING_TOKEN",
+      });
+    }
+
+    let identity;
+    try {
+      identity = await (verifier || tokenVerifier)(token);
+    } catch (error) {
+      console.warn("🔒 Token verification failed:", error.message);
+      return res.status(401).json({
+        message: "Invalid or expired authentication token",
+        error: "INVALID_TOKEN",
+      });
+    }
+
+    try {
+      req.firebaseUser = identity;
+      req.user = await User.findOne({ firebaseUid: identity.uid });
+
+      if (requireUser && !req.user) {
+        return res.status(401).json({
+          message: "User account not found. Please sync your account first.",
+          error: "USER_NOT_SYNCED",
+        });
+      }
+
+      // Suspended accounts are turned away everywhere, including sign-in
+      if (req.user && !req.user.isActive) {
+        return res.status(403).json(suspendedResponse(req.user));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Verify a token outside of an HTTP request (e.g. a WebSocket connection)
+// and load the synced User document, or null if there isn't one or the
+// account is suspended
+const authenticateToken = async (token) => {
+  const identity = await tokenVerifier(token);
+  return User.findOne({ firebaseUid: identity.uid, isActive: true });
+};
+
+// Token and a synced User document are both required
+const requireAuth = createAuthMiddleware();
+
+// Token is required, but the User document may not exist yet (account sync)
+const requireToken = createAuthMiddleware({ requireUser: false });
+
+module.exports = {
+  requireAuth,
+  requireToken,
+  authenticateToken,
+  createAuthMiddleware,
+  createLocalVerifier,
+  firebaseVerifier,
+  setTokenVerifier,
+};
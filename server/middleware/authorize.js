@@ -0,0 +1,145 @@
+// Declarative authorization policies, keyed by "resource:action".
+// Each policy receives { user, resource, req } and returns true to allow.
+
+const isAdmin = (user) => user.role === "admin";
+
+const isSelf = (user, id) => !!id && user._id.toString() === id.toString();
+
+const refersTo = (ref, user) => {
+  if (!ref) return false;
+  return isSelf(user, ref._id || ref);
+};
+
+const policies = {
+  // Users
+  "user:list": ({ user }) => isAdmin(user),
+  "user:read": ({ user, req }) =>
+    isAdmin(user) || user.firebaseUid === req.params.firebaseUid,
+  // Account administration: viewing, suspending, roles and verification
+  "user:view": ({ user }) => isAdmin(user),
+  "user:manage": ({ user }) => isAdmin(user),
+
+  // Driver onboarding: drivers submit their licence, administrators review it
+  "license:submit": ({ user }) => user.role === "driver",
+  "license:list": ({ user }) => isAdmin(user),
+  "license:review": ({ user }) => isAdmin(user),
+
+  // Vehicles
+  "vehicle:create": ({ user }) => user.role === "driver",
+  "vehicle:update": ({ user, resource }) =>
+    isAdmin(user) || refersTo(resource.driver, user),
+  "vehicle:delete": ({ user, resource }) =>
+    isAdmin(user) || refersTo(resource.driver, user),
+  "vehicle:listByDriver": ({ user, req }) =>
+    isAdmin(user) || isSelf(user, req.params.driverId),
+  // Listing review: approving, rejecting and suspending vehicles
+  "vehicle:listForReview": ({ user }) => isAdmin(user),
+  "vehicle:review": ({ user }) => isAdmin(user),
+
+  // Return trips (create loads the vehicle the trip is offered with)
+  "returnTrip:create": ({ user, resource }) =>
+    user.role === "driver" && refersTo(resource.driver, user),
+  "returnTrip:update": ({ user, resource }) =>
+    isAdmin(user) || refersTo(resource.driver, user),
+  "returnTrip:delete": ({ user, resource }) =>
+    isAdmin(user) || refersTo(resource.driver, user),
+  "returnTrip:listByDriver": ({ user, req }) =>
+    isAdmin(user) || isSelf(user, req.params.driverId),
+
+  // Bookings
+  "booking:list": ({ user }) => isAdmin(user),
+  "booking:create": ({ user, resource }) =>
+    !isAdmin(user) && !refersTo(resource.driver, user),
+  "booking:read": ({ user, resource }) =>
+    isAdmin(user) ||
+    refersTo(resource.user, user) ||
+    refersTo(resource.driver, user),
+  "booking:listForUser": ({ user, req }) =>
+    isAdmin(user) || isSelf(user, req.params.userId),
+  "booking:listForDriver": ({ user, req }) =>
+    isAdmin(user) || isSelf(user, req.params.driverId),
+  // Which participant may make each transition is enforced by the
+  // state machine on the Booking model
+  "booking:updateStatus": ({ user, resource }) =>
+    isAdmin(user) ||
+    refersTo(resource.user, user) ||
+    refersTo(resource.driver, user),
+  // Only the driver on the trip reports its position
+  "booking:track": ({ user, resource }) => refersTo(resource.driver, user),
+  // Each participant rates the other side of the trip
+  "booking:rate": ({ user, resource }) =>
+    refersTo(resource.user, user) || refersTo(resource.driver, user),
+
+  // Payments (create loads the booking being paid for)
+  "payment:create": ({ user, resource }) => refersTo(resource.user, user),
+  "payment:read": ({ user, resource }) =>
+    isAdmin(user) || refersTo(resource.user, user),
+  "payment:refund": ({ user }) => isAdmin(user),
+
+  // Wallets (each caller only reaches their own) and driver payouts
+  "payout:create": ({ user }) => user.role === "driver",
+  "payout:list": ({ user }) => isAdmin(user),
+  "payout:process": ({ user }) => isAdmin(user),
+
+  // Reports (create loads the booking the review or user is reported on).
+  // Anyone may report a review; only a participant may report the other.
+  "report:create": ({ user, resource, req }) =>
+    !isAdmin(user) &&
+    (req.body.targetType === "review" ||
+      refersTo(resource.user, user) ||
+      refersTo(resource.driver, user)),
+  "report:list": ({ user }) => isAdmin(user),
+  "report:moderate": ({ user }) => isAdmin(user),
+
+  // Notifications
+  "notification:update": ({ user, resource }) =>
+    refersTo(resource.recipient, user),
+};
+
+// Check a policy outside of the middleware (e.g. inside a handler)
+const can = (user, action, { resource = null, req = {} } = {}) => {
+  const policy = policies[action];
+  if (!policy) {
+    throw new Error(`No authorization policy defined for "${action}"`);
+  }
+  return !!user && policy({ user, resource, req });
+};
+
+// Build a middleware that optionally loads the target record and applies a policy
+const authorize = (
+  action,
+  { load = null, notFound = "Resource not found" } = {}
+) => {
+  if (!policies[action]) {
+    throw new Error(`No authorization policy defined for "${action}"`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      let resource = null;
+
+      if (load) {
+        resource = await load(req);
+        if (!resource) {
+          return res.status(404).json({ message: notFound });
+        }
+        req.resource = resource;
+      }
+
+      if (!can(req.user, action, { resource, req })) {
+        console.warn("⛔ Access denied:", action, "for user", req.user?._id);
+        return res.status(403).json({
+          message: "You do not have permission to perform this action",
+          error: "FORBIDDEN",
+          action,
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { authorize, can, policies };
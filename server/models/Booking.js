@@ -1,4 +1,47 @@
 const mongoose = require("mongoose");
+const Reservation = require("./Reservation");
+const { pointSchema, haversineKm } = require("../utils/geo");
+const {
+  quoteCancellation,
+  UNFULFILLED_STATUSES,
+} = require("../utils/cancellation");
+
+// Booking state machine: allowed transitions and the actors who may perform them
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ["driver"],
+    rejected: ["driver"],
+    cancelled: ["user", "driver", "admin"],
+    // The driver didn't answer within the response window
+    expired: ["system"],
+  },
+  confirmed: {
+    started: ["driver"],
+    cancelled: ["user", "driver", "admin"],
+    // Reported by the driver after pickup time, or by the scheduler once the
+    // trip is overdue
+    no_show: ["driver", "system"],
+  },
+  started: {
+    completed: ["driver"],
+  },
+  completed: {},
+  rejected: {},
+  cancelled: {},
+  no_show: {},
+  expired: {},
+};
+
+const ACTOR_TYPES = ["user", "driver", "admin", "system"];
+
+// Statuses that no longer hold the vehicle's reserved time slots
+const RELEASED_STATUSES = [
+  "rejected",
+  "cancelled",
+  "no_show",
+  "completed",
+  "expired",
+];
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -18,6 +61,11 @@ const bookingSchema = new mongoose.Schema(
       ref: "Vehicle",
       required: true,
     },
+    // Set when the passenger booked a seat on a driver's return trip
+    returnTrip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnTrip",
+    },
 
     // Trip Details
     tripDetails: {
@@ -26,15 +74,10 @@ const bookingSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
-        coordinates: {
-          latitude: {
-            type: Number,
-            required: true,
-          },
-          longitude: {
-            type: Number,
-            required: true,
-          },
+        // GeoJSON point, [longitude, latitude]
+        point: {
+          type: pointSchema,
+          required: true,
         },
       },
       dropoffLocation: {
@@ -42,15 +85,10 @@ const bookingSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
-        coordinates: {
-          latitude: {
-            type: Number,
-            required: true,
-          },
-          longitude: {
-            type: Number,
-            required: true,
-          },
+        // GeoJSON point, [longitude, latitude]
+        point: {
+          type: pointSchema,
+          required: true,
         },
       },
       distance: {
@@ -83,6 +121,10 @@ const bookingSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      discount: {
+        type: Number,
+        default: 0,
+      },
       totalPrice: {
         type: Number,
         required: true,
@@ -91,6 +133,18 @@ const bookingSchema = new mongoose.Schema(
         type: String,
         default: "BDT",
       },
+      // Itemised quote from the pricing service
+      lineItems: [
+        {
+          _id: false,
+          code: String,
+          label: String,
+          quantity: Number,
+          unit: String,
+          rate: Number,
+          amount: Number,
+        },
+      ],
     },
 
     // Booking Status
@@ -104,6 +158,7 @@ const bookingSchema = new mongoose.Schema(
         "completed", // Trip completed successfully
         "cancelled", // Cancelled by user or driver
         "no_show", // User didn't show up
+        "expired", // Driver didn't respond in time
       ],
       default: "pending",
     },
@@ -138,14 +193,21 @@ const bookingSchema = new mongoose.Schema(
         default: "pending",
       },
       transactionId: String,
+      // The gateway a card or mobile banking payment went through
+      gateway: String,
       paidAt: Date,
+      // The platform's and the driver's shares, set when the trip completes
+      commission: Number,
+      driverEarning: Number,
     },
 
     // Additional Information
     specialRequests: String,
     notes: String,
 
-    // Rating & Review
+    // Rating & Review, each given once the trip is completed: userRating by
+    // the passenger for the driver and vehicle, driverRating by the driver
+    // for the passenger. Hidden reviews don't count towards any average.
     rating: {
       userRating: {
         rating: {
@@ -153,8 +215,13 @@ const bookingSchema = new mongoose.Schema(
           min: 1,
           max: 5,
         },
-        review: String,
+        review: {
+          type: String,
+          maxlength: 1000,
+        },
         ratedAt: Date,
+        // Set when a moderator hides the review after a report
+        hiddenAt: Date,
       },
       driverRating: {
         rating: {
@@ -162,8 +229,13 @@ const bookingSchema = new mongoose.Schema(
           min: 1,
           max: 5,
         },
-        review: String,
+        review: {
+          type: String,
+          maxlength: 1000,
+        },
         ratedAt: Date,
+        // Set when a moderator hides the review after a report
+        hiddenAt: Date,
       },
     },
 
@@ -175,13 +247,72 @@ const bookingSchema = new mongoose.Schema(
     confirmedAt: Date,
     rejectedAt: Date,
     cancelledAt: Date,
+    expiredAt: Date,
+    // Set once the pre-trip reminder has gone out, so it is sent only once
+    reminderSentAt: Date,
 
     // Cancellation Details
     cancellationReason: String,
     cancelledBy: {
       type: String,
-      enum: ["user", "driver", "admin"],
+      enum: ["user", "driver", "admin", "system"],
+    },
+    // The vehicle's cancellation policy when the booking was made
+    cancellationPolicy: {
+      name: String,
+      tiers: [
+        {
+          hoursBefore: Number,
+          feePercent: Number,
+          _id: false,
+        },
+      ],
+      noShowFeePercent: Number,
+      driverCutoffHours: Number,
+    },
+    // What ending the booking without a trip cost the passenger
+    cancellationCharge: {
+      rule: String,
+      hoursBeforePickup: Number,
+      feePercent: Number,
+      fee: Number,
+      // "collected" from an online payment, or "due" from the passenger
+      feeStatus: {
+        type: String,
+        enum: ["none", "collected", "due"],
+      },
+      refundAmount: Number,
+      refundStatus: {
+        type: String,
+        enum: ["none", "pending", "refunded", "failed"],
+      },
+      chargedAt: Date,
     },
+
+    // Audit trail of every status transition
+    statusHistory: [
+      {
+        from: String,
+        to: {
+          type: String,
+          required: true,
+        },
+        actor: {
+          type: String,
+          enum: ACTOR_TYPES,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reason: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -192,12 +323,18 @@ const bookingSchema = new mongoose.Schema(
 bookingSchema.index({ user: 1, createdAt: -1 });
 bookingSchema.index({ driver: 1, createdAt: -1 });
 bookingSchema.index({ vehicle: 1, createdAt: -1 });
+// A vehicle's public reviews, newest first
+bookingSchema.index(
+  { vehicle: 1, "rating.userRating.ratedAt": -1 },
+  { partialFilterExpression: { "rating.userRating.rating": { $exists: true } } }
+);
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ scheduledDateTime: 1 });
-bookingSchema.index({
-  "tripDetails.pickupLocation.coordinates.latitude": 1,
-  "tripDetails.pickupLocation.coordinates.longitude": 1,
-});
+// Scheduled jobs look bookings up by status and time
+bookingSchema.index({ status: 1, scheduledDateTime: 1 });
+bookingSchema.index({ status: 1, createdAt: 1 });
+bookingSchema.index({ "tripDetails.pickupLocation.point": "2dsphere" });
+bookingSchema.index({ "tripDetails.dropoffLocation.point": "2dsphere" });
 
 // Virtual for total trip time
 bookingSchema.virtual("totalTripTime").get(function () {
@@ -209,24 +346,169 @@ bookingSchema.virtual("totalTripTime").get(function () {
   return this.tripDetails.estimatedDuration;
 });
 
-// Method to calculate price
-bookingSchema.methods.calculatePrice = function (vehicle) {
-  const basePrice = vehicle.pricing.basePrice;
-  const distancePrice = this.tripDetails.distance * vehicle.pricing.pricePerKm;
-  const timePrice =
-    (this.tripDetails.estimatedDuration / 60) * vehicle.pricing.pricePerHour;
-
-  const totalPrice = Math.max(
-    basePrice + distancePrice + timePrice,
-    vehicle.pricing.minimumFare
-  );
-
-  return {
-    basePrice,
-    distancePrice,
-    timePrice,
-    totalPrice: Math.round(totalPrice),
+// Method to resolve how a user takes part in this booking
+bookingSchema.methods.getActorRole = function (user) {
+  if (!user) return null;
+  if (user.role === "admin") return "admin";
+
+  const userId = user._id.toString();
+  const driverId = (this.driver._id || this.driver).toString();
+  const passengerId = (this.user._id || this.user).toString();
+
+  if (userId === driverId) return "driver";
+  if (userId === passengerId) return "user";
+  return null;
+};
+
+// Method to check whether an actor may move the booking to a status
+bookingSchema.methods.canTransitionTo = function (status, actor) {
+  const allowedActors = STATUS_TRANSITIONS[this.status]?.[status] || [];
+  return allowedActors.includes(actor);
+};
+
+// Length in km of a recorded GPS trace, following the points in time order
+const traceDistanceKm = (route) => {
+  const positions = [...route]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ coordinates }) => [coordinates.longitude, coordinates.latitude]);
+
+  let distanceKm = 0;
+  for (let i = 1; i < positions.length; i++) {
+    distanceKm += haversineKm(positions[i - 1], positions[i]);
+  }
+  return Math.round(distanceKm * 10) / 10;
+};
+
+// Method to apply a status transition and record it in the history
+bookingSchema.methods.transitionTo = function (
+  status,
+  { actor, changedBy = null, reason = null } = {}
+) {
+  const fail = (message, httpStatus, code) => {
+    const error = new Error(message);
+    error.name = "BookingTransitionError";
+    error.status = httpStatus;
+    error.code = code;
+    error.from = this.status;
+    error.to = status;
+    error.allowedStatuses = Object.keys(STATUS_TRANSITIONS[this.status] || {});
+    return error;
   };
+
+  if (!STATUS_TRANSITIONS[status]) {
+    throw fail(`Invalid status: ${status}`, 400, "INVALID_STATUS");
+  }
+
+  const allowedActors = STATUS_TRANSITIONS[this.status]?.[status];
+  if (!allowedActors) {
+    throw fail(
+      `Cannot change booking from ${this.status} to ${status}`,
+      409,
+      "INVALID_TRANSITION"
+    );
+  }
+
+  if (!allowedActors.includes(actor)) {
+    throw fail(
+      `Only the ${allowedActors.join(" or ")} can change a ${
+        this.status
+      } booking to ${status}`,
+      403,
+      "FORBIDDEN"
+    );
+  }
+
+  const now = new Date();
+
+  // A passenger can only miss a trip once its pickup time has come
+  if (status === "no_show" && now < this.scheduledDateTime) {
+    throw fail(
+      "A booking can't be marked as a no-show before its pickup time",
+      409,
+      "NO_SHOW_TOO_EARLY"
+    );
+  }
+
+  // Cancellations and no-shows are charged under the booking's policy, which
+  // also stops drivers from cancelling at the last minute. Any booking that
+  // ends without a trip is quoted, so a fare paid up front is refunded.
+  let charge = null;
+  if (UNFULFILLED_STATUSES.includes(status)) {
+    charge = quoteCancellation(this, { actor, status, at: now });
+    if (!charge.allowed) {
+      throw fail(charge.reason, 409, "CANCELLATION_WINDOW_CLOSED");
+    }
+  }
+
+  const from = this.status;
+  this.status = status;
+
+  if (charge) {
+    this.cancellationCharge = {
+      rule: charge.rule,
+      hoursBeforePickup: charge.hoursBeforePickup,
+      feePercent: charge.feePercent,
+      fee: charge.fee,
+      feeStatus: charge.fee > 0 ? "due" : "none",
+      refundAmount: charge.refundAmount,
+      refundStatus: charge.refundAmount > 0 ? "pending" : "none",
+      chargedAt: now,
+    };
+  }
+
+  switch (status) {
+    case "confirmed":
+      this.confirmedAt = now;
+      break;
+    case "rejected":
+      this.rejectedAt = now;
+      if (reason) this.cancellationReason = reason;
+      break;
+    case "cancelled":
+      this.cancelledAt = now;
+      this.cancelledBy = actor;
+      if (reason) this.cancellationReason = reason;
+      break;
+    case "expired":
+      this.expiredAt = now;
+      if (reason) this.cancellationReason = reason;
+      break;
+    case "started":
+      this.tripProgress.startTime = now;
+      break;
+    case "completed":
+      // Record what the trip actually took, from the driver's GPS trace
+      this.tripProgress.endTime = now;
+      if (this.tripProgress.startTime) {
+        this.tripProgress.actualDuration = Math.round(
+          (now - this.tripProgress.startTime) / (1000 * 60)
+        );
+      }
+      if (this.tripProgress.route.length >= 2) {
+        this.tripProgress.actualDistance = traceDistanceKm(
+          this.tripProgress.route
+        );
+      }
+      break;
+  }
+
+  this.statusHistory.push({
+    from,
+    to: status,
+    actor,
+    changedBy,
+    reason,
+    changedAt: now,
+  });
+
+  return this;
+};
+
+// Static method to list the transitions available from a status
+bookingSchema.statics.getAllowedTransitions = function (status, actor = null) {
+  return Object.entries(STATUS_TRANSITIONS[status] || {})
+    .filter(([, actors]) => !actor || actors.includes(actor))
+    .map(([nextStatus]) => nextStatus);
 };
 
 // Static method to get bookings by status
@@ -262,8 +544,10 @@ bookingSchema.statics.getUserBookings = function (userId, status = null) {
 
 // Pre-save middleware for validation
 bookingSchema.pre("save", function (next) {
-  // Validate that scheduled time is in the future
+  // Validate that scheduled time is in the future (only when it is set or
+  // changed, so status updates after pickup time can still be saved)
   if (
+    (this.isNew || this.isModified("scheduledDateTime")) &&
     this.scheduledDateTime &&
     new Date(this.scheduledDateTime) <= new Date()
   ) {
@@ -287,6 +571,16 @@ bookingSchema.pre("save", function (next) {
     this.bookedAt = new Date();
   }
 
+  // Record the initial status as the first history entry
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      actor: "user",
+      changedBy: this.user,
+    });
+  }
+
   next();
 });
 
@@ -295,6 +589,13 @@ bookingSchema.post("save", function (doc) {
   console.log("✅ Booking saved:", doc._id, "Status:", doc.status);
 });
 
+// Post-save middleware to free the vehicle once a booking is finished
+bookingSchema.post("save", async function (doc) {
+  if (RELEASED_STATUSES.includes(doc.status)) {
+    await Reservation.release(doc._id);
+  }
+});
+
 // Post-remove middleware for cleanup
 bookingSchema.post("remove", function (doc) {
   console.log("🗑️ Booking removed:", doc._id);
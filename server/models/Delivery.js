@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// One email or SMS on its way to a user, with every attempt to send it
+const deliverySchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: true,
+    },
+    // Email address or phone number
+    to: {
+      type: String,
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    language: {
+      type: String,
+      enum: ["en", "bn"],
+      default: "en",
+    },
+    subject: String,
+    body: {
+      type: String,
+      required: true,
+    },
+
+    // pending -> sending -> sent, or back to pending to retry until failed
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A worker owns a "sending" delivery until then
+    lockedUntil: Date,
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    attempts: [
+      {
+        at: {
+          type: Date,
+          required: true,
+        },
+        transport: String,
+        succeeded: {
+          type: Boolean,
+          required: true,
+        },
+        error: String,
+        _id: false,
+      },
+    ],
+    providerMessageId: String,
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+deliverySchema.index({ recipient: 1, createdAt: -1 });
+deliverySchema.index({ booking: 1 });
+
+deliverySchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Delivery", deliverySchema);
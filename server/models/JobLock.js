@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Lease on a scheduled job, so only one server instance runs it at a time
+const jobLockSchema = new mongoose.Schema(
+  {
+    // The job name
+    _id: {
+      type: String,
+      required: true,
+    },
+    // Which instance holds the lease
+    owner: {
+      type: String,
+      required: true,
+    },
+    lockedUntil: {
+      type: Date,
+      required: true,
+    },
+    lastRunAt: Date,
+    lastResult: mongoose.Schema.Types.Mixed,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+
+// Kinds of money movement recorded
+const TRANSACTION_KINDS = [
+  "charge",
+  "payment",
+  "refund",
+  "topup",
+  "earning",
+  "payout",
+];
+
+// Amounts are compared in minor units (paisa) to avoid float drift
+const toMinor = (amount) => Math.round(amount * 100);
+
+const entrySchema = new mongoose.Schema(
+  {
+    // e.g. "receivable:<userId>", "revenue:fares", "clearing:bkash"
+    account: {
+      type: String,
+      required: true,
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// One balanced double-entry transaction. Its entries live in the same
+// document, so a transaction is written all at once or not at all, and it is
+// never changed afterwards: corrections are new transactions.
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: TRANSACTION_KINDS,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    paymentIntent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentIntent",
+    },
+    currency: {
+      type: String,
+      default: "BDT",
+    },
+    memo: String,
+    // Posting the same key twice records the transaction once
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    entries: {
+      type: [entrySchema],
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+ledgerTransactionSchema.index({ booking: 1, createdAt: 1 });
+ledgerTransactionSchema.index({ "entries.account": 1 });
+
+// Every entry is one-sided and debits equal credits
+ledgerTransactionSchema.pre("validate", function (next) {
+  if (this.entries.length < 2) {
+    return next(new Error("A ledger transaction needs at least two entries"));
+  }
+
+  let debits = 0;
+  let credits = 0;
+  for (const entry of this.entries) {
+    if (entry.debit > 0 === entry.credit > 0) {
+      return next(
+        new Error(`Entry for ${entry.account} must be a debit or a credit`)
+      );
+    }
+    debits += toMinor(entry.debit);
+    credits += toMinor(entry.credit);
+  }
+
+  if (debits !== credits) {
+    return next(
+      new Error(
+        `Unbalanced ledger transaction: debits ${debits / 100}, credits ${
+          credits / 100
+        }`
+      )
+    );
+  }
+  next();
+});
+
+// The ledger is append-only
+const IMMUTABLE_MESSAGE = "Ledger transactions cannot be changed or deleted";
+ledgerTransactionSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error(IMMUTABLE_MESSAGE));
+  next();
+});
+ledgerTransactionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error(IMMUTABLE_MESSAGE));
+  }
+);
+
+ledgerTransactionSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("LedgerTransaction", ledgerTransactionSchema);
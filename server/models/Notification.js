@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// Something that happened which a user should hear about, kept so the
+// history survives reloads
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "booking_created",
+        "booking_status_changed",
+        "booking_cancelled",
+        "trip_reminder",
+        "payment_received",
+        "payout_processed",
+        "rating_received",
+        "moderation_update",
+        "vehicle_status_changed",
+        "account_updated",
+        "license_update",
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    // Event details for the client, e.g. the new status
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Null until the recipient has seen it
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function (recipientId) {
+  return this.countDocuments({ recipient: recipientId, readAt: null });
+};
+
+notificationSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+
+// An attempt to collect money through a payment gateway: a booking's fare or
+// a wallet top-up. It stays pending until the gateway confirms it with a
+// signed callback.
+const paymentIntentSchema = new mongoose.Schema(
+  {
+    purpose: {
+      type: String,
+      enum: ["booking", "topup"],
+      default: "booking",
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: function () {
+        return this.purpose === "booking";
+      },
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ["card", "mobile_banking"],
+      required: true,
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "BDT",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed", "cancelled"],
+      default: "pending",
+    },
+    // The gateway's id for the payment
+    reference: String,
+    // Where the passenger completes the payment, and returns to afterwards
+    redirectUrl: String,
+    returnUrl: String,
+    paidAt: Date,
+    failureReason: String,
+
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refunds: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+        },
+        reason: String,
+        reference: String,
+        refundedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Every callback received, for auditing disputes
+    events: [
+      {
+        type: {
+          type: String,
+          required: true,
+        },
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        data: mongoose.Schema.Types.Mixed,
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentIntentSchema.index({ booking: 1, createdAt: -1 });
+paymentIntentSchema.index(
+  { gateway: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: "string" } } }
+);
+
+paymentIntentSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("PaymentIntent", paymentIntentSchema);
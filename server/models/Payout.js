@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// A driver's request to withdraw their wallet balance. The amount leaves the
+// wallet when requested and is given back if the payout is rejected.
+const payoutSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "BDT",
+    },
+    // Where the money is sent
+    method: {
+      type: String,
+      enum: ["bkash", "nagad", "bank_transfer"],
+      required: true,
+    },
+    accountNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 40,
+    },
+    status: {
+      type: String,
+      enum: ["requested", "paid", "rejected"],
+      default: "requested",
+    },
+    // Set by the administrator who processed it
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    processedAt: Date,
+    // The transfer's reference, or why the payout was rejected
+    reference: String,
+    note: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutSchema.index({ driver: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+
+payoutSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// Why a review or user was reported
+const REPORT_REASONS = [
+  "abusive",
+  "harassment",
+  "spam",
+  "false_information",
+  "safety",
+  "other",
+];
+
+// A user's complaint about a trip review, or about the other participant of
+// a booking, waiting in the administrators' moderation queue
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["review", "user"],
+      required: true,
+    },
+    // The trip the review was left on, or that the reported user was part of
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    // Which of the booking's reviews is reported, for review reports
+    side: {
+      type: String,
+      enum: ["userRating", "driverRating", null],
+      default: null,
+    },
+    // The review's author, or the reported participant
+    reportedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Open and escalated reports make up the moderation queue
+    status: {
+      type: String,
+      enum: ["open", "escalated", "resolved"],
+      default: "open",
+    },
+    // The moderator's last decision: the review hidden, or the item left
+    // (or put back) as it was
+    outcome: {
+      type: String,
+      enum: ["hidden", "restored", null],
+      default: null,
+    },
+    history: [
+      {
+        action: {
+          type: String,
+          enum: ["hide", "restore", "escalate"],
+          required: true,
+        },
+        note: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Each user reports a given review or participant once
+reportSchema.index(
+  { reporter: 1, booking: 1, targetType: 1, side: 1 },
+  { unique: true }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ booking: 1, targetType: 1, side: 1 });
+
+reportSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Report", reportSchema);
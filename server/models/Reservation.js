@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+
+// Size of a reservation slot and the turnaround buffer after each trip
+const SLOT_MINUTES = Number(process.env.RESERVATION_SLOT_MINUTES) || 15;
+const BUFFER_MINUTES = Number(process.env.BOOKING_BUFFER_MINUTES) || 30;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+
+const reservationSchema = new mongoose.Schema(
+  {
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    // Start of the time slot this document locks
+    slot: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One booking per vehicle per slot; this index is what makes reserving atomic
+reservationSchema.index({ vehicle: 1, slot: 1 }, { unique: true });
+reservationSchema.index({ booking: 1 });
+
+// Helpers for slot arithmetic
+const floorToSlot = (date) =>
+  new Date(Math.floor(new Date(date).getTime() / SLOT_MS) * SLOT_MS);
+const ceilToSlot = (date) =>
+  new Date(Math.ceil(new Date(date).getTime() / SLOT_MS) * SLOT_MS);
+
+// Static method to compute the interval a trip occupies
+reservationSchema.statics.getInterval = function (startTime, durationMinutes) {
+  const start = new Date(startTime);
+  const end = new Date(
+    start.getTime() + (durationMinutes + BUFFER_MINUTES) * 60 * 1000
+  );
+  return { start, end };
+};
+
+// Static method to list the slot start times covering an interval
+reservationSchema.statics.getSlots = function (start, end) {
+  const slots = [];
+  for (
+    let time = floorToSlot(start).getTime();
+    time < ceilToSlot(end).getTime();
+    time += SLOT_MS
+  ) {
+    slots.push(new Date(time));
+  }
+  return slots;
+};
+
+// Static method to reserve an interval, failing if any slot is already taken
+reservationSchema.statics.reserve = async function (
+  vehicleId,
+  bookingId,
+  start,
+  end
+) {
+  const documents = this.getSlots(start, end).map((slot) => ({
+    vehicle: vehicleId,
+    booking: bookingId,
+    slot,
+  }));
+
+  try {
+    await this.insertMany(documents, { ordered: true });
+  } catch (error) {
+    // Roll back the slots we did manage to insert before the conflict
+    await this.deleteMany({ booking: bookingId });
+
+    if (error.code === 11000) {
+      const conflict = new Error(
+        "Vehicle is already booked for the selected time slot"
+      );
+      conflict.name = "ReservationConflictError";
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+};
+
+// Static method to free every slot held by a booking
+reservationSchema.statics.release = function (bookingId) {
+  return this.deleteMany({ booking: bookingId });
+};
+
+// Static method to find the nearest free start times around a requested one
+reservationSchema.statics.findFreeSlots = async function (
+  vehicleId,
+  requestedStart,
+  durationMinutes,
+  { count = 3, searchHours = 24, earliest = new Date() } = {}
+) {
+  const searchMs = searchHours * 60 * 60 * 1000;
+  const origin = floorToSlot(requestedStart);
+  const taken = await this.find({
+    vehicle: vehicleId,
+    slot: {
+      $gte: new Date(origin.getTime() - searchMs),
+      $lte: new Date(
+        origin.getTime() + searchMs + (durationMinutes + BUFFER_MINUTES) * 60000
+      ),
+    },
+  }).select("slot");
+  const takenSlots = new Set(taken.map((r) => r.slot.getTime()));
+
+  const isFree = (candidate) => {
+    const { start, end } = this.getInterval(candidate, durationMinutes);
+    return this.getSlots(start, end).every(
+      (slot) => !takenSlots.has(slot.getTime())
+    );
+  };
+
+  // Walk outwards from the requested time, alternating later and earlier
+  const suggestions = [];
+  const maxSteps = Math.floor(searchMs / SLOT_MS);
+  for (let step = 1; step <= maxSteps && suggestions.length < count; step++) {
+    for (const direction of [1, -1]) {
+      const candidate = new Date(origin.getTime() + direction * step * SLOT_MS);
+      if (
+        suggestions.length < count &&
+        candidate > earliest &&
+        isFree(candidate)
+      ) {
+        suggestions.push(candidate);
+      }
+    }
+  }
+
+  return suggestions.sort((a, b) => a - b);
+};
+
+module.exports = mongoose.model("Reservation", reservationSchema);
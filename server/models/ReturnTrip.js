@@ -0,0 +1,253 @@
+const mongoose = require("mongoose");
+const { pointSchema, lineStringSchema, locateOnLine } = require("../utils/geo");
+
+// How far from the route a pickup or dropoff may be, by default
+const DEFAULT_RADIUS_KM = 10;
+
+// Days are the platform's local days (the zone pricing rules use), whatever
+// zone the server runs in
+const PLATFORM_TIMEZONE = process.env.PRICING_TIMEZONE || "Asia/Dhaka";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const localClockFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: PLATFORM_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// The moment a "YYYY-MM-DD" day starts in the platform's time zone: UTC
+// midnight moved back by the zone's offset at that time
+const startOfLocalDay = (day) => {
+  const utcMidnight = new Date(`${day}T00:00:00Z`);
+  const parts = Object.fromEntries(
+    localClockFormat
+      .formatToParts(utcMidnight)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const offset =
+    Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) -
+    utcMidnight.getTime();
+  return new Date(utcMidnight.getTime() - offset);
+};
+
+const placeSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    city: {
+      type: String,
+      trim: true,
+    },
+    // GeoJSON point, [longitude, latitude]
+    point: {
+      type: pointSchema,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// A driver heading back empty, offering the seats at a discount
+const returnTripSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      required: true,
+    },
+
+    // Route
+    origin: {
+      type: placeSchema,
+      required: true,
+    },
+    destination: {
+      type: placeSchema,
+      required: true,
+    },
+    // Optional places the driver passes through, in order
+    waypoints: [placeSchema],
+    // Derived from origin, waypoints and destination on save
+    route: lineStringSchema,
+
+    // When the driver leaves the origin
+    departureWindow: {
+      start: {
+        type: Date,
+        required: true,
+      },
+      end: {
+        type: Date,
+        required: true,
+      },
+    },
+
+    // Discount on the vehicle's normal fare
+    discountPercent: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 90,
+      default: 30,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "cancelled", "completed"],
+      default: "active",
+    },
+
+    notes: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+returnTripSchema.index({ route: "2dsphere" });
+returnTripSchema.index({ status: 1, "departureWindow.end": 1 });
+returnTripSchema.index({ driver: 1, createdAt: -1 });
+returnTripSchema.index({ vehicle: 1 });
+
+// Pre-validate middleware to derive the route line and check the window
+returnTripSchema.pre("validate", function (next) {
+  if (this.origin?.point && this.destination?.point) {
+    this.route = {
+      type: "LineString",
+      coordinates: [this.origin, ...this.waypoints, this.destination].map(
+        (place) => place.point.coordinates
+      ),
+    };
+  }
+
+  const { start, end } = this.departureWindow || {};
+  if (start && end && end <= start) {
+    this.invalidate(
+      "departureWindow.end",
+      "Departure window must end after it starts"
+    );
+  }
+
+  next();
+});
+
+// Method to check whether a passenger's trip fits along this route. Both
+// points must lie within radiusKm of the route, with pickup before dropoff.
+returnTripSchema.methods.matchTrip = function (pickup, dropoff, radiusKm) {
+  const line = this.route.coordinates;
+  const atPickup = locateOnLine(pickup.coordinates, line);
+  if (atPickup.distanceKm > radiusKm) return null;
+
+  if (!dropoff) {
+    return { pickupDistanceKm: atPickup.distanceKm };
+  }
+
+  const atDropoff = locateOnLine(dropoff.coordinates, line);
+  if (
+    atDropoff.distanceKm > radiusKm ||
+    atDropoff.alongKm <= atPickup.alongKm
+  ) {
+    return null;
+  }
+
+  return {
+    pickupDistanceKm: atPickup.distanceKm,
+    dropoffDistanceKm: atDropoff.distanceKm,
+  };
+};
+
+// Method to explain why a booking can't be made on this trip, or null if it can
+returnTripSchema.methods.getBookingProblem = function ({
+  vehicleId,
+  scheduledDateTime,
+  pickup,
+  dropoff,
+}) {
+  if (this.status !== "active") return "This return trip is no longer offered";
+  if (this.vehicle.toString() !== vehicleId.toString()) {
+    return "This return trip uses a different vehicle";
+  }
+
+  const departure = new Date(scheduledDateTime);
+  if (
+    departure < this.departureWindow.start ||
+    departure > this.departureWindow.end
+  ) {
+    return "Scheduled time is outside the return trip's departure window";
+  }
+
+  if (!this.matchTrip(pickup, dropoff, DEFAULT_RADIUS_KM)) {
+    return "Pickup and dropoff must lie along the return trip's route";
+  }
+
+  return null;
+};
+
+// Static method to find active trips passing near a pickup (and dropoff).
+// Returns plain objects with the distance from the route to each point.
+returnTripSchema.statics.findMatches = async function ({
+  pickup,
+  dropoff = null,
+  radiusKm = DEFAULT_RADIUS_KM,
+  date = null,
+  limit = 20,
+}) {
+  const query = {
+    status: "active",
+    "departureWindow.end": { $gte: new Date() },
+  };
+
+  // Trips leaving on the requested "YYYY-MM-DD" day
+  if (date) {
+    const dayStart = startOfLocalDay(date);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+    query["departureWindow.start"] = { $lt: dayEnd };
+    query["departureWindow.end"] = {
+      $gte: new Date(Math.max(dayStart, Date.now())),
+    };
+  }
+
+  // The index narrows candidates to routes near the pickup; ordering along
+  // the route and the dropoff check happen in matchTrip
+  const candidates = await this.find({
+    ...query,
+    route: {
+      $near: { $geometry: pickup, $maxDistance: radiusKm * 1000 },
+    },
+  }).limit(limit * 5);
+
+  const matches = [];
+  for (const trip of candidates) {
+    const match = trip.matchTrip(pickup, dropoff, radiusKm);
+    if (match) {
+      matches.push({
+        ...trip.toObject(),
+        pickupDistanceKm: Math.round(match.pickupDistanceKm * 100) / 100,
+        ...(dropoff && {
+          dropoffDistanceKm: Math.round(match.dropoffDistanceKm * 100) / 100,
+        }),
+      });
+    }
+    if (matches.length >= limit) break;
+  }
+
+  return matches;
+};
+
+module.exports = mongoose.model("ReturnTrip", returnTripSchema);
@@ -36,14 +36,81 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Suspended accounts can't sign in or use the API
     isActive: {
       type: Boolean,
       default: true,
     },
+    suspension: {
+      reason: String,
+      suspendedAt: Date,
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // Audit trail of administrator changes to the account
+    accountHistory: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "suspended",
+            "reactivated",
+            "role_changed",
+            "verified",
+            "unverified",
+          ],
+          required: true,
+        },
+        from: String,
+        to: String,
+        reason: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Ratings others gave this user: from passengers for a driver, from
+    // drivers for a passenger
+    rating: {
+      average: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 0,
+      },
+      count: {
+        type: Number,
+        default: 0,
+      },
+    },
     // Driver specific fields
     driverDetails: {
       licenseNumber: String,
       licenseExpiry: Date,
+      licensePhotoUrl: String,
+      // Licence review: drivers are verified once an administrator approves
+      // their licence, and lose it again when the licence expires
+      licenseStatus: {
+        type: String,
+        enum: ["not_submitted", "pending", "approved", "rejected", "expired"],
+        default: "not_submitted",
+      },
+      licenseSubmittedAt: Date,
+      licenseReviewedAt: Date,
+      licenseReviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      licenseReviewNote: String,
+      // Set once the driver has been warned that the licence expires soon
+      licenseExpiryWarnedAt: Date,
       vehicleType: {
         type: String,
         enum: ["car", "ambulance", "truck"],
@@ -71,6 +138,22 @@ const userSchema = new mongoose.Schema(
         longitude: Number,
       },
     },
+    // How the user wants to hear about their bookings outside the app
+    preferences: {
+      language: {
+        type: String,
+        enum: ["en", "bn"],
+        default: "en",
+      },
+      emailNotifications: {
+        type: Boolean,
+        default: true,
+      },
+      smsNotifications: {
+        type: Boolean,
+        default: true,
+      },
+    },
     // Google sign-in specific fields
     authProvider: {
       type: String,
@@ -93,6 +176,12 @@ userSchema.index({ email: 1 });
 userSchema.index({ firebaseUid: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ googleId: 1 });
+userSchema.index({ isActive: 1, role: 1 });
+userSchema.index({ "address.city": 1 });
+userSchema.index({
+  "driverDetails.licenseStatus": 1,
+  "driverDetails.licenseExpiry": 1,
+});
 
 // Virtual for checking if profile is complete
 userSchema.virtual("isProfileComplete").get(function () {
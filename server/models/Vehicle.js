@@ -1,4 +1,130 @@
 const mongoose = require("mongoose");
+const { pointSchema, toPoint } = require("../utils/geo");
+const {
+  escapeRegExp,
+  tokenize,
+  buildTermsFilter,
+  highlight,
+} = require("../utils/search");
+const { POLICY_NAMES } = require("../utils/cancellation");
+const { isHttpUrl } = require("../utils/urls");
+
+// Fields covered by the text index, also used for highlighting
+const TEXT_SEARCH_FIELDS = [
+  "brand",
+  "model",
+  "location.city",
+  "location.area",
+  "description",
+];
+
+const WEEKDAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+// Listing review: the statuses an administrator may move a vehicle to from
+// each status. Drivers resubmit a rejected vehicle by editing it, and an
+// approved one returns to review when its plate or documents change.
+const REVIEW_TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["suspended"],
+  rejected: ["approved"],
+  suspended: ["approved"],
+};
+
+// Decisions that take a vehicle out of search need a reason for the driver
+const REASON_REQUIRED = ["rejected", "suspended"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A driver-defined surcharge or discount, e.g. peak hours, nights or holidays.
+// A rule applies when the trip starts inside every condition it sets; empty
+// conditions match any time.
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Local "HH:MM" times; a window may wrap past midnight (22:00 - 06:00)
+  timeWindow: {
+    start: {
+      type: String,
+      match: [TIME_PATTERN, "Time must be HH:MM"],
+    },
+    end: {
+      type: String,
+      match: [TIME_PATTERN, "Time must be HH:MM"],
+    },
+  },
+  weekdays: [
+    {
+      type: String,
+      enum: WEEKDAYS,
+    },
+  ],
+  // Inclusive local dates, "YYYY-MM-DD"
+  dateRange: {
+    from: {
+      type: String,
+      match: [DATE_PATTERN, "Date must be YYYY-MM-DD"],
+    },
+    to: {
+      type: String,
+      match: [DATE_PATTERN, "Date must be YYYY-MM-DD"],
+    },
+  },
+  // "multiplier" scales the metered fare (1.5 = +50%); "flat" adds an amount,
+  // which may be negative
+  adjustment: {
+    type: {
+      type: String,
+      enum: ["multiplier", "flat"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+    },
+  },
+});
+
+// Check a rule's fields against each other
+pricingRuleSchema.pre("validate", function (next) {
+  const { start, end } = this.timeWindow || {};
+  if (!start !== !end) {
+    this.invalidate("timeWindow", "Time window needs both a start and an end");
+  } else if (start && start === end) {
+    this.invalidate("timeWindow", "Time window can't start and end together");
+  }
+
+  const { from, to } = this.dateRange || {};
+  if (from && to && to < from) {
+    this.invalidate(
+      "dateRange.to",
+      "Date range must end on or after it starts"
+    );
+  }
+
+  const { type, value } = this.adjustment || {};
+  if (type === "multiplier" && !(value >= 0.1 && value <= 5)) {
+    this.invalidate("adjustment.value", "Multiplier must be between 0.1 and 5");
+  }
+
+  next();
+});
 
 const vehicleSchema = new mongoose.Schema(
   {
@@ -101,6 +227,8 @@ const vehicleSchema = new mongoose.Schema(
         type: String,
         default: "BDT",
       },
+      // Time-based adjustments applied on top of the rates above
+      rules: [pricingRuleSchema],
     },
 
     // Location
@@ -113,15 +241,10 @@ const vehicleSchema = new mongoose.Schema(
         type: String,
         required: true,
       },
-      coordinates: {
-        latitude: {
-          type: Number,
-          required: true,
-        },
-        longitude: {
-          type: Number,
-          required: true,
-        },
+      // GeoJSON point, [longitude, latitude]
+      point: {
+        type: pointSchema,
+        required: true,
       },
       address: String,
     },
@@ -233,12 +356,45 @@ const vehicleSchema = new mongoose.Schema(
       },
     },
 
+    // Cancellation policy for this vehicle's bookings; null follows the
+    // platform default
+    cancellationPolicy: {
+      type: String,
+      enum: [...POLICY_NAMES, null],
+      default: null,
+    },
+
     // Status
     status: {
       type: String,
       enum: ["pending", "approved", "rejected", "suspended"],
       default: "pending",
     },
+    // Why the vehicle was last rejected or suspended, shown to the driver
+    statusReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Audit trail of every review decision and resubmission
+    statusHistory: [
+      {
+        from: String,
+        to: {
+          type: String,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reason: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
 
     // Meta
     description: {
@@ -270,19 +426,33 @@ vehicleSchema.index({ "rating.average": -1 });
 vehicleSchema.index({ "pricing.pricePerKm": 1 });
 vehicleSchema.index({ createdAt: -1 });
 
-// Compound index for location-based search
-vehicleSchema.index({
-  "location.coordinates.latitude": 1,
-  "location.coordinates.longitude": 1,
-});
+// Geospatial index for location-based search
+vehicleSchema.index({ "location.point": "2dsphere" });
 
 // Text search index
-vehicleSchema.index({
-  brand: "text",
-  model: "text",
-  "location.city": "text",
-  "location.area": "text",
-  description: "text",
+vehicleSchema.index(
+  Object.fromEntries(TEXT_SEARCH_FIELDS.map((field) => [field, "text"]))
+);
+
+// Document and photo links are opened by reviewers and passengers
+vehicleSchema.pre("validate", function (next) {
+  for (const name of ["registration", "insurance", "fitness"]) {
+    const url = this.documents?.[name]?.imageUrl;
+    if (url && !isHttpUrl(url)) {
+      this.invalidate(
+        `documents.${name}.imageUrl`,
+        "Document images must be http(s) links"
+      );
+    }
+  }
+
+  this.images.forEach(({ url }, index) => {
+    if (url && !isHttpUrl(url)) {
+      this.invalidate(`images.${index}.url`, "Images must be http(s) links");
+    }
+  });
+
+  next();
 });
 
 // Virtual for getting primary image
@@ -300,20 +470,6 @@ vehicleSchema.virtual("documentsComplete").get(function () {
   );
 });
 
-// Method to calculate distance-based price
-vehicleSchema.methods.calculatePrice = function (distance, duration) {
-  const basePrice = this.pricing.basePrice;
-  const distancePrice = distance * this.pricing.pricePerKm;
-  const timePrice = duration * this.pricing.pricePerHour;
-
-  const totalPrice = Math.max(
-    basePrice + distancePrice + timePrice,
-    this.pricing.minimumFare
-  );
-
-  return Math.round(totalPrice);
-};
-
 // Method to check availability for specific date/time
 vehicleSchema.methods.isAvailableAt = function (dateTime) {
   if (!this.availability.isActive || !this.availability.isAvailable) {
@@ -334,8 +490,125 @@ vehicleSchema.methods.isAvailableAt = function (dateTime) {
   return isDayAvailable && isTimeAvailable;
 };
 
-// Static method for search
-vehicleSchema.statics.searchVehicles = function (searchParams) {
+// Method to apply an administrator's review decision and record it in the
+// history. Approval stamps approvedAt; rejection and suspension clear it.
+vehicleSchema.methods.reviewTo = function (
+  status,
+  { changedBy = null, reason = null } = {}
+) {
+  const fail = (message, httpStatus, code) => {
+    const error = new Error(message);
+    error.name = "VehicleReviewError";
+    error.status = httpStatus;
+    error.code = code;
+    error.allowedStatuses = REVIEW_TRANSITIONS[this.status] || [];
+    return error;
+  };
+
+  if (!REVIEW_TRANSITIONS[status]) {
+    throw fail(`Invalid status: ${status}`, 400, "INVALID_STATUS");
+  }
+  if (!REVIEW_TRANSITIONS[this.status]?.includes(status)) {
+    throw fail(
+      `Cannot change vehicle from ${this.status} to ${status}`,
+      409,
+      "INVALID_TRANSITION"
+    );
+  }
+  reason = reason?.trim() || null;
+  if (REASON_REQUIRED.includes(status) && !reason) {
+    throw fail(
+      `A reason is required to mark a vehicle ${status}`,
+      400,
+      "REASON_REQUIRED"
+    );
+  }
+
+  const now = new Date();
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    reason,
+    changedAt: now,
+  });
+  this.status = status;
+  this.statusReason = reason;
+  this.approvedAt = status === "approved" ? now : null;
+
+  return this;
+};
+
+// Method to send a rejected or approved vehicle back to the review queue
+// after the driver has edited it
+vehicleSchema.methods.resubmit = function (
+  changedBy,
+  reason = "Resubmitted by the driver"
+) {
+  if (!["rejected", "approved"].includes(this.status)) return this;
+
+  this.statusHistory.push({
+    from: this.status,
+    to: "pending",
+    changedBy,
+    reason,
+  });
+  this.status = "pending";
+  this.statusReason = null;
+  this.approvedAt = null;
+
+  return this;
+};
+
+// Search cursors are opaque base64url tokens holding the sort value and _id
+// of the last vehicle on the previous page
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const encodeCursor = (vehicle, sortField) => {
+  const value = getPath(vehicle, sortField);
+  const payload = {
+    value: value instanceof Date ? value.toISOString() : value ?? null,
+    isDate: value instanceof Date,
+    id: vehicle._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { value, isDate, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) throw new Error("Bad cursor id");
+    return {
+      value: isDate ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (error) {
+    const invalid = new Error("Invalid pagination cursor");
+    invalid.name = "InvalidCursorError";
+    invalid.status = 400;
+    throw invalid;
+  }
+};
+
+// Match everything sorted after the cursor position
+const afterCursor = ({ value, id }, sortField, order) => ({
+  $or: [
+    { [sortField]: { [order === 1 ? "$gt" : "$lt"]: value } },
+    { [sortField]: value, _id: { $gt: id } },
+  ],
+});
+
+// Static method for search. `q` runs a text search, adding a text score and
+// per-field highlights to each result. When lat/lng are given, only vehicles
+// within radiusKm are returned, each with its distanceKm from that point.
+// Resolves to { vehicles, totalCount, hasMore, nextCursor }.
+// Fields a search can be sorted by, besides relevance and distance
+const SORT_FIELDS = ["rating.average", "pricing.pricePerKm", "createdAt"];
+
+vehicleSchema.statics.searchVehicles = async function (searchParams) {
   const {
     type,
     city,
@@ -344,10 +617,15 @@ vehicleSchema.statics.searchVehicles = function (searchParams) {
     maxPrice,
     capacity,
     features,
-    sortBy = "rating.average",
+    lat,
+    lng,
+    radiusKm = 10,
+    sortBy,
     sortOrder = -1,
     page = 1,
     limit = 10,
+    cursor,
+    q,
   } = searchParams;
 
   let query = {
@@ -356,9 +634,14 @@ vehicleSchema.statics.searchVehicles = function (searchParams) {
     status: "approved",
   };
 
-  if (type) query.type = type;
-  if (city) query["location.city"] = new RegExp(city, "i");
-  if (area) query["location.area"] = new RegExp(area, "i");
+  if (type) query.type = String(type);
+  // Partial, case-insensitive matches on what the visitor typed
+  if (city) {
+    query["location.city"] = new RegExp(escapeRegExp(String(city)), "i");
+  }
+  if (area) {
+    query["location.area"] = new RegExp(escapeRegExp(String(area)), "i");
+  }
   if (minPrice) query["pricing.pricePerKm"] = { $gte: minPrice };
   if (maxPrice) {
     query["pricing.pricePerKm"] = query["pricing.pricePerKm"]
@@ -370,13 +653,125 @@ vehicleSchema.statics.searchVehicles = function (searchParams) {
     query.features = { $in: features };
   }
 
-  const skip = (page - 1) * limit;
+  const near = toPoint({ latitude: lat, longitude: lng });
+  const terms = tokenize(q);
+
+  // $text has to lead the pipeline, which $geoNear also insists on, so a
+  // location search matches the terms by word prefix instead
+  if (q && near) {
+    Object.assign(query, buildTermsFilter(terms, TEXT_SEARCH_FIELDS));
+  }
+  const textSearch = q && !near;
+
+  // $geoNear must be the first stage, and applies the filters itself
+  const pipeline = near
+    ? [
+        {
+          $geoNear: {
+            near,
+            key: "location.point",
+            distanceField: "distanceKm",
+            distanceMultiplier: 0.001,
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query,
+          },
+        },
+        { $set: { distanceKm: { $round: ["$distanceKm", 2] } } },
+      ]
+    : textSearch
+    ? [
+        { $match: { ...query, $text: { $search: q } } },
+        { $set: { score: { $meta: "textScore" } } },
+      ]
+    : [{ $match: query }];
+
+  // Best text match first by default for a text search, nearest first for a
+  // location search, best rated otherwise. _id breaks ties so pages and
+  // cursors are stable.
+  let sortField = SORT_FIELDS.includes(sortBy) ? sortBy : "rating.average";
+  let order = sortOrder === 1 ? 1 : -1;
+  if (sortBy === "relevance" || (!sortBy && textSearch)) {
+    sortField = textSearch ? "score" : "rating.average";
+    order = -1;
+  }
+  if (sortBy === "distance" || (!sortBy && near)) {
+    sortField = near ? "distanceKm" : "rating.average";
+    order = near ? 1 : -1;
+  }
+
+  // A cursor continues after the last vehicle of the previous page;
+  // otherwise fall back to page numbers
+  const pageStages = cursor
+    ? [{ $match: afterCursor(decodeCursor(cursor), sortField, order) }]
+    : [{ $skip: (page - 1) * limit }];
+
+  // One round trip for both the page and the exact filtered total
+  const [result] = await this.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        vehicles: [
+          { $sort: { [sortField]: order, _id: 1 } },
+          ...pageStages,
+          { $limit: limit + 1 },
+        ],
+        totalCount: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const hasMore = result.vehicles.length > limit;
+  const vehicles = result.vehicles.slice(0, limit);
+  const last = vehicles[vehicles.length - 1];
+
+  // Mark the words each search term matched, field by field
+  if (terms.length > 0) {
+    vehicles.forEach((vehicle) => {
+      vehicle.highlights = {};
+      TEXT_SEARCH_FIELDS.forEach((field) => {
+        const segments = highlight(getPath(vehicle, field), terms);
+        if (segments) vehicle.highlights[field] = segments;
+      });
+    });
+  }
+
+  await this.populate(vehicles, {
+    path: "driver",
+    select: "name email phone rating.average rating.count",
+  });
+
+  return {
+    vehicles,
+    totalCount: result.totalCount[0]?.count || 0,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(last, sortField) : null,
+  };
+};
+
+// Static method listing the brands, models and places listed vehicles can be
+// found by, used for search suggestions
+vehicleSchema.statics.getSearchTerms = async function () {
+  const [result] = await this.aggregate([
+    { $match: { "availability.isActive": true, status: "approved" } },
+    {
+      $facet: {
+        brand: [{ $group: { _id: "$brand" } }],
+        model: [{ $group: { _id: { $concat: ["$brand", " ", "$model"] } } }],
+        city: [{ $group: { _id: "$location.city" } }],
+        area: [{ $group: { _id: "$location.area" } }],
+      },
+    },
+  ]);
+
+  return Object.entries(result).flatMap(([field, values]) =>
+    values.filter(({ _id }) => _id).map(({ _id }) => ({ text: _id, field }))
+  );
+};
 
-  return this.find(query)
-    .populate("driver", "name email phone rating.average rating.count")
-    .sort({ [sortBy]: sortOrder })
-    .skip(skip)
-    .limit(limit);
+// Static method to list the review decisions available from a status
+vehicleSchema.statics.getReviewTransitions = function (status) {
+  return REVIEW_TRANSITIONS[status] || [];
 };
 
 module.exports = mongoose.model("Vehicle", vehicleSchema);
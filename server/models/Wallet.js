@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// A user's in-app balance. The balance only ever changes together with a
+// WalletTransaction recording why; see services/wallet.js.
+const walletSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // May go below zero when a driver owes commission on cash trips
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: "BDT",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+walletSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Wallet", walletSchema);
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// Why a wallet's balance moved
+const WALLET_TRANSACTION_TYPES = [
+  "topup", // added through a payment gateway
+  "topup_refund", // a top-up given back through its gateway
+  "payment", // a booking paid from the wallet
+  "refund", // a wallet-paid booking refunded
+  "earning", // a driver's share of a completed trip's fare
+  "commission", // the platform's share of a cash trip, owed by the driver
+  "payout", // withdrawn by a driver
+  "payout_reversal", // a rejected payout given back
+];
+
+// One movement of a wallet's balance. Like the ledger it is never changed
+// afterwards: a mistake is put right with another transaction.
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: WALLET_TRANSACTION_TYPES,
+      required: true,
+    },
+    // Positive adds to the balance, negative takes from it
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "BDT",
+    },
+    memo: String,
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    paymentIntent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentIntent",
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payout",
+    },
+    // Applying the same key twice moves the balance once
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+walletTransactionSchema.index({ wallet: 1, createdAt: -1 });
+walletTransactionSchema.index({ booking: 1 });
+
+// Wallet history is append-only
+const IMMUTABLE_MESSAGE = "Wallet transactions cannot be changed or deleted";
+walletTransactionSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error(IMMUTABLE_MESSAGE));
+  next();
+});
+walletTransactionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error(IMMUTABLE_MESSAGE));
+  }
+);
+
+walletTransactionSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("WalletTransaction", walletTransactionSchema);
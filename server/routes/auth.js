@@ -1,12 +1,25 @@
 const express = require("express");
 const User = require("../models/User");
+const { requireAuth, requireToken } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
 
 const router = express.Router();
 
+// Authorization policies applied to the routes below
+const canReadUser = authorize("user:read");
+
+// Roles a user may pick for themselves when their account is created
+const SELF_ASSIGNABLE_ROLES = ["user", "driver"];
+
 // Register or sync user from Firebase (Updated for Google sign-in)
-router.post("/sync-user", async (req, res) => {
+router.post("/sync-user", requireToken, async (req, res) => {
   try {
-    const { firebaseUid, email, name, phone, role, authProvider } = req.body;
+    const { phone, role, authProvider } = req.body;
+
+    // Identity comes from the verified token, never from the request body
+    const firebaseUid = req.firebaseUser.uid;
+    const email = req.firebaseUser.email || req.body.email;
+    const name = req.body.name || req.firebaseUser.name;
 
     console.log("Sync user request:", {
       firebaseUid,
@@ -23,8 +36,8 @@ router.post("/sync-user", async (req, res) => {
       });
     }
 
-    // Check if user already exists
-    let user = await User.findOne({ firebaseUid });
+    // Check if user already exists (loaded by the auth middleware)
+    let user = req.user;
 
     if (user) {
       console.log("User already exists:", user.email);
@@ -60,7 +73,7 @@ router.post("/sync-user", async (req, res) => {
       email,
       name,
       phone: phone || "",
-      role: role || "user",
+      role: SELF_ASSIGNABLE_ROLES.includes(role) ? role : "user",
       authProvider: authProvider || (phone ? "email" : "google"),
       profileComplete: !!(phone && phone !== ""),
     });
@@ -110,24 +123,23 @@ router.post("/sync-user", async (req, res) => {
   }
 });
 
-// Get all users (for testing)
-router.get("/users", async (req, res) => {
+// Get the authenticated caller
+router.get("/me", requireAuth, async (req, res) => {
   try {
-    const users = await User.find({}).select("-__v").sort({ createdAt: -1 });
+    const user = await User.findById(req.user._id).select("-__v");
 
     res.status(200).json({
-      message: "Users fetched successfully",
-      count: users.length,
-      users,
+      message: "User found",
+      user,
     });
   } catch (error) {
-    console.error("Get users error:", error);
+    console.error("Get current user error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 // Get user by Firebase UID
-router.get("/user/:firebaseUid", async (req, res) => {
+router.get("/user/:firebaseUid", requireAuth, canReadUser, async (req, res) => {
   try {
     const { firebaseUid } = req.params;
 
@@ -148,13 +160,9 @@ router.get("/user/:firebaseUid", async (req, res) => {
 });
 
 // Update user profile (for completing Google sign-in profiles)
-router.put("/update-profile", async (req, res) => {
+router.put("/update-profile", requireAuth, async (req, res) => {
   try {
-    const { firebaseUid, phone, address, driverDetails } = req.body;
-
-    if (!firebaseUid) {
-      return res.status(400).json({ message: "Firebase UID required" });
-    }
+    const { phone, address, driverDetails, preferences } = req.body;
 
     const updateData = {};
     if (phone) {
@@ -162,9 +170,19 @@ router.put("/update-profile", async (req, res) => {
       updateData.profileComplete = true;
     }
     if (address) updateData.address = address;
-    if (driverDetails) updateData.driverDetails = driverDetails;
+    // Licence details go through review (PUT /api/drivers/license); only
+    // the driver's own preferences are edited here
+    for (const key of ["vehicleType", "experience"]) {
+      if (driverDetails?.[key] !== undefined) {
+        updateData[`driverDetails.${key}`] = driverDetails[key];
+      }
+    }
+    // Only the keys sent are changed, leaving the other preferences alone
+    for (const [key, value] of Object.entries(preferences || {})) {
+      updateData[`preferences.${key}`] = value;
+    }
 
-    const user = await User.findOneAndUpdate({ firebaseUid }, updateData, {
+    const user = await User.findByIdAndUpdate(req.user._id, updateData, {
       new: true,
       runValidators: true,
     }).select("-__v");
@@ -1,10 +1,74 @@
 const express = require("express");
 const Booking = require("../models/Booking");
 const Vehicle = require("../models/Vehicle");
-const User = require("../models/User");
+const Reservation = require("../models/Reservation");
+const ReturnTrip = require("../models/ReturnTrip");
+const { normalizeLocation } = require("../utils/geo");
+const { quoteTrip, toBookingPricing } = require("../services/pricing");
+const { getRoute } = require("../services/routing");
+const {
+  recordPosition,
+  getTrack,
+  publishStatus,
+} = require("../services/tracking");
+const {
+  notifyBookingCreated,
+  notifyBookingStatusChanged,
+} = require("../services/notifications");
+const { sendBookingStatusMessages } = require("../services/messaging");
+const { getWallet, payBookingFromWallet } = require("../services/wallet");
+const { submitRating } = require("../services/ratings");
+const {
+  settleCompletedBooking,
+  settleCancellation,
+} = require("../services/payments");
+const {
+  resolvePolicy,
+  bookingPolicy,
+  describePolicy,
+  quoteCancellation,
+  UNFULFILLED_STATUSES,
+} = require("../utils/cancellation");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
 
 const router = express.Router();
 
+// Every booking route acts as the authenticated caller
+router.use(requireAuth);
+
+// Load the booking targeted by the :id route parameter
+const loadBooking = (req) => Booking.findById(req.params.id);
+
+// Load the vehicle a new booking is being made for
+const loadBookingVehicle = (req) =>
+  req.body.vehicleId ? Vehicle.findById(req.body.vehicleId) : null;
+
+// Authorization policies applied to the routes below
+const canListBookings = authorize("booking:list");
+const canListUserBookings = authorize("booking:listForUser");
+const canListDriverBookings = authorize("booking:listForDriver");
+const canCreateBooking = authorize("booking:create", {
+  load: loadBookingVehicle,
+  notFound: "Vehicle not found",
+});
+const canReadBooking = authorize("booking:read", {
+  load: loadBooking,
+  notFound: "Booking not found",
+});
+const canUpdateBookingStatus = authorize("booking:updateStatus", {
+  load: loadBooking,
+  notFound: "Booking not found",
+});
+const canTrackBooking = authorize("booking:track", {
+  load: loadBooking,
+  notFound: "Booking not found",
+});
+const canRateBooking = authorize("booking:rate", {
+  load: loadBooking,
+  notFound: "Booking not found",
+});
+
 // Test route for debugging
 router.get("/test", async (req, res) => {
   try {
@@ -55,51 +119,63 @@ router.get("/db-test", async (req, res) => {
 });
 
 // Create new booking
-router.post("/", async (req, res) => {
+router.post("/", canCreateBooking, async (req, res) => {
   try {
     const {
       vehicleId,
-      userId,
       pickupLocation,
       dropoffLocation,
-      distance,
-      estimatedDuration,
       scheduledDateTime,
       specialRequests,
       paymentMethod,
+      returnTripId,
     } = req.body;
 
+    // The authenticated caller is always the passenger
+    const user = req.user;
+
     console.log("📅 Creating new booking:", {
       vehicleId,
-      userId,
-      distance,
-      estimatedDuration,
+      userId: user._id,
     });
 
-    // Validation
+    // Validation. Distance and duration are worked out below from the
+    // coordinates; any values the client sends are ignored.
     if (
       !vehicleId ||
-      !userId ||
       !pickupLocation ||
       !dropoffLocation ||
-      !distance ||
-      !estimatedDuration ||
       !scheduledDateTime
     ) {
       return res.status(400).json({
         message: "Missing required fields",
         required: [
           "vehicleId",
-          "userId",
           "pickupLocation",
           "dropoffLocation",
-          "distance",
-          "estimatedDuration",
           "scheduledDateTime",
         ],
       });
     }
 
+    // Store pickup and dropoff as GeoJSON points
+    const pickup = normalizeLocation(pickupLocation);
+    const dropoff = normalizeLocation(dropoffLocation);
+    if (!pickup.point || !dropoff.point) {
+      return res.status(400).json({
+        message: "Pickup and dropoff locations need valid coordinates",
+        error: "INVALID_COORDINATES",
+      });
+    }
+
+    const route = await getRoute(pickup.point, dropoff.point);
+    if (route.distanceKm === 0) {
+      return res.status(400).json({
+        message: "Pickup and dropoff must be different places",
+        error: "SAME_LOCATION",
+      });
+    }
+
     // Get vehicle and driver info
     const vehicle = await Vehicle.findById(vehicleId).populate("driver");
     if (!vehicle) {
@@ -112,54 +188,128 @@ router.post("/", async (req, res) => {
         .json({ message: "Vehicle is not available for booking" });
     }
 
-    // Get user info
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    // Only approved vehicles of active drivers with a verified licence
+    if (
+      vehicle.status !== "approved" ||
+      !vehicle.driver?.isActive ||
+      !vehicle.driver.isVerified
+    ) {
+      return res.status(409).json({
+        message: "This vehicle can't be booked right now",
+        error: "VEHICLE_NOT_BOOKABLE",
+      });
     }
 
-    // Check if vehicle is available at scheduled time
-    const scheduledDate = new Date(scheduledDateTime);
-    const existingBookings = await Booking.find({
-      vehicle: vehicleId,
-      scheduledDateTime: {
-        $gte: new Date(scheduledDate.getTime() - 2 * 60 * 60 * 1000), // 2 hours before
-        $lte: new Date(scheduledDate.getTime() + 2 * 60 * 60 * 1000), // 2 hours after
-      },
-      status: { $in: ["confirmed", "started"] },
-    });
-
-    if (existingBookings.length > 0) {
-      return res.status(400).json({
-        message: "Vehicle is already booked for the selected time slot",
-        suggestedTimes: [],
+    // Seats on a return trip are discounted, provided the trip fits
+    let returnTrip = null;
+    if (returnTripId) {
+      returnTrip = await ReturnTrip.findById(returnTripId);
+      if (!returnTrip) {
+        return res.status(404).json({ message: "Return trip not found" });
+      }
+
+      const problem = returnTrip.getBookingProblem({
+        vehicleId,
+        scheduledDateTime,
+        pickup: pickup.point,
+        dropoff: dropoff.point,
       });
+      if (problem) {
+        return res.status(400).json({
+          message: problem,
+          error: "RETURN_TRIP_MISMATCH",
+        });
+      }
     }
 
     // Create booking object
     const booking = new Booking({
-      user: userId,
+      user: user._id,
       driver: vehicle.driver._id,
       vehicle: vehicleId,
+      returnTrip: returnTrip?._id,
       tripDetails: {
-        pickupLocation,
-        dropoffLocation,
-        distance,
-        estimatedDuration,
+        pickupLocation: pickup,
+        dropoffLocation: dropoff,
+        distance: route.distanceKm,
+        estimatedDuration: route.durationMinutes,
       },
       scheduledDateTime,
       specialRequests,
       payment: {
         method: paymentMethod || "cash",
       },
+      cancellationPolicy: resolvePolicy(vehicle.cancellationPolicy),
     });
 
     // Calculate pricing
-    const pricing = booking.calculatePrice(vehicle);
-    booking.pricing = pricing;
+    const quote = quoteTrip(vehicle, {
+      distanceKm: route.distanceKm,
+      durationMinutes: route.durationMinutes,
+      startTime: scheduledDateTime,
+      discountPercent: returnTrip?.discountPercent,
+      discountLabel: "Return trip discount",
+    });
+    booking.pricing = toBookingPricing(quote);
+
+    // Wallet fares are paid as the trip is booked
+    if (booking.payment.method === "wallet") {
+      const wallet = await getWallet(user);
+      if (wallet.balance < booking.pricing.totalPrice) {
+        return res.status(402).json({
+          message: "Your wallet balance is too low for this trip",
+          error: "INSUFFICIENT_FUNDS",
+          balance: wallet.balance,
+          required: booking.pricing.totalPrice,
+        });
+      }
+    }
 
-    // Save booking
-    await booking.save();
+    // Reserve the trip interval (start + duration + buffer) atomically, so
+    // concurrent requests for overlapping times cannot both succeed
+    const duration = route.durationMinutes;
+    const { start, end } = Reservation.getInterval(scheduledDateTime, duration);
+    try {
+      await Reservation.reserve(vehicle._id, booking._id, start, end);
+    } catch (error) {
+      if (error.name !== "ReservationConflictError") throw error;
+
+      const suggestedTimes = await Reservation.findFreeSlots(
+        vehicle._id,
+        start,
+        duration
+      );
+      return res.status(409).json({
+        message: error.message,
+        error: "TIME_SLOT_TAKEN",
+        suggestedTimes,
+      });
+    }
+
+    // Save booking, giving the slots back if it fails validation
+    try {
+      await booking.save();
+    } catch (error) {
+      await Reservation.release(booking._id);
+      throw error;
+    }
+
+    if (booking.payment.method === "wallet") {
+      try {
+        await payBookingFromWallet(booking);
+      } catch (error) {
+        // The balance was spent elsewhere since it was checked
+        await Reservation.release(booking._id);
+        await booking.deleteOne();
+        if (error.name === "WalletError") {
+          return res.status(error.status).json({
+            message: "Your wallet balance is too low for this trip",
+            error: error.code,
+          });
+        }
+        throw error;
+      }
+    }
 
     // Populate the booking for response
     await booking.populate([
@@ -170,18 +320,26 @@ router.post("/", async (req, res) => {
 
     console.log("✅ Booking created successfully:", booking._id);
 
+    // Never fails the request; errors are logged by the service
+    notifyBookingCreated(booking);
+
     res.status(201).json({
       message: "Booking created successfully",
       booking,
     });
   } catch (error) {
     console.error("❌ Create booking error:", error);
+
+    if (error.name === "PricingError") {
+      return res.status(error.status).json({ message: error.message });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
 // Get all bookings (admin)
-router.get("/", async (req, res) => {
+router.get("/", canListBookings, async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
 
@@ -218,7 +376,7 @@ router.get("/", async (req, res) => {
 });
 
 // Get booking by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", canReadBooking, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
       .populate("user", "name email phone")
@@ -239,8 +397,47 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// Get the live trip trace and ETA
+router.get("/:id/track", canReadBooking, async (req, res) => {
+  try {
+    const track = await getTrack(req.resource);
+
+    res.status(200).json({
+      message: "Trip track fetched successfully",
+      track,
+    });
+  } catch (error) {
+    console.error("❌ Get trip track error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Report the driver's position over HTTP, for clients that can't hold a
+// WebSocket open
+router.post("/:id/locations", canTrackBooking, async (req, res) => {
+  try {
+    const result = await recordPosition(req.resource, req.user, req.body);
+
+    res.status(201).json({
+      message: "Position recorded",
+      ...result,
+    });
+  } catch (error) {
+    console.error("❌ Record position error:", error);
+
+    if (error.name === "TrackingError") {
+      return res.status(error.status).json({
+        message: error.message,
+        error: error.code,
+      });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
 // Get user's bookings (IMPROVED ERROR HANDLING)
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", canListUserBookings, async (req, res) => {
   try {
     const { userId } = req.params;
     const { status } = req.query;
@@ -318,7 +515,7 @@ router.get("/user/:userId", async (req, res) => {
 });
 
 // Get driver's bookings
-router.get("/driver/:driverId", async (req, res) => {
+router.get("/driver/:driverId", canListDriverBookings, async (req, res) => {
   try {
     const { driverId } = req.params;
     const { status } = req.query;
@@ -367,60 +564,63 @@ router.get("/driver/:driverId", async (req, res) => {
   }
 });
 
-// Update booking status (confirm/reject/cancel)
-router.put("/:id/status", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, reason, updatedBy } = req.body;
-
-    const validStatuses = [
-      "pending",
-      "confirmed",
-      "rejected",
-      "started",
-      "completed",
-      "cancelled",
-      "no_show",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        message: "Invalid status",
-        validStatuses,
+// What cancelling the booking would cost, shown before the caller confirms
+router.get(
+  "/:id/cancellation-quote",
+  canUpdateBookingStatus,
+  async (req, res) => {
+    try {
+      const booking = req.resource;
+      const actor = booking.getActorRole(req.user);
+      const quote = quoteCancellation(booking, { actor });
+
+      res.status(200).json({
+        message: "Cancellation quote calculated",
+        quote,
+        policy: describePolicy(bookingPolicy(booking)),
       });
+    } catch (error) {
+      console.error("❌ Cancellation quote error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
     }
+  }
+);
 
-    const booking = await Booking.findById(id);
-    if (!booking) {
-      return res.status(404).json({ message: "Booking not found" });
-    }
+// Update booking status (confirm/reject/cancel)
+router.put("/:id/status", canUpdateBookingStatus, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    // Loaded and authorized by the policy middleware
+    const booking = req.resource;
+    const actor = booking.getActorRole(req.user);
+    const from = booking.status;
+
+    // The state machine validates the transition and who is making it
+    booking.transitionTo(status, {
+      actor,
+      changedBy: req.user._id,
+      reason,
+    });
 
-    // Update status and timestamp
-    booking.status = status;
-
-    switch (status) {
-      case "confirmed":
-        booking.confirmedAt = new Date();
-        break;
-      case "rejected":
-        booking.rejectedAt = new Date();
-        if (reason) booking.cancellationReason = reason;
-        break;
-      case "cancelled":
-        booking.cancelledAt = new Date();
-        if (reason) booking.cancellationReason = reason;
-        if (updatedBy) booking.cancelledBy = updatedBy;
-        break;
-      case "started":
-        booking.tripProgress.startTime = new Date();
-        break;
-      case "completed":
-        booking.tripProgress.endTime = new Date();
-        booking.payment.status = "paid";
-        booking.payment.paidAt = new Date();
-        break;
+    // Cash changes hands at the end of the trip; online payments are only
+    // marked paid once their gateway confirms them
+    if (status === "completed" && booking.payment.method === "cash") {
+      booking.payment.status = "paid";
+      booking.payment.paidAt = new Date();
     }
 
+    // Only save over the status this request read, so a change someone else
+    // made in the meantime (e.g. the passenger cancelling while the driver
+    // confirms) isn't overwritten
+    booking.$where = { status: from };
     await booking.save();
+    booking.$where = undefined;
+    publishStatus(booking);
+    if (status === "completed") await settleCompletedBooking(booking);
+    if (UNFULFILLED_STATUSES.includes(status)) {
+      await settleCancellation(booking);
+    }
 
     // Populate for response
     await booking.populate([
@@ -431,12 +631,62 @@ router.put("/:id/status", async (req, res) => {
 
     console.log("✅ Booking status updated:", booking._id, "to", status);
 
+    const change = { actor, changedBy: req.user._id, reason };
+    notifyBookingStatusChanged(booking, change);
+    sendBookingStatusMessages(booking, change);
+
     res.status(200).json({
       message: `Booking ${status} successfully`,
       booking,
     });
   } catch (error) {
     console.error("❌ Update booking status error:", error);
+
+    if (error.name === "BookingTransitionError") {
+      return res.status(error.status).json({
+        message: error.message,
+        error: error.code,
+        currentStatus: error.from,
+        allowedStatuses: error.allowedStatuses,
+      });
+    }
+
+    if (error.name === "DocumentNotFoundError") {
+      return res.status(409).json({
+        message:
+          "This booking was just changed. Please reload it and try again.",
+        error: "BOOKING_CHANGED",
+      });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Rate a completed trip: the passenger rates the driver and vehicle, the
+// driver rates the passenger
+router.post("/:id/rating", canRateBooking, async (req, res) => {
+  try {
+    const { rating, review } = req.body;
+    const booking = await submitRating(req.resource, req.user, {
+      rating,
+      review,
+    });
+
+    res.status(201).json({
+      message: "Thanks for rating your trip",
+      rating: booking.rating,
+    });
+  } catch (error) {
+    console.error("❌ Rate booking error:", error);
+
+    if (error.name === "RatingError") {
+      return res.status(error.status).json({
+        message: error.message,
+        error: error.code,
+      });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -444,17 +694,37 @@ router.put("/:id/status", async (req, res) => {
 // Calculate booking price
 router.post("/calculate-price", async (req, res) => {
   try {
-    const { vehicleId, distance, estimatedDuration } = req.body;
-
-    console.log("💰 Calculating price for:", {
+    const {
       vehicleId,
-      distance,
-      estimatedDuration,
-    });
+      pickupLocation,
+      dropoffLocation,
+      scheduledDateTime,
+      returnTripId,
+    } = req.body;
 
-    if (!vehicleId || !distance || !estimatedDuration) {
+    console.log("💰 Calculating price for:", { vehicleId });
+
+    if (!vehicleId || !pickupLocation || !dropoffLocation) {
+      return res.status(400).json({
+        message: "Vehicle ID, pickup and dropoff locations are required",
+      });
+    }
+
+    // Quote from the same route a booking would be priced on
+    const pickup = normalizeLocation(pickupLocation);
+    const dropoff = normalizeLocation(dropoffLocation);
+    if (!pickup.point || !dropoff.point) {
+      return res.status(400).json({
+        message: "Pickup and dropoff locations need valid coordinates",
+        error: "INVALID_COORDINATES",
+      });
+    }
+
+    const route = await getRoute(pickup.point, dropoff.point);
+    if (route.distanceKm === 0) {
       return res.status(400).json({
-        message: "Vehicle ID, distance, and estimated duration are required",
+        message: "Pickup and dropoff must be different places",
+        error: "SAME_LOCATION",
       });
     }
 
@@ -463,32 +733,39 @@ router.post("/calculate-price", async (req, res) => {
       return res.status(404).json({ message: "Vehicle not found" });
     }
 
-    // Create temporary booking object for price calculation
-    const tempBooking = new Booking({
-      tripDetails: { distance, estimatedDuration },
+    // Quote the return trip discount when the seat is on one
+    const returnTrip = returnTripId
+      ? await ReturnTrip.findOne({
+          _id: returnTripId,
+          vehicle: vehicle._id,
+          status: "active",
+        })
+      : null;
+
+    // Pricing rules are matched against the pickup time, or now if not set
+    const quote = quoteTrip(vehicle, {
+      distanceKm: route.distanceKm,
+      durationMinutes: route.durationMinutes,
+      startTime: scheduledDateTime || undefined,
+      discountPercent: returnTrip?.discountPercent,
+      discountLabel: "Return trip discount",
     });
 
-    const pricing = tempBooking.calculatePrice(vehicle);
-
-    console.log("✅ Price calculated:", pricing);
+    console.log("✅ Price calculated:", quote.total, quote.currency);
 
     res.status(200).json({
       message: "Price calculated successfully",
-      pricing: {
-        ...pricing,
-        currency: vehicle.pricing.currency,
-        breakdown: {
-          basePrice: `${pricing.basePrice} BDT (Starting fare)`,
-          distancePrice: `${pricing.distancePrice} BDT (${distance} km × ${vehicle.pricing.pricePerKm} BDT/km)`,
-          timePrice: `${pricing.timePrice} BDT (${Math.round(
-            estimatedDuration / 60
-          )} hours × ${vehicle.pricing.pricePerHour} BDT/hour)`,
-          minimumFare: `${vehicle.pricing.minimumFare} BDT (Minimum charge)`,
-        },
-      },
+      route,
+      quote,
+      pricing: toBookingPricing(quote),
     });
   } catch (error) {
     console.error("❌ Calculate price error:", error);
+
+    if (error.name === "PricingError") {
+      return res.status(error.status).json({ message: error.message });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
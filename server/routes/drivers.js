@@ -0,0 +1,132 @@
+const express = require("express");
+const User = require("../models/User");
+const { submitLicense, reviewLicense } = require("../services/driverLicenses");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+
+const router = express.Router();
+
+// Every driver onboarding route acts as the authenticated caller
+router.use(requireAuth);
+
+// Authorization policies applied to the routes below
+const canSubmitLicense = authorize("license:submit");
+const canListLicenses = authorize("license:list");
+const canReviewLicense = authorize("license:review", {
+  load: (req) => User.findById(req.params.id),
+  notFound: "Driver not found",
+});
+
+const LICENSE_STATUSES = ["pending", "approved", "rejected", "expired"];
+
+const sendLicenseError = (res, error, label) => {
+  console.error(`❌ ${label} error:`, error);
+
+  if (error.name === "LicenseError") {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: Object.values(error.errors).map((e) => e.message),
+    });
+  }
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+// Submit the caller's driving licence for review
+router.put("/license", canSubmitLicense, async (req, res) => {
+  try {
+    const {
+      licenseNumber,
+      licenseExpiry,
+      licensePhotoUrl,
+      vehicleType,
+      experience,
+    } = req.body;
+    const user = await submitLicense(req.user, {
+      licenseNumber,
+      licenseExpiry,
+      licensePhotoUrl,
+      vehicleType,
+      experience,
+    });
+
+    res.status(200).json({
+      message: "Licence submitted for review",
+      user,
+    });
+  } catch (error) {
+    sendLicenseError(res, error, "Submit licence");
+  }
+});
+
+// Drivers' licences awaiting review (or with a given status), oldest
+// submission first
+router.get("/licenses", canListLicenses, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!LICENSE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `Status must be one of: ${LICENSE_STATUSES.join(", ")}`,
+        error: "INVALID_STATUS",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const query = { role: "driver", "driverDetails.licenseStatus": status };
+
+    const [drivers, totalCount] = await Promise.all([
+      User.find(query)
+        .select("name email phone isVerified isActive driverDetails createdAt")
+        .sort({
+          "driverDetails.licenseSubmittedAt": status === "pending" ? 1 : -1,
+        })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("driverDetails.licenseReviewedBy", "name"),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      message: "Licences fetched successfully",
+      drivers,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page < Math.ceil(totalCount / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get licences error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Approve or reject a driver's submitted licence
+router.put("/:id/license", canReviewLicense, async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    const driver = await reviewLicense(req.resource, req.user, {
+      decision,
+      note,
+    });
+
+    res.status(200).json({
+      message:
+        driver.driverDetails.licenseStatus === "approved"
+          ? "Licence approved"
+          : "Licence rejected",
+      driver,
+    });
+  } catch (error) {
+    sendLicenseError(res, error, "Review licence");
+  }
+});
+
+module.exports = router;
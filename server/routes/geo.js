@@ -0,0 +1,91 @@
+const express = require("express");
+const {
+  autocomplete,
+  geocode,
+  reverseGeocode,
+} = require("../services/geocoding");
+const { toPoint } = require("../utils/geo");
+
+const router = express.Router();
+
+// Place suggestions as the user types an address
+router.get("/autocomplete", async (req, res) => {
+  try {
+    const query = (req.query.q || "").trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+
+    const places = query
+      ? await autocomplete(query, { limit, city: req.query.city || null })
+      : [];
+
+    res.status(200).json({
+      message: "Places fetched successfully",
+      query,
+      places,
+    });
+  } catch (error) {
+    console.error("Autocomplete error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Resolve a free-text address to the best matching place
+router.get("/geocode", async (req, res) => {
+  try {
+    const query = (req.query.q || "").trim();
+    if (!query) {
+      return res.status(400).json({ message: "Address is required" });
+    }
+
+    const result = await geocode(query);
+    if (!result) {
+      return res.status(404).json({
+        message: "No matching place found",
+        error: "PLACE_NOT_FOUND",
+      });
+    }
+
+    res.status(200).json({
+      message: "Address geocoded successfully",
+      query,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Geocode error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Describe a point by the nearest known place, e.g. for a dropped map pin
+router.get("/reverse", async (req, res) => {
+  try {
+    const point = toPoint({
+      latitude: req.query.lat,
+      longitude: req.query.lng,
+    });
+    if (!point) {
+      return res.status(400).json({
+        message: "Valid lat and lng are required",
+        error: "INVALID_COORDINATES",
+      });
+    }
+
+    const result = await reverseGeocode(point);
+    if (!result) {
+      return res.status(404).json({
+        message: "No nearby place found",
+        error: "PLACE_NOT_FOUND",
+      });
+    }
+
+    res.status(200).json({
+      message: "Point described successfully",
+      ...result,
+    });
+  } catch (error) {
+    console.error("Reverse geocode error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require("express");
+const Notification = require("../models/Notification");
+const { publishUnreadCount } = require("../services/notifications");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+
+const router = express.Router();
+
+// Callers only ever see their own notifications
+router.use(requireAuth);
+
+const canUpdateNotification = authorize("notification:update", {
+  load: (req) => Notification.findById(req.params.id),
+  notFound: "Notification not found",
+});
+
+// Get the caller's notifications, newest first
+router.get("/", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const query = { recipient: req.user._id };
+    if (req.query.unread === "true") query.readAt = null;
+
+    const [notifications, totalCount, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countUnread(req.user._id),
+    ]);
+
+    res.status(200).json({
+      message: "Notifications fetched successfully",
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page < Math.ceil(totalCount / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get notifications error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Mark every notification as read
+router.put("/read-all", async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+    await publishUnreadCount(req.user._id);
+
+    res.status(200).json({
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    console.error("❌ Mark all notifications read error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Mark one notification as read
+router.put("/:id/read", canUpdateNotification, async (req, res) => {
+  try {
+    const notification = req.resource;
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    const unreadCount = await publishUnreadCount(req.user._id);
+
+    res.status(200).json({
+      message: "Notification marked as read",
+      notification,
+      unreadCount,
+    });
+  } catch (error) {
+    console.error("❌ Mark notification read error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
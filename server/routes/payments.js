@@ -0,0 +1,260 @@
+const express = require("express");
+const Booking = require("../models/Booking");
+const PaymentIntent = require("../models/PaymentIntent");
+const {
+  createPaymentIntent,
+  handleGatewayCallback,
+  refundPayment,
+} = require("../services/payments");
+const {
+  getGateway,
+  gatewaysForMethod,
+  signPayload,
+} = require("../services/paymentGateways");
+const { getBookingLedger } = require("../services/ledger");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+
+const router = express.Router();
+
+// Authorization policies applied to the routes below. Gateway callbacks and
+// the test checkout page are reached without a user session.
+const canPayBooking = authorize("payment:create", {
+  load: (req) =>
+    req.body.bookingId ? Booking.findById(req.body.bookingId) : null,
+  notFound: "Booking not found",
+});
+const canReadPayment = authorize("payment:read", {
+  load: (req) => PaymentIntent.findById(req.params.id).select("-events"),
+  notFound: "Payment not found",
+});
+const canRefundPayment = authorize("payment:refund", {
+  load: (req) => PaymentIntent.findById(req.params.id),
+  notFound: "Payment not found",
+});
+const canReadBookingLedger = authorize("booking:read", {
+  load: (req) => Booking.findById(req.params.bookingId),
+  notFound: "Booking not found",
+});
+
+const sendPaymentError = (res, error, label) => {
+  console.error(`❌ ${label} error:`, error);
+
+  if (
+    ["PaymentError", "PaymentGatewayError", "WalletError"].includes(error.name)
+  ) {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code,
+    });
+  }
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+// Gateways available for a payment method, e.g. ?method=mobile_banking
+router.get("/gateways", requireAuth, (req, res) => {
+  const gateways = gatewaysForMethod(req.query.method || "card").map(
+    ({ name, label, methods }) => ({ name, label, methods })
+  );
+  res.status(200).json({ gateways });
+});
+
+// Start paying a booking online; the client sends the passenger to redirectUrl
+router.post("/intents", requireAuth, canPayBooking, async (req, res) => {
+  try {
+    const intent = await createPaymentIntent(req.resource, req.user, {
+      gateway: req.body.gateway,
+    });
+
+    res.status(201).json({
+      message: "Payment started",
+      payment: {
+        _id: intent._id,
+        status: intent.status,
+        gateway: intent.gateway,
+        amount: intent.amount,
+        currency: intent.currency,
+        redirectUrl: intent.redirectUrl,
+      },
+    });
+  } catch (error) {
+    sendPaymentError(res, error, "Create payment");
+  }
+});
+
+// Check on a payment, e.g. after returning from the gateway
+router.get("/intents/:id", requireAuth, canReadPayment, (req, res) => {
+  res.status(200).json({
+    message: "Payment fetched successfully",
+    payment: req.resource,
+  });
+});
+
+// Refund some or all of a payment (administrators only)
+router.post(
+  "/intents/:id/refund",
+  requireAuth,
+  canRefundPayment,
+  async (req, res) => {
+    try {
+      // Wallet top-ups aren't for a booking
+      const payment = req.resource;
+      const booking =
+        payment.purpose === "booking"
+          ? await Booking.findById(payment.booking)
+          : null;
+      if (payment.purpose === "booking" && !booking) {
+        return res.status(404).json({ message: "Booking not found" });
+      }
+
+      const { intent, refund } = await refundPayment(booking, {
+        intent: payment,
+        amount: req.body.amount,
+        reason: req.body.reason,
+      });
+
+      res.status(200).json({
+        message: "Payment refunded",
+        refund,
+        payment: intent,
+        paymentStatus: booking ? booking.payment.status : null,
+      });
+    } catch (error) {
+      sendPaymentError(res, error, "Refund payment");
+    }
+  }
+);
+
+// A booking's ledger transactions and account balances
+router.get(
+  "/bookings/:bookingId/ledger",
+  requireAuth,
+  canReadBookingLedger,
+  async (req, res) => {
+    try {
+      const ledger = await getBookingLedger(req.resource._id);
+      res.status(200).json({
+        message: "Ledger fetched successfully",
+        ...ledger,
+      });
+    } catch (error) {
+      console.error("❌ Get ledger error:", error);
+      res.status(500).json({ message: "Server error", error: error.message });
+    }
+  }
+);
+
+// Signed payment results posted by a gateway
+router.post("/callback/:gateway", async (req, res) => {
+  try {
+    const { intent, duplicate } = await handleGatewayCallback(
+      req.params.gateway,
+      req.body
+    );
+    res.status(200).json({
+      message: duplicate ? "Already processed" : "Payment updated",
+      status: intent.status,
+    });
+  } catch (error) {
+    sendPaymentError(res, error, "Payment callback");
+  }
+});
+
+// The test gateway's checkout page
+router.get("/fake/checkout", async (req, res) => {
+  try {
+    const gateway = getGateway("fake");
+    const intent =
+      gateway &&
+      (await PaymentIntent.findOne({
+        gateway: "fake",
+        reference: String(req.query.reference),
+      }));
+    if (!intent) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    // The form redirects back to the client once the payment is settled
+    res.set(
+      "Content-Security-Policy",
+      `default-src 'none'; style-src 'unsafe-inline'; form-action 'self' ${
+        new URL(intent.returnUrl).origin
+      }`
+    );
+    const reference = escapeHtml(intent.reference);
+    res.status(200).send(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>Test payment</title>
+    <style>
+      body { font-family: sans-serif; max-width: 24rem; margin: 4rem auto; }
+      button { padding: 0.5rem 1rem; margin-right: 0.5rem; }
+    </style>
+  </head>
+  <body>
+    <h1>Test payment</h1>
+    <p>Pay <strong>${escapeHtml(intent.currency)} ${escapeHtml(
+      intent.amount
+    )}</strong> by ${escapeHtml(intent.method.replace("_", " "))}.</p>
+    <p>No money is moved by this page.</p>
+    <form method="post" action="complete">
+      <input type="hidden" name="reference" value="${reference}" />
+      <button name="outcome" value="succeeded">Approve</button>
+      <button name="outcome" value="failed">Decline</button>
+    </form>
+  </body>
+</html>`);
+  } catch (error) {
+    console.error("❌ Fake checkout error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Settle a test payment the way a real gateway would: with a signed callback
+router.post("/fake/complete", async (req, res) => {
+  try {
+    const gateway = getGateway("fake");
+    const intent =
+      gateway &&
+      (await PaymentIntent.findOne({
+        gateway: "fake",
+        reference: String(req.body.reference),
+      }));
+    if (!intent) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    const succeeded = req.body.outcome === "succeeded";
+    const payload = {
+      reference: intent.reference,
+      intentId: intent._id.toString(),
+      status: succeeded ? "succeeded" : "failed",
+      amount: intent.amount,
+      currency: intent.currency,
+      transactionId: `${intent.reference}_txn`,
+      ...(!succeeded && { reason: "Declined on the test checkout page" }),
+    };
+    payload.signature = signPayload(payload, gateway.secret);
+
+    await handleGatewayCallback("fake", payload);
+    res.redirect(303, intent.returnUrl);
+  } catch (error) {
+    sendPaymentError(res, error, "Fake checkout");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require("express");
+const Booking = require("../models/Booking");
+const Report = require("../models/Report");
+const { createReport, moderateReport } = require("../services/moderation");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+
+const router = express.Router();
+
+// Every report route acts as the authenticated caller
+router.use(requireAuth);
+
+// Authorization policies applied to the routes below
+const canCreateReport = authorize("report:create", {
+  load: (req) =>
+    req.body.bookingId ? Booking.findById(req.body.bookingId) : null,
+  notFound: "Booking not found",
+});
+const canListReports = authorize("report:list");
+const canModerateReport = authorize("report:moderate", {
+  load: (req) => Report.findById(req.params.id),
+  notFound: "Report not found",
+});
+
+const sendModerationError = (res, error, label) => {
+  console.error(`❌ ${label} error:`, error);
+
+  if (["ModerationError", "RatingError"].includes(error.name)) {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: Object.values(error.errors).map((e) => e.message),
+    });
+  }
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+// Report a trip review, or the other participant of a booking
+router.post("/", canCreateReport, async (req, res) => {
+  try {
+    const { targetType, side, reason, details } = req.body;
+    const report = await createReport(req.user, req.resource, {
+      targetType,
+      side,
+      reason,
+      details,
+    });
+
+    res.status(201).json({
+      message: "Thanks, a moderator will look into your report",
+      report,
+    });
+  } catch (error) {
+    sendModerationError(res, error, "Create report");
+  }
+});
+
+// Filters the queue accepts, as the model defines them
+const REPORT_STATUSES = Report.schema.path("status").enumValues;
+const TARGET_TYPES = Report.schema.path("targetType").enumValues;
+
+// The moderation queue: open and escalated reports, oldest first, or the
+// reports with a given status
+router.get("/", canListReports, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const { status, targetType } = req.query;
+    if (status && status !== "queue" && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `Status must be one of: queue, ${REPORT_STATUSES.join(", ")}`,
+        error: "INVALID_STATUS",
+      });
+    }
+    if (targetType && !TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({
+        message: `Target type must be one of: ${TARGET_TYPES.join(", ")}`,
+        error: "INVALID_TARGET_TYPE",
+      });
+    }
+
+    const query = {};
+    if (status && status !== "queue") {
+      query.status = status;
+    } else {
+      query.status = { $in: ["open", "escalated"] };
+    }
+    if (targetType) query.targetType = targetType;
+
+    const [reports, totalCount] = await Promise.all([
+      Report.find(query)
+        .sort({ createdAt: query.status === "resolved" ? -1 : 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("reporter", "name email role")
+        .populate("reportedUser", "name email role rating")
+        .populate({
+          path: "booking",
+          select: "scheduledDateTime status rating vehicle",
+          populate: { path: "vehicle", select: "brand model plateNumber" },
+        }),
+      Report.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      message: "Reports fetched successfully",
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page < Math.ceil(totalCount / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get reports error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Hide or restore the reported review, or escalate the report
+router.put("/:id", canModerateReport, async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const report = await moderateReport(req.resource, req.user, {
+      action,
+      note,
+    });
+
+    res.status(200).json({
+      message: "Report updated",
+      report,
+    });
+  } catch (error) {
+    sendModerationError(res, error, "Moderate report");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const express = require("express");
+const ReturnTrip = require("../models/ReturnTrip");
+const Vehicle = require("../models/Vehicle");
+const { normalizeLocation, toPoint } = require("../utils/geo");
+const { escapeRegExp } = require("../utils/search");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+
+const router = express.Router();
+
+// Every return trip route acts as the authenticated caller
+router.use(requireAuth);
+
+// Load the return trip targeted by the :id route parameter
+const loadReturnTrip = (req) => ReturnTrip.findById(req.params.id);
+
+// Load the vehicle a new return trip is being offered with
+const loadTripVehicle = (req) =>
+  req.body.vehicleId ? Vehicle.findById(req.body.vehicleId) : null;
+
+// Authorization policies applied to the routes below
+const canCreateReturnTrip = authorize("returnTrip:create", {
+  load: loadTripVehicle,
+  notFound: "Vehicle not found",
+});
+const canListDriverReturnTrips = authorize("returnTrip:listByDriver");
+const canUpdateReturnTrip = authorize("returnTrip:update", {
+  load: loadReturnTrip,
+  notFound: "Return trip not found",
+});
+const canDeleteReturnTrip = authorize("returnTrip:delete", {
+  load: loadReturnTrip,
+  notFound: "Return trip not found",
+});
+
+// A real "YYYY-MM-DD" day; Date would roll 2025-02-30 over into March
+const isCalendarDate = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const day = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(day.getTime()) && day.toISOString().startsWith(value);
+};
+
+// Fields a driver may set when creating or editing a trip
+const EDITABLE_FIELDS = [
+  "origin",
+  "destination",
+  "waypoints",
+  "departureWindow",
+  "discountPercent",
+  "notes",
+];
+
+// Pick the editable fields from a request body, converting places to GeoJSON
+const readTripFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.origin) fields.origin = normalizeLocation(fields.origin);
+  if (fields.destination) {
+    fields.destination = normalizeLocation(fields.destination);
+  }
+  if (Array.isArray(fields.waypoints)) {
+    fields.waypoints = fields.waypoints.map(normalizeLocation);
+  }
+
+  return fields;
+};
+
+const populateTrip = [
+  { path: "driver", select: "name email phone rating.average rating.count" },
+  {
+    path: "vehicle",
+    select:
+      "type brand model year color plateNumber capacity features pricing images",
+  },
+];
+
+// Send mongoose validation failures back as 400s
+const handleTripError = (res, error, context) => {
+  console.error(`${context} error:`, error);
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      message: "Invalid return trip",
+      errors: Object.values(error.errors).map((e) => e.message),
+    });
+  }
+
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+// List upcoming return trips
+router.get("/", async (req, res) => {
+  try {
+    const page = req.query.page ? Number(req.query.page) : 1;
+    const limit = req.query.limit ? Number(req.query.limit) : 10;
+
+    const query = {
+      status: "active",
+      "departureWindow.end": { $gte: new Date() },
+    };
+    if (req.query.originCity) {
+      query["origin.city"] = new RegExp(
+        escapeRegExp(String(req.query.originCity)),
+        "i"
+      );
+    }
+    if (req.query.destinationCity) {
+      query["destination.city"] = new RegExp(
+        escapeRegExp(String(req.query.destinationCity)),
+        "i"
+      );
+    }
+
+    const [returnTrips, totalCount] = await Promise.all([
+      ReturnTrip.find(query)
+        .populate(populateTrip)
+        .sort({ "departureWindow.start": 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReturnTrip.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      message: "Return trips fetched successfully",
+      returnTrips,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page < Math.ceil(totalCount / limit),
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get return trips error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Find return trips whose route passes near a passenger's pickup and dropoff
+router.get("/match", async (req, res) => {
+  try {
+    const { pickupLat, pickupLng, dropoffLat, dropoffLng, date } = req.query;
+    const radiusKm = req.query.radiusKm ? Number(req.query.radiusKm) : 10;
+
+    const pickup = toPoint({ latitude: pickupLat, longitude: pickupLng });
+    if (!pickup) {
+      return res.status(400).json({
+        message: "pickupLat and pickupLng must be valid coordinates",
+        error: "INVALID_COORDINATES",
+      });
+    }
+
+    let dropoff = null;
+    if (dropoffLat !== undefined || dropoffLng !== undefined) {
+      dropoff = toPoint({ latitude: dropoffLat, longitude: dropoffLng });
+      if (!dropoff) {
+        return res.status(400).json({
+          message: "dropoffLat and dropoffLng must be valid coordinates",
+          error: "INVALID_COORDINATES",
+        });
+      }
+    }
+
+    if (!(radiusKm > 0)) {
+      return res.status(400).json({
+        message: "radiusKm must be a positive number",
+        error: "INVALID_RADIUS",
+      });
+    }
+
+    if (date && !isCalendarDate(date)) {
+      return res.status(400).json({
+        message: "date must be a day in YYYY-MM-DD format",
+        error: "INVALID_DATE",
+      });
+    }
+
+    const matches = await ReturnTrip.findMatches({
+      pickup,
+      dropoff,
+      radiusKm,
+      date: date || null,
+    });
+    const returnTrips = await ReturnTrip.populate(matches, populateTrip);
+
+    res.status(200).json({
+      message: "Matching return trips fetched successfully",
+      count: returnTrips.length,
+      returnTrips,
+    });
+  } catch (error) {
+    console.error("Match return trips error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get return trips posted by a driver
+router.get("/driver/:driverId", canListDriverReturnTrips, async (req, res) => {
+  try {
+    const returnTrips = await ReturnTrip.find({ driver: req.params.driverId })
+      .populate(populateTrip)
+      .sort({ "departureWindow.start": -1 });
+
+    res.status(200).json({
+      message: "Driver return trips fetched successfully",
+      count: returnTrips.length,
+      returnTrips,
+    });
+  } catch (error) {
+    console.error("Get driver return trips error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get return trip by ID
+router.get("/:id", async (req, res) => {
+  try {
+    const returnTrip = await ReturnTrip.findById(req.params.id).populate(
+      populateTrip
+    );
+
+    if (!returnTrip) {
+      return res.status(404).json({ message: "Return trip not found" });
+    }
+
+    res.status(200).json({
+      message: "Return trip found",
+      returnTrip,
+    });
+  } catch (error) {
+    console.error("Get return trip error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Create a return trip (for drivers)
+router.post("/", canCreateReturnTrip, async (req, res) => {
+  try {
+    const vehicle = req.resource;
+
+    if (vehicle.status !== "approved" || !vehicle.availability.isActive) {
+      return res.status(400).json({
+        message: "Only active, approved vehicles can offer return trips",
+      });
+    }
+
+    const returnTrip = new ReturnTrip({
+      ...readTripFields(req.body),
+      driver: req.user._id,
+      vehicle: vehicle._id,
+    });
+    await returnTrip.save();
+    await returnTrip.populate(populateTrip);
+
+    console.log("🔁 New return trip:", returnTrip._id);
+
+    res.status(201).json({
+      message: "Return trip created successfully",
+      returnTrip,
+    });
+  } catch (error) {
+    handleTripError(res, error, "Create return trip");
+  }
+});
+
+// Update a return trip
+router.put("/:id", canUpdateReturnTrip, async (req, res) => {
+  try {
+    const returnTrip = req.resource;
+
+    returnTrip.set(readTripFields(req.body));
+    if (["active", "cancelled", "completed"].includes(req.body.status)) {
+      returnTrip.status = req.body.status;
+    }
+    await returnTrip.save();
+    await returnTrip.populate(populateTrip);
+
+    res.status(200).json({
+      message: "Return trip updated successfully",
+      returnTrip,
+    });
+  } catch (error) {
+    handleTripError(res, error, "Update return trip");
+  }
+});
+
+// Delete a return trip
+router.delete("/:id", canDeleteReturnTrip, async (req, res) => {
+  try {
+    await req.resource.deleteOne();
+
+    res.status(200).json({
+      message: "Return trip deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete return trip error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require("express");
+const User = require("../models/User");
+const Vehicle = require("../models/Vehicle");
+const Booking = require("../models/Booking");
+const {
+  ROLES,
+  setAccountActive,
+  changeRole,
+  setVerified,
+} = require("../services/accounts");
+const { escapeRegExp, tokenize, buildTermsFilter } = require("../utils/search");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+
+const router = express.Router();
+
+// Every user administration route acts as the authenticated caller
+router.use(requireAuth);
+
+// Name the administrators in a user's account history
+const populateHistory = (target) =>
+  target.populate("accountHistory.changedBy", "name");
+
+// Load the user targeted by the :id route parameter
+const loadUser = (req) => populateHistory(User.findById(req.params.id));
+
+// Authorization policies applied to the routes below
+const canListUsers = authorize("user:list");
+const canViewUser = authorize("user:view", {
+  load: loadUser,
+  notFound: "User not found",
+});
+const canManageUser = authorize("user:manage", {
+  load: loadUser,
+  notFound: "User not found",
+});
+
+const sendAccountError = (res, error, label) => {
+  console.error(`❌ ${label} error:`, error);
+
+  if (error.name === "AccountError") {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: Object.values(error.errors).map((e) => e.message),
+    });
+  }
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+// Search users by name, email or phone, filtered by role, city,
+// verification and account status, newest first
+router.get("/", canListUsers, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { q, role, city, verified, status } = req.query;
+
+    const query = {};
+    const terms = tokenize(q);
+    if (terms.length > 0) {
+      Object.assign(query, buildTermsFilter(terms, ["name", "email", "phone"]));
+    }
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          message: `Role must be one of: ${ROLES.join(", ")}`,
+          error: "INVALID_ROLE",
+        });
+      }
+      query.role = role;
+    }
+    if (city) {
+      query["address.city"] = new RegExp(`^${escapeRegExp(city.trim())}$`, "i");
+    }
+    if (verified === "true" || verified === "false") {
+      query.isVerified = verified === "true";
+    }
+    if (status === "active" || status === "suspended") {
+      query.isActive = status === "active";
+    }
+
+    const [users, totalCount] = await Promise.all([
+      User.find(query)
+        .select("-__v -accountHistory")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      message: "Users fetched successfully",
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page < Math.ceil(totalCount / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get users error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// A user's account, its history and how much they use the platform
+router.get("/:id", canViewUser, async (req, res) => {
+  try {
+    const user = req.resource;
+    const [vehicleCount, passengerBookings, driverBookings] = await Promise.all(
+      [
+        Vehicle.countDocuments({ driver: user._id }),
+        Booking.countDocuments({ user: user._id }),
+        Booking.countDocuments({ driver: user._id }),
+      ]
+    );
+
+    res.status(200).json({
+      message: "User found",
+      user,
+      counts: { vehicles: vehicleCount, passengerBookings, driverBookings },
+      roles: ROLES,
+    });
+  } catch (error) {
+    console.error("❌ Get user error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Suspend or reactivate an account
+router.put("/:id/status", canManageUser, async (req, res) => {
+  try {
+    const { isActive, reason } = req.body;
+    const user = await setAccountActive(req.resource, req.user, {
+      isActive,
+      reason,
+    });
+
+    res.status(200).json({
+      message: user.isActive ? "Account reactivated" : "Account suspended",
+      user: await populateHistory(user),
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Update account status");
+  }
+});
+
+// Change a user's role, with a reason
+router.put("/:id/role", canManageUser, async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+    const user = await changeRole(req.resource, req.user, { role, reason });
+
+    res.status(200).json({
+      message: "Role updated",
+      user: await populateHistory(user),
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Change role");
+  }
+});
+
+// Mark a user verified, or remove their verification
+router.put("/:id/verification", canManageUser, async (req, res) => {
+  try {
+    const { isVerified, reason } = req.body;
+    const user = await setVerified(req.resource, req.user, {
+      isVerified,
+      reason,
+    });
+
+    res.status(200).json({
+      message: user.isVerified ? "User verified" : "Verification removed",
+      user: await populateHistory(user),
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Update verification");
+  }
+});
+
+module.exports = router;
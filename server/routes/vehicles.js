@@ -1,9 +1,99 @@
 const express = require("express");
 const Vehicle = require("../models/Vehicle");
-const User = require("../models/User");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+const { isValidLatLng, normalizeLocation } = require("../utils/geo");
+const { rankSuggestions } = require("../utils/search");
+const { quoteTrip } = require("../services/pricing");
+const { getVehicleReviews } = require("../services/ratings");
+const { notifyVehicleReviewed } = require("../services/notifications");
+const { canListVehicles } = require("../services/accounts");
+const {
+  POLICY_NAMES,
+  DEFAULT_POLICY,
+  describePolicy,
+} = require("../utils/cancellation");
 
 const router = express.Router();
 
+// Load the vehicle targeted by the :id route parameter
+const loadVehicle = (req) => Vehicle.findById(req.params.id);
+
+// Authorization policies applied to the routes below
+const canCreateVehicle = authorize("vehicle:create");
+const canListDriverVehicles = authorize("vehicle:listByDriver");
+const canUpdateVehicle = authorize("vehicle:update", {
+  load: loadVehicle,
+  notFound: "Vehicle not found",
+});
+const canDeleteVehicle = authorize("vehicle:delete", {
+  load: loadVehicle,
+  notFound: "Vehicle not found",
+});
+const canListForReview = authorize("vehicle:listForReview");
+const canReviewVehicle = authorize("vehicle:review", {
+  load: loadVehicle,
+  notFound: "Vehicle not found",
+});
+
+// Listing fields drivers edit; review status, ratings and stats are only
+// changed by the platform
+const LISTING_FIELDS = [
+  "type",
+  "brand",
+  "model",
+  "year",
+  "plateNumber",
+  "color",
+  "capacity",
+  "features",
+  "pricing",
+  "location",
+  "availability",
+  "documents",
+  "images",
+  "cancellationPolicy",
+  "description",
+  "tags",
+  "lastMaintenanceDate",
+  "nextMaintenanceDate",
+];
+
+// Day-to-day settings that don't change what was reviewed
+const OPERATING_FIELDS = ["availability", "pricing"];
+
+// What an approved vehicle was approved on; changing it needs a new review
+const REVIEWED_FIELDS = ["plateNumber", "documents"];
+
+// Compared before and after an edit; setting a nested object marks it
+// modified even when its values are unchanged
+const reviewedValues = (vehicle) =>
+  JSON.stringify(REVIEWED_FIELDS.map((field) => vehicle.get(field)));
+
+// The top-level field an update key sets, e.g. "pricing" for "pricing.rules"
+const rootField = (key) => key.split(".")[0];
+
+// The listing fields in a request body, or null when it uses update
+// operators ($set, $unset, ...) that could reach any other field
+const pickListingFields = (data = {}) => {
+  const keys = Object.keys(data);
+  if (keys.some((key) => key.includes("$"))) return null;
+
+  return Object.fromEntries(
+    keys
+      .filter((key) => LISTING_FIELDS.includes(rootField(key)))
+      .map((key) => [key, data[key]])
+  );
+};
+
+const sendInvalidUpdate = (res) =>
+  res.status(400).json({
+    message: "Vehicle fields can't use update operators",
+    error: "INVALID_UPDATE",
+  });
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected", "suspended"];
+
 // Get all vehicles with search and filters
 router.get("/", async (req, res) => {
   try {
@@ -15,34 +105,235 @@ router.get("/", async (req, res) => {
       maxPrice: req.query.maxPrice ? Number(req.query.maxPrice) : undefined,
       capacity: req.query.capacity ? Number(req.query.capacity) : undefined,
       features: req.query.features ? req.query.features.split(",") : undefined,
+      lat: req.query.lat ? Number(req.query.lat) : undefined,
+      lng: req.query.lng ? Number(req.query.lng) : undefined,
+      radiusKm: req.query.radiusKm ? Number(req.query.radiusKm) : undefined,
       sortBy: req.query.sortBy,
       sortOrder: req.query.sortOrder ? Number(req.query.sortOrder) : -1,
-      page: req.query.page ? Number(req.query.page) : 1,
-      limit: req.query.limit ? Number(req.query.limit) : 10,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50),
+      cursor: req.query.cursor,
+      q: req.query.q ? req.query.q.trim() : undefined,
     };
 
+    // A location search needs a valid point and a positive radius
+    const { lat, lng, radiusKm } = searchParams;
+    if (lat !== undefined || lng !== undefined) {
+      if (!isValidLatLng(lat, lng)) {
+        return res.status(400).json({
+          message: "lat and lng must both be valid coordinates",
+          error: "INVALID_COORDINATES",
+        });
+      }
+      if (radiusKm !== undefined && !(radiusKm > 0)) {
+        return res.status(400).json({
+          message: "radiusKm must be a positive number",
+          error: "INVALID_RADIUS",
+        });
+      }
+    }
+
     console.log("Vehicle search params:", searchParams);
 
-    const vehicles = await Vehicle.searchVehicles(searchParams);
-    const totalCount = await Vehicle.countDocuments({
+    const { vehicles, totalCount, hasMore, nextCursor } =
+      await Vehicle.searchVehicles(searchParams);
+    const totalPages = Math.ceil(totalCount / searchParams.limit);
+
+    res.status(200).json({
+      message: "Vehicles fetched successfully",
+      vehicles,
+      pagination: searchParams.cursor
+        ? { totalCount, hasNext: hasMore, nextCursor }
+        : {
+            currentPage: searchParams.page,
+            totalPages,
+            totalCount,
+            hasNext: hasMore,
+            hasPrev: searchParams.page > 1,
+            nextCursor,
+          },
+    });
+  } catch (error) {
+    console.error("Get vehicles error:", error);
+
+    if (error.name === "InvalidCursorError") {
+      return res
+        .status(error.status)
+        .json({ message: error.message, error: "INVALID_CURSOR" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Search suggestion vocabulary, refreshed every few minutes
+const SUGGESTION_TTL_MS = 5 * 60 * 1000;
+let suggestionCache = { terms: [], expiresAt: 0 };
+
+const getSuggestionTerms = async () => {
+  if (Date.now() >= suggestionCache.expiresAt) {
+    suggestionCache = {
+      terms: await Vehicle.getSearchTerms(),
+      expiresAt: Date.now() + SUGGESTION_TTL_MS,
+    };
+  }
+  return suggestionCache.terms;
+};
+
+// Typo-tolerant prefix suggestions for the search box
+router.get("/suggest", async (req, res) => {
+  try {
+    const query = (req.query.q || "").trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+
+    const suggestions = query
+      ? rankSuggestions(await getSuggestionTerms(), query, limit)
+      : [];
+
+    res.status(200).json({
+      message: "Suggestions fetched successfully",
+      query,
+      suggestions,
+    });
+  } catch (error) {
+    console.error("Get suggestions error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Cancellation policies a driver can choose for a vehicle
+router.get("/cancellation-policies", (req, res) => {
+  res.status(200).json({
+    message: "Cancellation policies fetched successfully",
+    defaultPolicy: DEFAULT_POLICY,
+    policies: POLICY_NAMES.map(describePolicy),
+  });
+});
+
+// A vehicle's passenger reviews, newest first
+router.get("/:id/reviews", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const vehicle = await Vehicle.findById(req.params.id).select("rating");
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
+
+    const { reviews, totalCount } = await getVehicleReviews(vehicle._id, {
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      message: "Reviews fetched successfully",
+      rating: vehicle.rating,
+      reviews,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page < Math.ceil(totalCount / limit),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get vehicle reviews error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get vehicle types and cities for filters
+router.get("/meta/filters", async (req, res) => {
+  try {
+    const vehicleTypes = await Vehicle.distinct("type", {
+      "availability.isActive": true,
+      status: "approved",
+    });
+
+    const cities = await Vehicle.distinct("location.city", {
       "availability.isActive": true,
-      "availability.isAvailable": true,
       status: "approved",
     });
 
+    const features = await Vehicle.distinct("features");
+
+    const priceRange = await Vehicle.aggregate([
+      {
+        $match: {
+          "availability.isActive": true,
+          status: "approved",
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          minPrice: { $min: "$pricing.pricePerKm" },
+          maxPrice: { $max: "$pricing.pricePerKm" },
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      message: "Filter options fetched successfully",
+      filters: {
+        vehicleTypes: vehicleTypes.sort(),
+        cities: cities.sort(),
+        features: features.sort(),
+        priceRange: priceRange[0] || { minPrice: 0, maxPrice: 100 },
+      },
+    });
+  } catch (error) {
+    console.error("Get filters error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Searching and browsing vehicles is open to visitors; every route below
+// acts as the authenticated caller
+router.use(requireAuth);
+
+// Vehicles awaiting review (or with a given status) with the driver and
+// documents to verify, oldest first
+router.get("/approvals", canListForReview, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `Status must be one of: ${REVIEW_STATUSES.join(", ")}`,
+        error: "INVALID_STATUS",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const query = { status };
+
+    const [vehicles, totalCount] = await Promise.all([
+      Vehicle.find(query)
+        .sort({ updatedAt: status === "pending" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("driver", "name email phone isVerified createdAt")
+        .populate("statusHistory.changedBy", "name"),
+      Vehicle.countDocuments(query),
+    ]);
+
     res.status(200).json({
       message: "Vehicles fetched successfully",
-      vehicles,
+      vehicles: vehicles.map((vehicle) => ({
+        ...vehicle.toObject({ virtuals: true }),
+        allowedStatuses: Vehicle.getReviewTransitions(vehicle.status),
+      })),
       pagination: {
-        currentPage: searchParams.page,
-        totalPages: Math.ceil(totalCount / searchParams.limit),
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
         totalCount,
-        hasNext: searchParams.page < Math.ceil(totalCount / searchParams.limit),
-        hasPrev: searchParams.page > 1,
+        hasNext: page < Math.ceil(totalCount / limit),
       },
     });
   } catch (error) {
-    console.error("Get vehicles error:", error);
+    console.error("❌ Get review queue error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -70,7 +361,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // Get vehicles by driver (IMPROVED ERROR HANDLING)
-router.get("/driver/:driverId", async (req, res) => {
+router.get("/driver/:driverId", canListDriverVehicles, async (req, res) => {
   try {
     const { driverId } = req.params;
 
@@ -114,13 +405,27 @@ router.get("/driver/:driverId", async (req, res) => {
 });
 
 // Create new vehicle (for drivers)
-router.post("/", async (req, res) => {
+router.post("/", canCreateVehicle, async (req, res) => {
   try {
-    const vehicleData = req.body;
+    // The authenticated caller is always the listing driver, and every new
+    // listing starts in the review queue
+    const listing = pickListingFields(req.body);
+    if (!listing) return sendInvalidUpdate(res);
+
+    const vehicleData = {
+      ...listing,
+      location: normalizeLocation(listing.location),
+      driver: req.user._id,
+    };
+    // Listed only while the driver's licence is verified
+    delete vehicleData["availability.isActive"];
+    vehicleData.availability = {
+      ...vehicleData.availability,
+      isActive: canListVehicles(req.user),
+    };
 
     // Validate required fields
     const requiredFields = [
-      "driver",
       "type",
       "brand",
       "model",
@@ -137,14 +442,6 @@ router.post("/", async (req, res) => {
       });
     }
 
-    // Check if driver exists and is a driver
-    const driver = await User.findById(vehicleData.driver);
-    if (!driver || driver.role !== "driver") {
-      return res.status(400).json({
-        message: "Invalid driver or user is not a driver",
-      });
-    }
-
     // Check if plate number already exists
     const existingVehicle = await Vehicle.findOne({
       plateNumber: vehicleData.plateNumber.toUpperCase(),
@@ -175,29 +472,63 @@ router.post("/", async (req, res) => {
       });
     }
 
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        message: "Invalid vehicle data",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
 // Update vehicle
-router.put("/:id", async (req, res) => {
+router.put("/:id", canUpdateVehicle, async (req, res) => {
   try {
-    const vehicleId = req.params.id;
-    const updateData = req.body;
-
-    // Remove fields that shouldn't be updated directly
-    delete updateData._id;
-    delete updateData.createdAt;
-    delete updateData.updatedAt;
+    const updateData = pickListingFields(req.body);
+    if (!updateData) return sendInvalidUpdate(res);
+
+    // Availability is set key by key so drivers can't relist a vehicle the
+    // platform has unlisted; that follows their licence verification
+    if (updateData.availability) {
+      for (const [key, value] of Object.entries(updateData.availability)) {
+        updateData[`availability.${key}`] = value;
+      }
+      delete updateData.availability;
+    }
+    delete updateData["availability.isActive"];
 
-    const vehicle = await Vehicle.findByIdAndUpdate(vehicleId, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate("driver", "name email phone");
+    if (updateData.location) {
+      updateData.location = normalizeLocation(updateData.location);
+    }
 
-    if (!vehicle) {
-      return res.status(404).json({ message: "Vehicle not found" });
+    const vehicle = req.resource;
+    const reviewedBefore = reviewedValues(vehicle);
+    vehicle.set(updateData);
+    const changed = vehicle.modifiedPaths().map(rootField);
+
+    // A driver fixing a rejected listing sends it back for review; turning
+    // it on or off, or adjusting prices, doesn't. Changing the plate or
+    // documents of an approved vehicle needs a new review too
+    if (vehicle.driver.toString() === req.user._id.toString()) {
+      if (
+        vehicle.status === "rejected" &&
+        changed.some((field) => !OPERATING_FIELDS.includes(field))
+      ) {
+        vehicle.resubmit(req.user._id);
+      } else if (
+        vehicle.status === "approved" &&
+        reviewedValues(vehicle) !== reviewedBefore
+      ) {
+        vehicle.resubmit(req.user._id, "Plate or documents changed");
+      }
+      if (vehicle.isModified("status")) {
+        console.log("🔁 Vehicle resubmitted for review:", vehicle.plateNumber);
+      }
     }
+    await vehicle.save();
+    await vehicle.populate("driver", "name email phone");
 
     res.status(200).json({
       message: "Vehicle updated successfully",
@@ -205,70 +536,82 @@ router.put("/:id", async (req, res) => {
     });
   } catch (error) {
     console.error("Update vehicle error:", error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: "Vehicle with this plate number already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        message: "Invalid vehicle data",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-// Delete vehicle
-router.delete("/:id", async (req, res) => {
+// Approve, reject or suspend a vehicle, with a reason for the driver
+router.put("/:id/approval", canReviewVehicle, async (req, res) => {
   try {
-    const vehicle = await Vehicle.findByIdAndDelete(req.params.id);
+    const { status, reason } = req.body;
+    const vehicle = req.resource;
 
-    if (!vehicle) {
-      return res.status(404).json({ message: "Vehicle not found" });
-    }
+    vehicle.reviewTo(status, { changedBy: req.user._id, reason });
+    await vehicle.save();
+
+    notifyVehicleReviewed(vehicle, { reason: vehicle.statusReason });
+
+    await vehicle.populate("driver", "name email phone isVerified createdAt");
+    await vehicle.populate("statusHistory.changedBy", "name");
+
+    console.log("🛂 Vehicle", vehicle.status, vehicle.plateNumber);
 
     res.status(200).json({
-      message: "Vehicle deleted successfully",
+      message: `Vehicle ${vehicle.status}`,
+      vehicle: {
+        ...vehicle.toObject({ virtuals: true }),
+        allowedStatuses: Vehicle.getReviewTransitions(vehicle.status),
+      },
     });
   } catch (error) {
-    console.error("Delete vehicle error:", error);
+    console.error("❌ Review vehicle error:", error);
+
+    if (error.name === "VehicleReviewError") {
+      return res.status(error.status).json({
+        message: error.message,
+        error: error.code,
+        allowedStatuses: error.allowedStatuses,
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        message: "Invalid vehicle data",
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-// Get vehicle types and cities for filters
-router.get("/meta/filters", async (req, res) => {
+// Delete vehicle
+router.delete("/:id", canDeleteVehicle, async (req, res) => {
   try {
-    const vehicleTypes = await Vehicle.distinct("type", {
-      "availability.isActive": true,
-      status: "approved",
-    });
-
-    const cities = await Vehicle.distinct("location.city", {
-      "availability.isActive": true,
-      status: "approved",
-    });
-
-    const features = await Vehicle.distinct("features");
+    const vehicle = await Vehicle.findByIdAndDelete(req.params.id);
 
-    const priceRange = await Vehicle.aggregate([
-      {
-        $match: {
-          "availability.isActive": true,
-          status: "approved",
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          minPrice: { $min: "$pricing.pricePerKm" },
-          maxPrice: { $max: "$pricing.pricePerKm" },
-        },
-      },
-    ]);
+    if (!vehicle) {
+      return res.status(404).json({ message: "Vehicle not found" });
+    }
 
     res.status(200).json({
-      message: "Filter options fetched successfully",
-      filters: {
-        vehicleTypes: vehicleTypes.sort(),
-        cities: cities.sort(),
-        features: features.sort(),
-        priceRange: priceRange[0] || { minPrice: 0, maxPrice: 100 },
-      },
+      message: "Vehicle deleted successfully",
     });
   } catch (error) {
-    console.error("Get filters error:", error);
+    console.error("Delete vehicle error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -276,7 +619,8 @@ router.get("/meta/filters", async (req, res) => {
 // Calculate price for a trip
 router.post("/calculate-price", async (req, res) => {
   try {
-    const { vehicleId, distance, duration } = req.body;
+    // Duration is in minutes, as for booking quotes
+    const { vehicleId, distance, duration, scheduledDateTime } = req.body;
 
     if (!vehicleId || !distance || !duration) {
       return res.status(400).json({
@@ -289,10 +633,15 @@ router.post("/calculate-price", async (req, res) => {
       return res.status(404).json({ message: "Vehicle not found" });
     }
 
-    const price = vehicle.calculatePrice(distance, duration);
+    const quote = quoteTrip(vehicle, {
+      distanceKm: distance,
+      durationMinutes: duration,
+      startTime: scheduledDateTime || undefined,
+    });
 
     res.status(200).json({
       message: "Price calculated successfully",
+      quote,
       pricing: {
         vehicleId: vehicle._id,
         basePrice: vehicle.pricing.basePrice,
@@ -301,12 +650,17 @@ router.post("/calculate-price", async (req, res) => {
         minimumFare: vehicle.pricing.minimumFare,
         distance,
         duration,
-        calculatedPrice: price,
-        currency: vehicle.pricing.currency,
+        calculatedPrice: quote.total,
+        currency: quote.currency,
       },
     });
   } catch (error) {
     console.error("Calculate price error:", error);
+
+    if (error.name === "PricingError") {
+      return res.status(error.status).json({ message: error.message });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
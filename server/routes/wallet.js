@@ -0,0 +1,201 @@
+const express = require("express");
+const WalletTransaction = require("../models/WalletTransaction");
+const Payout = require("../models/Payout");
+const {
+  getWallet,
+  requestPayout,
+  processPayout,
+  MIN_PAYOUT_AMOUNT,
+  COMMISSION_PERCENT,
+} = require("../services/wallet");
+const { createTopUpIntent } = require("../services/payments");
+const { requireAuth } = require("../middleware/auth");
+const { authorize } = require("../middleware/authorize");
+
+const router = express.Router();
+
+// Callers only ever see their own wallet
+router.use(requireAuth);
+
+// Authorization policies applied to the routes below
+const canRequestPayout = authorize("payout:create");
+const canListPayouts = authorize("payout:list");
+const canProcessPayout = authorize("payout:process", {
+  load: (req) => Payout.findById(req.params.id),
+  notFound: "Payout not found",
+});
+
+const sendWalletError = (res, error, label) => {
+  console.error(`❌ ${label} error:`, error);
+
+  if (
+    ["WalletError", "PaymentError", "PaymentGatewayError"].includes(error.name)
+  ) {
+    return res.status(error.status).json({
+      message: error.message,
+      error: error.code,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: Object.values(error.errors).map((e) => e.message),
+    });
+  }
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+const paginate = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationOf = (page, limit, totalCount) => ({
+  currentPage: page,
+  totalPages: Math.ceil(totalCount / limit),
+  totalCount,
+  hasNext: page < Math.ceil(totalCount / limit),
+});
+
+// The caller's balance and transaction history, newest first
+router.get("/", async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req.query);
+    const wallet = await getWallet(req.user);
+
+    const [transactions, totalCount] = await Promise.all([
+      WalletTransaction.find({ wallet: wallet._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("booking", "scheduledDateTime status"),
+      WalletTransaction.countDocuments({ wallet: wallet._id }),
+    ]);
+
+    res.status(200).json({
+      message: "Wallet fetched successfully",
+      wallet,
+      transactions,
+      pagination: paginationOf(page, limit, totalCount),
+      settings: {
+        minPayoutAmount: MIN_PAYOUT_AMOUNT,
+        commissionPercent: COMMISSION_PERCENT,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get wallet error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Add money through a gateway; the client sends the user to redirectUrl
+router.post("/top-ups", async (req, res) => {
+  try {
+    const intent = await createTopUpIntent(req.user, {
+      amount: req.body.amount,
+      method: req.body.method,
+      gateway: req.body.gateway,
+    });
+
+    res.status(201).json({
+      message: "Top-up started",
+      payment: {
+        _id: intent._id,
+        status: intent.status,
+        gateway: intent.gateway,
+        amount: intent.amount,
+        currency: intent.currency,
+        redirectUrl: intent.redirectUrl,
+      },
+    });
+  } catch (error) {
+    sendWalletError(res, error, "Top up wallet");
+  }
+});
+
+// The caller's payout requests, newest first
+router.get("/payouts", async (req, res) => {
+  try {
+    const payouts = await Payout.find({ driver: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      message: "Payouts fetched successfully",
+      payouts,
+    });
+  } catch (error) {
+    console.error("❌ Get payouts error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Every driver's payouts for administrators, oldest requests first
+router.get("/payouts/all", canListPayouts, async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req.query);
+    const query = {};
+    if (req.query.status && req.query.status !== "all") {
+      query.status = req.query.status;
+    }
+
+    const [payouts, totalCount] = await Promise.all([
+      Payout.find(query)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("driver", "name email phone"),
+      Payout.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      message: "Payouts fetched successfully",
+      payouts,
+      pagination: paginationOf(page, limit, totalCount),
+    });
+  } catch (error) {
+    console.error("❌ Get all payouts error:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// A driver withdraws part of their balance
+router.post("/payouts", canRequestPayout, async (req, res) => {
+  try {
+    const { amount, method, accountNumber } = req.body;
+    const payout = await requestPayout(req.user, {
+      amount,
+      method,
+      accountNumber,
+    });
+
+    res.status(201).json({
+      message: "Payout requested",
+      payout,
+    });
+  } catch (error) {
+    sendWalletError(res, error, "Request payout");
+  }
+});
+
+// An administrator marks a payout as sent or rejects it
+router.put("/payouts/:id", canProcessPayout, async (req, res) => {
+  try {
+    const { status, reference, note } = req.body;
+    const payout = await processPayout(req.resource, req.user, {
+      status,
+      reference,
+      note,
+    });
+
+    res.status(200).json({
+      message: `Payout ${status}`,
+      payout,
+    });
+  } catch (error) {
+    sendWalletError(res, error, "Process payout");
+  }
+});
+
+module.exports = router;
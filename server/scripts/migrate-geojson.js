@@ -0,0 +1,57 @@
+// One-off migration: move { latitude, longitude } coordinates on vehicles and
+// bookings to GeoJSON points, then rebuild indexes (drops the old lat/lng
+// compound indexes, creates the 2dsphere ones).
+//
+// Usage: npm run migrate:geojson
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Vehicle = require("../models/Vehicle");
+const Booking = require("../models/Booking");
+
+// Pipeline update that rewrites `<path>.coordinates` as `<path>.point`
+const toPointUpdate = (path) => [
+  {
+    $set: {
+      [`${path}.point`]: {
+        type: "Point",
+        coordinates: [
+          `$${path}.coordinates.longitude`,
+          `$${path}.coordinates.latitude`,
+        ],
+      },
+    },
+  },
+  { $unset: `${path}.coordinates` },
+];
+
+const migrate = async (Model, path) => {
+  const result = await Model.collection.updateMany(
+    { [`${path}.coordinates.latitude`]: { $exists: true } },
+    toPointUpdate(path)
+  );
+  console.log(
+    `📍 ${Model.modelName} ${path}:`,
+    result.modifiedCount,
+    "updated"
+  );
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await migrate(Vehicle, "location");
+  await migrate(Booking, "tripDetails.pickupLocation");
+  await migrate(Booking, "tripDetails.dropoffLocation");
+
+  await Vehicle.syncIndexes();
+  await Booking.syncIndexes();
+  console.log("✅ Indexes synced");
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
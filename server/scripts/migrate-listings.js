@@ -0,0 +1,53 @@
+// One-off migration: unlist the vehicles of drivers who can't take bookings,
+// i.e. accounts made before licence checks (unverified until their licence
+// is approved) and suspended ones. Approving the licence lists them again.
+// Safe to run again.
+//
+// Usage: npm run migrate:listings
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Vehicle = require("../models/Vehicle");
+const { canListVehicles, syncDriverListings } = require("../services/accounts");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const driverIds = await Vehicle.distinct("driver", {
+    "availability.isActive": true,
+  });
+  const drivers = await User.find({ _id: { $in: driverIds } });
+
+  let unlisted = 0;
+  for (const driver of drivers) {
+    if (canListVehicles(driver)) continue;
+    await syncDriverListings(driver);
+    unlisted += 1;
+  }
+
+  // Vehicles whose driver's account no longer exists
+  const orphaned = await Vehicle.updateMany(
+    {
+      driver: { $nin: drivers.map((driver) => driver._id) },
+      "availability.isActive": true,
+    },
+    { $set: { "availability.isActive": false } }
+  );
+
+  console.log("🚫 Unlisted the vehicles of", unlisted, "driver(s)");
+  if (orphaned.modifiedCount > 0) {
+    console.log(
+      "🚫 Unlisted",
+      orphaned.modifiedCount,
+      "vehicle(s) without a driver account"
+    );
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
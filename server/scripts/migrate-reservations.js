@@ -0,0 +1,56 @@
+// One-off migration: reserve time slots for bookings made before slots
+// existed, so new bookings can't overlap them. Bookings that already hold
+// slots are skipped, so it is safe to run again. Bookings that overlap each
+// other are reported for a person to resolve.
+//
+// Usage: npm run migrate:reservations
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const Reservation = require("../models/Reservation");
+
+// Bookings that still occupy their vehicle
+const ACTIVE_STATUSES = ["pending", "confirmed", "started"];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Reservation.syncIndexes();
+
+  const bookings = await Booking.find({ status: { $in: ACTIVE_STATUSES } })
+    .select("vehicle scheduledDateTime tripDetails.estimatedDuration")
+    .sort({ scheduledDateTime: 1 });
+
+  let reserved = 0;
+  const conflicts = [];
+  for (const booking of bookings) {
+    if (await Reservation.exists({ booking: booking._id })) continue;
+
+    const { start, end } = Reservation.getInterval(
+      booking.scheduledDateTime,
+      booking.tripDetails.estimatedDuration
+    );
+    try {
+      await Reservation.reserve(booking.vehicle, booking._id, start, end);
+      reserved += 1;
+    } catch (error) {
+      if (error.name !== "ReservationConflictError") throw error;
+      conflicts.push(booking._id);
+    }
+  }
+
+  console.log("🗓️ Reserved slots for", reserved, "booking(s)");
+  if (conflicts.length > 0) {
+    console.warn(
+      "⚠️ These bookings overlap an earlier booking of the same vehicle:",
+      conflicts.map(String).join(", ")
+    );
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
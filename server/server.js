@@ -4,6 +4,13 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
+const { attachRealtime } = require("./services/realtime");
+const { registerTrackingHandlers } = require("./services/tracking");
+const { registerNotificationChannel } = require("./services/notifications");
+const { startDeliveryWorker } = require("./services/messaging");
+const { startScheduler } = require("./services/scheduler");
+const { registerBookingJobs } = require("./services/bookingJobs");
+const { registerLicenseJobs } = require("./services/driverLicenses");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -59,6 +66,14 @@ mongoose
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/vehicles", require("./routes/vehicles"));
 app.use("/api/bookings", require("./routes/bookings"));
+app.use("/api/return-trips", require("./routes/returnTrips"));
+app.use("/api/geo", require("./routes/geo"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/payments", require("./routes/payments"));
+app.use("/api/wallet", require("./routes/wallet"));
+app.use("/api/reports", require("./routes/reports"));
+app.use("/api/users", require("./routes/users"));
+app.use("/api/drivers", require("./routes/drivers"));
 
 // Health check route
 app.get("/api/health", (req, res) => {
@@ -104,6 +119,14 @@ app.get("/api/status", (req, res) => {
       auth: "/api/auth",
       vehicles: "/api/vehicles",
       bookings: "/api/bookings",
+      returnTrips: "/api/return-trips",
+      geo: "/api/geo",
+      notifications: "/api/notifications",
+      payments: "/api/payments",
+      wallet: "/api/wallet",
+      reports: "/api/reports",
+      users: "/api/users",
+      drivers: "/api/drivers",
       health: "/api/health",
       test: "/api/test",
       status: "/api/status",
@@ -167,6 +190,14 @@ app.use("*", (req, res) => {
       auth: "/api/auth",
       vehicles: "/api/vehicles",
       bookings: "/api/bookings",
+      returnTrips: "/api/return-trips",
+      geo: "/api/geo",
+      notifications: "/api/notifications",
+      payments: "/api/payments",
+      wallet: "/api/wallet",
+      reports: "/api/reports",
+      users: "/api/users",
+      drivers: "/api/drivers",
       health: "/api/health",
       test: "/api/test",
       status: "/api/status",
@@ -255,7 +286,7 @@ process.on("unhandledRejection", (err) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log("🚀 =====================================");
   console.log(`🚀 ReturnVehicle Server Started`);
   console.log("🚀 =====================================");
@@ -277,5 +308,19 @@ app.listen(PORT, () => {
   console.log("   🧪 Test: /api/test");
   console.log("   📈 Status: /api/status");
   console.log("   📊 Stats: /api/stats");
+  console.log(`   🔴 Realtime: ws://localhost:${PORT}/ws`);
   console.log("🚀 =====================================");
 });
+
+// Live updates (trip tracking, notifications) share the HTTP server
+attachRealtime(server);
+registerTrackingHandlers();
+registerNotificationChannel();
+
+// Retry emails and SMS that failed to send
+startDeliveryWorker();
+
+// Expire unanswered requests, mark no-shows and send trip reminders
+registerBookingJobs();
+registerLicenseJobs();
+startScheduler();
@@ -0,0 +1,182 @@
+// Account administration. Administrators suspend and reactivate accounts,
+// change a user's role and mark them verified; each change is recorded in
+// the user's account history and the user is told about it.
+//
+// A driver's vehicles are listed (availability.isActive) only while the
+// driver's account is active and verified, and their licence is approved.
+// Drivers are verified by approving their licence (see driverLicenses.js).
+
+const Vehicle = require("../models/Vehicle");
+const { notifyAccountChanged } = require("./notifications");
+
+const ROLES = ["user", "driver", "admin"];
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+const accountError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = "AccountError";
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Administrators manage other people's accounts, never their own
+const assertNotSelf = (user, admin) => {
+  if (idOf(user) === idOf(admin)) {
+    throw accountError(
+      "You can't change your own account here",
+      400,
+      "CANNOT_CHANGE_OWN_ACCOUNT"
+    );
+  }
+};
+
+const requireReason = (reason, action) => {
+  reason = reason?.trim();
+  if (!reason) {
+    throw accountError(
+      `A reason is required to ${action}`,
+      400,
+      "REASON_REQUIRED"
+    );
+  }
+  return reason;
+};
+
+// Whether a driver holds an approved licence that hasn't expired
+const hasApprovedLicense = (user, now = new Date()) =>
+  user.driverDetails?.licenseStatus === "approved" &&
+  user.driverDetails.licenseExpiry > now;
+
+// Whether a user's vehicles may appear in search and be booked. The licence
+// is checked too, as a user verified before becoming a driver may have none.
+const canListVehicles = (user) =>
+  user.role === "driver" &&
+  user.isActive &&
+  user.isVerified &&
+  hasApprovedLicense(user);
+
+// List or unlist all of a user's vehicles to match their account
+const syncDriverListings = async (user) => {
+  const listed = canListVehicles(user);
+  const result = await Vehicle.updateMany(
+    { driver: user._id, "availability.isActive": !listed },
+    { $set: { "availability.isActive": listed } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(
+      listed ? "🚗 Listed" : "🚫 Unlisted",
+      result.modifiedCount,
+      "vehicle(s) of",
+      user._id
+    );
+  }
+};
+
+const record = async (user, admin, entry) => {
+  user.accountHistory.push({ ...entry, changedBy: admin._id });
+  await user.save();
+  await syncDriverListings(user);
+
+  notifyAccountChanged(user, entry);
+  console.log("👤 Account", entry.action, user._id, "by", admin._id);
+  return user;
+};
+
+// Suspend an account, or reactivate a suspended one
+const setAccountActive = async (user, admin, { isActive, reason }) => {
+  assertNotSelf(user, admin);
+  if (typeof isActive !== "boolean") {
+    throw accountError("isActive must be true or false", 400, "INVALID_STATUS");
+  }
+  if (user.isActive === isActive) {
+    throw accountError(
+      `The account is already ${isActive ? "active" : "suspended"}`,
+      409,
+      "NO_CHANGE"
+    );
+  }
+
+  if (isActive) {
+    user.isActive = true;
+    user.suspension = undefined;
+    return record(user, admin, {
+      action: "reactivated",
+      reason: reason?.trim() || null,
+    });
+  }
+
+  reason = requireReason(reason, "suspend an account");
+  user.isActive = false;
+  user.suspension = {
+    reason,
+    suspendedAt: new Date(),
+    suspendedBy: admin._id,
+  };
+  return record(user, admin, { action: "suspended", reason });
+};
+
+const changeRole = async (user, admin, { role, reason }) => {
+  assertNotSelf(user, admin);
+  if (!ROLES.includes(role)) {
+    throw accountError(
+      `Role must be one of: ${ROLES.join(", ")}`,
+      400,
+      "INVALID_ROLE"
+    );
+  }
+  if (user.role === role) {
+    throw accountError(`The user is already a ${role}`, 409, "NO_CHANGE");
+  }
+  reason = requireReason(reason, "change a role");
+
+  const from = user.role;
+  user.role = role;
+  return record(user, admin, {
+    action: "role_changed",
+    from,
+    to: role,
+    reason,
+  });
+};
+
+const setVerified = async (user, admin, { isVerified, reason }) => {
+  assertNotSelf(user, admin);
+  if (typeof isVerified !== "boolean") {
+    throw accountError(
+      "isVerified must be true or false",
+      400,
+      "INVALID_STATUS"
+    );
+  }
+  if (user.isVerified === isVerified) {
+    throw accountError(
+      `The user is already ${isVerified ? "verified" : "unverified"}`,
+      409,
+      "NO_CHANGE"
+    );
+  }
+  if (isVerified && user.role === "driver" && !hasApprovedLicense(user)) {
+    throw accountError(
+      "Drivers are verified by approving their driving licence",
+      409,
+      "LICENSE_NOT_APPROVED"
+    );
+  }
+
+  user.isVerified = isVerified;
+  return record(user, admin, {
+    action: isVerified ? "verified" : "unverified",
+    reason: reason?.trim() || null,
+  });
+};
+
+module.exports = {
+  ROLES,
+  canListVehicles,
+  syncDriverListings,
+  setAccountActive,
+  changeRole,
+  setVerified,
+};
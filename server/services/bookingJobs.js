@@ -0,0 +1,176 @@
+// Scheduled booking housekeeping: expire requests drivers never answered,
+// mark overdue trips as no-shows and remind both parties before pickup.
+//
+// Each step is idempotent. Status changes are saved only if the booking is
+// still in the status it was read in, and a reminder is claimed by setting
+// reminderSentAt before it is sent.
+
+const Booking = require("../models/Booking");
+const { registerJob } = require("./scheduler");
+const { notify, notifyBookingStatusChanged } = require("./notifications");
+const { sendBookingStatusMessages, sendTripReminder } = require("./messaging");
+const { settleCancellation } = require("./payments");
+
+const MINUTE_MS = 60 * 1000;
+
+// How long a driver has to answer a booking request
+const RESPONSE_WINDOW_MINUTES =
+  Number(process.env.BOOKING_RESPONSE_WINDOW_MINUTES) || 60;
+// How long after the scheduled time a confirmed trip may still be started
+const NO_SHOW_GRACE_MINUTES =
+  Number(process.env.BOOKING_NO_SHOW_GRACE_MINUTES) || 30;
+// How long before pickup the reminder goes out
+const REMINDER_LEAD_MINUTES =
+  Number(process.env.BOOKING_REMINDER_LEAD_MINUTES) || 60;
+
+// Bookings handled per run, so one run stays short
+const BATCH_SIZE = 100;
+
+const populateParticipants = (booking) =>
+  booking.populate([
+    { path: "user", select: "name" },
+    { path: "vehicle", select: "brand model plateNumber" },
+  ]);
+
+// Move a booking to a new status on behalf of the system. Returns false if
+// someone else changed it first.
+const transitionBySystem = async (booking, status, reason) => {
+  const from = booking.status;
+  booking.transitionTo(status, { actor: "system", reason });
+  // Only save over the status this run read
+  booking.$where = { status: from };
+
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") return false;
+    throw error;
+  }
+  booking.$where = undefined;
+
+  await settleCancellation(booking);
+
+  await populateParticipants(booking);
+  const change = { actor: "system", changedBy: null, reason };
+  notifyBookingStatusChanged(booking, change);
+  sendBookingStatusMessages(booking, change);
+  return true;
+};
+
+// Pending requests past the response window, or whose pickup time has come
+const expirePendingBookings = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: "pending",
+    $or: [
+      {
+        createdAt: {
+          $lte: new Date(now.getTime() - RESPONSE_WINDOW_MINUTES * MINUTE_MS),
+        },
+      },
+      { scheduledDateTime: { $lte: now } },
+    ],
+  }).limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const booking of bookings) {
+    if (
+      await transitionBySystem(
+        booking,
+        "expired",
+        "The driver did not respond in time"
+      )
+    ) {
+      expired += 1;
+    }
+  }
+  return { expired };
+};
+
+// Confirmed trips that were never started, well after their pickup time
+const markNoShows = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: "confirmed",
+    scheduledDateTime: {
+      $lte: new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * MINUTE_MS),
+    },
+  }).limit(BATCH_SIZE);
+
+  let noShows = 0;
+  for (const booking of bookings) {
+    if (
+      await transitionBySystem(
+        booking,
+        "no_show",
+        "The trip was not started by its scheduled time"
+      )
+    ) {
+      noShows += 1;
+    }
+  }
+  return { noShows };
+};
+
+// Remind both parties of confirmed trips starting soon, once per booking
+const sendTripReminders = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: "confirmed",
+    reminderSentAt: null,
+    scheduledDateTime: {
+      $gt: now,
+      $lte: new Date(now.getTime() + REMINDER_LEAD_MINUTES * MINUTE_MS),
+    },
+  }).limit(BATCH_SIZE);
+
+  let reminded = 0;
+  for (const booking of bookings) {
+    // Claim the reminder; another run may already have sent it
+    const claim = await Booking.updateOne(
+      { _id: booking._id, status: "confirmed", reminderSentAt: null },
+      { reminderSentAt: now }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    await populateParticipants(booking);
+    const minutes = Math.round((booking.scheduledDateTime - now) / MINUTE_MS);
+    const vehicle = `${booking.vehicle.brand} ${booking.vehicle.model}`;
+    for (const recipient of [booking.user, booking.driver]) {
+      notify(recipient, {
+        type: "trip_reminder",
+        title: "Trip starting soon",
+        message: `The trip with ${vehicle} starts in ${minutes} minutes, from ${booking.tripDetails.pickupLocation.address}.`,
+        booking,
+        data: { scheduledDateTime: booking.scheduledDateTime },
+      }).catch((error) => console.error("❌ Notification error:", error));
+    }
+    sendTripReminder(booking);
+    reminded += 1;
+  }
+  return { reminded };
+};
+
+const registerBookingJobs = () => {
+  registerJob({
+    name: "expire-pending-bookings",
+    intervalMs: MINUTE_MS,
+    leaseMs: 5 * MINUTE_MS,
+    run: () => expirePendingBookings(),
+  });
+  registerJob({
+    name: "mark-no-shows",
+    intervalMs: 5 * MINUTE_MS,
+    run: () => markNoShows(),
+  });
+  registerJob({
+    name: "send-trip-reminders",
+    intervalMs: MINUTE_MS,
+    leaseMs: 5 * MINUTE_MS,
+    run: () => sendTripReminders(),
+  });
+};
+
+module.exports = {
+  registerBookingJobs,
+  expirePendingBookings,
+  markNoShows,
+  sendTripReminders,
+};
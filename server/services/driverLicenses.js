@@ -0,0 +1,251 @@
+// Driver onboarding and licence checks. Drivers submit their licence for
+// review; approving it verifies the driver and lists their vehicles.
+// Scheduled jobs warn drivers before the licence expires and unverify them,
+// unlisting their vehicles, once it has.
+
+const User = require("../models/User");
+const { registerJob } = require("./scheduler");
+const { syncDriverListings } = require("./accounts");
+const { notifyLicenseUpdate } = require("./notifications");
+const { isHttpUrl } = require("../utils/urls");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long before expiry drivers are warned
+const LICENSE_WARNING_DAYS =
+  Number(process.env.LICENSE_EXPIRY_WARNING_DAYS) || 30;
+
+const VEHICLE_TYPES = ["car", "ambulance", "truck"];
+
+// Drivers handled per run, so one run stays short
+const BATCH_SIZE = 100;
+
+const licenseError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = "LicenseError";
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const REVIEW_DECISIONS = ["approve", "reject"];
+
+// A driver submits (or renews) their licence for review
+const submitLicense = async (
+  driver,
+  { licenseNumber, licenseExpiry, licensePhotoUrl, vehicleType, experience }
+) => {
+  licenseNumber = licenseNumber?.trim();
+  licensePhotoUrl = licensePhotoUrl?.trim();
+  const expiry = new Date(licenseExpiry);
+
+  if (!licenseNumber || !licensePhotoUrl) {
+    throw licenseError(
+      "The licence number and a photo of the licence are required",
+      400,
+      "LICENSE_INCOMPLETE"
+    );
+  }
+  if (!isHttpUrl(licensePhotoUrl)) {
+    throw licenseError(
+      "The licence photo must be an http(s) link",
+      400,
+      "INVALID_PHOTO_URL"
+    );
+  }
+  if (Number.isNaN(expiry.getTime())) {
+    throw licenseError(
+      "A valid expiry date is required",
+      400,
+      "INVALID_EXPIRY"
+    );
+  }
+  if (expiry <= new Date()) {
+    throw licenseError(
+      "This licence has already expired",
+      400,
+      "LICENSE_EXPIRED"
+    );
+  }
+  if (vehicleType && !VEHICLE_TYPES.includes(vehicleType)) {
+    throw licenseError(
+      `Vehicle type must be one of: ${VEHICLE_TYPES.join(", ")}`,
+      400,
+      "INVALID_VEHICLE_TYPE"
+    );
+  }
+  if (driver.driverDetails?.licenseStatus === "pending") {
+    throw licenseError(
+      "Your licence is already waiting for review",
+      409,
+      "LICENSE_PENDING"
+    );
+  }
+
+  driver.set({
+    "driverDetails.licenseNumber": licenseNumber,
+    "driverDetails.licenseExpiry": expiry,
+    "driverDetails.licensePhotoUrl": licensePhotoUrl,
+    "driverDetails.licenseStatus": "pending",
+    "driverDetails.licenseSubmittedAt": new Date(),
+    "driverDetails.licenseReviewNote": null,
+    "driverDetails.licenseExpiryWarnedAt": null,
+  });
+  if (vehicleType) driver.set("driverDetails.vehicleType", vehicleType);
+  if (experience !== undefined && experience !== "") {
+    driver.set("driverDetails.experience", Number(experience));
+  }
+  await driver.save();
+
+  console.log("🪪 Licence submitted for review:", driver._id);
+  return driver;
+};
+
+// An administrator approves or rejects a submitted licence
+const reviewLicense = async (driver, admin, { decision, note }) => {
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    throw licenseError(
+      "Decision must be approve or reject",
+      400,
+      "INVALID_DECISION"
+    );
+  }
+  if (driver.role !== "driver") {
+    throw licenseError("This user isn't a driver", 409, "NOT_A_DRIVER");
+  }
+  if (driver.driverDetails?.licenseStatus !== "pending") {
+    throw licenseError(
+      "This licence isn't waiting for review",
+      409,
+      "LICENSE_NOT_PENDING"
+    );
+  }
+  note = note?.trim() || null;
+  if (decision === "reject" && !note) {
+    throw licenseError(
+      "A reason is required to reject a licence",
+      400,
+      "REASON_REQUIRED"
+    );
+  }
+  if (
+    decision === "approve" &&
+    driver.driverDetails.licenseExpiry <= new Date()
+  ) {
+    throw licenseError(
+      "This licence has expired since it was submitted",
+      409,
+      "LICENSE_EXPIRED"
+    );
+  }
+
+  const approved = decision === "approve";
+  driver.set({
+    "driverDetails.licenseStatus": approved ? "approved" : "rejected",
+    "driverDetails.licenseReviewedAt": new Date(),
+    "driverDetails.licenseReviewedBy": admin._id,
+    "driverDetails.licenseReviewNote": note,
+  });
+  if (driver.isVerified !== approved) {
+    driver.isVerified = approved;
+    driver.accountHistory.push({
+      action: approved ? "verified" : "unverified",
+      reason: approved ? "Driving licence approved" : note,
+      changedBy: admin._id,
+    });
+  }
+  await driver.save();
+  await syncDriverListings(driver);
+
+  notifyLicenseUpdate(driver, { status: driver.driverDetails.licenseStatus });
+  console.log("🪪 Licence", decision, driver._id, "by", admin._id);
+  return driver;
+};
+
+// Warn drivers once when their approved licence expires within the window
+const warnExpiringLicenses = async (now = new Date()) => {
+  const drivers = await User.find({
+    "driverDetails.licenseStatus": "approved",
+    "driverDetails.licenseExpiryWarnedAt": null,
+    "driverDetails.licenseExpiry": {
+      $gt: now,
+      $lte: new Date(now.getTime() + LICENSE_WARNING_DAYS * DAY_MS),
+    },
+  })
+    .select("driverDetails")
+    .limit(BATCH_SIZE);
+
+  let warned = 0;
+  for (const driver of drivers) {
+    // Claim the warning; another run may already have sent it
+    const claim = await User.updateOne(
+      { _id: driver._id, "driverDetails.licenseExpiryWarnedAt": null },
+      { "driverDetails.licenseExpiryWarnedAt": now }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    notifyLicenseUpdate(driver, { status: "expiring" });
+    warned += 1;
+  }
+  return { warned };
+};
+
+// Unverify drivers whose approved licence has expired, unlisting their
+// vehicles until a renewed licence is approved
+const expireLicenses = async (now = new Date()) => {
+  const drivers = await User.find({
+    "driverDetails.licenseStatus": "approved",
+    "driverDetails.licenseExpiry": { $lte: now },
+  }).limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const driver of drivers) {
+    const wasVerified = driver.isVerified;
+    driver.set("driverDetails.licenseStatus", "expired");
+    driver.isVerified = false;
+    if (wasVerified) {
+      driver.accountHistory.push({
+        action: "unverified",
+        reason: "Driving licence expired",
+        changedBy: null,
+      });
+    }
+    // Only save over the status this run read
+    driver.$where = { "driverDetails.licenseStatus": "approved" };
+    try {
+      await driver.save();
+    } catch (error) {
+      if (error.name === "DocumentNotFoundError") continue;
+      throw error;
+    }
+    driver.$where = undefined;
+
+    await syncDriverListings(driver);
+    notifyLicenseUpdate(driver, { status: "expired" });
+    expired += 1;
+  }
+  return { expired };
+};
+
+const registerLicenseJobs = () => {
+  registerJob({
+    name: "warn-expiring-licenses",
+    intervalMs: HOUR_MS,
+    run: () => warnExpiringLicenses(),
+  });
+  registerJob({
+    name: "expire-licenses",
+    intervalMs: HOUR_MS,
+    run: () => expireLicenses(),
+  });
+};
+
+module.exports = {
+  LICENSE_WARNING_DAYS,
+  submitLicense,
+  reviewLicense,
+  warnExpiringLicenses,
+  expireLicenses,
+  registerLicenseJobs,
+};
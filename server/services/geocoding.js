@@ -0,0 +1,152 @@
+// Turn place names into coordinates for pickups, dropoffs and vehicle
+// locations.
+//
+// A provider is an object { name, autocomplete(query, options), geocode(query),
+// reverse(point) } resolving to places shaped like toPlace() below. The default provider
+// searches a local gazetteer of Bangladeshi divisions, cities and areas, so it
+// needs no network; an external geocoder can be plugged in with
+// setGeocodingProvider().
+
+const gazetteer = require("../data/gazetteer.json");
+const { rankSuggestions } = require("../utils/search");
+const { haversineKm } = require("../utils/geo");
+
+// Prefer the most specific place when several match equally well
+const TYPE_RANK = { area: 0, city: 1, division: 2 };
+
+const normalize = (text) =>
+  text.toLowerCase().replace(/['’.]/g, "").replace(/\s+/g, " ").trim();
+
+const toPlace = (entry) => ({
+  id: entry.id,
+  name: entry.name,
+  type: entry.type,
+  city: entry.type === "city" ? entry.name : entry.city || null,
+  division: entry.division,
+  label:
+    entry.type === "area"
+      ? `${entry.name}, ${entry.city}`
+      : entry.type === "city"
+      ? `${entry.name}, ${entry.division} Division`
+      : entry.name,
+  // GeoJSON point, [longitude, latitude]
+  point: { type: "Point", coordinates: [entry.lng, entry.lat] },
+});
+
+// Whether a place lies in the city or division named by `text`
+const isWithin = (entry, text) => {
+  const name = normalize(text).replace(/ division$/, "");
+  return [entry.city, entry.division]
+    .filter(Boolean)
+    .some((parent) => normalize(parent) === name);
+};
+
+// Every name a place can be searched by, as rankSuggestions candidates
+const candidates = gazetteer.flatMap((entry) =>
+  [entry.name, ...(entry.aliases || [])].map((text) => ({ text, entry }))
+);
+
+// Exact name or alias lookup
+const byName = new Map();
+for (const { text, entry } of candidates) {
+  const key = normalize(text);
+  if (!byName.has(key)) byName.set(key, []);
+  byName.get(key).push(entry);
+}
+
+const bySpecificity = (a, b) => TYPE_RANK[a.type] - TYPE_RANK[b.type];
+
+const localGazetteerProvider = {
+  name: "gazetteer",
+
+  // Places whose name starts like the query, tolerating typos. Text after a
+  // comma narrows the results to a city or division ("Gulshan, Dhaka").
+  async autocomplete(query, { limit = 8, city = null } = {}) {
+    const [name, ...parents] = query.split(",").map((part) => part.trim());
+    const within = city || parents.find(Boolean);
+
+    const pool = within
+      ? candidates.filter(({ entry }) => isWithin(entry, within))
+      : candidates;
+
+    const seen = new Set();
+    const places = [];
+    for (const { entry } of rankSuggestions(pool, name, pool.length)) {
+      if (seen.has(entry.id)) continue;
+      seen.add(entry.id);
+      places.push(toPlace(entry));
+      if (places.length >= limit) break;
+    }
+    return places;
+  },
+
+  // Best single match for a free-text address such as "House 12, Road 5,
+  // Dhanmondi, Dhaka". Exact names win; otherwise the closest suggestion.
+  async geocode(query) {
+    const parts = query
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean);
+
+    // Among exactly named places, prefer the one the rest of the address
+    // agrees with (its city or division is also named), then the most specific
+    const exact = parts
+      .flatMap((part) => byName.get(normalize(part)) || [])
+      .map((entry) => ({
+        entry,
+        agreement: parts.filter((part) => isWithin(entry, part)).length,
+      }))
+      .sort(
+        (a, b) => b.agreement - a.agreement || bySpecificity(a.entry, b.entry)
+      );
+    if (exact.length > 0) {
+      return { place: toPlace(exact[0].entry), confidence: "exact" };
+    }
+
+    for (const part of parts) {
+      const [best] = rankSuggestions(candidates, part, 1);
+      if (best) {
+        return { place: toPlace(best.entry), confidence: "approximate" };
+      }
+    }
+    return null;
+  },
+
+  // Nearest known area or city to a point, e.g. for a pin dropped on a map.
+  // Divisions are too coarse to describe a point.
+  async reverse(point) {
+    let nearest = null;
+    for (const entry of gazetteer) {
+      if (entry.type === "division") continue;
+      const distanceKm = haversineKm(point.coordinates, [entry.lng, entry.lat]);
+      if (!nearest || distanceKm < nearest.distanceKm) {
+        nearest = { entry, distanceKm };
+      }
+    }
+    return (
+      nearest && {
+        place: toPlace(nearest.entry),
+        distanceKm: Math.round(nearest.distanceKm * 100) / 100,
+      }
+    );
+  },
+};
+
+let provider = localGazetteerProvider;
+
+// Swap the provider at runtime, e.g. for an external geocoding service
+const setGeocodingProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+const autocomplete = (query, options) => provider.autocomplete(query, options);
+const geocode = (query) => provider.geocode(query);
+const reverseGeocode = (point) => provider.reverse(point);
+
+module.exports = {
+  autocomplete,
+  geocode,
+  reverseGeocode,
+  setGeocodingProvider,
+  localGazetteerProvider,
+};
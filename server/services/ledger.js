@@ -0,0 +1,258 @@
+// Double-entry ledger of the money moving through the platform. Accounts are
+// plain strings; the ones used so far:
+//
+//   receivable:<userId>     what a passenger owes (debit) or has paid (credit)
+//   revenue:fares           fares earned
+//   revenue:cancellations   cancellation and no-show fees owed by passengers
+//   clearing:<gateway>      money held by a payment gateway for us
+//   cash:<driverId>         cash a driver collected from the passenger
+//   wallet:<userId>         what we hold in a user's wallet (credit balance)
+//   payouts:pending         driver withdrawals waiting to be sent
+//   payouts:<method>        driver withdrawals sent, e.g. payouts:bkash
+//
+// A fare is charged once (Dr receivable, Cr revenue), paid through a gateway,
+// from the wallet or in cash (Dr clearing/wallet/cash, Cr receivable) and
+// possibly refunded (Dr revenue, Cr clearing/wallet). The driver's share of
+// it then moves from revenue to their wallet.
+
+const LedgerTransaction = require("../models/LedgerTransaction");
+const { roundTo } = require("./pricing");
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+const accounts = {
+  receivable: (user) => `receivable:${idOf(user)}`,
+  fares: "revenue:fares",
+  cancellations: "revenue:cancellations",
+  clearing: (gateway) => `clearing:${gateway}`,
+  cash: (driver) => `cash:${idOf(driver)}`,
+  wallet: (user) => `wallet:${idOf(user)}`,
+  payoutsPending: "payouts:pending",
+  payoutsSent: (method) => `payouts:${method}`,
+};
+
+// Record a balanced transaction. `entries` are [account, debit, credit]
+// triples. Posting an idempotency key that was already used returns the
+// existing transaction instead of recording it again.
+const postTransaction = async ({
+  kind,
+  idempotencyKey,
+  booking = null,
+  paymentIntent = null,
+  currency = "BDT",
+  memo,
+  entries,
+}) => {
+  try {
+    return await LedgerTransaction.create({
+      kind,
+      idempotencyKey,
+      booking: booking && idOf(booking),
+      paymentIntent: paymentIntent && idOf(paymentIntent),
+      currency,
+      memo,
+      entries: entries.map(([account, debit, credit]) => ({
+        account,
+        debit: roundTo(debit, 2),
+        credit: roundTo(credit, 2),
+      })),
+    });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      return LedgerTransaction.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+// Charge a booking's fare to its passenger, once
+const postCharge = (booking) => {
+  const amount = booking.pricing.totalPrice;
+  return postTransaction({
+    kind: "charge",
+    idempotencyKey: `charge:${idOf(booking)}`,
+    booking,
+    currency: booking.pricing.currency,
+    memo: "Trip fare",
+    entries: [
+      [accounts.receivable(booking.user), amount, 0],
+      [accounts.fares, 0, amount],
+    ],
+  });
+};
+
+// Money received for a booking: through a gateway, from the passenger's
+// wallet or as cash to the driver
+const postPayment = (
+  booking,
+  { amount, intent = null, fromWallet = false }
+) => {
+  let account = accounts.cash(booking.driver);
+  let idempotencyKey = `payment:cash:${idOf(booking)}`;
+  let memo = "Paid in cash";
+  if (intent) {
+    account = accounts.clearing(intent.gateway);
+    idempotencyKey = `payment:${idOf(intent)}`;
+    memo = `Paid via ${intent.gateway}`;
+  } else if (fromWallet) {
+    account = accounts.wallet(booking.user);
+    idempotencyKey = `payment:wallet:${idOf(booking)}`;
+    memo = "Paid from wallet";
+  }
+
+  return postTransaction({
+    kind: "payment",
+    idempotencyKey,
+    booking,
+    paymentIntent: intent,
+    currency: booking.pricing.currency,
+    memo,
+    entries: [
+      [account, amount, 0],
+      [accounts.receivable(booking.user), 0, amount],
+    ],
+  });
+};
+
+// A cancellation or no-show fee the passenger owes, once per booking
+const postCancellationFee = (booking, amount) =>
+  postTransaction({
+    kind: "charge",
+    idempotencyKey: `cancellation-fee:${idOf(booking)}`,
+    booking,
+    currency: booking.pricing.currency,
+    memo: booking.status === "no_show" ? "No-show fee" : "Cancellation fee",
+    entries: [
+      [accounts.receivable(booking.user), amount, 0],
+      [accounts.cancellations, 0, amount],
+    ],
+  });
+
+// Money given back the way it was paid: through the gateway, or into the
+// passenger's wallet when `intent` is null. `reference` identifies the refund.
+const postRefund = (booking, { amount, intent = null, reference, reason }) =>
+  postTransaction({
+    kind: "refund",
+    idempotencyKey: `refund:${intent ? idOf(intent) : "wallet"}:${reference}`,
+    booking,
+    paymentIntent: intent,
+    currency: booking.pricing.currency,
+    memo: reason ? `Refund: ${reason}` : "Refund",
+    entries: [
+      [accounts.fares, amount, 0],
+      [
+        intent
+          ? accounts.clearing(intent.gateway)
+          : accounts.wallet(booking.user),
+        0,
+        amount,
+      ],
+    ],
+  });
+
+// A wallet top-up given back through its gateway
+const postTopUpRefund = (intent, { amount, reference, reason }) =>
+  postTransaction({
+    kind: "refund",
+    idempotencyKey: `refund:${idOf(intent)}:${reference}`,
+    paymentIntent: intent,
+    currency: intent.currency,
+    memo: reason ? `Top-up refund: ${reason}` : "Top-up refund",
+    entries: [
+      [accounts.wallet(intent.user), amount, 0],
+      [accounts.clearing(intent.gateway), 0, amount],
+    ],
+  });
+
+// Money added to a wallet through a gateway
+const postTopUp = (intent) =>
+  postTransaction({
+    kind: "topup",
+    idempotencyKey: `topup:${idOf(intent)}`,
+    paymentIntent: intent,
+    currency: intent.currency,
+    memo: `Wallet top-up via ${intent.gateway}`,
+    entries: [
+      [accounts.clearing(intent.gateway), intent.amount, 0],
+      [accounts.wallet(intent.user), 0, intent.amount],
+    ],
+  });
+
+// The driver's share of a completed trip's fare. On a cash trip the driver
+// already holds the fare, so the platform's commission is taken from their
+// wallet instead.
+const postEarning = (booking, { commission }) => {
+  const fare = booking.pricing.totalPrice;
+  const driverShare = roundTo(fare - commission, 2);
+  const entries =
+    booking.payment.method === "cash"
+      ? [
+          [accounts.fares, driverShare, 0],
+          [accounts.wallet(booking.driver), commission, 0],
+          [accounts.cash(booking.driver), 0, fare],
+        ]
+      : [
+          [accounts.fares, driverShare, 0],
+          [accounts.wallet(booking.driver), 0, driverShare],
+        ];
+
+  return postTransaction({
+    kind: "earning",
+    idempotencyKey: `earning:${idOf(booking)}`,
+    booking,
+    currency: booking.pricing.currency,
+    memo: `Driver earnings less ৳${commission} commission`,
+    entries: entries.filter(([, debit, credit]) => debit > 0 || credit > 0),
+  });
+};
+
+// A driver withdrawal as it is requested, then sent or rejected
+const postPayout = (payout, stage) => {
+  const wallet = accounts.wallet(payout.driver);
+  const [debit, credit] = {
+    requested: [wallet, accounts.payoutsPending],
+    paid: [accounts.payoutsPending, accounts.payoutsSent(payout.method)],
+    rejected: [accounts.payoutsPending, wallet],
+  }[stage];
+
+  return postTransaction({
+    kind: "payout",
+    idempotencyKey: `payout:${idOf(payout)}:${stage}`,
+    currency: payout.currency,
+    memo: `Payout ${stage}`,
+    entries: [
+      [debit, payout.amount, 0],
+      [credit, 0, payout.amount],
+    ],
+  });
+};
+
+// A booking's transactions with the net balance of each account they touch
+// (debits minus credits)
+const getBookingLedger = async (bookingId) => {
+  const transactions = await LedgerTransaction.find({
+    booking: bookingId,
+  }).sort({ createdAt: 1 });
+
+  const balances = {};
+  for (const transaction of transactions) {
+    for (const { account, debit, credit } of transaction.entries) {
+      balances[account] = roundTo((balances[account] || 0) + debit - credit, 2);
+    }
+  }
+  return { transactions, balances };
+};
+
+module.exports = {
+  accounts,
+  postTransaction,
+  postCharge,
+  postPayment,
+  postRefund,
+  postCancellationFee,
+  postTopUp,
+  postTopUpRefund,
+  postEarning,
+  postPayout,
+  getBookingLedger,
+};
@@ -0,0 +1,155 @@
+// Email and SMS wording for booking events, in English and Bangla. Each
+// template has an email subject and body and a short SMS text, with {name}
+// style placeholders filled in by renderMessage().
+
+const LANGUAGES = ["en", "bn"];
+const DEFAULT_LANGUAGE = "en";
+
+// Words that vary with the language but are not part of one template
+const PHRASES = {
+  en: {
+    reason: "Reason",
+    actors: {
+      user: "the passenger",
+      driver: "the driver",
+      admin: "an administrator",
+      system: "ReturnVehicle",
+    },
+  },
+  bn: {
+    reason: "কারণ",
+    actors: {
+      user: "যাত্রী",
+      driver: "চালক",
+      admin: "একজন প্রশাসক",
+      system: "ReturnVehicle",
+    },
+  },
+};
+
+const TEMPLATES = {
+  booking_confirmed: {
+    en: {
+      subject: "Your booking is confirmed",
+      text:
+        "Hi {name},\n\n" +
+        "Your booking for {vehicle} ({plate}) on {date} at {time} has been confirmed.\n\n" +
+        "Pickup: {pickup}\nDropoff: {dropoff}\nFare: ৳{total}\n\n" +
+        "Thank you for travelling with ReturnVehicle.",
+      sms: "ReturnVehicle: Booking confirmed - {vehicle} on {date} {time} from {pickup}. Fare ৳{total}.",
+    },
+    bn: {
+      subject: "আপনার বুকিং নিশ্চিত হয়েছে",
+      text:
+        "প্রিয় {name},\n\n" +
+        "{date} তারিখ {time}-এ {vehicle} ({plate})-এর জন্য আপনার বুকিং নিশ্চিত হয়েছে।\n\n" +
+        "পিকআপ: {pickup}\nড্রপঅফ: {dropoff}\nভাড়া: ৳{total}\n\n" +
+        "ReturnVehicle-এর সাথে ভ্রমণের জন্য ধন্যবাদ।",
+      sms: "ReturnVehicle: বুকিং নিশ্চিত - {vehicle}, {date} {time}, পিকআপ {pickup}। ভাড়া ৳{total}।",
+    },
+  },
+
+  booking_rejected: {
+    en: {
+      subject: "Your booking request was declined",
+      text:
+        "Hi {name},\n\n" +
+        "Unfortunately the driver declined your booking for {vehicle} on {date} at {time}.{reasonLine}\n\n" +
+        "You can search for another vehicle in the app.",
+      sms: "ReturnVehicle: Your booking for {vehicle} on {date} {time} was declined.",
+    },
+    bn: {
+      subject: "আপনার বুকিং অনুরোধ গ্রহণ করা হয়নি",
+      text:
+        "প্রিয় {name},\n\n" +
+        "দুঃখিত, চালক {date} তারিখ {time}-এ {vehicle}-এর জন্য আপনার বুকিং অনুরোধ গ্রহণ করেননি।{reasonLine}\n\n" +
+        "অ্যাপে অন্য গাড়ি খুঁজে দেখুন।",
+      sms: "ReturnVehicle: {date} {time}-এর {vehicle} বুকিং গ্রহণ করা হয়নি।",
+    },
+  },
+
+  booking_expired: {
+    en: {
+      subject: "Your booking request expired",
+      text:
+        "Hi {name},\n\n" +
+        "The driver didn't respond to your booking for {vehicle} on {date} at {time}, so the request has expired.\n\n" +
+        "You can search for another vehicle in the app.",
+      sms: "ReturnVehicle: Your booking for {vehicle} on {date} {time} expired without a response.",
+    },
+    bn: {
+      subject: "আপনার বুকিং অনুরোধের মেয়াদ শেষ হয়েছে",
+      text:
+        "প্রিয় {name},\n\n" +
+        "চালক {date} তারিখ {time}-এ {vehicle}-এর জন্য আপনার বুকিংয়ে সাড়া দেননি, তাই অনুরোধটির মেয়াদ শেষ হয়েছে।\n\n" +
+        "অ্যাপে অন্য গাড়ি খুঁজে দেখুন।",
+      sms: "ReturnVehicle: {date} {time}-এর {vehicle} বুকিংয়ে সাড়া না পাওয়ায় মেয়াদ শেষ হয়েছে।",
+    },
+  },
+
+  booking_cancelled: {
+    en: {
+      subject: "Your booking was cancelled",
+      text:
+        "Hi {name},\n\n" +
+        "The booking for {vehicle} on {date} at {time} was cancelled by {actor}.{reasonLine}",
+      sms: "ReturnVehicle: The booking for {vehicle} on {date} {time} was cancelled.",
+    },
+    bn: {
+      subject: "আপনার বুকিং বাতিল হয়েছে",
+      text:
+        "প্রিয় {name},\n\n" +
+        "{date} তারিখ {time}-এ {vehicle}-এর বুকিংটি {actor} বাতিল করেছেন।{reasonLine}",
+      sms: "ReturnVehicle: {date} {time}-এর {vehicle} বুকিং বাতিল হয়েছে।",
+    },
+  },
+
+  trip_reminder: {
+    en: {
+      subject: "Your trip starts soon",
+      text:
+        "Hi {name},\n\n" +
+        "A reminder that your trip with {vehicle} ({plate}) starts on {date} at {time}.\n\n" +
+        "Pickup: {pickup}\nDropoff: {dropoff}",
+      sms: "ReturnVehicle: Your trip with {vehicle} ({plate}) starts at {time}. Pickup: {pickup}.",
+    },
+    bn: {
+      subject: "আপনার যাত্রা শীঘ্রই শুরু হবে",
+      text:
+        "প্রিয় {name},\n\n" +
+        "মনে করিয়ে দিচ্ছি, {vehicle} ({plate})-এ আপনার যাত্রা {date} তারিখ {time}-এ শুরু হবে।\n\n" +
+        "পিকআপ: {pickup}\nড্রপঅফ: {dropoff}",
+      sms: "ReturnVehicle: {vehicle} ({plate})-এ আপনার যাত্রা {time}-এ শুরু হবে। পিকআপ: {pickup}।",
+    },
+  },
+};
+
+const fill = (text, vars) =>
+  text.replace(/\{(\w+)\}/g, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? "" : String(vars[key])
+  );
+
+// Render a template as { subject, text, sms }. Unknown languages fall back to
+// English; `actor` and `reason` are worded in the chosen language.
+const renderMessage = (template, language, vars = {}) => {
+  const versions = TEMPLATES[template];
+  if (!versions) throw new Error(`Unknown message template: ${template}`);
+
+  const lang = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  const phrases = PHRASES[lang];
+  const allVars = {
+    ...vars,
+    actor: phrases.actors[vars.actor] || vars.actor,
+    reasonLine: vars.reason ? `\n\n${phrases.reason}: ${vars.reason}` : "",
+  };
+
+  const { subject, text, sms } = versions[lang];
+  return {
+    language: lang,
+    subject: fill(subject, allVars),
+    text: fill(text, allVars),
+    sms: fill(sms, allVars),
+  };
+};
+
+module.exports = { renderMessage, LANGUAGES, TEMPLATES };
@@ -0,0 +1,256 @@
+// Email and SMS about bookings. Each message is rendered in the recipient's
+// language, stored as a Delivery and handed to the channel's transport (see
+// services/transports.js). Failed sends are retried with exponential backoff
+// by a worker that any number of server instances can run: a delivery is
+// claimed atomically before it is sent.
+
+const Delivery = require("../models/Delivery");
+const User = require("../models/User");
+const { renderMessage } = require("./messageTemplates");
+const { getTransport } = require("./transports");
+const { toLocalParts } = require("./pricing");
+
+const MAX_ATTEMPTS = Number(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+// Wait before the first retry; doubles with each further failure
+const RETRY_BASE_MS = Number(process.env.DELIVERY_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// How long a worker may hold a delivery before another may take it over
+const LOCK_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS =
+  Number(process.env.DELIVERY_POLL_INTERVAL_MS) || 30 * 1000;
+
+// Booking statuses that are worth a message outside the app
+const STATUS_TEMPLATES = {
+  confirmed: "booking_confirmed",
+  rejected: "booking_rejected",
+  cancelled: "booking_cancelled",
+  expired: "booking_expired",
+};
+
+const retryDelay = (failures) =>
+  Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+// Bangladeshi mobile numbers in international form; null if unusable
+const toPhoneNumber = (phone) => {
+  const digits = String(phone || "").replace(/[\s()-]/g, "");
+  if (/^01\d{9}$/.test(digits)) return `+88${digits}`;
+  if (/^8801\d{9}$/.test(digits)) return `+${digits}`;
+  if (/^\+\d{8,15}$/.test(digits)) return digits;
+  return null;
+};
+
+// Try to send a claimed delivery once, recording the attempt
+const attemptDelivery = async (delivery) => {
+  const transport = getTransport(delivery.channel);
+  const attempt = { at: new Date(), transport: transport.name };
+
+  try {
+    const { id } = await transport.send({
+      to: delivery.to,
+      subject: delivery.subject,
+      text: delivery.body,
+    });
+    delivery.attempts.push({ ...attempt, succeeded: true });
+    delivery.status = "sent";
+    delivery.sentAt = new Date();
+    delivery.providerMessageId = id || undefined;
+  } catch (error) {
+    delivery.attempts.push({
+      ...attempt,
+      succeeded: false,
+      error: error.message,
+    });
+    const failures = delivery.attempts.filter((a) => !a.succeeded).length;
+    if (failures >= delivery.maxAttempts) {
+      delivery.status = "failed";
+      console.error(
+        `❌ Giving up on ${delivery.channel} delivery ${delivery._id}:`,
+        error.message
+      );
+    } else {
+      delivery.status = "pending";
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay(failures));
+      console.warn(
+        `⚠️ ${delivery.channel} delivery ${delivery._id} failed, retrying at`,
+        delivery.nextAttemptAt.toISOString()
+      );
+    }
+  }
+
+  delivery.lockedUntil = undefined;
+  await delivery.save();
+  return delivery;
+};
+
+// Claim one delivery that is due, or whose worker died mid-send
+const claimDueDelivery = (now = new Date()) =>
+  Delivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      status: "sending",
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+// Send everything that is due, up to `limit` deliveries
+const processDueDeliveries = async (limit = 20) => {
+  let processed = 0;
+  while (processed < limit) {
+    const delivery = await claimDueDelivery();
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+    processed += 1;
+  }
+  return processed;
+};
+
+// Store a message for one recipient on one channel and try it straight away
+const queueMessage = async ({
+  recipient,
+  channel,
+  to,
+  template,
+  vars,
+  booking,
+}) => {
+  const message = renderMessage(template, recipient.preferences?.language, {
+    name: recipient.name,
+    ...vars,
+  });
+
+  const delivery = await Delivery.create({
+    recipient: recipient._id,
+    booking: booking && idOf(booking),
+    channel,
+    to,
+    template,
+    language: message.language,
+    subject: channel === "email" ? message.subject : undefined,
+    body: channel === "email" ? message.text : message.sms,
+    status: "sending",
+    lockedUntil: new Date(Date.now() + LOCK_MS),
+    maxAttempts: MAX_ATTEMPTS,
+  });
+  return attemptDelivery(delivery);
+};
+
+// Every channel a user can be reached on and wants messages through
+const channelsFor = (user) =>
+  [
+    user.preferences?.emailNotifications !== false &&
+      user.email && { channel: "email", to: user.email },
+    user.preferences?.smsNotifications !== false &&
+      toPhoneNumber(user.phone) && {
+        channel: "sms",
+        to: toPhoneNumber(user.phone),
+      },
+  ].filter(Boolean);
+
+// Placeholders shared by the booking templates
+const bookingVars = (booking) => {
+  const { date, time } = toLocalParts(new Date(booking.scheduledDateTime));
+  return {
+    vehicle: booking.vehicle?.brand
+      ? `${booking.vehicle.brand} ${booking.vehicle.model}`
+      : "your vehicle",
+    plate: booking.vehicle?.plateNumber || "",
+    date,
+    time,
+    pickup: booking.tripDetails.pickupLocation.address,
+    dropoff: booking.tripDetails.dropoffLocation.address,
+    total: booking.pricing?.totalPrice,
+  };
+};
+
+// Message the given booking participants with a template. Like in-app
+// notifications this is a side effect of the request: errors are logged,
+// never thrown.
+const sendBookingMessages = async (booking, template, recipientRefs, vars) => {
+  try {
+    const recipients = await User.find({
+      _id: { $in: recipientRefs.map(idOf) },
+    }).select("name email phone preferences");
+    const shared = { ...bookingVars(booking), ...vars };
+
+    const sends = recipients.flatMap((recipient) =>
+      channelsFor(recipient).map(({ channel, to }) =>
+        queueMessage({
+          recipient,
+          channel,
+          to,
+          template,
+          vars: shared,
+          booking,
+        })
+      )
+    );
+    const results = await Promise.allSettled(sends);
+    for (const result of results) {
+      if (result.status === "rejected") {
+        console.error("❌ Message delivery error:", result.reason);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Message delivery error:", error);
+  }
+};
+
+// Message the participants who didn't make a status change themselves.
+// Only cancellations concern the driver as well as the passenger.
+const sendBookingStatusMessages = (booking, { actor, changedBy, reason }) => {
+  const template = STATUS_TEMPLATES[booking.status];
+  if (!template) return Promise.resolve();
+
+  const participants =
+    booking.status === "cancelled"
+      ? [booking.user, booking.driver]
+      : [booking.user];
+  const recipients = participants.filter(
+    (participant) => !changedBy || idOf(participant) !== idOf(changedBy)
+  );
+
+  return sendBookingMessages(booking, template, recipients, { actor, reason });
+};
+
+// Remind both parties that the trip is about to start
+const sendTripReminder = (booking) =>
+  sendBookingMessages(
+    booking,
+    "trip_reminder",
+    [booking.user, booking.driver],
+    {}
+  );
+
+// Retry failed deliveries in the background
+const startDeliveryWorker = () => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error("❌ Delivery worker error:", error);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sendBookingStatusMessages,
+  sendTripReminder,
+  processDueDeliveries,
+  startDeliveryWorker,
+  toPhoneNumber,
+};
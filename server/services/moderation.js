@@ -0,0 +1,149 @@
+// Reports and the moderation queue. Passengers and drivers report a trip
+// review, or the other participant of a booking; administrators then hide
+// or restore the reported review, or escalate the report for a closer look.
+// Both the reporter and the reported user hear about the outcome.
+
+const Report = require("../models/Report");
+const { setReviewHidden } = require("./ratings");
+const { notifyModerationOutcome } = require("./notifications");
+
+const SIDES = ["userRating", "driverRating"];
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+const moderationError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = "ModerationError";
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Who wrote a booking's review: passengers give userRating, drivers give
+// driverRating
+const reviewAuthor = (booking, side) =>
+  side === "userRating" ? booking.user : booking.driver;
+
+// Report a review left on `booking`, or the other participant of it
+const createReport = async (
+  reporter,
+  booking,
+  { targetType, side, reason, details }
+) => {
+  let reportedUser;
+  if (targetType === "review") {
+    if (!SIDES.includes(side) || !booking.rating?.[side]?.rating) {
+      throw moderationError("Review not found", 404, "REVIEW_NOT_FOUND");
+    }
+    reportedUser = reviewAuthor(booking, side);
+    if (idOf(reportedUser) === idOf(reporter)) {
+      throw moderationError(
+        "You can't report your own review",
+        400,
+        "CANNOT_REPORT_SELF"
+      );
+    }
+  } else if (targetType === "user") {
+    side = null;
+    reportedUser =
+      idOf(booking.user) === idOf(reporter) ? booking.driver : booking.user;
+  } else {
+    throw moderationError(
+      "You can report a review or a user",
+      400,
+      "INVALID_REPORT_TARGET"
+    );
+  }
+
+  try {
+    const report = await Report.create({
+      reporter: reporter._id,
+      targetType,
+      booking: booking._id,
+      side,
+      reportedUser: idOf(reportedUser),
+      reason,
+      details,
+    });
+    console.log("🚩 Report filed:", report._id, targetType, reason);
+    return report;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw moderationError(
+        "You have already reported this",
+        409,
+        "ALREADY_REPORTED"
+      );
+    }
+    throw error;
+  }
+};
+
+const MODERATION_ACTIONS = ["hide", "restore", "escalate"];
+
+// Apply a moderator's decision to a report, and to every other report in
+// the queue about the same review or user
+const moderateReport = async (report, admin, { action, note }) => {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw moderationError(
+      "Action must be hide, restore or escalate",
+      400,
+      "INVALID_MODERATION_ACTION"
+    );
+  }
+  if (action === "hide" && report.targetType !== "review") {
+    throw moderationError(
+      "Only reviews can be hidden",
+      400,
+      "INVALID_MODERATION_ACTION"
+    );
+  }
+  if (action === "escalate" && report.status !== "open") {
+    throw moderationError(
+      "Only open reports can be escalated",
+      409,
+      "REPORT_NOT_OPEN"
+    );
+  }
+
+  if (report.targetType === "review" && action !== "escalate") {
+    await setReviewHidden(report.booking, report.side, action === "hide");
+  }
+
+  const sameTarget = {
+    booking: report.booking,
+    targetType: report.targetType,
+    side: report.side,
+    reportedUser: report.reportedUser,
+  };
+  const update = {
+    $push: { history: { action, note, by: admin._id, at: new Date() } },
+    $set:
+      action === "escalate"
+        ? { status: "escalated" }
+        : {
+            status: "resolved",
+            outcome: action === "hide" ? "hidden" : "restored",
+          },
+  };
+  // The report being decided, plus others still waiting about the same item
+  const affected = await Report.find({
+    ...sameTarget,
+    $or: [{ _id: report._id }, { status: { $in: ["open", "escalated"] } }],
+  }).select("reporter");
+  await Report.updateMany(
+    { _id: { $in: affected.map(({ _id }) => _id) } },
+    update
+  );
+
+  notifyModerationOutcome(report, {
+    action,
+    note,
+    reporters: affected.map(({ reporter }) => reporter),
+  });
+
+  console.log("🛡️ Report", action, report._id, "by", admin._id);
+  return Report.findById(report._id);
+};
+
+module.exports = { createReport, moderateReport };
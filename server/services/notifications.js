@@ -0,0 +1,372 @@
+// In-app notifications. Each one is stored in the Notification collection, so
+// the history survives reloads, and pushed to the recipient's "user:<id>"
+// realtime channel when they are online.
+
+const Notification = require("../models/Notification");
+const { toLocalParts } = require("./pricing");
+const { publish, registerChannel } = require("./realtime");
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+const ACTOR_LABELS = {
+  user: "The passenger",
+  driver: "The driver",
+  admin: "An administrator",
+};
+
+const STATUS_VERBS = {
+  confirmed: "confirmed",
+  rejected: "declined",
+  cancelled: "cancelled",
+  started: "started",
+  completed: "completed",
+  expired: "expired",
+  no_show: "marked as a no-show",
+};
+
+// Changes the scheduler makes, which nobody in particular "did"
+const SYSTEM_MESSAGES = {
+  expired: (trip) =>
+    `The driver didn't respond in time, so the booking for ${trip} expired.`,
+  no_show: (trip) =>
+    `The booking for ${trip} was marked as a no-show as the trip was never started.`,
+};
+
+const describeTrip = (booking) => {
+  const vehicle = booking.vehicle?.brand
+    ? `${booking.vehicle.brand} ${booking.vehicle.model}`
+    : "the vehicle";
+  const { date, time } = toLocalParts(new Date(booking.scheduledDateTime));
+  return `${vehicle} on ${date} at ${time}`;
+};
+
+// Store a notification and push it, with the new unread count, to the recipient
+const notify = async (
+  recipient,
+  { type, title, message, booking = null, data = {} }
+) => {
+  const notification = await Notification.create({
+    recipient: idOf(recipient),
+    type,
+    title,
+    message,
+    booking: booking && idOf(booking),
+    data,
+  });
+
+  const unreadCount = await Notification.countUnread(notification.recipient);
+  publish(`user:${notification.recipient}`, {
+    type: "notification",
+    notification,
+    unreadCount,
+  });
+  return notification;
+};
+
+// Notifications are a side effect of the request, so failures are only
+// logged. `build` returns [recipient, content] pairs.
+const notifyAll = async (build) => {
+  try {
+    const results = await Promise.allSettled(
+      build().map(([recipient, content]) => notify(recipient, content))
+    );
+    for (const result of results) {
+      if (result.status === "rejected") {
+        console.error("❌ Notification error:", result.reason);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Notification error:", error);
+  }
+};
+
+// Tell the driver about a new booking request
+const notifyBookingCreated = (booking) =>
+  notifyAll(() => [
+    [
+      booking.driver,
+      {
+        type: "booking_created",
+        title: "New booking request",
+        message: `${
+          booking.user?.name || "A passenger"
+        } requested ${describeTrip(booking)}.`,
+        booking,
+        data: { status: booking.status },
+      },
+    ],
+  ]);
+
+// Tell the other participants that a booking moved to a new status. An
+// administrator's change is reported to both sides.
+const notifyBookingStatusChanged = (booking, { actor, changedBy, reason }) => {
+  const status = booking.status;
+  const verb = STATUS_VERBS[status] || status;
+  const recipients = [booking.user, booking.driver].filter(
+    (participant) => !changedBy || idOf(participant) !== idOf(changedBy)
+  );
+
+  return notifyAll(() =>
+    recipients.map((recipient) => [
+      recipient,
+      {
+        type:
+          status === "cancelled"
+            ? "booking_cancelled"
+            : "booking_status_changed",
+        title: status === "no_show" ? "Booking missed" : `Booking ${verb}`,
+        message:
+          actor === "system" && SYSTEM_MESSAGES[status]
+            ? SYSTEM_MESSAGES[status](describeTrip(booking))
+            : `${ACTOR_LABELS[actor] || "Someone"} ${verb} the booking for ` +
+              `${describeTrip(booking)}.` +
+              (reason ? ` Reason: ${reason}` : ""),
+        booking,
+        data: { status, actor, reason: reason || null },
+      },
+    ])
+  );
+};
+
+// Tell both participants that a booking's fare has been paid
+const notifyPaymentReceived = (booking, { amount, gatewayLabel }) =>
+  notifyAll(() =>
+    [booking.user, booking.driver].map((recipient) => [
+      recipient,
+      {
+        type: "payment_received",
+        title: "Payment received",
+        message: `৳${amount} for ${describeTrip(
+          booking
+        )} was paid via ${gatewayLabel}.`,
+        booking,
+        data: { paymentStatus: booking.payment.status, amount },
+      },
+    ])
+  );
+
+// Tell the participant who was just rated about it
+const notifyRatingReceived = (booking, { side, rating }) => {
+  const byPassenger = side === "userRating";
+  return notifyAll(() => [
+    [
+      byPassenger ? booking.driver : booking.user,
+      {
+        type: "rating_received",
+        title: "New rating",
+        message: `${
+          byPassenger ? ACTOR_LABELS.user : ACTOR_LABELS.driver
+        } rated ${describeTrip(booking)} ${rating} out of 5.`,
+        booking,
+        data: { side, rating },
+      },
+    ],
+  ]);
+};
+
+// What the reporter and the reported user are told about each decision
+const MODERATION_MESSAGES = {
+  hide: {
+    title: "Report resolved",
+    reporter: () => "Thanks for your report. The review has been hidden.",
+    reported: () =>
+      "A review you wrote was hidden by a moderator after it was reported.",
+  },
+  restore: {
+    title: "Report resolved",
+    reporter: ({ targetType }) =>
+      targetType === "review"
+        ? "Thanks for your report. We looked into it and the review stays visible."
+        : "Thanks for your report. We looked into it and took no action.",
+    reported: ({ targetType }) =>
+      targetType === "review"
+        ? "A report about a review you wrote was closed; the review is visible."
+        : "A report about one of your trips was closed with no action taken.",
+  },
+  escalate: {
+    title: "Report escalated",
+    reporter: () => "Your report has been passed to our safety team.",
+    reported: () =>
+      "A report about one of your trips is being looked at by our safety team.",
+  },
+};
+
+// Tell everyone who reported an item, and the user it was about, what a
+// moderator decided
+const notifyModerationOutcome = (report, { action, note, reporters }) => {
+  const messages = MODERATION_MESSAGES[action];
+  const withNote = (message) =>
+    note && action !== "escalate"
+      ? `${message} Moderator's note: ${note}`
+      : message;
+  const content = (message) => ({
+    type: "moderation_update",
+    title: messages.title,
+    message: withNote(message),
+    data: { report: report._id, action },
+  });
+
+  return notifyAll(() => [
+    ...[...new Set(reporters.map(idOf))].map((reporter) => [
+      reporter,
+      content(messages.reporter(report)),
+    ]),
+    [report.reportedUser, content(messages.reported(report))],
+  ]);
+};
+
+// What a driver is told when an administrator reviews one of their vehicles
+const VEHICLE_REVIEW_MESSAGES = {
+  approved: {
+    title: "Vehicle approved",
+    message: (vehicle) =>
+      `Your ${vehicle} has been approved and now appears in search.`,
+  },
+  rejected: {
+    title: "Vehicle not approved",
+    message: (vehicle) =>
+      `Your ${vehicle} wasn't approved. Update the listing to submit it again.`,
+  },
+  suspended: {
+    title: "Vehicle suspended",
+    message: (vehicle) =>
+      `Your ${vehicle} has been suspended and no longer appears in search.`,
+  },
+};
+
+const notifyVehicleReviewed = (vehicle, { reason }) => {
+  const messages = VEHICLE_REVIEW_MESSAGES[vehicle.status];
+  const message = messages.message(
+    `${vehicle.brand} ${vehicle.model} (${vehicle.plateNumber})`
+  );
+
+  return notifyAll(() => [
+    [
+      vehicle.driver,
+      {
+        type: "vehicle_status_changed",
+        title: messages.title,
+        message: reason ? `${message} Reason: ${reason}` : message,
+        data: { vehicle: vehicle._id, status: vehicle.status },
+      },
+    ],
+  ]);
+};
+
+const ROLE_LABELS = {
+  user: "a passenger",
+  driver: "a driver",
+  admin: "an administrator",
+};
+
+// What a user is told about an administrator's change to their account.
+// Suspended users read theirs once the account is reactivated.
+const ACCOUNT_MESSAGES = {
+  suspended: {
+    title: "Account suspended",
+    message: () => "Your account was suspended by an administrator.",
+  },
+  reactivated: {
+    title: "Account reactivated",
+    message: () => "Your account is active again. Welcome back!",
+  },
+  role_changed: {
+    title: "Account type changed",
+    message: ({ to }) => `Your account is now ${ROLE_LABELS[to]} account.`,
+  },
+  verified: {
+    title: "Account verified",
+    message: () => "An administrator has verified your account.",
+  },
+  unverified: {
+    title: "Verification removed",
+    message: () => "Your account is no longer marked as verified.",
+  },
+};
+
+const notifyAccountChanged = (user, { action, from, to, reason }) => {
+  const messages = ACCOUNT_MESSAGES[action];
+  const message = messages.message({ from, to });
+
+  return notifyAll(() => [
+    [
+      user,
+      {
+        type: "account_updated",
+        title: messages.title,
+        message: reason ? `${message} Reason: ${reason}` : message,
+        data: { action, from, to },
+      },
+    ],
+  ]);
+};
+
+// What a driver is told as their licence is reviewed and nears expiry
+const LICENSE_MESSAGES = {
+  approved: {
+    title: "Licence approved",
+    message: () =>
+      "Your driving licence was approved. Your approved vehicles are now listed.",
+  },
+  rejected: {
+    title: "Licence not approved",
+    message: ({ note }) =>
+      `Your driving licence wasn't approved. Please submit it again. Reason: ${note}`,
+  },
+  expiring: {
+    title: "Licence expires soon",
+    message: ({ expiry }) =>
+      `Your driving licence expires on ${expiry}. Submit your renewed licence to keep your vehicles listed.`,
+  },
+  expired: {
+    title: "Licence expired",
+    message: () =>
+      "Your driving licence has expired, so your vehicles are no longer listed. Submit your renewed licence to list them again.",
+  },
+};
+
+const notifyLicenseUpdate = (driver, { status }) => {
+  const { licenseExpiry, licenseReviewNote } = driver.driverDetails;
+  const messages = LICENSE_MESSAGES[status];
+
+  return notifyAll(() => [
+    [
+      driver,
+      {
+        type: "license_update",
+        title: messages.title,
+        message: messages.message({
+          note: licenseReviewNote,
+          expiry: toLocalParts(new Date(licenseExpiry)).date,
+        }),
+        data: { status, licenseExpiry },
+      },
+    ],
+  ]);
+};
+
+// Tell a user's open tabs how many notifications are still unread
+const publishUnreadCount = async (recipientId) => {
+  const unreadCount = await Notification.countUnread(recipientId);
+  publish(`user:${recipientId}`, { type: "notifications_read", unreadCount });
+  return unreadCount;
+};
+
+// Users may only listen to their own notifications
+const registerNotificationChannel = () => {
+  registerChannel("user", async (user, userId) => idOf(user) === userId);
+};
+
+module.exports = {
+  notify,
+  notifyBookingCreated,
+  notifyBookingStatusChanged,
+  notifyPaymentReceived,
+  notifyRatingReceived,
+  notifyModerationOutcome,
+  notifyVehicleReviewed,
+  notifyAccountChanged,
+  notifyLicenseUpdate,
+  publishUnreadCount,
+  registerNotificationChannel,
+};
@@ -0,0 +1,238 @@
+// Payment gateways the passenger can pay a booking's fare through.
+//
+// A gateway is an object { name, label, methods } with:
+//
+//   createPayment({ intentId, amount, currency, returnUrl, callbackUrl })
+//     -> { reference, redirectUrl }   where to send the passenger to pay
+//   verifyCallback(payload)
+//     -> { reference, intentId, status: "succeeded" | "failed", amount,
+//          currency, transactionId, reason }
+//     throws when the payload's signature doesn't check out
+//   refund({ reference, amount, reason }) -> { reference }
+//
+// bKash, Nagad and SSLCommerz use hosted checkout pages and report back with
+// an HMAC-signed callback. Each is enabled by setting <NAME>_BASE_URL,
+// <NAME>_MERCHANT_ID and <NAME>_SECRET. A local "fake" gateway, which lets
+// anyone approve a payment, is only enabled with PAYMENT_FAKE_GATEWAY=true
+// and a FAKE_GATEWAY_SECRET, and never in production.
+
+const crypto = require("crypto");
+
+const REQUEST_TIMEOUT_MS =
+  Number(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 15000;
+
+const gatewayError = (message, code = "GATEWAY_ERROR") => {
+  const error = new Error(message);
+  error.name = "PaymentGatewayError";
+  error.status = 502;
+  error.code = code;
+  return error;
+};
+
+// Sign every field except the signature, in key order, as "k=v&k=v"
+const signPayload = (payload, secret) => {
+  const canonical = Object.keys(payload)
+    .filter((key) => key !== "signature")
+    .sort()
+    .map((key) => `${key}=${payload[key] ?? ""}`)
+    .join("&");
+  return crypto.createHmac("sha256", secret).update(canonical).digest("hex");
+};
+
+const hasValidSignature = (payload, secret) => {
+  if (typeof payload?.signature !== "string") return false;
+  const expected = Buffer.from(signPayload(payload, secret), "hex");
+  const received = Buffer.from(payload.signature, "hex");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+// The fields every signed callback carries
+const readCallback = (payload, secret) => {
+  if (!hasValidSignature(payload, secret)) {
+    const error = new Error("Invalid payment callback signature");
+    error.name = "PaymentGatewayError";
+    error.status = 400;
+    error.code = "INVALID_SIGNATURE";
+    throw error;
+  }
+  return {
+    reference: payload.reference,
+    intentId: payload.intentId,
+    status: payload.status === "succeeded" ? "succeeded" : "failed",
+    amount: Number(payload.amount),
+    currency: payload.currency,
+    transactionId: payload.transactionId || payload.reference,
+    reason: payload.reason,
+  };
+};
+
+// A gateway with a hosted checkout page: we create the payment with a signed
+// request, the passenger pays on the gateway's site and the gateway posts a
+// signed result to our callback URL
+const createHostedCheckoutGateway = ({
+  name,
+  label,
+  methods,
+  baseUrl,
+  merchantId,
+  secret,
+}) => {
+  const request = async (path, body) => {
+    const payload = { ...body, merchantId };
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...payload,
+          signature: signPayload(payload, secret),
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (error) {
+      throw gatewayError(`${label} is unreachable: ${error.message}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw gatewayError(
+        `${label} responded ${response.status}: ${
+          data.message || response.statusText
+        }`
+      );
+    }
+    return data;
+  };
+
+  return {
+    name,
+    label,
+    methods,
+    async createPayment({
+      intentId,
+      amount,
+      currency,
+      returnUrl,
+      callbackUrl,
+    }) {
+      const data = await request("/checkout", {
+        intentId,
+        amount,
+        currency,
+        returnUrl,
+        callbackUrl,
+      });
+      if (!data.reference || !data.redirectUrl) {
+        throw gatewayError(`${label} did not return a checkout page`);
+      }
+      return { reference: data.reference, redirectUrl: data.redirectUrl };
+    },
+    verifyCallback: (payload) => readCallback(payload, secret),
+    async refund({ reference, amount, reason }) {
+      const data = await request("/refunds", { reference, amount, reason });
+      return { reference: data.refundReference || data.reference };
+    },
+  };
+};
+
+// A checkout page served by this API, for development and demos
+const createFakeGateway = ({ secret, apiUrl }) => ({
+  name: "fake",
+  label: "Test gateway",
+  methods: ["card", "mobile_banking"],
+  fake: true,
+  secret,
+  async createPayment() {
+    const reference = `fake_${crypto.randomBytes(8).toString("hex")}`;
+    return {
+      reference,
+      redirectUrl: `${apiUrl}/api/payments/fake/checkout?reference=${reference}`,
+    };
+  },
+  verifyCallback: (payload) => readCallback(payload, secret),
+  async refund() {
+    return {
+      reference: `fake_refund_${crypto.randomBytes(8).toString("hex")}`,
+    };
+  },
+});
+
+// Where gateways and browsers reach this API
+const publicApiUrl = () =>
+  process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const HOSTED_GATEWAYS = [
+  { name: "bkash", label: "bKash", methods: ["mobile_banking"] },
+  { name: "nagad", label: "Nagad", methods: ["mobile_banking"] },
+  {
+    name: "sslcommerz",
+    label: "SSLCommerz",
+    methods: ["card", "mobile_banking"],
+  },
+];
+
+const createGateways = () => {
+  const gateways = {};
+
+  for (const { name, label, methods } of HOSTED_GATEWAYS) {
+    const prefix = name.toUpperCase();
+    const baseUrl = process.env[`${prefix}_BASE_URL`];
+    const secret = process.env[`${prefix}_SECRET`];
+    if (baseUrl && secret) {
+      gateways[name] = createHostedCheckoutGateway({
+        name,
+        label,
+        methods,
+        baseUrl,
+        merchantId: process.env[`${prefix}_MERCHANT_ID`],
+        secret,
+      });
+    }
+  }
+
+  if (process.env.PAYMENT_FAKE_GATEWAY === "true") {
+    if (process.env.NODE_ENV === "production") {
+      console.warn(
+        "⚠️ The fake payment gateway is never enabled in production"
+      );
+    } else if (!process.env.FAKE_GATEWAY_SECRET) {
+      console.warn(
+        "⚠️ The fake payment gateway needs FAKE_GATEWAY_SECRET; leaving it off"
+      );
+    } else {
+      gateways.fake = createFakeGateway({
+        secret: process.env.FAKE_GATEWAY_SECRET,
+        apiUrl: publicApiUrl(),
+      });
+    }
+  }
+
+  return gateways;
+};
+
+const gateways = createGateways();
+
+const getGateway = (name) => gateways[name] || null;
+
+// Gateways that can take a payment method, e.g. "mobile_banking"
+const gatewaysForMethod = (method) =>
+  Object.values(gateways).filter((gateway) => gateway.methods.includes(method));
+
+// Add or replace a gateway at runtime, e.g. for another provider
+const setGateway = (gateway) => {
+  gateways[gateway.name] = gateway;
+};
+
+module.exports = {
+  getGateway,
+  gatewaysForMethod,
+  setGateway,
+  signPayload,
+  publicApiUrl,
+  createHostedCheckoutGateway,
+  createFakeGateway,
+};
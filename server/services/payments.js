@@ -0,0 +1,537 @@
+// Collecting and refunding booking fares.
+//
+// Card and mobile banking fares are paid through a gateway (see
+// paymentGateways.js): the passenger gets a payment intent and a checkout
+// page, and the booking only counts as paid once the gateway confirms the
+// payment with a signed callback. Wallet top-ups go through a gateway the
+// same way. Wallet fares are paid when the trip is booked and cash is paid
+// to the driver at the end of the trip. A gateway payment that succeeds after
+// its booking ended is refunded. Every charge, payment and refund is posted
+// to the ledger.
+
+const { randomUUID } = require("crypto");
+const Booking = require("../models/Booking");
+const PaymentIntent = require("../models/PaymentIntent");
+const {
+  getGateway,
+  gatewaysForMethod,
+  publicApiUrl,
+} = require("./paymentGateways");
+const {
+  postCharge,
+  postPayment,
+  postRefund,
+  postTopUpRefund,
+  postCancellationFee,
+} = require("./ledger");
+const { notifyPaymentReceived } = require("./notifications");
+const {
+  refundToWallet,
+  creditTopUp,
+  withdrawTopUp,
+  creditDriverEarnings,
+} = require("./wallet");
+const { roundTo } = require("./pricing");
+const { UNFULFILLED_STATUSES } = require("../utils/cancellation");
+
+// Bookings whose fare can be paid up front or after the trip
+const PAYABLE_STATUSES = ["confirmed", "started", "completed"];
+const GATEWAY_METHODS = ["card", "mobile_banking"];
+
+// Why a fare paid up front is given back, by the booking's final status
+const REFUND_REASONS = {
+  cancelled: "Cancellation",
+  no_show: "No-show",
+  rejected: "Declined by the driver",
+  expired: "Request expired",
+};
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+// Amounts are compared in minor units (paisa) to avoid float drift
+const toMinor = (amount) => Math.round(amount * 100);
+
+// Limits on a single wallet top-up
+const MIN_TOPUP_AMOUNT = Number(process.env.MIN_TOPUP_AMOUNT) || 50;
+const MAX_TOPUP_AMOUNT = Number(process.env.MAX_TOPUP_AMOUNT) || 50000;
+
+const paymentError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = "PaymentError";
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:5173";
+
+// Where a gateway posts its signed result
+const callbackUrl = (gatewayName) =>
+  `${publicApiUrl()}/api/payments/callback/${gatewayName}`;
+
+// The gateway to collect a payment method through: the one asked for, or
+// the first that accepts the method
+const pickGateway = (name, method) => {
+  const gateway = name ? getGateway(name) : gatewaysForMethod(method)[0];
+  if (!gateway) {
+    throw paymentError(
+      name
+        ? `Unknown payment gateway: ${name}`
+        : "No payment gateway is set up",
+      name ? 400 : 503,
+      "GATEWAY_UNAVAILABLE"
+    );
+  }
+  if (!gateway.methods.includes(method)) {
+    throw paymentError(
+      `${gateway.label} does not accept ${method.replace("_", " ")} payments`,
+      400,
+      "METHOD_NOT_SUPPORTED"
+    );
+  }
+  return gateway;
+};
+
+// Save a new intent with the gateway's checkout page, or as failed if the
+// gateway wouldn't create one
+const startCheckout = async (intent, gateway, returnPath) => {
+  intent.returnUrl = `${clientUrl()}${returnPath}?payment=${intent._id}`;
+
+  try {
+    const { reference, redirectUrl } = await gateway.createPayment({
+      intentId: intent._id.toString(),
+      amount: intent.amount,
+      currency: intent.currency,
+      returnUrl: intent.returnUrl,
+      callbackUrl: callbackUrl(gateway.name),
+    });
+    intent.reference = reference;
+    intent.redirectUrl = redirectUrl;
+  } catch (error) {
+    intent.status = "failed";
+    intent.failureReason = error.message;
+    await intent.save();
+    throw error;
+  }
+
+  await intent.save();
+  console.log(
+    "💳 Payment intent created:",
+    intent._id,
+    "for",
+    intent.purpose,
+    "via",
+    gateway.name
+  );
+  return intent;
+};
+
+// Start paying a booking's fare through a gateway. Any earlier unfinished
+// attempt is cancelled, so only the newest checkout page is live.
+const createPaymentIntent = async (booking, user, { gateway: name } = {}) => {
+  const { method } = booking.payment;
+
+  if (!GATEWAY_METHODS.includes(method)) {
+    throw paymentError(
+      method === "cash"
+        ? "Cash bookings are paid to the driver"
+        : "Wallet bookings are paid from the wallet when they are made",
+      400,
+      "METHOD_NOT_SUPPORTED"
+    );
+  }
+  if (!PAYABLE_STATUSES.includes(booking.status)) {
+    throw paymentError(
+      `A ${booking.status} booking cannot be paid`,
+      409,
+      "NOT_PAYABLE"
+    );
+  }
+  if (booking.payment.status === "paid") {
+    throw paymentError("This booking is already paid", 409, "ALREADY_PAID");
+  }
+
+  const gateway = pickGateway(name, method);
+
+  await PaymentIntent.updateMany(
+    { booking: booking._id, status: "pending" },
+    { status: "cancelled" }
+  );
+
+  const intent = new PaymentIntent({
+    purpose: "booking",
+    booking: booking._id,
+    user: user._id,
+    method,
+    gateway: gateway.name,
+    amount: booking.pricing.totalPrice,
+    currency: booking.pricing.currency,
+  });
+  return startCheckout(intent, gateway, "/my-bookings");
+};
+
+// Start adding money to the caller's wallet through a gateway
+const createTopUpIntent = async (user, { amount, method, gateway: name }) => {
+  const topUpAmount = roundTo(Number(amount), 2);
+  if (!(topUpAmount >= MIN_TOPUP_AMOUNT && topUpAmount <= MAX_TOPUP_AMOUNT)) {
+    throw paymentError(
+      `Top-ups must be between ${MIN_TOPUP_AMOUNT} and ${MAX_TOPUP_AMOUNT}`,
+      400,
+      "INVALID_TOPUP_AMOUNT"
+    );
+  }
+  if (!GATEWAY_METHODS.includes(method)) {
+    throw paymentError(
+      "Top up with a card or mobile banking",
+      400,
+      "METHOD_NOT_SUPPORTED"
+    );
+  }
+
+  const gateway = pickGateway(name, method);
+  const intent = new PaymentIntent({
+    purpose: "topup",
+    user: user._id,
+    method,
+    gateway: gateway.name,
+    amount: topUpAmount,
+  });
+  return startCheckout(intent, gateway, "/wallet");
+};
+
+// Mark a booking paid by a confirmed intent and record the money in the ledger
+// Refund a payment that succeeded after its booking was cancelled, declined,
+// expired or missed. A refund the gateway refuses is marked failed on the
+// booking for an administrator to retry.
+const refundLatePayment = async (booking, intent) => {
+  await postCharge(booking);
+  await postPayment(booking, { amount: intent.amount, intent });
+
+  let refundStatus = "refunded";
+  try {
+    await refundPayment(booking, {
+      intent,
+      reason: "Paid after the booking ended",
+    });
+  } catch (error) {
+    console.error("❌ Late payment refund error:", error);
+    refundStatus = "failed";
+  }
+
+  const charge = booking.cancellationCharge;
+  if (charge?.chargedAt) {
+    charge.refundAmount = roundTo(charge.refundAmount + intent.amount, 2);
+    charge.refundStatus = refundStatus;
+    await booking.save();
+  }
+  console.log("↩️ Late payment for", booking.status, "booking", booking._id);
+};
+
+const applySucceededIntent = async (intent) => {
+  if (intent.purpose === "topup") {
+    await creditTopUp(intent);
+    return null;
+  }
+
+  const booking = await Booking.findById(intent.booking);
+  if (!booking) return null;
+
+  // The booking ended while the passenger was paying, so there is no fare to
+  // pay: the money is recorded and given straight back
+  if (UNFULFILLED_STATUSES.includes(booking.status)) {
+    await refundLatePayment(booking, intent);
+    return booking;
+  }
+
+  if (booking.payment.status !== "paid") {
+    booking.payment.status = "paid";
+    booking.payment.transactionId = intent.reference;
+    booking.payment.gateway = intent.gateway;
+    booking.payment.paidAt = intent.paidAt;
+    // Only over the status read above; if the booking changed meanwhile
+    // (e.g. it was cancelled), start again from its new status
+    booking.$where = { status: booking.status };
+    try {
+      await booking.save();
+    } catch (error) {
+      if (error.name !== "DocumentNotFoundError") throw error;
+      return applySucceededIntent(intent);
+    }
+    booking.$where = undefined;
+  }
+
+  await postCharge(booking);
+  await postPayment(booking, { amount: intent.amount, intent });
+  // Paid after the trip, which was left uncredited until now
+  if (booking.status === "completed") await creditDriverEarnings(booking);
+
+  await booking.populate({ path: "vehicle", select: "brand model" });
+  notifyPaymentReceived(booking, {
+    amount: intent.amount,
+    gatewayLabel: getGateway(intent.gateway)?.label || intent.gateway,
+  });
+  return booking;
+};
+
+// Handle a gateway's report on a payment. Gateways retry callbacks, so a
+// result that was already applied is acknowledged without doing it again.
+const handleGatewayCallback = async (gatewayName, payload) => {
+  const gateway = getGateway(gatewayName);
+  if (!gateway) {
+    throw paymentError(
+      `Unknown payment gateway: ${gatewayName}`,
+      404,
+      "UNKNOWN_GATEWAY"
+    );
+  }
+
+  // Throws unless the gateway signed the payload
+  const result = gateway.verifyCallback(payload);
+
+  const intent = await PaymentIntent.findOne({
+    gateway: gateway.name,
+    reference: result.reference,
+  });
+  if (!intent || (result.intentId && result.intentId !== idOf(intent))) {
+    throw paymentError("Payment not found", 404, "PAYMENT_NOT_FOUND");
+  }
+
+  await PaymentIntent.updateOne(
+    { _id: intent._id },
+    { $push: { events: { type: `callback.${result.status}`, data: payload } } }
+  );
+
+  let status = result.status;
+  let failureReason = result.reason || null;
+  if (
+    status === "succeeded" &&
+    (toMinor(result.amount) !== toMinor(intent.amount) ||
+      result.currency !== intent.currency)
+  ) {
+    status = "failed";
+    failureReason = `Gateway reported ${result.amount} ${result.currency}, expected ${intent.amount} ${intent.currency}`;
+  }
+
+  // A replaced (cancelled) attempt may still be paid on the gateway's side,
+  // and that money must be recorded
+  const updated = await PaymentIntent.findOneAndUpdate(
+    {
+      _id: intent._id,
+      status:
+        status === "succeeded" ? { $in: ["pending", "cancelled"] } : "pending",
+    },
+    status === "succeeded"
+      ? { status, paidAt: new Date() }
+      : { status, failureReason },
+    { new: true }
+  );
+
+  if (!updated) {
+    return {
+      intent: await PaymentIntent.findById(intent._id),
+      duplicate: true,
+    };
+  }
+
+  console.log("💳 Payment", status + ":", updated._id, "via", gateway.name);
+  if (status === "succeeded") await applySucceededIntent(updated);
+  return { intent: updated, duplicate: false };
+};
+
+// Give back some or all of a payment: the gateway payment `intent`, which may
+// be a wallet top-up with no booking, or otherwise the booking's latest
+// gateway payment or its wallet payment. A gateway refund's amount is
+// reserved on the intent before the gateway is asked, so concurrent refunds
+// can't exceed the payment.
+const refundPayment = async (
+  booking,
+  { amount, reason, intent = null } = {}
+) => {
+  if (!intent && booking.payment.method === "wallet") {
+    return refundToWallet(booking, { amount, reason });
+  }
+
+  if (!intent) {
+    intent = await PaymentIntent.findOne({
+      booking: booking._id,
+      status: "succeeded",
+    }).sort({ paidAt: -1 });
+  }
+  if (!intent || intent.status !== "succeeded") {
+    throw paymentError(
+      "There is no completed payment to refund",
+      400,
+      "NOTHING_TO_REFUND"
+    );
+  }
+
+  const refundable = roundTo(intent.amount - intent.refundedAmount, 2);
+  const refundAmount = roundTo(
+    amount === undefined ? refundable : Number(amount),
+    2
+  );
+  if (!(refundAmount > 0) || toMinor(refundAmount) > toMinor(refundable)) {
+    throw paymentError(
+      `Refund must be between 0 and ${refundable}`,
+      400,
+      "INVALID_REFUND_AMOUNT"
+    );
+  }
+
+  const reserved = await PaymentIntent.findOneAndUpdate(
+    {
+      _id: intent._id,
+      $expr: {
+        $lte: [{ $add: ["$refundedAmount", refundAmount] }, "$amount"],
+      },
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw paymentError(
+      "The payment was refunded in the meantime",
+      409,
+      "REFUND_CONFLICT"
+    );
+  }
+  const release = () =>
+    PaymentIntent.updateOne(
+      { _id: intent._id },
+      { $inc: { refundedAmount: -refundAmount } }
+    );
+
+  // A top-up leaves the wallet before the gateway is asked to give it back
+  const topUp = intent.purpose === "topup" && {
+    amount: refundAmount,
+    key: `${idOf(intent)}:${randomUUID()}`,
+  };
+  if (topUp) {
+    try {
+      await withdrawTopUp(intent, topUp);
+    } catch (error) {
+      await release();
+      throw error;
+    }
+  }
+
+  let refund;
+  try {
+    refund = await getGateway(intent.gateway).refund({
+      reference: intent.reference,
+      amount: refundAmount,
+      reason,
+    });
+  } catch (error) {
+    await release();
+    if (topUp) await withdrawTopUp(intent, { ...topUp, reverse: true });
+    throw error;
+  }
+
+  const updated = await PaymentIntent.findByIdAndUpdate(
+    intent._id,
+    {
+      $push: {
+        refunds: { amount: refundAmount, reason, reference: refund.reference },
+      },
+    },
+    { new: true }
+  );
+
+  if (topUp) {
+    await postTopUpRefund(intent, {
+      amount: refundAmount,
+      reference: refund.reference,
+      reason,
+    });
+    console.log("↩️ Refunded", refundAmount, "of top-up", intent._id);
+    return { intent: updated, refund: { amount: refundAmount, ...refund } };
+  }
+
+  await postRefund(booking, {
+    amount: refundAmount,
+    intent,
+    reference: refund.reference,
+    reason,
+  });
+
+  if (toMinor(updated.refundedAmount) >= toMinor(updated.amount)) {
+    booking.payment.status = "refunded";
+    await booking.save();
+  }
+
+  console.log("↩️ Refunded", refundAmount, "for booking", booking._id);
+  return { intent: updated, refund: { amount: refundAmount, ...refund } };
+};
+
+// Record a completed trip's fare: it is charged, a cash fare is paid to the
+// driver there and then, and the driver is credited their share if the fare
+// is paid. Gateway payments, and the driver's share of a fare still being
+// paid, are recorded when the payment is confirmed.
+const settleCompletedBooking = async (booking) => {
+  try {
+    await postCharge(booking);
+    if (booking.payment.method === "cash") {
+      await postPayment(booking, { amount: booking.pricing.totalPrice });
+    }
+    if (booking.payment.status === "paid") {
+      await creditDriverEarnings(booking);
+    }
+  } catch (error) {
+    console.error("❌ Ledger settlement error:", error);
+  }
+};
+
+// Settle the money side of a booking that ended without a trip: a fare paid
+// up front is refunded less any fee, otherwise the fee is recorded as owed. Refund
+// failures are kept on the booking for an administrator to retry.
+const settleCancellation = async (booking) => {
+  const charge = booking.cancellationCharge;
+  if (!charge?.chargedAt) return;
+
+  try {
+    // The checkout page of an unfinished payment is no longer wanted
+    await PaymentIntent.updateMany(
+      { booking: booking._id, status: "pending" },
+      { status: "cancelled" }
+    );
+
+    if (charge.refundStatus === "pending") {
+      try {
+        await refundPayment(booking, {
+          amount: charge.refundAmount,
+          reason: REFUND_REASONS[booking.status],
+        });
+        charge.refundStatus = "refunded";
+      } catch (error) {
+        console.error("❌ Cancellation refund error:", error);
+        charge.refundStatus = "failed";
+      }
+    }
+
+    if (charge.fee > 0 && charge.feeStatus === "due") {
+      if (
+        booking.payment.status === "paid" &&
+        booking.payment.method !== "cash"
+      ) {
+        // Kept back from the refund
+        charge.feeStatus = "collected";
+      } else {
+        await postCancellationFee(booking, charge.fee);
+      }
+    }
+
+    await booking.save();
+  } catch (error) {
+    console.error("❌ Cancellation settlement error:", error);
+  }
+};
+
+module.exports = {
+  createPaymentIntent,
+  createTopUpIntent,
+  handleGatewayCallback,
+  refundPayment,
+  settleCompletedBooking,
+  settleCancellation,
+};
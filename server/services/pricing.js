@@ -0,0 +1,216 @@
+// Single source of truth for trip fares. Every quote shown to a passenger and
+// every price stored on a booking comes from quoteTrip().
+
+const DEFAULT_CURRENCY = "BDT";
+
+// Rounding rules per currency: line items keep `decimals` places, and the
+// amount actually charged is rounded to the nearest `totalStep`
+const ROUNDING = {
+  BDT: { decimals: 2, totalStep: 1 },
+  default: { decimals: 2, totalStep: 0.01 },
+};
+
+// Pricing rules are written in the drivers' local time
+const PRICING_TIMEZONE = process.env.PRICING_TIMEZONE || "Asia/Dhaka";
+
+const getRounding = (currency) => ROUNDING[currency] || ROUNDING.default;
+
+const localTimeFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: PRICING_TIMEZONE,
+  weekday: "long",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// Break a moment into the local weekday, "HH:MM" and "YYYY-MM-DD" that rules
+// are matched against
+const toLocalParts = (date) => {
+  const parts = Object.fromEntries(
+    localTimeFormat.formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    weekday: parts.weekday.toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`,
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+};
+
+// Whether a rule covers a trip starting at the given local time
+const ruleApplies = (rule, local) => {
+  if (rule.isActive === false) return false;
+
+  const { start, end } = rule.timeWindow || {};
+  if (start && end) {
+    const inWindow =
+      start < end
+        ? local.time >= start && local.time < end
+        : local.time >= start || local.time < end;
+    if (!inWindow) return false;
+  }
+
+  if (rule.weekdays?.length && !rule.weekdays.includes(local.weekday)) {
+    return false;
+  }
+
+  const { from, to } = rule.dateRange || {};
+  if (from && local.date < from) return false;
+  if (to && local.date > to) return false;
+
+  return true;
+};
+
+const roundTo = (amount, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+};
+
+const roundToStep = (amount, step) => {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return roundTo(Math.round(amount / step) * step, decimals);
+};
+
+// Price a trip on a vehicle. Distance is in km and duration in minutes. The
+// vehicle's pricing rules are matched against the trip's start time, and an
+// optional discount (e.g. for a return trip) comes off the final fare.
+const quoteTrip = (
+  vehicle,
+  {
+    distanceKm,
+    durationMinutes,
+    startTime = new Date(),
+    discountPercent = 0,
+    discountLabel = "Discount",
+  }
+) => {
+  const rates = vehicle.pricing;
+  const currency = rates.currency || DEFAULT_CURRENCY;
+  const { decimals, totalStep } = getRounding(currency);
+  const distance = Number(distanceKm);
+  const hours = Number(durationMinutes) / 60;
+  const start = new Date(startTime);
+
+  if (!(distance >= 0) || !(hours >= 0)) {
+    const error = new Error("Distance and duration must be non-negative");
+    error.name = "PricingError";
+    error.status = 400;
+    throw error;
+  }
+  if (isNaN(start.getTime())) {
+    const error = new Error("Invalid trip start time");
+    error.name = "PricingError";
+    error.status = 400;
+    throw error;
+  }
+
+  const lineItems = [
+    {
+      code: "base",
+      label: "Base fare",
+      amount: roundTo(rates.basePrice, decimals),
+    },
+    {
+      code: "distance",
+      label: "Distance",
+      quantity: roundTo(distance, 2),
+      unit: "km",
+      rate: rates.pricePerKm,
+      amount: roundTo(distance * rates.pricePerKm, decimals),
+    },
+    {
+      code: "time",
+      label: "Time",
+      quantity: roundTo(hours, 2),
+      unit: "hour",
+      rate: rates.pricePerHour,
+      amount: roundTo(hours * rates.pricePerHour, decimals),
+    },
+  ];
+
+  const metered = roundTo(
+    lineItems.reduce((sum, item) => sum + item.amount, 0),
+    decimals
+  );
+
+  // Every matching rule adjusts the metered fare independently, so their
+  // order doesn't matter
+  const local = toLocalParts(start);
+  for (const rule of rates.rules || []) {
+    if (!ruleApplies(rule, local)) continue;
+    const { type, value } = rule.adjustment;
+    lineItems.push({
+      code: "rule",
+      label: rule.name,
+      ...(type === "multiplier" && { unit: "multiplier" }),
+      rate: value,
+      amount: roundTo(
+        type === "multiplier" ? metered * (value - 1) : value,
+        decimals
+      ),
+    });
+  }
+
+  const subtotal = roundTo(
+    lineItems.reduce((sum, item) => sum + item.amount, 0),
+    decimals
+  );
+
+  // Top short trips up to the vehicle's minimum fare
+  let fare = subtotal;
+  if (subtotal < rates.minimumFare) {
+    lineItems.push({
+      code: "minimum_fare",
+      label: "Minimum fare adjustment",
+      amount: roundTo(rates.minimumFare - subtotal, decimals),
+    });
+    fare = rates.minimumFare;
+  }
+
+  if (discountPercent > 0) {
+    lineItems.push({
+      code: "discount",
+      label: `${discountLabel} (${discountPercent}%)`,
+      rate: discountPercent,
+      amount: -roundTo((fare * discountPercent) / 100, decimals),
+    });
+  }
+
+  const beforeRounding = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const total = roundToStep(beforeRounding, totalStep);
+
+  return {
+    currency,
+    lineItems,
+    subtotal,
+    total,
+    rounding: roundTo(total - beforeRounding, decimals),
+  };
+};
+
+// Flatten a quote into the fields stored on Booking.pricing
+const toBookingPricing = (quote) => {
+  const amountOf = (code) =>
+    quote.lineItems.find((item) => item.code === code)?.amount || 0;
+
+  return {
+    basePrice: amountOf("base"),
+    distancePrice: amountOf("distance"),
+    timePrice: amountOf("time"),
+    discount: -amountOf("discount"),
+    totalPrice: quote.total,
+    currency: quote.currency,
+    lineItems: quote.lineItems,
+  };
+};
+
+module.exports = {
+  quoteTrip,
+  toBookingPricing,
+  ruleApplies,
+  toLocalParts,
+  roundTo,
+  roundToStep,
+};
@@ -0,0 +1,218 @@
+// Two-way trip ratings. Once a trip is completed the passenger rates the
+// driver and vehicle (`rating.userRating`) and the driver rates the passenger
+// (`rating.driverRating`), each only once.
+//
+// Averages on the vehicle and on both users are recomputed from the bookings
+// each time a rating is stored, hidden or restored, rather than adjusted, so
+// they match the visible ratings they summarize. This needs no transaction,
+// so it works on a standalone MongoDB server; a refresh that races another
+// is put right by the next one.
+
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const Vehicle = require("../models/Vehicle");
+const User = require("../models/User");
+const { notifyRatingReceived } = require("./notifications");
+const { roundTo } = require("./pricing");
+
+const MAX_REVIEW_LENGTH = 1000;
+
+// The rating each participant gives
+const SIDES = { user: "userRating", driver: "driverRating" };
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+// Aggregation pipelines don't cast ids the way queries do
+const objectIdOf = (ref) => new mongoose.Types.ObjectId(idOf(ref));
+
+const ratingError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = "RatingError";
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Average and count of the visible `side` ratings on bookings matching `match`
+const summarize = async (match, side) => {
+  const [summary] = await Booking.aggregate([
+    {
+      $match: {
+        ...match,
+        [`rating.${side}.rating`]: { $gte: 1 },
+        [`rating.${side}.hiddenAt`]: null,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: `$rating.${side}.rating` },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return summary
+    ? { average: roundTo(summary.average, 2), count: summary.count }
+    : { average: 0, count: 0 };
+};
+
+// Recompute the averages a booking's ratings feed into: the vehicle's and
+// the driver's from passengers, the passenger's from drivers. A driver's own
+// rating only reflects the trips they drove.
+const refreshRatings = async (booking) => {
+  const vehicleRating = await summarize(
+    { vehicle: objectIdOf(booking.vehicle) },
+    "userRating"
+  );
+  await Vehicle.updateOne(
+    { _id: idOf(booking.vehicle) },
+    { rating: vehicleRating }
+  );
+
+  const driverRating = await summarize(
+    { driver: objectIdOf(booking.driver) },
+    "userRating"
+  );
+  await User.updateOne(
+    { _id: idOf(booking.driver) },
+    { rating: driverRating, "driverDetails.rating": driverRating.average }
+  );
+
+  const passengerRating = await summarize(
+    { user: objectIdOf(booking.user) },
+    "driverRating"
+  );
+  await User.updateOne(
+    { _id: idOf(booking.user), role: { $ne: "driver" } },
+    { rating: passengerRating }
+  );
+};
+
+// Store `user`'s rating of a completed trip and update the averages it
+// feeds into. Each participant rates a trip once.
+const submitRating = async (booking, user, { rating, review }) => {
+  const side = SIDES[booking.getActorRole(user)];
+  if (!side) {
+    throw ratingError(
+      "Only the passenger and the driver can rate a trip",
+      403,
+      "NOT_A_PARTICIPANT"
+    );
+  }
+  if (booking.status !== "completed") {
+    throw ratingError(
+      "Only completed trips can be rated",
+      409,
+      "BOOKING_NOT_COMPLETED"
+    );
+  }
+
+  const score = Number(rating);
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    throw ratingError(
+      "Rating must be a whole number from 1 to 5",
+      400,
+      "INVALID_RATING"
+    );
+  }
+  const text = typeof review === "string" ? review.trim() : "";
+  if (text.length > MAX_REVIEW_LENGTH) {
+    throw ratingError(
+      `Reviews can be at most ${MAX_REVIEW_LENGTH} characters`,
+      400,
+      "REVIEW_TOO_LONG"
+    );
+  }
+
+  const alreadyRated = () =>
+    ratingError("You have already rated this trip", 409, "ALREADY_RATED");
+  if (booking.rating?.[side]?.rating) throw alreadyRated();
+
+  // Only the first of two racing submissions matches
+  const rated = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: "completed",
+      [`rating.${side}.rating`]: { $exists: false },
+    },
+    {
+      $set: {
+        [`rating.${side}`]: {
+          rating: score,
+          review: text || undefined,
+          ratedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!rated) throw alreadyRated();
+
+  await refreshRatings(rated);
+
+  await rated.populate("vehicle", "brand model");
+  notifyRatingReceived(rated, { side, rating: score });
+  console.log("⭐ Booking rated:", rated._id, side, score);
+  return rated;
+};
+
+// Hide a review from public lists and averages, or show it again
+const setReviewHidden = async (bookingId, side, hidden) => {
+  const updated = await Booking.findOneAndUpdate(
+    { _id: bookingId, [`rating.${side}.rating`]: { $gte: 1 } },
+    hidden
+      ? { $set: { [`rating.${side}.hiddenAt`]: new Date() } }
+      : { $unset: { [`rating.${side}.hiddenAt`]: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    throw ratingError("Review not found", 404, "REVIEW_NOT_FOUND");
+  }
+
+  await refreshRatings(updated);
+
+  console.log(hidden ? "🙈 Review hidden:" : "👁️ Review restored:", bookingId);
+  return updated;
+};
+
+// A vehicle's passenger reviews, newest first. Reviewers are shown by first
+// name only.
+const getVehicleReviews = async (vehicleId, { page, limit }) => {
+  const query = {
+    vehicle: vehicleId,
+    "rating.userRating.rating": { $gte: 1 },
+    "rating.userRating.hiddenAt": null,
+  };
+
+  const [bookings, totalCount] = await Promise.all([
+    Booking.find(query)
+      .sort({ "rating.userRating.ratedAt": -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("user rating.userRating")
+      .populate("user", "name profileImage"),
+    Booking.countDocuments(query),
+  ]);
+
+  const reviews = bookings.map(({ _id, user, rating }) => ({
+    _id,
+    rating: rating.userRating.rating,
+    review: rating.userRating.review || null,
+    ratedAt: rating.userRating.ratedAt,
+    author: {
+      name: user?.name?.split(" ")[0] || "Passenger",
+      profileImage: user?.profileImage || null,
+    },
+  }));
+
+  return { reviews, totalCount };
+};
+
+module.exports = {
+  submitRating,
+  refreshRatings,
+  setReviewHidden,
+  getVehicleReviews,
+  MAX_REVIEW_LENGTH,
+};
@@ -0,0 +1,168 @@
+// WebSocket hub for live updates. Clients connect to /ws?token=<id token>,
+// subscribe to channels such as "booking:<id>" and send typed JSON messages
+// ({ type, ... }) that registered handlers act on.
+//
+// Channels and handlers are registered by the features that use them, e.g.
+// services/tracking.js. Subscriptions are held in memory, so with several
+// server instances a client only hears what its own instance publishes.
+
+const { WebSocketServer } = require("ws");
+const { authenticateToken } = require("../middleware/auth");
+
+const HEARTBEAT_MS = 30 * 1000;
+
+// channel prefix -> async (user, id) => whether the user may subscribe
+const channelAuthorizers = new Map();
+// message type -> async (message, { user, socket }) => reply or null
+const messageHandlers = new Map();
+// channel -> sockets subscribed to it
+const subscriptions = new Map();
+
+const registerChannel = (prefix, authorizer) => {
+  channelAuthorizers.set(prefix, authorizer);
+};
+
+const registerHandler = (type, handler) => {
+  messageHandlers.set(type, handler);
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+// Send a message to everyone subscribed to a channel
+const publish = (channel, message) => {
+  for (const socket of subscriptions.get(channel) || []) {
+    send(socket, { channel, ...message });
+  }
+};
+
+const subscribe = async (socket, user, channel) => {
+  const [prefix, id] = String(channel).split(":");
+  const authorizer = channelAuthorizers.get(prefix);
+  if (!authorizer || !id || !(await authorizer(user, id))) {
+    return { type: "error", error: "FORBIDDEN_CHANNEL", channel };
+  }
+
+  if (!subscriptions.has(channel)) subscriptions.set(channel, new Set());
+  subscriptions.get(channel).add(socket);
+  socket.channels.add(channel);
+  return { type: "subscribed", channel };
+};
+
+const unsubscribe = (socket, channel) => {
+  const sockets = subscriptions.get(channel);
+  if (sockets) {
+    sockets.delete(socket);
+    if (sockets.size === 0) subscriptions.delete(channel);
+  }
+  socket.channels.delete(channel);
+};
+
+const handleMessage = async (socket, user, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return { type: "error", error: "INVALID_JSON" };
+  }
+  // JSON.parse also accepts null, numbers, strings and arrays
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    return { type: "error", error: "INVALID_MESSAGE" };
+  }
+
+  if (message.type === "subscribe") {
+    return subscribe(socket, user, message.channel);
+  }
+  if (message.type === "unsubscribe") {
+    unsubscribe(socket, message.channel);
+    return { type: "unsubscribed", channel: message.channel };
+  }
+
+  const handler = messageHandlers.get(message.type);
+  if (!handler) {
+    return { type: "error", error: "UNKNOWN_MESSAGE_TYPE" };
+  }
+
+  try {
+    return await handler(message, { user, socket });
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error(`❌ Realtime ${message.type} error:`, error);
+    }
+    return {
+      type: "error",
+      error: error.code || "SERVER_ERROR",
+      message: error.status < 500 ? error.message : "Server error",
+      requestType: message.type,
+    };
+  }
+};
+
+// Accept WebSocket connections on the HTTP server
+const attachRealtime = (server) => {
+  const wss = new WebSocketServer({ server, path: "/ws" });
+
+  wss.on("connection", async (socket, req) => {
+    socket.channels = new Set();
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    // Browsers can't set headers on WebSockets, so the token is in the URL
+    const token = new URL(req.url, "http://localhost").searchParams.get(
+      "token"
+    );
+    let user = null;
+    try {
+      user = token ? await authenticateToken(token) : null;
+    } catch (error) {
+      console.warn("🔒 WebSocket token verification failed:", error.message);
+    }
+    if (!user) {
+      socket.close(4401, "Authentication required");
+      return;
+    }
+
+    // A rejected listener would be an unhandled rejection, which stops the
+    // server, so every failure is answered on the socket instead
+    socket.on("message", async (raw) => {
+      try {
+        const reply = await handleMessage(socket, user, raw);
+        if (reply) send(socket, reply);
+      } catch (error) {
+        console.error("❌ Realtime message error:", error);
+        send(socket, { type: "error", error: "SERVER_ERROR" });
+      }
+    });
+    socket.on("close", () => {
+      for (const channel of [...socket.channels]) unsubscribe(socket, channel);
+    });
+
+    send(socket, { type: "ready", userId: user._id });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  attachRealtime,
+  registerChannel,
+  registerHandler,
+  publish,
+};
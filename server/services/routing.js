@@ -0,0 +1,106 @@
+// Road distance and travel time between two points. Fares are priced from
+// these figures, never from values sent by the client.
+//
+// A provider is an object { name, route(from, to) } where from/to are GeoJSON
+// points and route() resolves to { distanceKm, durationMinutes, geometry }.
+// The offline haversine provider is the default; set ROUTING_PROVIDER=osrm
+// and OSRM_URL to use an OSRM-compatible router instead.
+
+const { haversineKm } = require("../utils/geo");
+
+// Roads are rarely straight: scale the great-circle distance by this factor
+const ROAD_FACTOR = Number(process.env.ROUTING_ROAD_FACTOR) || 1.3;
+// Average door-to-door speed, allowing for city traffic
+const AVERAGE_SPEED_KMH = Number(process.env.ROUTING_AVERAGE_SPEED_KMH) || 25;
+const REQUEST_TIMEOUT_MS = Number(process.env.ROUTING_TIMEOUT_MS) || 5000;
+
+// Estimate from the straight-line distance; needs no network
+const haversineProvider = {
+  name: "haversine",
+  async route(from, to) {
+    const distanceKm =
+      haversineKm(from.coordinates, to.coordinates) * ROAD_FACTOR;
+    return {
+      distanceKm,
+      durationMinutes: (distanceKm / AVERAGE_SPEED_KMH) * 60,
+      geometry: {
+        type: "LineString",
+        coordinates: [from.coordinates, to.coordinates],
+      },
+    };
+  },
+};
+
+// Adapter for an OSRM-style HTTP router, e.g. a local osrm-backend
+const createOsrmProvider = ({ baseUrl, profile = "driving" }) => ({
+  name: "osrm",
+  async route(from, to) {
+    const base = baseUrl.replace(/\/$/, "");
+    const waypoints = [from, to]
+      .map((point) => point.coordinates.join(","))
+      .join(";");
+    const url = `${base}/route/v1/${profile}/${waypoints}?overview=simplified&geometries=geojson`;
+
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const data = await response.json();
+    if (!response.ok || data.code !== "Ok" || !data.routes?.length) {
+      throw new Error(`OSRM route failed: ${data.message || data.code}`);
+    }
+
+    const [best] = data.routes;
+    return {
+      distanceKm: best.distance / 1000,
+      durationMinutes: best.duration / 60,
+      geometry: best.geometry,
+    };
+  },
+});
+
+const createProvider = () => {
+  if (process.env.ROUTING_PROVIDER === "osrm" && process.env.OSRM_URL) {
+    return createOsrmProvider({
+      baseUrl: process.env.OSRM_URL,
+      profile: process.env.OSRM_PROFILE,
+    });
+  }
+  return haversineProvider;
+};
+
+let provider = createProvider();
+
+// Swap the provider at runtime, e.g. for a different router
+const setRoutingProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+// Route between two GeoJSON points. Falls back to the haversine estimate if
+// the configured provider is unavailable, so bookings keep working.
+const getRoute = async (from, to) => {
+  let result;
+  let source = provider.name;
+  try {
+    result = await provider.route(from, to);
+  } catch (error) {
+    if (provider === haversineProvider) throw error;
+    console.warn(`⚠️ ${provider.name} routing failed:`, error.message);
+    result = await haversineProvider.route(from, to);
+    source = haversineProvider.name;
+  }
+
+  return {
+    distanceKm: Math.round(result.distanceKm * 10) / 10,
+    // Whole minutes, and at least one for any trip
+    durationMinutes: Math.max(1, Math.ceil(result.durationMinutes)),
+    geometry: result.geometry,
+    provider: source,
+  };
+};
+
+module.exports = {
+  getRoute,
+  setRoutingProvider,
+  haversineProvider,
+  createOsrmProvider,
+};
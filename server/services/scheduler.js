@@ -0,0 +1,101 @@
+// Background jobs that run on an interval. Every server instance runs the
+// scheduler, but each run takes a lease in the JobLock collection first, so a
+// job runs on one instance at a time. Jobs should still be idempotent: a run
+// that outlives its lease may overlap with the next one.
+//
+// Set SCHEDULER_ENABLED=false to keep an instance out of it entirely.
+
+const os = require("os");
+const crypto = require("crypto");
+const JobLock = require("../models/JobLock");
+
+// Identifies this process as the holder of a lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+const jobs = new Map();
+const timers = [];
+
+// Add a job: `run` is an async function; `intervalMs` how often to run it.
+// The lease lasts `leaseMs`, which should comfortably exceed a run.
+const registerJob = ({ name, intervalMs, leaseMs = intervalMs, run }) => {
+  jobs.set(name, { name, intervalMs, leaseMs, run });
+};
+
+// Take the job's lease if nobody holds it. Returns false if another instance
+// does; the unique _id makes the upsert fail in that case.
+const acquireLease = async (job, now = new Date()) => {
+  try {
+    await JobLock.findOneAndUpdate(
+      { _id: job.name, lockedUntil: { $lte: now } },
+      {
+        owner: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + job.leaseMs),
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const releaseLease = (job, update) =>
+  JobLock.updateOne(
+    { _id: job.name, owner: INSTANCE_ID },
+    { lockedUntil: new Date(), lastRunAt: new Date(), ...update }
+  );
+
+// Run a job now if this instance can get its lease
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  if (!(await acquireLease(job))) return null;
+
+  try {
+    const result = await job.run();
+    await releaseLease(job, { lastResult: result ?? null, lastError: null });
+    if (result && Object.values(result).some(Boolean)) {
+      console.log(`⏰ Job ${name}:`, result);
+    }
+    return result;
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+    await releaseLease(job, { lastError: error.message }).catch(() => {});
+    return null;
+  }
+};
+
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    console.log("⏸️ Scheduler disabled on this instance");
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    let running = false;
+    const timer = setInterval(async () => {
+      // Never overlap runs within this instance
+      if (running) return;
+      running = true;
+      try {
+        await runJob(job.name);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  }
+
+  console.log(`⏰ Scheduler started with ${jobs.size} jobs as ${INSTANCE_ID}`);
+};
+
+const stopScheduler = () => {
+  while (timers.length > 0) clearInterval(timers.pop());
+};
+
+module.exports = { registerJob, runJob, startScheduler, stopScheduler };
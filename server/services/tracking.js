@@ -0,0 +1,146 @@
+// Live trip tracking. While a booking is started, the driver's client streams
+// GPS positions over the realtime socket; each one is appended to
+// tripProgress.route and relayed to everyone watching "booking:<id>" with a
+// fresh ETA to the dropoff.
+
+const Booking = require("../models/Booking");
+const { isValidLatLng, toPoint } = require("../utils/geo");
+const { can } = require("../middleware/authorize");
+const { getRoute } = require("./routing");
+const { publish, registerChannel, registerHandler } = require("./realtime");
+
+// How far ahead of the server clock a device's timestamp may be
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+const trackingError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = "TrackingError";
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Estimated arrival at the dropoff from a position
+const estimateArrival = async (booking, position, at = new Date()) => {
+  const route = await getRoute(
+    toPoint(position),
+    booking.tripDetails.dropoffLocation.point
+  );
+  return {
+    remainingKm: route.distanceKm,
+    remainingMinutes: route.durationMinutes,
+    arrivalTime: new Date(at.getTime() + route.durationMinutes * 60 * 1000),
+  };
+};
+
+// Append a driver's position to a started trip and broadcast it
+const recordPosition = async (
+  booking,
+  user,
+  { latitude, longitude, timestamp }
+) => {
+  if (!can(user, "booking:track", { resource: booking })) {
+    throw trackingError(
+      "Only the booking's driver can report its position",
+      403,
+      "FORBIDDEN"
+    );
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!isValidLatLng(lat, lng)) {
+    throw trackingError("Invalid coordinates", 400, "INVALID_COORDINATES");
+  }
+
+  const recordedAt = timestamp ? new Date(timestamp) : new Date();
+  if (
+    isNaN(recordedAt.getTime()) ||
+    recordedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS
+  ) {
+    throw trackingError("Invalid timestamp", 400, "INVALID_TIMESTAMP");
+  }
+
+  const position = {
+    timestamp: recordedAt,
+    coordinates: { latitude: lat, longitude: lng },
+  };
+
+  // Only append while the trip is running, even if it ends concurrently
+  const result = await Booking.updateOne(
+    { _id: booking._id, status: "started" },
+    { $push: { "tripProgress.route": position } }
+  );
+  if (result.matchedCount === 0) {
+    throw trackingError(
+      "Positions can only be reported while the trip is in progress",
+      409,
+      "TRIP_NOT_STARTED"
+    );
+  }
+
+  const eta = await estimateArrival(booking, { latitude: lat, longitude: lng });
+  publish(`booking:${booking._id}`, {
+    type: "location",
+    bookingId: booking._id,
+    position,
+    eta,
+  });
+
+  return { position, eta };
+};
+
+// The recorded trace so far, with an ETA while the trip is running
+const getTrack = async (booking) => {
+  const route = booking.tripProgress?.route || [];
+  const last = route[route.length - 1];
+
+  return {
+    bookingId: booking._id,
+    status: booking.status,
+    pickup: booking.tripDetails.pickupLocation,
+    dropoff: booking.tripDetails.dropoffLocation,
+    route,
+    eta:
+      booking.status === "started" && last
+        ? await estimateArrival(booking, last.coordinates)
+        : null,
+    actualDistance: booking.tripProgress?.actualDistance ?? null,
+    actualDuration: booking.tripProgress?.actualDuration ?? null,
+  };
+};
+
+// Let trip participants watch a booking, and drivers stream positions to it
+const registerTrackingHandlers = () => {
+  registerChannel("booking", async (user, bookingId) => {
+    const booking = await Booking.findById(bookingId).catch(() => null);
+    return !!booking && can(user, "booking:read", { resource: booking });
+  });
+
+  registerHandler("location", async (message, { user }) => {
+    const booking = await Booking.findById(message.bookingId).catch(() => null);
+    if (!booking) {
+      throw trackingError("Booking not found", 404, "BOOKING_NOT_FOUND");
+    }
+    const { position } = await recordPosition(booking, user, message);
+    return { type: "location_recorded", bookingId: booking._id, position };
+  });
+};
+
+// Let realtime status changes reach anyone watching the trip
+const publishStatus = (booking) => {
+  publish(`booking:${booking._id}`, {
+    type: "status",
+    bookingId: booking._id,
+    status: booking.status,
+    actualDistance: booking.tripProgress?.actualDistance ?? null,
+    actualDuration: booking.tripProgress?.actualDuration ?? null,
+  });
+};
+
+module.exports = {
+  recordPosition,
+  getTrack,
+  publishStatus,
+  registerTrackingHandlers,
+};
@@ -0,0 +1,138 @@
+// Ways of getting a message to a user outside the app.
+//
+// A transport is an object { name, send({ to, subject, text }) } whose send()
+// resolves to { id } (the provider's message id, if any) and throws when the
+// message was not accepted. Email and SMS each have one transport, chosen
+// from the environment:
+//
+//   EMAIL_TRANSPORT=smtp    SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, MAIL_FROM
+//   SMS_TRANSPORT=gateway   SMS_GATEWAY_URL, SMS_GATEWAY_API_KEY, SMS_SENDER_ID
+//   *_TRANSPORT=file        appends to MESSAGE_LOG_DIR/<channel>.log
+//   *_TRANSPORT=console     logs the message (the default)
+
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const REQUEST_TIMEOUT_MS = Number(process.env.SMS_GATEWAY_TIMEOUT_MS) || 10000;
+
+// Email through any SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send({ to, subject, text }) {
+      const info = await mailer.sendMail({ from, to, subject, text });
+      return { id: info.messageId };
+    },
+  };
+};
+
+// SMS through an HTTP gateway taking { to, message, senderId } as JSON, as
+// most Bangladeshi bulk SMS providers do
+const createSmsGatewayTransport = ({ url, apiKey, senderId }) => ({
+  name: "sms-gateway",
+  async send({ to, text }) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify({ to, message: text, senderId }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `SMS gateway responded ${response.status}: ${
+          data.message || response.statusText
+        }`
+      );
+    }
+    return { id: data.id || data.messageId || null };
+  },
+});
+
+// One JSON line per message, for local testing
+const createFileTransport = ({ file }) => ({
+  name: "file",
+  async send(message) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+    );
+    return { id: null };
+  },
+});
+
+const createConsoleTransport = (channel) => ({
+  name: "console",
+  async send({ to, subject, text }) {
+    console.log(
+      `📨 [${channel}] to ${to}${subject ? ` — ${subject}` : ""}\n${text}`
+    );
+    return { id: null };
+  },
+});
+
+const logFile = (channel) =>
+  path.join(process.env.MESSAGE_LOG_DIR || "logs", `${channel}.log`);
+
+const createEmailTransport = () => {
+  const kind = process.env.EMAIL_TRANSPORT;
+  if (kind === "smtp" && process.env.SMTP_HOST) {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.MAIL_FROM || "ReturnVehicle <no-reply@returnvehicle>",
+    });
+  }
+  if (kind === "file") return createFileTransport({ file: logFile("email") });
+  return createConsoleTransport("email");
+};
+
+const createSmsTransport = () => {
+  const kind = process.env.SMS_TRANSPORT;
+  if (kind === "gateway" && process.env.SMS_GATEWAY_URL) {
+    return createSmsGatewayTransport({
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      senderId: process.env.SMS_SENDER_ID,
+    });
+  }
+  if (kind === "file") return createFileTransport({ file: logFile("sms") });
+  return createConsoleTransport("sms");
+};
+
+const transports = {
+  email: createEmailTransport(),
+  sms: createSmsTransport(),
+};
+
+const getTransport = (channel) => transports[channel];
+
+// Swap a channel's transport at runtime, e.g. for another provider
+const setTransport = (channel, transport) => {
+  transports[channel] = transport;
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createSmsGatewayTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
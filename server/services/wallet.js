@@ -0,0 +1,365 @@
+// In-app wallets for passengers and drivers.
+//
+// A balance only changes through applyMovement(), which moves it atomically
+// and records an immutable WalletTransaction; each movement is also posted to
+// the ledger. Passengers top up through a payment gateway and pay bookings
+// from the wallet, drivers are credited their share of each completed and
+// paid trip and withdraw it with payouts that an administrator sends.
+
+const Wallet = require("../models/Wallet");
+const WalletTransaction = require("../models/WalletTransaction");
+const Payout = require("../models/Payout");
+const {
+  postCharge,
+  postPayment,
+  postRefund,
+  postTopUp,
+  postEarning,
+  postPayout,
+} = require("./ledger");
+const { notify } = require("./notifications");
+const { publish } = require("./realtime");
+const { roundTo } = require("./pricing");
+
+// The platform's share of every completed trip's fare
+const COMMISSION_PERCENT = Number(
+  process.env.PLATFORM_COMMISSION_PERCENT ?? 15
+);
+// Smallest withdrawal a driver can request
+const MIN_PAYOUT_AMOUNT = Number(process.env.MIN_PAYOUT_AMOUNT) || 100;
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+// Amounts are compared in minor units (paisa) to avoid float drift
+const toMinor = (amount) => Math.round(amount * 100);
+
+const walletError = (message, status, code) => {
+  const error = new Error(message);
+  error.name = "WalletError";
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// A user's wallet, created empty the first time it is needed
+const getWallet = (user) =>
+  Wallet.findOneAndUpdate(
+    { user: idOf(user) },
+    { $setOnInsert: { user: idOf(user) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+// Move a wallet's balance by `amount` (negative to take money out) and record
+// why. Taking out more than the balance fails unless `allowOverdraft` is set.
+// A movement whose idempotency key was already used returns the earlier
+// transaction instead.
+const applyMovement = async (
+  user,
+  {
+    type,
+    amount,
+    idempotencyKey,
+    memo,
+    booking = null,
+    paymentIntent = null,
+    payout = null,
+    allowOverdraft = false,
+  }
+) => {
+  const existing = await WalletTransaction.findOne({ idempotencyKey });
+  if (existing) return existing;
+
+  const wallet = await getWallet(user);
+  const change = roundTo(amount, 2);
+  const filter = { _id: wallet._id };
+  if (change < 0 && !allowOverdraft) filter.balance = { $gte: -change };
+
+  const updated = await Wallet.findOneAndUpdate(
+    filter,
+    { $inc: { balance: change } },
+    { new: true }
+  );
+  if (!updated) {
+    throw walletError("Insufficient wallet balance", 402, "INSUFFICIENT_FUNDS");
+  }
+
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      wallet: wallet._id,
+      user: wallet.user,
+      type,
+      amount: change,
+      balanceAfter: roundTo(updated.balance, 2),
+      currency: wallet.currency,
+      memo,
+      booking: booking && idOf(booking),
+      paymentIntent: paymentIntent && idOf(paymentIntent),
+      payout: payout && idOf(payout),
+      idempotencyKey,
+    });
+  } catch (error) {
+    // Put the balance back; a concurrent call may have applied it already
+    await Wallet.updateOne({ _id: wallet._id }, { $inc: { balance: -change } });
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      return WalletTransaction.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+
+  publish(`user:${wallet.user}`, {
+    type: "wallet",
+    balance: transaction.balanceAfter,
+    transaction,
+  });
+  return transaction;
+};
+
+// Pay a new booking's fare from the passenger's wallet
+const payBookingFromWallet = async (booking) => {
+  const amount = booking.pricing.totalPrice;
+  const transaction = await applyMovement(booking.user, {
+    type: "payment",
+    amount: -amount,
+    idempotencyKey: `payment:${idOf(booking)}`,
+    memo: "Trip fare",
+    booking,
+  });
+
+  booking.payment.status = "paid";
+  booking.payment.transactionId = transaction._id.toString();
+  booking.payment.paidAt = transaction.createdAt;
+  await booking.save();
+
+  await postCharge(booking);
+  await postPayment(booking, { amount, fromWallet: true });
+  return transaction;
+};
+
+// Give some or all of a wallet-paid fare back to the passenger's wallet
+const refundToWallet = async (booking, { amount, reason } = {}) => {
+  const refunds = await WalletTransaction.find({
+    booking: booking._id,
+    type: "refund",
+  });
+  const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  const refundable = roundTo(booking.pricing.totalPrice - refunded, 2);
+  const refundAmount = roundTo(
+    amount === undefined ? refundable : Number(amount),
+    2
+  );
+  if (!(refundAmount > 0) || toMinor(refundAmount) > toMinor(refundable)) {
+    throw walletError(
+      `Refund must be between 0 and ${refundable}`,
+      400,
+      "INVALID_REFUND_AMOUNT"
+    );
+  }
+
+  const transaction = await applyMovement(booking.user, {
+    type: "refund",
+    amount: refundAmount,
+    // Numbered, so two refunds racing for the same slot apply once
+    idempotencyKey: `refund:${idOf(booking)}:${refunds.length + 1}`,
+    memo: reason ? `Refund: ${reason}` : "Refund",
+    booking,
+  });
+  await postRefund(booking, {
+    amount: refundAmount,
+    reference: transaction._id.toString(),
+    reason,
+  });
+
+  if (toMinor(refundAmount) >= toMinor(refundable)) {
+    booking.payment.status = "refunded";
+    await booking.save();
+  }
+
+  console.log("↩️ Refunded", refundAmount, "to wallet for", booking._id);
+  return {
+    refund: { amount: refundAmount, reference: transaction._id.toString() },
+  };
+};
+
+// Add a confirmed gateway top-up to the wallet
+const creditTopUp = async (intent) => {
+  const transaction = await applyMovement(intent.user, {
+    type: "topup",
+    amount: intent.amount,
+    idempotencyKey: `topup:${idOf(intent)}`,
+    memo: `Top-up via ${intent.gateway}`,
+    paymentIntent: intent,
+  });
+  await postTopUp(intent);
+  return transaction;
+};
+
+// Take a top-up being refunded back out of the wallet, so it can't be spent
+// while the gateway gives it back. `key` identifies the refund; if the
+// gateway then fails, the money is put back with `reverse`.
+const withdrawTopUp = (intent, { amount, key, reverse = false }) =>
+  applyMovement(intent.user, {
+    type: "topup_refund",
+    amount: reverse ? amount : -amount,
+    idempotencyKey: `topup_refund:${key}${reverse ? ":reversal" : ""}`,
+    memo: reverse
+      ? "Top-up refund could not be sent"
+      : `Top-up refunded via ${intent.gateway}`,
+    paymentIntent: intent,
+  });
+
+// Credit the driver their share of a completed trip once it is paid; safe to
+// call again for the same booking. On a cash trip they already hold the whole
+// fare, so the commission is taken from their wallet instead, even if that
+// leaves it below zero.
+const creditDriverEarnings = async (booking) => {
+  const fare = booking.pricing.totalPrice;
+  const commission = roundTo((fare * COMMISSION_PERCENT) / 100, 2);
+  const driverShare = roundTo(fare - commission, 2);
+
+  if (booking.payment.method === "cash") {
+    if (commission > 0) {
+      await applyMovement(booking.driver, {
+        type: "commission",
+        amount: -commission,
+        idempotencyKey: `commission:${idOf(booking)}`,
+        memo: `${COMMISSION_PERCENT}% commission on a cash trip`,
+        booking,
+        allowOverdraft: true,
+      });
+    }
+  } else {
+    await applyMovement(booking.driver, {
+      type: "earning",
+      amount: driverShare,
+      idempotencyKey: `earning:${idOf(booking)}`,
+      memo: `Trip fare less ${COMMISSION_PERCENT}% commission`,
+      booking,
+    });
+  }
+
+  booking.payment.commission = commission;
+  booking.payment.driverEarning = driverShare;
+  await booking.save();
+  await postEarning(booking, { commission });
+};
+
+// A driver asks to withdraw part of their balance, which is held back until
+// an administrator sends or rejects the payout
+const requestPayout = async (driver, { amount, method, accountNumber }) => {
+  const payoutAmount = roundTo(Number(amount), 2);
+  if (!(payoutAmount >= MIN_PAYOUT_AMOUNT)) {
+    throw walletError(
+      `The smallest payout is ${MIN_PAYOUT_AMOUNT}`,
+      400,
+      "INVALID_PAYOUT_AMOUNT"
+    );
+  }
+
+  const payout = new Payout({
+    driver: driver._id,
+    amount: payoutAmount,
+    method,
+    accountNumber,
+  });
+  // Reports a bad method or account number before any money moves
+  await payout.validate();
+
+  await applyMovement(driver, {
+    type: "payout",
+    amount: -payoutAmount,
+    idempotencyKey: `payout:${idOf(payout)}`,
+    memo: `Payout to ${method.replace("_", " ")}`,
+    payout,
+  });
+
+  try {
+    await payout.save();
+  } catch (error) {
+    await applyMovement(driver, {
+      type: "payout_reversal",
+      amount: payoutAmount,
+      idempotencyKey: `payout:${idOf(payout)}:reversal`,
+      memo: "Payout could not be requested",
+      payout,
+    });
+    throw error;
+  }
+
+  await postPayout(payout, "requested");
+  console.log("💸 Payout requested:", payout._id, "for", payoutAmount);
+  return payout;
+};
+
+// An administrator marks a requested payout as sent, or rejects it and gives
+// the money back to the driver's wallet
+const processPayout = async (payout, admin, { status, reference, note }) => {
+  if (!["paid", "rejected"].includes(status)) {
+    throw walletError(
+      "A payout can only be marked paid or rejected",
+      400,
+      "INVALID_PAYOUT_STATUS"
+    );
+  }
+
+  const updated = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: "requested" },
+    {
+      status,
+      processedBy: admin._id,
+      processedAt: new Date(),
+      reference,
+      note,
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw walletError(
+      "This payout has already been processed",
+      409,
+      "PAYOUT_ALREADY_PROCESSED"
+    );
+  }
+
+  if (status === "rejected") {
+    await applyMovement(updated.driver, {
+      type: "payout_reversal",
+      amount: updated.amount,
+      idempotencyKey: `payout:${idOf(updated)}:reversal`,
+      memo: note ? `Payout rejected: ${note}` : "Payout rejected",
+      payout: updated,
+    });
+  }
+  await postPayout(updated, status);
+
+  notify(updated.driver, {
+    type: "payout_processed",
+    title: status === "paid" ? "Payout sent" : "Payout rejected",
+    message:
+      status === "paid"
+        ? `৳${updated.amount} was sent to your ${updated.method.replace(
+            "_",
+            " "
+          )} account.`
+        : `Your ৳${updated.amount} payout was rejected and returned to your wallet.` +
+          (note ? ` Reason: ${note}` : ""),
+    data: { payout: updated._id, status },
+  }).catch((error) => console.error("❌ Notification error:", error));
+
+  console.log("💸 Payout", status + ":", updated._id);
+  return updated;
+};
+
+module.exports = {
+  getWallet,
+  applyMovement,
+  payBookingFromWallet,
+  refundToWallet,
+  creditTopUp,
+  withdrawTopUp,
+  creditDriverEarnings,
+  requestPayout,
+  processPayout,
+  MIN_PAYOUT_AMOUNT,
+  COMMISSION_PERCENT,
+};
@@ -0,0 +1,43 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { canListVehicles, setVerified } = require("../services/accounts");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const admin = { _id: "admin-1" };
+
+const driver = (driverDetails = {}) => ({
+  _id: "driver-1",
+  role: "driver",
+  isActive: true,
+  isVerified: true,
+  driverDetails,
+});
+const approved = (expiresInDays = 30) => ({
+  licenseStatus: "approved",
+  licenseExpiry: new Date(Date.now() + expiresInDays * DAY_MS),
+});
+
+describe("driver verification", () => {
+  it("lists vehicles only for drivers with an approved, current licence", () => {
+    assert.equal(canListVehicles(driver(approved())), true);
+    assert.equal(canListVehicles(driver()), false);
+    assert.equal(canListVehicles(driver({ licenseStatus: "pending" })), false);
+    assert.equal(canListVehicles(driver(approved(-1))), false);
+    assert.equal(
+      canListVehicles({ ...driver(approved()), isVerified: false }),
+      false
+    );
+  });
+
+  it("won't verify a driver whose licence isn't approved", async () => {
+    for (const details of [{}, { licenseStatus: "pending" }, approved(-1)]) {
+      await assert.rejects(
+        setVerified({ ...driver(details), isVerified: false }, admin, {
+          isVerified: true,
+        }),
+        { name: "AccountError", status: 409, code: "LICENSE_NOT_APPROVED" }
+      );
+    }
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+const User = require("../models/User");
+const {
+  createAuthMiddleware,
+  createLocalVerifier,
+} = require("../middleware/auth");
+
+const SECRET = "local-test-secret";
+const verifier = createLocalVerifier(SECRET);
+
+// Runs the middleware and reports what it answered, or that it passed on
+const runMiddleware = async (middleware, authorization) => {
+  const req = { headers: authorization ? { authorization } : {} };
+  const outcome = { next: false, status: null, body: null, req };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  await middleware(req, res, (error) => {
+    if (error) throw error;
+    outcome.next = true;
+  });
+  return outcome;
+};
+
+describe("local token verifier", () => {
+  it("reads the identity from a token signed with the secret", async () => {
+    const token = jwt.sign(
+      { uid: "uid-1", email: "rider@example.com", name: "Rider" },
+      SECRET
+    );
+    assert.deepEqual(await verifier(token), {
+      uid: "uid-1",
+      email: "rider@example.com",
+      name: "Rider",
+    });
+
+    const subjectOnly = jwt.sign({ sub: "uid-2" }, SECRET);
+    assert.equal((await verifier(subjectOnly)).uid, "uid-2");
+  });
+
+  it("rejects tokens signed with another secret or not at all", async () => {
+    await assert.rejects(verifier(jwt.sign({ uid: "uid-1" }, "other")));
+    await assert.rejects(
+      verifier(jwt.sign({ uid: "uid-1" }, null, { algorithm: "none" }))
+    );
+  });
+
+  it("refuses to verify anything without a secret", async () => {
+    await assert.rejects(
+      createLocalVerifier(undefined)(jwt.sign({ uid: "uid-1" }, SECRET)),
+      /LOCAL_AUTH_SECRET/
+    );
+  });
+});
+
+describe("auth middleware with local tokens", () => {
+  const findOne = User.findOne;
+  const users = {
+    "uid-1": { _id: "user-1", isActive: true },
+    "uid-suspended": { _id: "user-2", isActive: false },
+  };
+  User.findOne = async ({ firebaseUid }) => users[firebaseUid] || null;
+  after(() => {
+    User.findOne = findOne;
+  });
+
+  const requireAuth = createAuthMiddleware({ verifier });
+  const bearer = (uid, secret = SECRET) =>
+    `Bearer ${jwt.sign({ uid }, secret)}`;
+
+  it("loads the caller's account", async () => {
+    const outcome = await runMiddleware(requireAuth, bearer("uid-1"));
+    assert.equal(outcome.next, true);
+    assert.equal(outcome.req.user._id, "user-1");
+    assert.equal(outcome.req.firebaseUser.uid, "uid-1");
+  });
+
+  it("answers 401 for a missing or invalid token", async () => {
+    const missing = await runMiddleware(requireAuth);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, "MISSING_TOKEN");
+
+    const forged = await runMiddleware(requireAuth, bearer("uid-1", "other"));
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.error, "INVALID_TOKEN");
+  });
+
+  it("turns away unsynced and suspended accounts", async () => {
+    const unsynced = await runMiddleware(requireAuth, bearer("uid-new"));
+    assert.equal(unsynced.status, 401);
+    assert.equal(unsynced.body.error, "USER_NOT_SYNCED");
+
+    const suspended = await runMiddleware(requireAuth, bearer("uid-suspended"));
+    assert.equal(suspended.status, 403);
+    assert.equal(suspended.body.error, "ACCOUNT_SUSPENDED");
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Booking = require("../models/Booking");
+const {
+  resolvePolicy,
+  describePolicy,
+  quoteCancellation,
+} = require("../utils/cancellation");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const booking = ({ hoursUntilPickup = 1, payment, policy = "standard" } = {}) =>
+  new Booking({
+    user: "64b000000000000000000001",
+    driver: "64b000000000000000000002",
+    vehicle: "64b000000000000000000003",
+    status: "confirmed",
+    scheduledDateTime: new Date(Date.now() + hoursUntilPickup * HOUR_MS),
+    pricing: { totalPrice: 400, currency: "BDT" },
+    payment: { method: "card", status: "paid", ...payment },
+    cancellationPolicy: resolvePolicy(policy),
+  });
+
+describe("no-shows", () => {
+  it("charges the passenger when the driver reports one", () => {
+    const quote = quoteCancellation(booking({ hoursUntilPickup: -1 }), {
+      actor: "driver",
+      status: "no_show",
+    });
+
+    assert.equal(quote.feePercent, 100);
+    assert.equal(quote.fee, 400);
+    assert.equal(quote.refundAmount, 0);
+  });
+
+  it("refunds a prepaid fare in full when the scheduler closes the trip", () => {
+    const quote = quoteCancellation(booking({ hoursUntilPickup: -1 }), {
+      actor: "system",
+      status: "no_show",
+    });
+
+    assert.equal(quote.fee, 0);
+    assert.equal(quote.refundAmount, 400);
+  });
+
+  it("can't be recorded before pickup time", () => {
+    const early = booking({ hoursUntilPickup: 3 });
+    assert.throws(() => early.transitionTo("no_show", { actor: "driver" }), {
+      code: "NO_SHOW_TOO_EARLY",
+      status: 409,
+    });
+    assert.equal(early.status, "confirmed");
+
+    const late = booking({ hoursUntilPickup: -1 });
+    late.transitionTo("no_show", { actor: "driver" });
+    assert.equal(late.status, "no_show");
+    assert.equal(late.cancellationCharge.fee, 400);
+  });
+});
+
+describe("describePolicy", () => {
+  it("describes the terms copied onto a booking, not the current ones", () => {
+    const copied = resolvePolicy("standard");
+    copied.tiers[0].hoursBefore = 12;
+    copied.noShowFeePercent = 75;
+
+    const { name, label, rules } = describePolicy(copied);
+    assert.equal(name, "standard");
+    assert.equal(label, "Standard");
+    assert.equal(rules[0], "Free until 12h before pickup");
+    assert.equal(rules.at(-1), "75% of the fare for a no-show");
+    assert.equal(
+      describePolicy("standard").rules[0],
+      "Free until 24h before pickup"
+    );
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { submitLicense } = require("../services/driverLicenses");
+
+const NEXT_YEAR = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+describe("submitLicense", () => {
+  it("only accepts an http(s) link to the licence photo", async () => {
+    for (const licensePhotoUrl of [
+      "javascript:alert(document.cookie)",
+      "data:text/html,<script>alert(1)</script>",
+      "licence.jpg",
+    ]) {
+      await assert.rejects(
+        submitLicense(
+          { driverDetails: {} },
+          {
+            licenseNumber: "DK-1234567",
+            licenseExpiry: NEXT_YEAR,
+            licensePhotoUrl,
+          }
+        ),
+        { name: "LicenseError", status: 400, code: "INVALID_PHOTO_URL" }
+      );
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const MODULE = require.resolve("../services/paymentGateways");
+const ENV_KEYS = ["NODE_ENV", "PAYMENT_FAKE_GATEWAY", "FAKE_GATEWAY_SECRET"];
+const savedEnv = Object.fromEntries(
+  ENV_KEYS.map((key) => [key, process.env[key]])
+);
+
+// Gateways are set up when the module loads, so load it afresh per setting
+const loadGateways = (env) => {
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, env);
+  delete require.cache[MODULE];
+  return require(MODULE);
+};
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+  delete require.cache[MODULE];
+});
+
+describe("fake payment gateway", () => {
+  it("is off unless turned on, whatever NODE_ENV is", () => {
+    assert.equal(loadGateways({}).getGateway("fake"), null);
+    assert.equal(
+      loadGateways({ NODE_ENV: "development" }).getGateway("fake"),
+      null
+    );
+  });
+
+  it("stays off without a secret", () => {
+    const { getGateway } = loadGateways({ PAYMENT_FAKE_GATEWAY: "true" });
+    assert.equal(getGateway("fake"), null);
+  });
+
+  it("stays off in production", () => {
+    const { getGateway } = loadGateways({
+      NODE_ENV: "production",
+      PAYMENT_FAKE_GATEWAY: "true",
+      FAKE_GATEWAY_SECRET: "s3cret",
+    });
+    assert.equal(getGateway("fake"), null);
+  });
+
+  it("only accepts callbacks signed with its secret", () => {
+    const { getGateway, signPayload } = loadGateways({
+      PAYMENT_FAKE_GATEWAY: "true",
+      FAKE_GATEWAY_SECRET: "s3cret",
+    });
+    const gateway = getGateway("fake");
+    const payload = {
+      reference: "fake_1",
+      intentId: "intent-1",
+      status: "succeeded",
+      amount: 250,
+      currency: "BDT",
+    };
+
+    const result = gateway.verifyCallback({
+      ...payload,
+      signature: signPayload(payload, "s3cret"),
+    });
+    assert.equal(result.status, "succeeded");
+    assert.equal(result.amount, 250);
+
+    assert.throws(
+      () =>
+        gateway.verifyCallback({
+          ...payload,
+          signature: signPayload(payload, "fake-gateway-secret"),
+        }),
+      { code: "INVALID_SIGNATURE", status: 400 }
+    );
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Rules below are written for Dhaka time (UTC+6)
+process.env.PRICING_TIMEZONE = "Asia/Dhaka";
+const { quoteTrip, toBookingPricing } = require("../services/pricing");
+
+const vehicle = (pricing = {}) => ({
+  pricing: {
+    basePrice: 50,
+    pricePerKm: 20,
+    pricePerHour: 100,
+    minimumFare: 150,
+    currency: "BDT",
+    rules: [],
+    ...pricing,
+  },
+});
+
+const amounts = (quote) =>
+  Object.fromEntries(quote.lineItems.map((item) => [item.code, item.amount]));
+
+// Friday 3 January 2025, 23:00 and 12:00 in Dhaka
+const FRIDAY_NIGHT = new Date("2025-01-03T17:00:00Z");
+const FRIDAY_NOON = new Date("2025-01-03T06:00:00Z");
+
+describe("quoteTrip", () => {
+  it("itemises base, distance and time and rounds the total to whole taka", () => {
+    const quote = quoteTrip(vehicle(), {
+      distanceKm: 10.333,
+      durationMinutes: 37,
+    });
+
+    assert.deepEqual(amounts(quote), {
+      base: 50,
+      distance: 206.66,
+      time: 61.67,
+    });
+    assert.equal(quote.lineItems[1].quantity, 10.33);
+    assert.equal(quote.lineItems[2].quantity, 0.62);
+    assert.equal(quote.subtotal, 318.33);
+    assert.equal(quote.total, 318);
+    assert.equal(quote.rounding, -0.33);
+    assert.equal(quote.currency, "BDT");
+  });
+
+  it("keeps paisa for currencies without whole-unit rounding", () => {
+    const quote = quoteTrip(vehicle({ currency: "USD" }), {
+      distanceKm: 10.333,
+      durationMinutes: 37,
+    });
+
+    assert.equal(quote.total, 318.33);
+    assert.equal(quote.rounding, 0);
+  });
+
+  it("tops short trips up to the minimum fare", () => {
+    const quote = quoteTrip(vehicle(), { distanceKm: 1, durationMinutes: 5 });
+
+    assert.equal(quote.subtotal, 78.33);
+    assert.equal(amounts(quote).minimum_fare, 71.67);
+    assert.equal(quote.total, 150);
+  });
+
+  it("applies every matching pricing rule to the metered fare", () => {
+    const rules = [
+      {
+        name: "Night",
+        timeWindow: { start: "22:00", end: "06:00" },
+        adjustment: { type: "multiplier", value: 1.5 },
+      },
+      {
+        name: "Weekend",
+        weekdays: ["friday", "saturday"],
+        adjustment: { type: "flat", value: 30 },
+      },
+      {
+        name: "Switched off",
+        isActive: false,
+        adjustment: { type: "flat", value: 1000 },
+      },
+    ];
+    const trip = { distanceKm: 10, durationMinutes: 30 };
+
+    const night = quoteTrip(vehicle({ rules }), {
+      ...trip,
+      startTime: FRIDAY_NIGHT,
+    });
+    assert.deepEqual(
+      night.lineItems
+        .filter((item) => item.code === "rule")
+        .map((item) => [item.label, item.amount]),
+      [
+        ["Night", 150],
+        ["Weekend", 30],
+      ]
+    );
+    assert.equal(night.total, 480);
+
+    const noon = quoteTrip(vehicle({ rules }), {
+      ...trip,
+      startTime: FRIDAY_NOON,
+    });
+    assert.equal(noon.total, 330);
+  });
+
+  it("takes the return-trip discount off the final fare", () => {
+    const quote = quoteTrip(vehicle(), {
+      distanceKm: 10,
+      durationMinutes: 30,
+      discountPercent: 15,
+      discountLabel: "Return trip",
+    });
+
+    assert.equal(quote.subtotal, 300);
+    assert.equal(amounts(quote).discount, -45);
+    assert.equal(quote.lineItems.at(-1).label, "Return trip (15%)");
+    assert.equal(quote.total, 255);
+  });
+
+  it("discounts the minimum fare, not the metered fare", () => {
+    const quote = quoteTrip(vehicle(), {
+      distanceKm: 1,
+      durationMinutes: 5,
+      discountPercent: 20,
+    });
+
+    assert.equal(amounts(quote).discount, -30);
+    assert.equal(quote.total, 120);
+  });
+
+  it("rejects negative distances and invalid start times", () => {
+    assert.throws(
+      () => quoteTrip(vehicle(), { distanceKm: -1, durationMinutes: 10 }),
+      { name: "PricingError", status: 400 }
+    );
+    assert.throws(
+      () =>
+        quoteTrip(vehicle(), {
+          distanceKm: 1,
+          durationMinutes: 10,
+          startTime: "not a date",
+        }),
+      { name: "PricingError", status: 400 }
+    );
+  });
+});
+
+describe("toBookingPricing", () => {
+  it("flattens a quote into the booking's pricing fields", () => {
+    const quote = quoteTrip(vehicle(), {
+      distanceKm: 10,
+      durationMinutes: 30,
+      discountPercent: 15,
+    });
+
+    assert.deepEqual(
+      { ...toBookingPricing(quote), lineItems: undefined },
+      {
+        basePrice: 50,
+        distancePrice: 200,
+        timePrice: 50,
+        discount: 45,
+        totalPrice: 255,
+        currency: "BDT",
+        lineItems: undefined,
+      }
+    );
+  });
+});
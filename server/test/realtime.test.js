@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const WebSocket = require("ws");
+
+// Every token belongs to the same signed-in user
+const auth = require("../middleware/auth");
+auth.authenticateToken = async () => ({ _id: "user-1" });
+const { attachRealtime, registerChannel } = require("../services/realtime");
+
+registerChannel("broken", async () => {
+  throw new Error("authorizer failed");
+});
+
+describe("realtime messages", () => {
+  let server;
+  let wss;
+  let socket;
+  const replies = [];
+
+  // Resolves with the next message the server sends, failing if none comes
+  const nextReply = () =>
+    new Promise((resolve, reject) => {
+      const deadline = Date.now() + 2000;
+      const check = () => {
+        if (replies.length) return resolve(replies.shift());
+        if (Date.now() > deadline) return reject(new Error("No reply"));
+        setTimeout(check, 5);
+      };
+      check();
+    });
+
+  before(async () => {
+    server = http.createServer();
+    wss = attachRealtime(server);
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    socket = new WebSocket(
+      `ws://localhost:${server.address().port}/ws?token=t`
+    );
+    socket.on("message", (raw) => replies.push(JSON.parse(raw)));
+    assert.equal((await nextReply()).type, "ready");
+  });
+
+  after(async () => {
+    socket.close();
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  for (const raw of ["null", "42", '"text"', "[]"]) {
+    it(`answers ${raw} with an error instead of failing`, async () => {
+      socket.send(raw);
+      assert.deepEqual(await nextReply(), {
+        type: "error",
+        error: "INVALID_MESSAGE",
+      });
+    });
+  }
+
+  it("answers a failing subscription with an error frame", async () => {
+    socket.send(JSON.stringify({ type: "subscribe", channel: "broken:1" }));
+    assert.deepEqual(await nextReply(), {
+      type: "error",
+      error: "SERVER_ERROR",
+    });
+  });
+});
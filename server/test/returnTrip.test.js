@@ -0,0 +1,50 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.PRICING_TIMEZONE = "Asia/Dhaka";
+const ReturnTrip = require("../models/ReturnTrip");
+
+const savedTimeZone = process.env.TZ;
+const pickup = { type: "Point", coordinates: [90.4125, 23.8103] };
+
+// The query findMatches sends, without touching the database
+const matchQuery = async (options) => {
+  let query = null;
+  const find = ReturnTrip.find;
+  ReturnTrip.find = (filter) => {
+    query = filter;
+    return { limit: async () => [] };
+  };
+  try {
+    await ReturnTrip.findMatches({ pickup, ...options });
+  } finally {
+    ReturnTrip.find = find;
+  }
+  return query;
+};
+
+afterEach(() => {
+  if (savedTimeZone === undefined) delete process.env.TZ;
+  else process.env.TZ = savedTimeZone;
+});
+
+describe("findMatches", () => {
+  it("covers the requested day in Dhaka whatever zone the server is in", async () => {
+    const windows = [];
+    for (const zone of ["UTC", "America/New_York", "Asia/Tokyo"]) {
+      process.env.TZ = zone;
+      const query = await matchQuery({ date: "2099-03-15" });
+      windows.push([
+        query["departureWindow.end"].$gte.toISOString(),
+        query["departureWindow.start"].$lt.toISOString(),
+      ]);
+    }
+
+    for (const window of windows) {
+      assert.deepEqual(window, [
+        "2099-03-14T18:00:00.000Z",
+        "2099-03-15T18:00:00.000Z",
+      ]);
+    }
+  });
+});
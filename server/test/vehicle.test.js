@@ -0,0 +1,45 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Vehicle = require("../models/Vehicle");
+
+const linkErrors = async (data) => {
+  const error = await new Vehicle(data).validate().catch((error) => error);
+  return Object.keys(error?.errors || {})
+    .filter(
+      (path) => path.startsWith("documents.") || path.startsWith("images.")
+    )
+    .sort();
+};
+
+describe("vehicle links", () => {
+  it("accepts http(s) document and photo links", async () => {
+    assert.deepEqual(
+      await linkErrors({
+        documents: {
+          registration: { imageUrl: "https://example.com/reg.jpg" },
+          insurance: { imageUrl: "http://example.com/ins.jpg" },
+        },
+        images: [{ url: "https://example.com/car.jpg" }],
+      }),
+      []
+    );
+  });
+
+  it("rejects links that could run script", async () => {
+    assert.deepEqual(
+      await linkErrors({
+        documents: {
+          registration: { imageUrl: "javascript:alert(1)" },
+          fitness: { imageUrl: "data:text/html,<script>alert(1)</script>" },
+        },
+        images: [{ url: "https://example.com/car.jpg" }, { url: "car.jpg" }],
+      }),
+      [
+        "documents.fitness.imageUrl",
+        "documents.registration.imageUrl",
+        "images.1.url",
+      ]
+    );
+  });
+});
@@ -0,0 +1,182 @@
+// Cancellation policies: what a passenger pays for calling off a confirmed
+// trip, depending on how long before pickup they do it.
+//
+// A policy's tiers are checked from the longest notice down; the first tier
+// whose `hoursBefore` the cancellation meets sets the fee, as a percentage of
+// the fare. Missed trips (no-shows) reported by the driver pay
+// `noShowFeePercent`. Drivers can't cancel a confirmed trip within
+// `driverCutoffHours` of pickup.
+
+const CANCELLATION_POLICIES = {
+  flexible: {
+    label: "Flexible",
+    tiers: [
+      { hoursBefore: 2, feePercent: 0 },
+      { hoursBefore: 0, feePercent: 25 },
+    ],
+    noShowFeePercent: 50,
+    driverCutoffHours: 1,
+  },
+  standard: {
+    label: "Standard",
+    tiers: [
+      { hoursBefore: 24, feePercent: 0 },
+      { hoursBefore: 2, feePercent: 25 },
+      { hoursBefore: 0, feePercent: 50 },
+    ],
+    noShowFeePercent: 100,
+    driverCutoffHours: 2,
+  },
+  strict: {
+    label: "Strict",
+    tiers: [
+      { hoursBefore: 48, feePercent: 0 },
+      { hoursBefore: 24, feePercent: 50 },
+      { hoursBefore: 0, feePercent: 100 },
+    ],
+    noShowFeePercent: 100,
+    driverCutoffHours: 4,
+  },
+};
+
+const POLICY_NAMES = Object.keys(CANCELLATION_POLICIES);
+
+// Statuses that end a booking without a trip. Each is quoted when reached, so
+// that a fare paid up front can be refunded less any fee.
+const UNFULFILLED_STATUSES = ["cancelled", "no_show", "rejected", "expired"];
+
+// The platform's policy for vehicles that don't choose one
+const DEFAULT_POLICY = POLICY_NAMES.includes(process.env.CANCELLATION_POLICY)
+  ? process.env.CANCELLATION_POLICY
+  : "standard";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The policy a vehicle's new bookings are made under, copied onto each
+// booking so later changes to the vehicle don't apply to it
+const resolvePolicy = (name) => {
+  const policyName = CANCELLATION_POLICIES[name] ? name : DEFAULT_POLICY;
+  const { tiers, noShowFeePercent, driverCutoffHours } =
+    CANCELLATION_POLICIES[policyName];
+  return {
+    name: policyName,
+    tiers: tiers.map((tier) => ({ ...tier })),
+    noShowFeePercent,
+    driverCutoffHours,
+  };
+};
+
+// A tier in words, e.g. "Free until 24h before pickup". Tiers are in order
+// of longest notice first.
+const describeTier = (tiers, index) => {
+  const { hoursBefore, feePercent } = tiers[index];
+  const fee = feePercent === 0 ? "Free" : `${feePercent}% of the fare`;
+  if (index === 0) return `${fee} until ${hoursBefore}h before pickup`;
+  const previous = tiers[index - 1].hoursBefore;
+  return hoursBefore === 0
+    ? `${fee} within ${previous}h of pickup`
+    : `${fee} between ${previous}h and ${hoursBefore}h before pickup`;
+};
+
+// The terms a booking was made under, falling back to the platform's policy
+// for bookings made before policies were copied onto them
+const bookingPolicy = (booking) =>
+  booking.cancellationPolicy?.tiers?.length
+    ? booking.cancellationPolicy
+    : resolvePolicy(DEFAULT_POLICY);
+
+// Describe a policy by name, or the copy of one held by a booking
+const describePolicy = (policy) => {
+  const { name, tiers, noShowFeePercent } =
+    typeof policy === "string"
+      ? { name: policy, ...CANCELLATION_POLICIES[policy] }
+      : policy;
+  const sorted = [...tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+  const rules = sorted.map((tier, index) => describeTier(sorted, index));
+  rules.push(`${noShowFeePercent}% of the fare for a no-show`);
+  return { name, label: CANCELLATION_POLICIES[name]?.label || name, rules };
+};
+
+const roundFee = (amount) => Math.round(amount * 100) / 100;
+
+// Work out what ending a booking without a trip costs the passenger: only
+// their own cancellations and no-shows reported by the driver are charged.
+// `booking` is in the status it is being moved from.
+const quoteCancellation = (
+  booking,
+  { actor, status = "cancelled", at = new Date() }
+) => {
+  const policy = bookingPolicy(booking);
+  const hoursBeforePickup =
+    Math.round(((new Date(booking.scheduledDateTime) - at) / HOUR_MS) * 10) /
+    10;
+
+  let feePercent = 0;
+  let rule = null;
+  if (status === "no_show" && actor !== "driver") {
+    // Closed by the scheduler because the trip was never started, which
+    // doesn't show who missed it
+    rule = "The trip was not started";
+  } else if (status === "no_show") {
+    feePercent = policy.noShowFeePercent;
+    rule = "No-show";
+  } else if (status === "rejected") {
+    rule = "Declined by the driver";
+  } else if (status === "expired") {
+    rule = "The driver didn't respond in time";
+  } else if (booking.status === "pending") {
+    // The driver hasn't accepted the trip yet
+    rule = "Not yet confirmed";
+  } else if (actor !== "user") {
+    // The passenger isn't charged for a trip someone else called off
+    rule = "Cancelled by the driver or an administrator";
+  } else {
+    const tiers = [...policy.tiers].sort(
+      (a, b) => b.hoursBefore - a.hoursBefore
+    );
+    const index = tiers.findIndex(
+      ({ hoursBefore }) => hoursBeforePickup >= hoursBefore
+    );
+    const tierIndex = index === -1 ? tiers.length - 1 : index;
+    feePercent = tiers[tierIndex].feePercent;
+    rule = describeTier(tiers, tierIndex);
+  }
+
+  const allowed = !(
+    status === "cancelled" &&
+    actor === "driver" &&
+    booking.status === "confirmed" &&
+    hoursBeforePickup < policy.driverCutoffHours
+  );
+
+  const total = booking.pricing.totalPrice;
+  const fee = roundFee((total * feePercent) / 100);
+  // A fare paid up front is refunded less the fee; otherwise the fee is owed
+  const paidUpFront =
+    booking.payment.status === "paid" && booking.payment.method !== "cash";
+
+  return {
+    allowed,
+    reason: allowed
+      ? null
+      : `Drivers can't cancel within ${policy.driverCutoffHours}h of pickup. Please contact support.`,
+    policy: policy.name,
+    rule,
+    hoursBeforePickup,
+    feePercent,
+    fee,
+    refundAmount: paidUpFront ? roundFee(total - fee) : 0,
+    currency: booking.pricing.currency,
+  };
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  POLICY_NAMES,
+  UNFULFILLED_STATUSES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  bookingPolicy,
+  describePolicy,
+  quoteCancellation,
+};
@@ -0,0 +1,161 @@
+const mongoose = require("mongoose");
+
+const isValidLatLng = (latitude, longitude) =>
+  Number.isFinite(latitude) &&
+  Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 &&
+  Math.abs(longitude) <= 180;
+
+// GeoJSON point stored as [longitude, latitude], indexable with 2dsphere
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      required: true,
+      validate: {
+        validator: ([longitude, latitude, ...rest] = []) =>
+          rest.length === 0 && isValidLatLng(latitude, longitude),
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// A coordinate as a number; missing or blank values are NaN rather than the
+// 0 that Number(null) and Number("") give
+const toCoordinate = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+};
+
+// Build a GeoJSON point from a GeoJSON point or a { latitude, longitude } pair
+const toPoint = (value) => {
+  if (!value) return null;
+
+  if (value.type === "Point" && Array.isArray(value.coordinates)) {
+    const [longitude, latitude] = value.coordinates.map(toCoordinate);
+    return isValidLatLng(latitude, longitude)
+      ? { type: "Point", coordinates: [longitude, latitude] }
+      : null;
+  }
+
+  const latitude = toCoordinate(value.latitude ?? value.lat);
+  const longitude = toCoordinate(value.longitude ?? value.lng);
+  return isValidLatLng(latitude, longitude)
+    ? { type: "Point", coordinates: [longitude, latitude] }
+    : null;
+};
+
+// Read a GeoJSON point back as { latitude, longitude }
+const fromPoint = (point) => {
+  if (!point || !Array.isArray(point.coordinates)) return null;
+  const [longitude, latitude] = point.coordinates;
+  return { latitude, longitude };
+};
+
+// GeoJSON line stored as a list of [longitude, latitude] positions
+const lineStringSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["LineString"],
+      default: "LineString",
+      required: true,
+    },
+    coordinates: {
+      type: [[Number]],
+      default: undefined,
+      required: true,
+      validate: {
+        validator: (positions = []) =>
+          positions.length >= 2 &&
+          positions.every(
+            ([longitude, latitude, ...rest]) =>
+              rest.length === 0 && isValidLatLng(latitude, longitude)
+          ),
+        message: "A line needs at least two [longitude, latitude] positions",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in km between two [longitude, latitude] positions
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Find the closest spot on a line to a position. Returns how far the position
+// is from the line and how far along the line that closest spot lies, both in
+// km. Segments are projected flat around the position, which is accurate
+// enough at city-to-city scale.
+const locateOnLine = (position, line) => {
+  const [lng0, lat0] = position;
+  const kmPerDegree = (EARTH_RADIUS_KM * Math.PI) / 180;
+  const project = ([lng, lat]) => [
+    (lng - lng0) * kmPerDegree * Math.cos(toRadians(lat0)),
+    (lat - lat0) * kmPerDegree,
+  ];
+
+  let best = { distanceKm: Infinity, alongKm: 0 };
+  let travelledKm = 0;
+
+  for (let i = 0; i < line.length - 1; i++) {
+    const [ax, ay] = project(line[i]);
+    const [bx, by] = project(line[i + 1]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t =
+      lengthSq === 0
+        ? 0
+        : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSq));
+    const distanceKm = Math.hypot(ax + t * dx, ay + t * dy);
+
+    if (distanceKm < best.distanceKm) {
+      best = { distanceKm, alongKm: travelledKm + t * Math.sqrt(lengthSq) };
+    }
+    travelledKm += Math.sqrt(lengthSq);
+  }
+
+  return best;
+};
+
+// Convert a location from a request body, which may carry either a GeoJSON
+// `point` or legacy `coordinates: { latitude, longitude }`, into the stored shape
+const normalizeLocation = (location) => {
+  if (!location) return location;
+  const { coordinates, point, ...rest } = location;
+  const geoPoint = toPoint(point || coordinates);
+  return geoPoint ? { ...rest, point: geoPoint } : rest;
+};
+
+module.exports = {
+  pointSchema,
+  lineStringSchema,
+  isValidLatLng,
+  haversineKm,
+  locateOnLine,
+  toPoint,
+  fromPoint,
+  normalizeLocation,
+};
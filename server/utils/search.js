@@ -0,0 +1,122 @@
+// Helpers for free-text vehicle search: tokenising queries, highlighting
+// matched terms and ranking typo-tolerant suggestions
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Split a query into lowercase search terms, skipping negated ("-word") terms
+const tokenize = (query = "") =>
+  query
+    .toLowerCase()
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"));
+
+// Filter matching every term against at least one of the fields. Used where
+// $text can't be, e.g. alongside $geoNear.
+const buildTermsFilter = (terms, fields) => ({
+  $and: terms.map((term) => ({
+    $or: fields.map((field) => ({
+      [field]: new RegExp(`\\b${escapeRegExp(term)}`, "i"),
+    })),
+  })),
+});
+
+// Split text into segments, flagging the words that start with a search
+// term. Returns null when nothing matched.
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(
+    `\\b(?:${terms.map(escapeRegExp).join("|")})\\w*`,
+    "gi"
+  );
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of String(text).matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (segments.length === 0) return null;
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+// Optimal string alignment distance (Levenshtein plus transpositions)
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// How many typos a prefix of this length may contain
+const allowedTypos = (length) => (length < 3 ? 0 : length < 6 ? 1 : 2);
+
+// Rank candidate terms ({ text, field }) against what the user has typed so
+// far. Exact prefixes come first, then near-misses by edit distance.
+const rankSuggestions = (candidates, query, limit = 8) => {
+  const typed = query.trim().toLowerCase();
+  if (!typed) return [];
+  const maxTypos = allowedTypos(typed.length);
+
+  const ranked = [];
+  for (const candidate of candidates) {
+    const text = candidate.text.toLowerCase();
+
+    // Compare against the start of the value and of each later word, which
+    // ranks slightly lower
+    const starts = [0];
+    for (let i = 1; i < text.length; i++) {
+      if (text[i - 1] === " ") starts.push(i);
+    }
+
+    let best = Infinity;
+    for (const start of starts) {
+      const prefix = text.slice(start, start + typed.length);
+      const distance = prefix === typed ? 0 : editDistance(typed, prefix);
+      best = Math.min(best, distance + (start > 0 ? 0.5 : 0));
+    }
+
+    if (best <= maxTypos + 0.5) ranked.push({ candidate, score: best });
+  }
+
+  return ranked
+    .sort(
+      (a, b) =>
+        a.score - b.score ||
+        a.candidate.text.length - b.candidate.text.length ||
+        a.candidate.text.localeCompare(b.candidate.text)
+    )
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+};
+
+module.exports = {
+  escapeRegExp,
+  tokenize,
+  buildTermsFilter,
+  highlight,
+  editDistance,
+  rankSuggestions,
+};
@@ -0,0 +1,13 @@
+// Links people supply are shown to others as links and images, so only web
+// addresses are accepted: a javascript: or data: URL would run in the
+// reader's browser
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+module.exports = { isHttpUrl };